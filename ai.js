@@ -0,0 +1,205 @@
+/**
+ * ai.jsは、AIプロンプトを設定された送信先（LLMまたはHTTPエンドポイント）へ送信し、回答を受け取る機能を提供する
+ * popup.htmlから読み込まれる。拡張機能のhost_permissionsにより、ローカルで動作するモデルサーバーにも送信できる
+ *
+ * 主な機能：
+ * 1. 送信先の設定
+ *    - chrome.storage.localからの送信先（種類、URL、モデル、APIキー）の取得
+ *
+ * 2. 送信と回答の受信
+ *    - OpenAI互換のChat Completions API（ストリーミング、Server-Sent Events）
+ *    - 汎用のJSON Webhook（テキストのレスポンスはストリーミング、JSONのレスポンスはanswer / text / contentを回答とする）
+ *    - AbortSignalによる中断
+ */
+
+/** @type {Object<string, string>} 送信先の種類と表示名のメッセージキー */
+var AI_ENDPOINT_TYPES = {
+	openai: 'aiEndpointOpenai',
+	webhook: 'aiEndpointWebhook'
+};
+
+/**
+ * 送信先の設定を取得する関数
+ *
+ * APIキーは同期しない設定（aiApiKey）として別に保存されているため、送信先の設定にまとめて返す
+ *
+ * @returns {Promise<{type: string, url: string, model: string, apiKey: string}>} 送信先の設定（typeはopenai / webhook、
+ *     urlが空の場合は未設定、modelはOpenAI互換の場合のみ使用、apiKeyが空の場合はAuthorizationヘッダーを付与しない）
+ *
+ */
+async function loadAiEndpoint() {
+	var settings = await loadSettings(['aiEndpoint', 'aiApiKey']);
+	return Object.assign(settings.aiEndpoint, {apiKey: settings.aiApiKey});
+}
+
+/**
+ * レスポンスの本文をテキストの断片として順に読み取る関数
+ *
+ * @param {Response} response - fetchのレスポンス
+ * @param {function(string): void} onText - 断片を受け取るコールバック
+ * @returns {Promise<void>} 読み取り完了を示すPromise
+ *
+ */
+async function readResponseText(response, onText) {
+	var reader = response.body.getReader();
+	var decoder = new TextDecoder();
+	while(true) {
+		var result = await reader.read();
+		if(result.done) {
+			break;
+		}
+		onText(decoder.decode(result.value, {stream: true}));
+	}
+	onText(decoder.decode());
+}
+
+/**
+ * 送信先にPOSTし、エラーのレスポンスを例外に変換する関数
+ *
+ * @param {Object} endpoint - 送信先の設定
+ * @param {Object} body - JSONとして送信する本文
+ * @param {AbortSignal} [signal] - 中断用のシグナル
+ * @returns {Promise<Response>} 成功したレスポンス
+ * @throws {Error} 通信に失敗した場合、またはステータスコードが2xxでない場合
+ *
+ */
+async function postToEndpoint(endpoint, body, signal) {
+	var headers = {'Content-Type': 'application/json'};
+	if(endpoint.apiKey) {
+		headers.Authorization = 'Bearer ' + endpoint.apiKey;
+	}
+
+	var response = await fetch(endpoint.url, {
+		method: 'POST',
+		headers: headers,
+		body: JSON.stringify(body),
+		signal: signal
+	});
+	if(!response.ok) {
+		var detail = (await response.text()).slice(0, 200);
+		throw new Error(getMessage('errorHttpStatus', response.status) + (detail ? ': ' + detail : ''));
+	}
+	return response;
+}
+
+/**
+ * OpenAI互換のChat Completions APIに質問し、回答をストリーミングで受け取る関数
+ *
+ * Server-Sent Eventsの各「data:」行からchoices[0].delta.contentを取り出す。
+ * ストリーミングに対応していないサーバーがJSONを返した場合はchoices[0].message.contentを回答とする
+ *
+ * @param {Object} endpoint - 送信先の設定
+ * @param {string} prompt - AIプロンプト
+ * @param {function(string): void} onDelta - 回答の断片を受け取るコールバック
+ * @param {AbortSignal} [signal] - 中断用のシグナル
+ * @returns {Promise<void>} 回答の受信完了を示すPromise
+ *
+ */
+async function askOpenAiCompatible(endpoint, prompt, onDelta, signal) {
+	var body = {
+		messages: [{role: 'user', content: prompt}],
+		stream: true
+	};
+	if(endpoint.model) {
+		body.model = endpoint.model;
+	}
+	var response = await postToEndpoint(endpoint, body, signal);
+
+	if((response.headers.get('Content-Type') || '').indexOf('application/json') !== -1) {
+		var json = await response.json();
+		onDelta(json.choices && json.choices[0] && json.choices[0].message ? json.choices[0].message.content || '' : '');
+		return;
+	}
+
+	/**
+	 * Server-Sent Eventsの1行から回答の断片を取り出す関数
+	 *
+	 * @param {string} line - 受信した行
+	 * @returns {void}
+	 *
+	 */
+	function handleLine(line) {
+		var match = /^data:\s*(.*)$/.exec(line.trim());
+		if(!match || match[1] === '[DONE]') {
+			return;
+		}
+		try {
+			var chunk = JSON.parse(match[1]);
+			var delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+			if(delta && delta.content) {
+				onDelta(delta.content);
+			}
+		} catch(e) {
+			// JSONでない行（コメントなど）は無視する
+		}
+	}
+
+	// イベントは行単位で届くとは限らないため、改行までをバッファに溜める
+	var buffer = '';
+	await readResponseText(response, function(text) {
+		buffer += text;
+		var lines = buffer.split('\n');
+		buffer = lines.pop();
+		lines.forEach(handleLine);
+	});
+	// 最後の行が改行で終わらない場合も取りこぼさない
+	handleLine(buffer);
+}
+
+/**
+ * 汎用のJSON Webhookに質問し、回答を受け取る関数
+ *
+ * 本文として {prompt, pageUrl, errors} を送信する。テキストのレスポンスはそのままストリーミングで受け取り、
+ * JSONのレスポンスはanswer / text / contentのいずれかを回答とする
+ *
+ * @param {Object} endpoint - 送信先の設定
+ * @param {string} prompt - AIプロンプト
+ * @param {Object} context - 送信するページのURL（pageUrl）とエラー情報（errors）
+ * @param {function(string): void} onDelta - 回答の断片を受け取るコールバック
+ * @param {AbortSignal} [signal] - 中断用のシグナル
+ * @returns {Promise<void>} 回答の受信完了を示すPromise
+ *
+ */
+async function askWebhook(endpoint, prompt, context, onDelta, signal) {
+	var response = await postToEndpoint(endpoint, {
+		prompt: prompt,
+		pageUrl: context.pageUrl,
+		errors: context.errors
+	}, signal);
+
+	if((response.headers.get('Content-Type') || '').indexOf('application/json') !== -1) {
+		var json = await response.json();
+		var answer = json.answer || json.text || json.content;
+		onDelta(typeof answer === 'string' ? answer : JSON.stringify(json, null, 2));
+		return;
+	}
+	await readResponseText(response, onDelta);
+}
+
+/**
+ * 設定された送信先にAIプロンプトを送信する関数
+ *
+ * @param {string} prompt - AIプロンプト
+ * @param {Object} context - Webhookに送信するページのURL（pageUrl）とエラー情報（errors）
+ * @param {function(string): void} onDelta - 回答の断片を受け取るコールバック
+ * @param {AbortSignal} [signal] - 中断用のシグナル
+ * @returns {Promise<Object>} 使用した送信先の設定
+ * @throws {Error} 送信先が未設定の場合、または送信に失敗した場合
+ *
+ * @example
+ * await askAI(prompt, {pageUrl: pageUrl, errors: errors}, function(delta) {
+ *   answerArea.textContent += delta;
+ * });
+ */
+async function askAI(prompt, context, onDelta, signal) {
+	var endpoint = await loadAiEndpoint();
+	if(!endpoint.url) {
+		throw new Error(getMessage('aiEndpointMissing'));
+	}
+	if(endpoint.type === 'webhook') {
+		await askWebhook(endpoint, prompt, context, onDelta, signal);
+	} else {
+		await askOpenAiCompatible(endpoint, prompt, onDelta, signal);
+	}
+	return endpoint;
+}
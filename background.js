@@ -5,11 +5,18 @@
  * 1. エラー検知の管理
  *    - content.jsから送信されるエラー情報を受信
  *    - エラー発生時にブラウザアクションのアイコンとタイトルを更新
- *    - エラーデータをポップアップに渡すためのURLを生成
+ *    - タブとナビゲーション単位のエラーストア（chrome.storage.session）への保存
+ *    - 設定に応じた、再読み込みや同じオリジン内の移動をまたいだエラーの保持と、ナビゲーションの区切り（URLと時刻）の記録
+ *    - iframeを含むタブ内の全フレームのエラーの集約（フレームID・URL・オリジンの付与）
+ *    - 対象サイト・除外サイトと無視ルールの適用（rules.js）
+ *    - 保存する前の、エラー情報とページのURLの秘密情報や個人情報の伏せ字化（redact.js）
+ *    - 保持件数の上限（maxErrorsPerTab）による古いエラーの削除
+ *    - すべてのタブとセッションのエラー履歴（chrome.storage.local）への記録（history.js）
+ *    - 外部のエラートラッカー（Sentry互換または汎用のJSON）への転送（reporter.js）
  * 
  * 2. 設定管理
- *    - AIプロンプトテンプレートの初期化と管理
- *    - chrome.storage.localを使用した設定の永続化
+ *    - 起動時の設定の保存形式の移行（settings.js）
+ *    - オプションページで選んだ表示言語の読み込み（i18n.js）
  * 
  * 3. ページ初期化
  *    - 新しいタブでの拡張機能の初期化
@@ -17,10 +24,28 @@
  * 
  * 4. メッセージ通信
  *    - content.jsからのメッセージ受信と処理
- *    - エラー情報の集約とポップアップへの転送
+ *    - ポップアップ向けのエラー取得・クリアAPI（_getErrors / _clearErrors）
+ *    - SPAのルート変更の記録（_navigate）
+ *    - AIの回答のエラーグループへの保存（_saveAnswer）
+ *    - ダッシュボード向けのエラー履歴の削除（_clearHistory）
+ *    - コンテンツスクリプト向けの表示言語のメッセージカタログの取得（_getMessages）
+ *    - ポートによる購読（subscribe）とエラーストア変更の通知
+ * 
+ * 5. ネットワークエラー検知
+ *    - chrome.webRequestによる失敗したリクエスト（4xx/5xx、CORS、ブロック）の記録
+ * 
+ * 6. ソースマップ解決
+ *    - ポップアップから依頼されたスタックフレームを元のソース位置に解決（sourcemap.js）
+ * 
+ * 7. キーボードショートカットとコンテキストメニュー
+ *    - AIプロンプトのコピー（prompt.js）、エラーのクリア、サイトのエラー検知の切り替え
+ *    - バグレポート（Markdown）のコピーと、ドメインのエラーの無視
+ *    - オフスクリーンドキュメント（offscreen.js）によるクリップボードへの書き込み
  * 
  */
 
+importScripts('settings.js', 'i18n.js', 'sourcemap.js', 'rules.js', 'redact.js', 'template.js', 'prompt.js', 'history.js', 'export.js', 'reporter.js');
+
 /**
  * デバッグログを出力する関数
  * 
@@ -32,77 +57,358 @@ function debugLog(message) {
 }
 
 /**
- * chrome.storage.localから設定値を取得する関数
+ * 重要度ごとのバッジの背景色とブラウザアクションのタイトルのメッセージキー（重要度の高い順）
+ * 
+ * @type {Array<{severity: string, color: string, title: string}>}
+ */
+var SEVERITY_BADGES = [
+	{severity: 'error', color: '#d33', title: 'actionTitleError'},
+	{severity: 'warning', color: '#f2a100', title: 'actionTitleWarning'},
+	{severity: 'info', color: '#888', title: 'actionTitleInfo'}
+];
+
+/** @type {Array<string>} 失敗を記録するリクエストの種類（fetch / XHRはxmlhttprequest） */
+var NETWORK_REQUEST_TYPES = ['xmlhttprequest', 'script', 'stylesheet', 'image', 'font'];
+
+/** @type {Array<string>} 記録しないネットワークエラー（ページ遷移などによる中断） */
+var IGNORED_NETWORK_ERRORS = ['net::ERR_ABORTED'];
+
+/** @type {number} content.jsが送信するURLの最大文字数（content.jsのMAX_TEXT_LENGTHと同じ値にする） */
+var CONTENT_URL_LENGTH = 2000;
+
+/** @type {Object<number, Promise>} タブごとのストア更新を直列化するためのPromiseチェーン */
+var storeLocks = {};
+
+/** @type {Promise} エラー履歴の更新を直列化するためのPromiseチェーン */
+var historyLock = Promise.resolve();
+
+/** @type {number} エラーを履歴に書き込むまでの待ち時間（ミリ秒、この間のエラーをまとめて1回で書き込む） */
+var HISTORY_FLUSH_DELAY = 1000;
+
+/** @type {Array<{pageUrl: string|null, errors: Array<Object>}>} 履歴への書き込みを待っているエラー */
+var pendingHistory = [];
+
+/** @type {number|null} 履歴へのまとめ書き込みのタイマーID */
+var historyTimer = null;
+
+/** @type {string} 転送キューの再送用アラームの名前 */
+var REPORTER_ALARM = 'reporter-flush';
+
+/** @type {number} 新しいエラーを転送するまでの待ち時間（ミリ秒、この間のエラーをまとめて送る） */
+var REPORTER_BATCH_DELAY = 5000;
+
+/** @type {Promise} 転送キューの更新を直列化するためのPromiseチェーン */
+var reporterLock = Promise.resolve();
+
+/** @type {number|null} まとめ送信のタイマーID */
+var reportTimer = null;
+
+/** @type {number} エラーストアに保持するナビゲーションの区切りの最大数 */
+var MAX_NAVIGATIONS = 50;
+
+/** @type {Object<number, Set<chrome.runtime.Port>>} タブごとの購読中のポート */
+var subscribers = {};
+
+/** @type {string} クリップボードへの書き込みに使うオフスクリーンドキュメント */
+var OFFSCREEN_DOCUMENT = 'offscreen.html';
+
+/** @type {number} ショートカットやメニューの操作結果をバッジに表示する時間（ミリ秒） */
+var ACTION_FEEDBACK_DURATION = 2000;
+
+/** @type {string} コンテキストメニュー「エラーをバグレポートとしてコピー」のID */
+var MENU_COPY_REPORT = 'copy-bug-report';
+
+/** @type {string} コンテキストメニュー「このドメインのエラーを無視」のID */
+var MENU_IGNORE_DOMAIN = 'ignore-domain';
+
+/**
+ * タブのエラーストアのキーを返す関数
  * 
- * @param {string} key - 取得する設定のキー
- * @param {*} defaultValue - 設定が存在しない場合のデフォルト値
- * @returns {Promise<*>} 設定値またはデフォルト値
+ * @param {number} tabId - タブのID
+ * @returns {string} chrome.storage.sessionのキー
  * 
- * @example
- * const template = await getStorageValue('aiPromptTemplate', 'デフォルトテンプレート');
  */
-function getStorageValue(key, defaultValue) {
-	return new Promise((resolve) => {
-		chrome.storage.local.get([key], function(result) {
-			resolve(result[key] !== undefined ? result[key] : defaultValue);
+function storeKey(tabId) {
+	return 'tab_' + tabId;
+}
+
+/**
+ * 新しいナビゲーションのエラーストアを作成する関数
+ * 
+ * @param {string|null} url - ナビゲーション先のURL
+ * @returns {{navigationId: string, url: string|null, startedAt: number, errors: Array<Object>, navigations: Array<Object>}} 空のエラーストア
+ * 
+ */
+function createTabStore(url) {
+	return addNavigation({errors: [], navigations: []}, url, 'load');
+}
+
+/**
+ * エラーストアにナビゲーションの区切りを追加し、現在のナビゲーションにする関数
+ * 
+ * 区切りが上限を超えた場合は、エラーが残っていない区切りから、古い順に削除する
+ * 
+ * @param {Object} store - エラーストア（直接更新する）
+ * @param {string|null} url - ナビゲーション先のURL
+ * @param {string} kind - ナビゲーションの種類（load: ページの読み込み / spa: SPAのルート変更）
+ * @returns {Object} 更新したエラーストア
+ * 
+ */
+function addNavigation(store, url, kind) {
+	var navigation = {
+		id: crypto.randomUUID(),
+		url: url,
+		kind: kind,
+		startedAt: Date.now()
+	};
+	store.navigations = (store.navigations || []).concat(navigation);
+	store.navigationId = navigation.id;
+	store.url = url;
+	store.startedAt = navigation.startedAt;
+	
+	if(store.navigations.length > MAX_NAVIGATIONS) {
+		var used = {};
+		store.errors.forEach(function(error) {
+			used[error.navigationId] = true;
 		});
-	});
+		var unused = store.navigations.filter(function(marker) {
+			return !used[marker.id] && marker !== navigation;
+		});
+		var excess = store.navigations.length - MAX_NAVIGATIONS;
+		var removed = unused.slice(0, excess).concat(store.navigations.slice(0, Math.max(0, excess - unused.length)));
+		store.navigations = store.navigations.filter(function(marker) {
+			return removed.indexOf(marker) === -1;
+		});
+	}
+	return store;
+}
+
+/**
+ * ページの読み込み時に、前のナビゲーションのエラーを残すかどうかを判定する関数
+ * 
+ * ドメインごとの設定（未設定の場合は全体の設定）で移動時にクリアしない設定になっており、
+ * 前のページと同じオリジンの場合（再読み込みを含む）に残す
+ * 
+ * @param {Object} store - 現在のエラーストア
+ * @param {string} url - 読み込まれたページのURL
+ * @param {Object} settings - ルール設定
+ * @returns {boolean} 残す場合はtrue
+ * 
+ */
+function shouldKeepErrors(store, url, settings) {
+	if(!store.url || domainSettingsFor(url, settings).clearOnNavigate) {
+		return false;
+	}
+	return originOf(store.url) !== null && originOf(store.url) === originOf(url);
+}
+
+/**
+ * タブのエラーストアを取得する関数
+ * 
+ * @param {number} tabId - タブのID
+ * @returns {Promise<Object>} エラーストア（存在しない場合は空のストア）
+ * 
+ */
+async function getTabStore(tabId) {
+	var key = storeKey(tabId);
+	var result = await chrome.storage.session.get(key);
+	return result[key] || createTabStore(null);
 }
 
 /**
- * chrome.storage.localに設定値を保存する関数
+ * タブのエラーストアを更新する関数
  * 
- * @param {string} key - 保存する設定のキー
- * @param {*} value - 保存する値
- * @returns {Promise<void>} 保存完了を示すPromise
+ * 同じタブへの更新は直列に実行し、更新後のストアを購読中のポートに通知する
+ * 
+ * @param {number} tabId - タブのID
+ * @param {function(Object): (Object|Promise<Object>|void)} update - ストアを更新する関数（新しいストアを返すと置き換える）
+ * @returns {Promise<Object>} 更新後のエラーストア
  * 
  * @example
- * await setStorageValue('aiPromptTemplate', '新しいテンプレート');
+ * await updateTabStore(12345, function(store) {
+ *   store.errors.push(error);
+ * });
  */
-function setStorageValue(key, value) {
-	return new Promise((resolve) => {
-		chrome.storage.local.set({[key]: value}, resolve);
+function updateTabStore(tabId, update) {
+	var previous = storeLocks[tabId] || Promise.resolve();
+	var next = previous.then(async function() {
+		var store = await getTabStore(tabId);
+		store = (await update(store)) || store;
+		await chrome.storage.session.set({[storeKey(tabId)]: store});
+		notifySubscribers(tabId, store);
+		return store;
+	});
+	storeLocks[tabId] = next.catch(function(e) {
+		debugLog('Failed to update store for tab ' + tabId + ': ' + e.message);
 	});
+	return next;
 }
 
 /**
- * デフォルト設定を初期化する関数
+ * 購読中のポートにエラーストアの変更を通知する関数
  * 
- * AIプロンプトテンプレートが存在しない場合、デフォルト値を設定する
+ * @param {number} tabId - タブのID
+ * @param {Object} store - 更新後のエラーストア
+ * @returns {void}
  * 
- * @returns {Promise<void>} 初期化完了を示すPromise
+ */
+function notifySubscribers(tabId, store) {
+	(subscribers[tabId] || new Set()).forEach(function(port) {
+		port.postMessage({
+			_errorsChanged: true,
+			tabId: tabId,
+			url: store.url,
+			errors: store.errors,
+			navigations: store.navigations || []
+		});
+	});
+}
+
+/**
+ * 新しいエラーをストアのエラーグループに統合する関数
+ * 
+ * フィンガープリント、フレーム、ナビゲーションが同じエラーは1つのグループとして発生回数（count）と最終発生時刻（lastSeen）を更新する。
+ * 新しいグループには現在のナビゲーションのIDを付ける。
+ * 保持件数の上限を超えた場合は、最終発生時刻が最も古いグループから削除する
+ * 
+ * @param {Object} store - エラーストア
+ * @param {Array<Object>} errors - 新しく発生したエラー情報の配列
+ * @param {number} maxErrors - 保持するエラーグループの最大数
+ * @returns {number} 新しく追加されたグループの数
+ * 
+ */
+function mergeErrors(store, errors, maxErrors) {
+	var added = 0;
+	errors.forEach(function(error) {
+		var fingerprint = error.fingerprint || [error.text, error.url, error.line].join('\n');
+		var count = error.count || 1;
+		var seenAt = error.timestamp || Date.now();
+		var group = store.errors.find(function(group) {
+			return group.fingerprint === fingerprint && group.frameId === error.frameId && group.navigationId === store.navigationId;
+		});
+		
+		if(group) {
+			group.count += count;
+			group.lastSeen = Math.max(group.lastSeen, seenAt);
+		} else {
+			store.errors.push(Object.assign({}, error, {
+				fingerprint: fingerprint,
+				navigationId: store.navigationId,
+				count: count,
+				firstSeen: seenAt,
+				lastSeen: seenAt
+			}));
+			added++;
+		}
+	});
+	
+	while(store.errors.length > maxErrors) {
+		var oldest = 0;
+		store.errors.forEach(function(group, index) {
+			if(group.lastSeen < store.errors[oldest].lastSeen) {
+				oldest = index;
+			}
+		});
+		store.errors.splice(oldest, 1);
+	}
+	return added;
+}
+
+/**
+ * URLからオリジンを求める関数
+ * 
+ * @param {string|null} url - 対象のURL
+ * @returns {string|null} オリジン（URLとして解析できない場合はnull）
  * 
- * @example
- * await initDefaultOptions();
  */
-async function initDefaultOptions() {
-	debugLog('Initializing default options...');
-	var aiPromptTemplate = await getStorageValue('aiPromptTemplate', '以下のJavaScriptエラーを解析して修正方法を教えてください：\n\n{error}');
-	if(!aiPromptTemplate) {
-		await setStorageValue('aiPromptTemplate', '以下のJavaScriptエラーを解析して修正方法を教えてください：\n\n{error}');
+function originOf(url) {
+	try {
+		return new URL(url).origin;
+	} catch(e) {
+		return null;
 	}
-	debugLog('Default options initialized');
+}
+
+/**
+ * エラー情報に送信元フレームの情報を付与する関数
+ * 
+ * タブ内のすべてのフレームのエラーを1つのストアにまとめるため、フレームID・URL・オリジンで区別できるようにする
+ * 
+ * @param {Array<Object>} errors - エラー情報の配列
+ * @param {number} frameId - 送信元フレームのID（トップフレームは0）
+ * @param {string} frameUrl - 送信元フレームのURL
+ * @returns {Array<Object>} フレーム情報を付与したエラー情報の配列
+ * 
+ */
+function withFrame(errors, frameId, frameUrl) {
+	return errors.map(function(error) {
+		return Object.assign({}, error, {
+			frameId: frameId,
+			frameUrl: frameUrl,
+			frameOrigin: originOf(frameUrl)
+		});
+	});
 }
 
 /**
  * ページ初期化処理を行う関数
  * 
  * 新しいタブでの拡張機能の初期化を行い、ブラウザアクションのタイトルとポップアップURLを設定する。
- * また、エラーカウントバッジをクリアする。
+ * また、新しいナビゲーションとしてエラーストアを作り直し、エラーカウントバッジをクリアする。
+ * エラーを残す設定で同じオリジン内の移動（再読み込みを含む）の場合は、ナビゲーションの区切りを追加してエラーとバッジを残す
  * 
  * @param {number} tabId - 初期化するタブのID
+ * @param {string} url - 読み込まれたページのURL
  * @returns {Promise<void>} 初期化完了を示すPromise
  * 
  * @example
- * await handlePageInit(12345);
+ * await handlePageInit(12345, 'https://example.com/');
  */
-async function handlePageInit(tabId) {
+async function handlePageInit(tabId, url) {
 	debugLog('Handling init request from tab: ' + tabId);
 	
+	// ページのURLはポップアップとAIプロンプトに表示されるため、伏せてから保存する
+	url = redactText(url, await loadRedactionSettings());
+	
+	// 新しいナビゲーションのエラーストアを作成（エラーを残す場合は区切りを追加）
+	var settings = await loadRuleSettings();
+	var store = await updateTabStore(tabId, function(store) {
+		return shouldKeepErrors(store, url, settings) ? addNavigation(store, url, 'load') : createTabStore(url);
+	});
+	
+	await resetAction(tabId);
+	if(store.errors.length > 0) {
+		await updateAction(tabId, store.errors);
+	}
+	
+	debugLog('Init completed for tab: ' + tabId);
+}
+
+/**
+ * ブラウザアクションを初期状態に戻す関数
+ * 
+ * タイトル、アイコン、ポップアップURLを初期状態にし、エラーカウントバッジをクリアする
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function resetAction(tabId) {
+	await languageLoaded;
+	
 	// ブラウザアクションのタイトルを設定
 	await chrome.action.setTitle({
 		tabId: tabId,
-		title: 'JavaScript Errors Notifier'
+		title: getMessage('extName')
+	});
+	
+	// ブラウザアクションのアイコンを通常状態に戻す
+	await chrome.action.setIcon({
+		tabId: tabId,
+		path: {
+			"19": "img/error_19_disabled.png",
+			"38": "img/error_38_disabled.png"
+		}
 	});
 	
 	// ポップアップURLを設定
@@ -116,30 +422,27 @@ async function handlePageInit(tabId) {
 		tabId: tabId,
 		text: ''
 	});
-	
-	debugLog('Init completed for tab: ' + tabId);
 }
 
 /**
- * エラー処理を行う関数
+ * ブラウザアクションをエラーがある状態に更新する関数
  * 
- * エラーが発生した際に、ブラウザアクションのアイコンとタイトルを更新し、エラーデータをポップアップに渡すためのURLを生成する
- * また、エラーカウントバッジをアイコンの右下に表示する
+ * タイトル、アイコン、エラーカウントバッジ（グループ数）を設定し、
+ * バッジの色とタイトルはストア内で最も高い重要度に合わせる（エラーは赤、警告のみの場合は黄色）
  * 
- * @param {number} tabId - エラーが発生したタブのID
- * @param {Array<Object>} errors - エラー情報の配列
- * @returns {Promise<string>} ポップアップURL
+ * @param {number} tabId - 対象のタブのID
+ * @param {Array<Object>} errors - タブのエラーストアのエラー情報の配列（1件以上）
+ * @returns {Promise<void>} 完了を示すPromise
  * 
- * @example
- * const popupUrl = await handleErrors(12345, [{text: 'エラーメッセージ', url: 'example.com'}]);
  */
-async function handleErrors(tabId, errors) {
-	debugLog('Handling errors request from tab: ' + tabId + ', errors count: ' + errors.length);
+async function updateAction(tabId, errors) {
+	var badge = highestSeverityBadge(errors);
+	await languageLoaded;
 	
 	// ブラウザアクションのタイトルを更新
 	await chrome.action.setTitle({
 		tabId: tabId,
-		title: 'JavaScriptエラーが発生しています'
+		title: getMessage(badge.title)
 	});
 	
 	// ブラウザアクションのアイコンをエラー状態に変更
@@ -157,43 +460,766 @@ async function handleErrors(tabId, errors) {
 		text: errors.length.toString()
 	});
 	
-	// バッジの背景色を白色に設定
+	// バッジの背景色を最も高い重要度の色に設定（エラーは赤、警告のみの場合は黄色）
 	await chrome.action.setBadgeBackgroundColor({
 		tabId: tabId,
-		color: '#f0f0f0'
+		color: badge.color
+	});
+	await chrome.action.setBadgeTextColor({
+		tabId: tabId,
+		color: '#fff'
+	});
+}
+
+/**
+ * ストア内のエラーのうち最も高い重要度のバッジ設定を返す関数
+ * 
+ * @param {Array<Object>} errors - タブのエラーストアのエラー情報の配列（1件以上）
+ * @returns {{severity: string, color: string, title: string}} バッジ設定
+ * 
+ */
+function highestSeverityBadge(errors) {
+	return SEVERITY_BADGES.find(function(badge) {
+		return errors.some(function(error) {
+			return error.severity === badge.severity;
+		});
+	}) || SEVERITY_BADGES[0];
+}
+
+/**
+ * リソースの読み込み失敗とネットワークエラーが同じURLのものかどうかを判定する関数
+ * 
+ * content.jsはURLを最大文字数で切り詰めて送信するため、ネットワークエラーのURLも同じように切り詰めて比べる
+ * 
+ * @param {Object} resource - リソースの読み込み失敗のエラー情報
+ * @param {Object} network - ネットワークエラーのエラー情報
+ * @returns {boolean} 同じURLの場合はtrue
+ * 
+ */
+function isSameResourceUrl(resource, network) {
+	var url = network.url;
+	if(typeof url === 'string' && url.length > CONTENT_URL_LENGTH) {
+		url = url.slice(0, CONTENT_URL_LENGTH) + '…';
+	}
+	return resource.type === 'resource' && network.type === 'network' && resource.url === url;
+}
+
+/**
+ * リソースの読み込み失敗が、同じURLのネットワークエラーとして記録済みかどうかを判定する関数
+ * 
+ * HTTPエラーになった画像などはwebRequestとcontent.jsの両方で検知されるため、
+ * ステータスコードを持つネットワークエラーの方だけを残す（ネットワークエラーが後から届いた場合はremoveResourceErrorsで削除する）
+ * 
+ * @param {Object} store - タブのエラーストア
+ * @param {Object} error - エラー情報
+ * @returns {boolean} 記録済みの場合はtrue
+ * 
+ */
+function isRecordedAsNetworkError(store, error) {
+	return error.type === 'resource' && store.errors.some(function(stored) {
+		return isSameResourceUrl(error, stored);
 	});
+}
+
+/**
+ * ネットワークエラーと同じURLのリソースの読み込み失敗をエラーストアから削除する関数
+ * 
+ * webRequestとcontent.jsのどちらが先に届くかは決まっていないため、
+ * リソースの読み込み失敗が先に記録されていた場合はネットワークエラーを統合したときに削除する
+ * 
+ * @param {Object} store - タブのエラーストア（直接更新する）
+ * @param {Array<Object>} errors - 統合したエラー情報の配列
+ * @returns {void}
+ * 
+ */
+function removeResourceErrors(store, errors) {
+	var network = errors.filter(function(error) {
+		return error.type === 'network';
+	});
+	if(network.length === 0) {
+		return;
+	}
+	store.errors = store.errors.filter(function(stored) {
+		return !network.some(function(error) {
+			return isSameResourceUrl(stored, error);
+		});
+	});
+}
+
+/**
+ * エラー処理を行う関数
+ * 
+ * 対象サイトの判定と無視ルールを適用し、秘密情報や個人情報を伏せたうえで、新しく発生したエラーをタブのエラーストアにグループとして統合し、ブラウザアクションのアイコンとタイトルを更新する
+ * また、ストア内のエラーの種類数（グループ数）をカウントバッジとしてアイコンの右下に表示する（updateAction）
+ * iframe内で新しいグループが追加された場合は、トップフレームに通知の表示を依頼する
+ * 保持件数の上限（maxErrorsPerTab）を超えた場合は最終発生時刻が古いグループから削除する
+ * 受け付けたエラーはエラー履歴にも記録し、転送が有効な場合は転送キューに入れる
+ * 
+ * @param {number} tabId - エラーが発生したタブのID
+ * @param {Array<Object>} errors - 新しく発生したエラー情報の配列（countにまとめた発生回数を持つ）
+ * @returns {Promise<{count: number, added: number}>} ストア内のグループ数と新しく追加されたグループ数
+ * 
+ * @example
+ * const result = await handleErrors(12345, [{text: 'エラーメッセージ', url: 'example.com'}]);
+ */
+async function handleErrors(tabId, errors) {
+	debugLog('Handling errors request from tab: ' + tabId + ', errors count: ' + errors.length);
 	
-	// エラーデータをポップアップに渡すためのURLを生成
-	var popupUrl = 'popup.html?tabId=' + tabId + '&errors=' + encodeURIComponent(JSON.stringify(errors));
+	var maxErrors = await getSetting('maxErrorsPerTab');
+	var settings = await loadRuleSettings();
+	var redaction = await loadRedactionSettings();
+	var added = 0;
+	var accepted = [];
+	var store = await updateTabStore(tabId, function(store) {
+		// 対象外のサイトや無視ルールに一致するエラーは数えない。
+		// webRequestで検知したネットワークエラーと送信元フレームのURLもここで初めて伏せる（content.jsから届くエラーは伏せ済み）
+		accepted = !isSiteEnabled(store.url, settings) ? [] : errors.filter(function(error) {
+			return !isIgnored(error, settings);
+		}).map(function(error) {
+			return redactError(error, redaction);
+		}).filter(function(error) {
+			return !isRecordedAsNetworkError(store, error);
+		});
+		added = mergeErrors(store, accepted, maxErrors);
+		removeResourceErrors(store, accepted);
+	});
+	if(accepted.length > 0) {
+		recordHistory(store.url, accepted);
+		enqueueReports(store.url, accepted);
+	}
 	
-	// ポップアップURLを設定
-	await chrome.action.setPopup({
-		tabId: tabId,
-		popup: popupUrl
+	if(store.errors.length === 0) {
+		return {
+			count: 0,
+			added: 0
+		};
+	}
+	
+	await updateAction(tabId, store.errors);
+	
+	// iframeは小さな広告枠などのこともあるため、通知はトップフレームに表示する
+	var subFrameErrors = accepted.filter(function(error) {
+		return error.frameId > 0 && error.source !== 'network';
+	});
+	if(added > 0 && subFrameErrors.length > 0) {
+		var latest = subFrameErrors[subFrameErrors.length - 1];
+		chrome.tabs.sendMessage(tabId, {
+			_showNotification: true,
+			count: store.errors.length,
+			error: {
+				text: latest.text,
+				url: latest.url,
+				line: latest.line,
+				severity: latest.severity
+			}
+		}, {frameId: 0}).catch(function() {
+			// トップフレームにcontent.jsがない場合は無視する
+		});
+	}
+	
+	return {
+		count: store.errors.length,
+		added: added
+	};
+}
+
+/**
+ * タブのエラーをクリアする関数
+ * 
+ * エラーを空にし（残していた前のナビゲーションの区切りも削除する）、ブラウザアクションを初期状態に戻す
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function clearErrors(tabId) {
+	await updateTabStore(tabId, function(store) {
+		store.errors = [];
+		store.navigations = (store.navigations || []).filter(function(marker) {
+			return marker.id === store.navigationId;
+		});
+	});
+	await resetAction(tabId);
+}
+
+/**
+ * SPAのルート変更をナビゲーションの区切りとして記録する関数
+ * 
+ * エラーはクリアせず、以降に発生したエラーを新しい区切りの下にまとめる
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @param {string} url - 変更後のURL
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function recordNavigation(tabId, url) {
+	url = redactText(url, await loadRedactionSettings());
+	await updateTabStore(tabId, function(store) {
+		if(store.url !== url) {
+			addNavigation(store, url, 'spa');
+		}
+	});
+}
+
+/**
+ * AIの回答をエラーグループに保存する関数
+ * 
+ * 回答はフィンガープリント、フレームID、ナビゲーションIDが一致するエラーグループに記録され、
+ * 同じナビゲーションの間はエラーと一緒に表示される
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @param {Array<{fingerprint: string, frameId: number, navigationId: string}>} groups - 回答の対象となったエラーグループ
+ * @param {{text: string, endpoint: string, model: string|null, answeredAt: number}} answer - 回答
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function saveAnswer(tabId, groups, answer) {
+	await updateTabStore(tabId, function(store) {
+		store.errors.forEach(function(error) {
+			var matched = groups.some(function(group) {
+				return group.fingerprint === error.fingerprint && group.frameId === error.frameId && group.navigationId === error.navigationId;
+			});
+			if(matched) {
+				error.answer = answer;
+			}
+		});
+	});
+}
+
+/**
+ * エラーをエラー履歴に記録する関数
+ * 
+ * 履歴は保存サイズの上限まで大きくなり、書き込むたびに全体を保存し直すため、
+ * HISTORY_FLUSH_DELAYの間に受け付けたエラーはメモリにためてflushHistoryでまとめて書き込む
+ * 
+ * @param {string|null} pageUrl - エラーが発生したページのURL
+ * @param {Array<Object>} errors - 記録するエラー情報の配列
+ * @returns {void}
+ * 
+ */
+function recordHistory(pageUrl, errors) {
+	pendingHistory.push({pageUrl: pageUrl, errors: errors});
+	if(historyTimer === null) {
+		historyTimer = setTimeout(function() {
+			historyTimer = null;
+			flushHistory();
+		}, HISTORY_FLUSH_DELAY);
+	}
+}
+
+/**
+ * 書き込みを待っているエラーをエラー履歴に書き込む関数
+ * 
+ * 履歴の更新は直列に実行し、書き込みのたびに保持ポリシー（保持期間と保存サイズの上限）を適用する
+ * 
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+function flushHistory() {
+	var batch = pendingHistory;
+	pendingHistory = [];
+	if(batch.length === 0) {
+		return historyLock;
+	}
+	historyLock = historyLock.then(async function() {
+		var loaded = await loadHistory();
+		batch.forEach(function(entry) {
+			addToHistory(loaded.history, entry.pageUrl, entry.errors);
+		});
+		pruneHistory(loaded.history, loaded.settings, Date.now());
+		await saveSettings({errorHistory: loaded.history});
+	}).catch(function(e) {
+		debugLog('Failed to record history: ' + e.message);
+	});
+	return historyLock;
+}
+
+/**
+ * エラー履歴をすべて削除する関数
+ * 
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+function clearHistory() {
+	// 削除より前に受け付けたエラーも書き込まない
+	pendingHistory = [];
+	historyLock = historyLock.then(function() {
+		return saveSettings({errorHistory: settingDefault('errorHistory')});
 	});
+	return historyLock;
+}
+
+/**
+ * 転送キューを送信する時刻を予約する関数
+ * 
+ * Service Workerが停止しても送信されるようアラームを使う。予約済みのアラームの方が早い場合は変更しない
+ * 
+ * @param {number} when - 送信する時刻（ミリ秒）
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function scheduleReportFlush(when) {
+	var alarm = await chrome.alarms.get(REPORTER_ALARM);
+	if(!alarm || alarm.scheduledTime > when) {
+		await chrome.alarms.create(REPORTER_ALARM, {when: when});
+	}
+}
+
+/**
+ * エラーを転送キューに入れる関数
+ * 
+ * 転送が有効で、ページのURLが転送するURLパターンに一致する場合だけキューに入れ、
+ * REPORTER_BATCH_DELAYの間に発生したエラーをまとめて送信する
+ * 
+ * @param {string|null} pageUrl - エラーが発生したページのURL
+ * @param {Array<Object>} errors - 転送するエラー情報の配列
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function enqueueReports(pageUrl, errors) {
+	var settings = await loadReporterSettings();
+	if(!settings.enabled || !settings.url || !pageUrl || !matchesAnyPattern(pageUrl, settings.patterns)) {
+		return;
+	}
+	
+	reporterLock = reporterLock.then(async function() {
+		var queue = await getSetting('reporterQueue');
+		queue = queue.concat(errors.map(function(error) {
+			return createReportEvent(error, pageUrl);
+		})).slice(-REPORTER_MAX_QUEUE_LENGTH);
+		await saveSettings({reporterQueue: queue});
+		// タイマーはService Workerが停止すると失われるため、アラームでも予約しておく
+		await scheduleReportFlush(Date.now() + 60 * 1000);
+	}).catch(function(e) {
+		debugLog('Failed to enqueue reports: ' + e.message);
+	});
+	await reporterLock;
+	
+	if(reportTimer === null) {
+		reportTimer = setTimeout(function() {
+			reportTimer = null;
+			flushReports();
+		}, REPORTER_BATCH_DELAY);
+	}
+}
+
+/**
+ * 転送キューのうち送信時刻を過ぎたイベントを送信する関数
+ * 
+ * 成功したイベントと再送しない失敗（4xxなど）のイベントはキューから削除し、
+ * 再送する失敗のイベントは指数バックオフで次の送信時刻を決める。
+ * オフラインの場合は送信せず、1分後に再確認する。転送が無効になっている場合はキューを破棄する
+ * 
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+function flushReports() {
+	reporterLock = reporterLock.then(async function() {
+		var queue = await getSetting('reporterQueue');
+		if(queue.length === 0) {
+			return;
+		}
+		var settings = await loadReporterSettings();
+		if(!settings.enabled || !settings.url) {
+			await saveSettings({reporterQueue: []});
+			return;
+		}
+		var now = Date.now();
+		if(!navigator.onLine) {
+			await scheduleReportFlush(now + 60 * 1000);
+			return;
+		}
+		
+		var due = queue.filter(function(event) {
+			return event.nextAttempt <= now;
+		}).slice(0, REPORTER_BATCH_SIZE);
+		var results = due.length > 0 ? await deliverReports(due, settings) : [];
+		
+		var finished = {};
+		results.forEach(function(result) {
+			var event = result.event;
+			if(!result.error) {
+				finished[event.id] = true;
+				return;
+			}
+			event.attempts++;
+			if(!result.error.retryable || event.attempts >= REPORTER_MAX_ATTEMPTS) {
+				debugLog('Dropping report ' + event.id + ': ' + result.error.message);
+				finished[event.id] = true;
+				return;
+			}
+			event.nextAttempt = nextAttemptTime(event.attempts, result.error.retryAfter, Date.now());
+		});
+		queue = queue.filter(function(event) {
+			return !finished[event.id];
+		});
+		await saveSettings({reporterQueue: queue});
+		
+		if(queue.length > 0) {
+			await scheduleReportFlush(Math.min.apply(null, queue.map(function(event) {
+				return event.nextAttempt;
+			})));
+		}
+	}).catch(function(e) {
+		debugLog('Failed to flush reports: ' + e.message);
+	});
+	return reporterLock;
+}
+
+/**
+ * 失敗したリクエストをネットワークエラーとして記録する関数
+ * 
+ * webRequestのイベント詳細からエラー情報を作成し、handleErrorsでタブのエラーストアに統合する。
+ * フィンガープリントはメソッド、クエリを除いたURL、結果から作るため、同じリクエストの失敗はまとめられる。
+ * 閉じたタブやプリレンダリング中のタブではブラウザアクションの更新が失敗するため、失敗はログに記録するだけにする
+ * 
+ * @param {Object} details - webRequestのイベント詳細（onCompleted / onErrorOccurred）
+ * @returns {Promise<void>} 記録完了を示すPromise（失敗しても拒否されない）
+ * 
+ */
+async function handleNetworkFailure(details) {
+	var network = {
+		method: details.method,
+		statusCode: details.statusCode || null,
+		statusText: details.statusLine ? details.statusLine.replace(/^\S+\s+\d+\s*/, '') : null,
+		error: details.error || null,
+		initiator: details.initiator || null,
+		type: details.type
+	};
+	var result = network.statusCode || network.error;
+	
+	try {
+		await handleErrors(details.tabId, withFrame([{
+			text: network.method + ' ' + details.url + ' ' + result,
+			url: details.url,
+			line: null,
+			col: null,
+			name: null,
+			stack: null,
+			frames: [],
+			cause: [],
+			timestamp: details.timeStamp,
+			source: 'network',
+			type: 'network',
+			severity: 'error',
+			network: network,
+			fingerprint: 'network:' + network.method + ' ' + details.url.replace(/[?#].*$/, '') + ' ' + result
+		}], details.frameId, details.documentUrl || details.initiator || null));
+	} catch(e) {
+		debugLog('Failed to record network error for tab ' + details.tabId + ': ' + e.message);
+	}
+}
+
+/**
+ * エラーの詳細を開く関数
+ * 
+ * ページ内の通知の「詳細を開く」から呼ばれ、ツールバーのポップアップを開く。
+ * ポップアップを開けない場合は、同じ内容を新しいタブで開く
+ * 
+ * @param {chrome.tabs.Tab} tab - 通知が表示されたタブ
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function openDetails(tab) {
+	try {
+		await chrome.action.openPopup({windowId: tab.windowId});
+	} catch(e) {
+		await chrome.tabs.create({
+			url: 'popup.html?tabId=' + tab.id,
+			openerTabId: tab.id
+		});
+	}
+}
+
+/**
+ * ページとブラウザアクションのアイコンのコンテキストメニューを作成する関数
+ * 
+ * 作成済みのメニューは削除してから、表示言語のタイトルで作り直す
+ * 
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function createContextMenus() {
+	await languageLoaded;
+	chrome.contextMenus.removeAll(function() {
+		var contexts = ['page', 'frame', 'action'];
+		chrome.contextMenus.create({id: MENU_COPY_REPORT, title: getMessage('menuCopyReport'), contexts: contexts});
+		chrome.contextMenus.create({id: MENU_IGNORE_DOMAIN, title: getMessage('menuIgnoreDomain'), contexts: contexts});
+	});
+}
+
+/**
+ * ブラウザアクションをタブのエラーストアの状態に合わせて更新する関数
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function refreshAction(tabId) {
+	var store = await getTabStore(tabId);
+	await resetAction(tabId);
+	if(store.errors.length > 0) {
+		await updateAction(tabId, store.errors);
+	}
+}
+
+/**
+ * ショートカットやメニューの操作結果をバッジとタイトルに一時的に表示する関数
+ * 
+ * 表示時間が過ぎたら、エラーストアの状態に合わせた表示に戻す
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @param {string} text - バッジに表示する文字列
+ * @param {string} title - タイトルに表示するメッセージのキー
+ * @param {*|Array<*>} [substitutions] - メッセージに埋め込む値
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function showActionFeedback(tabId, text, title, substitutions) {
+	await languageLoaded;
+	await chrome.action.setBadgeText({tabId: tabId, text: text});
+	await chrome.action.setBadgeBackgroundColor({tabId: tabId, color: '#555'});
+	await chrome.action.setTitle({tabId: tabId, title: getMessage(title, substitutions)});
+	setTimeout(function() {
+		refreshAction(tabId);
+	}, ACTION_FEEDBACK_DURATION);
+}
+
+/**
+ * テキストをクリップボードにコピーする関数
+ * 
+ * Service Workerからはクリップボードに書き込めないため、オフスクリーンドキュメント（offscreen.js）に依頼する
+ * 
+ * @param {string} text - コピーするテキスト
+ * @returns {Promise<boolean>} コピーできた場合はtrue（オフスクリーンドキュメントが応答しない場合もfalse）
+ * 
+ */
+async function copyToClipboard(text) {
+	try {
+		await chrome.offscreen.createDocument({
+			url: OFFSCREEN_DOCUMENT,
+			reasons: ['CLIPBOARD'],
+			justification: 'エラー情報をクリップボードにコピーするため'
+		});
+	} catch(e) {
+		// 作成済みの場合はそのまま使う
+	}
+	try {
+		var response = await chrome.runtime.sendMessage({
+			_offscreenCopy: true,
+			text: text
+		});
+		return !!response && response.copied;
+	} catch(e) {
+		debugLog('Failed to copy to clipboard: ' + e.message);
+		return false;
+	}
+}
+
+/**
+ * ショートカットやメニューの操作を実行し、失敗した場合はバッジとタイトルに知らせる関数
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @param {Promise<void>} task - 実行中の操作
+ * @returns {Promise<void>} 完了を示すPromise（失敗しても拒否されない）
+ * 
+ */
+function withActionFeedback(tabId, task) {
+	return task.catch(function(e) {
+		debugLog('Failed to run action for tab ' + tabId + ': ' + e.message);
+		return showActionFeedback(tabId, 'ERR', 'feedbackActionFailed');
+	}).catch(function(e) {
+		debugLog('Failed to show action feedback for tab ' + tabId + ': ' + e.message);
+	});
+}
+
+/**
+ * タブのエラーのAIプロンプトをクリップボードにコピーする関数
+ * 
+ * ポップアップと同じく、スタックフレームをソースマップで解決してから既定のテンプレートでプロンプトを生成する
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function copyAIPrompt(tabId) {
+	await languageLoaded;
+	var store = await getTabStore(tabId);
+	if(store.errors.length === 0) {
+		await showActionFeedback(tabId, '0', 'feedbackNoErrors');
+		return;
+	}
+	var errors = await Promise.all(store.errors.map(async function(error) {
+		if(error.frames && error.frames.length > 0) {
+			return Object.assign({}, error, {frames: await resolveFrames(error.frames)});
+		}
+		return error;
+	}));
+	var copied = await copyToClipboard(await generateAIPrompt(errors, store.url));
+	await showActionFeedback(tabId, copied ? 'OK' : 'ERR', copied ? 'feedbackPromptCopied' : 'feedbackPromptCopyFailed');
+}
+
+/**
+ * タブのエラーをMarkdownのバグレポートとしてクリップボードにコピーする関数
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function copyBugReport(tabId) {
+	await languageLoaded;
+	var store = await getTabStore(tabId);
+	if(store.errors.length === 0) {
+		await showActionFeedback(tabId, '0', 'feedbackNoErrors');
+		return;
+	}
+	var copied = await copyToClipboard(exportMarkdown(buildExportReport(store.errors, store.url)));
+	await showActionFeedback(tabId, copied ? 'OK' : 'ERR', copied ? 'feedbackReportCopied' : 'feedbackReportCopyFailed');
+}
+
+/**
+ * サイトのエラー検知の有効・無効を切り替える関数
+ * 
+ * ドメインごとの設定（domainSettings）のenabledを反転する。content.jsは設定の変更を監視しているため、再読み込みなしで反映される
+ * 
+ * @param {chrome.tabs.Tab} tab - 対象のタブ
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function toggleSiteCapture(tab) {
+	var domain = hostnameOf(tab.url);
+	if(!domain) {
+		return;
+	}
+	var settings = await loadRuleSettings();
+	var enabled = !domainSettingsFor(tab.url, settings).enabled;
+	var domainSettings = Object.assign({}, settings.domainSettings);
+	domainSettings[domain] = Object.assign({notify: true}, domainSettings[domain], {enabled: enabled});
+	await saveSettings({domainSettings: domainSettings});
+	await showActionFeedback(tab.id, enabled ? 'ON' : 'OFF', enabled ? 'feedbackSiteEnabled' : 'feedbackSiteDisabled', domain);
+}
+
+/**
+ * ドメインから読み込まれたスクリプトやリソースのエラーを無視する関数
+ * 
+ * 無視ルールにソースURLのルールを追加し、タブのエラーストアから一致するエラーを削除する
+ * 
+ * @param {number} tabId - 対象のタブのID
+ * @param {string} url - 無視するドメインのURL（ページまたはiframeのURL）
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function ignoreDomain(tabId, url) {
+	var domain = hostnameOf(url);
+	if(!domain) {
+		return;
+	}
+	var settings = await loadRuleSettings();
+	var rule = {field: 'source', pattern: domainSourcePattern(domain)};
+	var exists = settings.ignoreRules.some(function(ignoreRule) {
+		return ignoreRule.field === rule.field && ignoreRule.pattern === rule.pattern;
+	});
+	if(!exists) {
+		settings.ignoreRules = settings.ignoreRules.concat([rule]);
+		await saveSettings({ignoreRules: settings.ignoreRules});
+	}
 	
-	debugLog('Sending popup URL: ' + popupUrl);
-	return popupUrl;
+	await updateTabStore(tabId, function(store) {
+		store.errors = store.errors.filter(function(error) {
+			return !isIgnored(error, settings);
+		});
+	});
+	await showActionFeedback(tabId, 'OK', 'feedbackDomainIgnored', domain);
 }
 
-// 初期化処理を実行
-initDefaultOptions();
+// 初期化処理を実行（設定を現在の保存形式に移行してから、Service Workerの停止中に残った転送キューを送信する）
+loadLanguage().then(migrateSettings).then(flushReports);
+
+/**
+ * リクエスト完了時のリスナー
+ * 
+ * タブ内のリクエストが4xx/5xxのステータスコードで完了した場合にネットワークエラーとして記録する
+ * 
+ * @param {Object} details - リクエストの詳細
+ * @returns {void}
+ * 
+ */
+chrome.webRequest.onCompleted.addListener(function(details) {
+	if(details.tabId >= 0 && details.statusCode >= 400) {
+		handleNetworkFailure(details);
+	}
+}, {urls: ['<all_urls>'], types: NETWORK_REQUEST_TYPES});
+
+/**
+ * リクエスト失敗時のリスナー
+ * 
+ * CORSエラーやブロックされたリクエスト（net::ERR_BLOCKED_BY_CLIENTなど）をネットワークエラーとして記録する
+ * 
+ * @param {Object} details - リクエストの詳細
+ * @returns {void}
+ * 
+ */
+chrome.webRequest.onErrorOccurred.addListener(function(details) {
+	if(details.tabId >= 0 && IGNORED_NETWORK_ERRORS.indexOf(details.error) === -1) {
+		handleNetworkFailure(details);
+	}
+}, {urls: ['<all_urls>'], types: NETWORK_REQUEST_TYPES});
+
+/**
+ * メッセージの処理に失敗した場合に、ログに記録して失敗を示す値で応答する関数を作成する関数
+ * 
+ * 閉じたタブやプリレンダリング中のタブでのブラウザアクションの更新や、ストレージへの書き込みの失敗で
+ * 送信元のsendMessageが応答を待ち続けないようにする
+ * 
+ * @param {Function} sendResponse - レスポンス送信関数
+ * @param {string} type - メッセージの種類（ログ用）
+ * @param {*} [value] - 失敗時の応答（省略した場合はnull）
+ * @returns {function(Error): void} Promiseのcatchに渡す関数
+ * 
+ */
+function respondWithFailure(sendResponse, type, value) {
+	return function(e) {
+		debugLog('Failed to handle ' + type + ': ' + e.message);
+		sendResponse(value === undefined ? null : value);
+	};
+}
 
 /**
  * メッセージリスナー
  * 
- * content.jsからのメッセージを受信し、適切な処理を実行する
+ * content.jsやポップアップからのメッセージを受信し、適切な処理を実行する
  * 
  * 対応するメッセージタイプ：
  * - _initPage: ページ初期化要求
  * - _errors: エラー情報の送信
+ * - _openDetails: ページ内の通知からエラーの詳細を開く
+ * - _getErrors: タブのエラー一覧の取得
+ * - _clearErrors: タブのエラーのクリア
+ * - _resolveFrames: スタックフレームのソースマップ解決
+ * - _saveAnswer: AIの回答のエラーグループへの保存
+ * - _clearHistory: エラー履歴の削除
+ * - _getMessages: 表示言語のメッセージカタログの取得
  * 
  * @param {Object} data - 受信したメッセージデータ
  * @param {string} data._initPage - ページ初期化フラグ
  * @param {string} data._errors - エラー処理フラグ
- * @param {Array<Object>} data.errors - エラー情報の配列
+ * @param {Array<Object>} data.errors - 新しく発生したエラー情報の配列
+ * @param {string} data._openDetails - 詳細表示フラグ
+ * @param {string} data._getErrors - エラー一覧取得フラグ
+ * @param {string} data._clearErrors - エラークリアフラグ
+ * @param {number} data.tabId - 対象のタブのID（ポップアップから送信される場合）
+ * @param {string} data._resolveFrames - ソースマップ解決フラグ
+ * @param {Array<Object>} data.frames - 解決するスタックフレームの配列
+ * @param {string} data._saveAnswer - AIの回答保存フラグ
+ * @param {Array<Object>} data.groups - 回答の対象となったエラーグループ（fingerprint、frameId）
+ * @param {Object} data.answer - AIの回答
+ * @param {string} data._clearHistory - 履歴削除フラグ
+ * @param {string} data._getMessages - メッセージカタログ取得フラグ
+ * @param {string} data.language - 取得する言語
  * @param {Object} sender - 送信者情報
  * @param {number} sender.tab.id - 送信元タブのID
+ * @param {number} sender.frameId - 送信元フレームのID（トップフレームは0）
+ * @param {string} sender.url - 送信元フレームのURL
  * @param {Function} sendResponse - レスポンス送信関数
  * @returns {boolean} true - 非同期レスポンスを示す
  *
@@ -203,16 +1229,212 @@ chrome.runtime.onMessage.addListener(function(data, sender, sendResponse) {
 	
 	// ページ初期化要求の処理
 	if(data._initPage) {
-		handlePageInit(sender.tab.id).then(() => {
+		handlePageInit(sender.tab.id, data.url).then(() => {
 			sendResponse({});
-		});
+		}).catch(respondWithFailure(sendResponse, '_initPage'));
 	}
 	// エラー情報の処理
 	else if(data._errors) {
-		handleErrors(sender.tab.id, data.errors).then((popupUrl) => {
-			sendResponse(popupUrl);
+		handleErrors(sender.tab.id, withFrame(data.errors, sender.frameId, sender.url)).then((result) => {
+			sendResponse(result);
+		}).catch(respondWithFailure(sendResponse, '_errors'));
+	}
+	// 通知からエラーの詳細を開く
+	else if(data._openDetails) {
+		openDetails(sender.tab).then(() => {
+			sendResponse({});
+		}).catch(respondWithFailure(sendResponse, '_openDetails'));
+	}
+	// SPAのルート変更（トップフレームのみ）
+	else if(data._navigate) {
+		if(sender.frameId === 0) {
+			recordNavigation(sender.tab.id, data.url).catch(function(e) {
+				debugLog('Failed to record navigation: ' + e.message);
+			});
+		}
+		sendResponse({});
+	}
+	// エラー一覧の取得
+	else if(data._getErrors) {
+		getTabStore(data.tabId).then((store) => {
+			sendResponse(store);
+		}).catch(respondWithFailure(sendResponse, '_getErrors', createTabStore(null)));
+	}
+	// エラーのクリア
+	else if(data._clearErrors) {
+		clearErrors(data.tabId).then(() => {
+			sendResponse({});
+		}).catch(respondWithFailure(sendResponse, '_clearErrors'));
+	}
+	// スタックフレームのソースマップ解決
+	else if(data._resolveFrames) {
+		resolveFrames(data.frames).then((frames) => {
+			sendResponse(frames);
+		}).catch(respondWithFailure(sendResponse, '_resolveFrames', data.frames));
+	}
+	// AIの回答の保存
+	else if(data._saveAnswer) {
+		saveAnswer(data.tabId, data.groups, data.answer).then(() => {
+			sendResponse({});
+		}).catch(respondWithFailure(sendResponse, '_saveAnswer'));
+	}
+	// エラー履歴の削除
+	else if(data._clearHistory) {
+		clearHistory().then(() => {
+			sendResponse({});
+		}).catch(respondWithFailure(sendResponse, '_clearHistory'));
+	}
+	// コンテンツスクリプト向けの表示言語のメッセージカタログの取得
+	else if(data._getMessages) {
+		fetchMessages(data.language).then((messages) => {
+			sendResponse(messages);
+		}).catch(() => {
+			sendResponse(null);
 		});
 	}
 	
 	return true; // 非同期レスポンスを示す
 });
+
+/**
+ * 購読リスナー
+ * 
+ * ポップアップから「subscribe」という名前のポートで接続され、
+ * {_subscribe: true, tabId}を受信すると、そのタブのエラーストアの変更を通知する
+ * 
+ * @param {chrome.runtime.Port} port - 接続されたポート
+ * @returns {void}
+ * 
+ */
+chrome.runtime.onConnect.addListener(function(port) {
+	if(port.name !== 'subscribe') {
+		return;
+	}
+	port.onMessage.addListener(function(data) {
+		if(data._subscribe) {
+			subscribers[data.tabId] = subscribers[data.tabId] || new Set();
+			subscribers[data.tabId].add(port);
+			port.onDisconnect.addListener(function() {
+				// 対象のタブが先に閉じられた場合（新しいタブで開いた詳細など）は購読が削除済み
+				var ports = subscribers[data.tabId];
+				if(ports) {
+					ports.delete(port);
+					if(ports.size === 0) {
+						delete subscribers[data.tabId];
+					}
+				}
+			});
+		}
+	});
+});
+
+/**
+ * アラームのリスナー
+ * 
+ * 転送キューの再送時刻になったら送信する
+ * 
+ * @param {chrome.alarms.Alarm} alarm - 発火したアラーム
+ * @returns {void}
+ * 
+ */
+chrome.alarms.onAlarm.addListener(function(alarm) {
+	if(alarm.name === REPORTER_ALARM) {
+		flushReports();
+	}
+});
+
+// オンラインに戻ったら、オフラインの間に溜まった転送キューを送信
+self.addEventListener('online', function() {
+	flushReports();
+});
+
+/**
+ * タブクローズ時のリスナー
+ * 
+ * 閉じられたタブのエラーストアを削除する
+ * 
+ * @param {number} tabId - 閉じられたタブのID
+ * @returns {void}
+ * 
+ */
+chrome.tabs.onRemoved.addListener(function(tabId) {
+	chrome.storage.session.remove(storeKey(tabId));
+	delete subscribers[tabId];
+});
+
+/**
+ * キーボードショートカットのリスナー
+ * 
+ * manifest.jsonのcommandsで定義したショートカットを、アクティブなタブに対して実行する
+ * - copy-ai-prompt: AIプロンプトのコピー
+ * - clear-errors: エラーのクリア
+ * - toggle-site: サイトのエラー検知の切り替え
+ * 
+ * @param {string} command - 実行されたコマンド名
+ * @param {chrome.tabs.Tab} tab - アクティブなタブ
+ * @returns {void}
+ * 
+ */
+chrome.commands.onCommand.addListener(function(command, tab) {
+	if(!tab || tab.id < 0) {
+		return;
+	}
+	if(command === 'copy-ai-prompt') {
+		withActionFeedback(tab.id, copyAIPrompt(tab.id));
+	}
+	else if(command === 'clear-errors') {
+		withActionFeedback(tab.id, clearErrors(tab.id));
+	}
+	else if(command === 'toggle-site') {
+		withActionFeedback(tab.id, toggleSiteCapture(tab));
+	}
+});
+
+/**
+ * インストール・更新時のリスナー
+ * 
+ * ページとブラウザアクションのアイコンにコンテキストメニューを作成する
+ * 
+ * @returns {void}
+ * 
+ */
+chrome.runtime.onInstalled.addListener(function() {
+	createContextMenus();
+});
+
+/**
+ * 設定変更時のリスナー
+ * 
+ * 表示言語が変更された場合はメッセージカタログを読み込み直し、コンテキストメニューを作り直す
+ * 
+ * @param {Object} changed - 変更された設定
+ * @returns {void}
+ * 
+ */
+onSettingsChanged(function(changed) {
+	if('language' in changed) {
+		loadLanguage().then(createContextMenus);
+	}
+});
+
+/**
+ * コンテキストメニューのリスナー
+ * 
+ * 「このドメインのエラーを無視」はiframe上で選んだ場合はiframeのドメインを、それ以外はページのドメインを対象にする
+ * 
+ * @param {chrome.contextMenus.OnClickData} info - クリックされたメニューの情報
+ * @param {chrome.tabs.Tab} tab - メニューを開いたタブ
+ * @returns {void}
+ * 
+ */
+chrome.contextMenus.onClicked.addListener(function(info, tab) {
+	if(!tab || tab.id < 0) {
+		return;
+	}
+	if(info.menuItemId === MENU_COPY_REPORT) {
+		withActionFeedback(tab.id, copyBugReport(tab.id));
+	}
+	else if(info.menuItemId === MENU_IGNORE_DOMAIN) {
+		withActionFeedback(tab.id, ignoreDomain(tab.id, info.frameUrl || info.pageUrl || tab.url));
+	}
+});
@@ -123,10 +123,11 @@ function closePopup(clear) {
 		_closePopup: true
 	});
 	
-	// エラークリアが指定された場合
+	// エラークリアが指定された場合（タブのエラーストアはService Workerが管理する）
 	if(clear) {
-		sendMessage({
-			_clear: true
+		chrome.runtime.sendMessage({
+			_clearErrors: true,
+			tabId: request.tabId
 		});
 	}
 	
@@ -4,87 +4,438 @@
  * 
  * 主な機能：
  * 1. エラー検知
- *    - window.onerror: グローバルエラーの検知
- *    - unhandledrejection: Promiseエラーの検知
- *    - console.error: console.errorのインターセプト
- *    - 404エラー: 画像読み込みエラーの検知
+ *    - inject.js（MAINワールド）からの構造化レコードの受信と検証
+ *      （window.onerror、unhandledrejection、console.error / console.warn / console.info、Reporting APIのdeprecation / intervention）
+ *    - console.infoは設定（captureConsoleInfo）で有効にした場合のみ重要度infoとして記録
+ *    - リソース（画像、スクリプト、スタイルシート、メディアなど）の読み込み失敗の検知（キャプチャフェーズ）
+ *    - CSP違反（securitypolicyviolation）の検知
+ *    - レコードごとの種類（script / resource / csp / deprecation / intervention）の付与
  * 
- * 2. エラー管理
- *    - エラー情報の収集と蓄積（最大10件）
- *    - Service Workerへのエラー情報送信
+ * 2. パンくずリスト（エラーに至るまでの経緯）
+ *    - クリック（セレクターのパス）、入力欄のフォーカスと変更（入力値は伏せる）、ルート変更の収集
+ *    - SPAのルート変更のService Workerへの通知（エラーストアのナビゲーションの区切り）
+ *    - inject.jsから中継されるconsoleの出力、SPAのルート変更、通信の受信
+ *    - 直近の項目のみを保持するリングバッファと、エラーごとのスナップショットの添付
  * 
- * 3. 通知表示
- *    - 画面右上へのポップアップ通知表示
- *    - 自動消去機能（5秒後）
- *    - 手動閉じる機能
+ * 3. エラー管理
+ *    - 対象サイトの判定と無視ルールの適用（rules.js）
+ *    - 送信前の秘密情報や個人情報（トークン、メールアドレスなど）の伏せ字化（redact.js）
+ *    - メッセージ・正規化したスタック・キャプチャ元によるフィンガープリントの算出
+ *    - 同じエラーの連続送信の抑制（一定間隔ごとに発生回数をまとめて送信）
+ *    - Service Workerへのエラー情報送信（蓄積はService Workerのエラーストアで行う）
  * 
- * 4. ページ初期化
+ * 4. 通知表示
+ *    - closedモードのShadow DOM内への通知表示（iframeのエラーはトップフレームに表示）
+ *    - 最新のエラーのメッセージと発生場所の表示
+ *    - 「詳細を開く」「このサイトをミュート」「閉じる」の操作
+ *    - 重要度ごとの表示位置・自動消去までの秒数・有効/無効の設定
+ *    - オプションページで選んだ表示言語での表示（i18n.js）
+ * 
+ * 5. ページ初期化
  *    - Service Workerへの初期化メッセージ送信
  *    - iframe判定による処理分岐
  * 
  */
 
 (function() {
-	/** @type {Array<Object>} 検知されたエラーの配列（最大10件） */
-	var errors = [];
-	
 	/** @type {boolean} 現在のページがiframe内かどうか */
 	var isIFrame = window.top != window;
 
+	/** @type {number} 同じエラーをまとめて送信する間隔（ミリ秒） */
+	var DUPLICATE_INTERVAL = 1000;
+
+	/** @type {number} フィンガープリントに含めるスタックフレームの最大数 */
+	var FINGERPRINT_FRAMES = 10;
+
+	/** @type {Object<string, {pending: number, error: Object|null}>} 送信を抑制中のエラー（フィンガープリントがキー） */
+	var throttled = {};
+
+	/** @type {Object|null} ルール設定（rules.js、読み込み前はnull） */
+	var ruleSettings = null;
+
+	/** @type {Object|null} 伏せる処理の設定（redact.js、読み込み前はnull） */
+	var redactionSettings = null;
+
+	/** @type {Array<Object>} ルール設定と伏せる処理の設定の読み込み前に検知したエラー */
+	var pendingErrors = [];
+
+	/** @type {number} 保持するパンくずリストの最大件数 */
+	var MAX_BREADCRUMBS = 30;
+
+	/** @type {number} セレクターのパスに含める祖先要素の最大数 */
+	var SELECTOR_DEPTH = 5;
+
+	/** @type {Array<{category: string, message: string, level: string, timestamp: number}>} 直近のパンくずリスト（古い順） */
+	var breadcrumbs = [];
+
+	/** @type {string} 最後にService Workerへ通知したトップフレームのURL */
+	var lastNavigationUrl = window.location.href;
+
+	/** @type {Object<string, {enabled: boolean, position: string, duration: number}>} 通知設定（重要度ごと） */
+	var notificationSettings = settingDefault('notificationSettings');
+
+	/** @type {Object<string, Object<string, string>>} 通知の表示位置ごとのCSS */
+	var NOTIFICATION_POSITIONS = {
+		'top-right': {top: '20px', right: '20px'},
+		'top-left': {top: '20px', left: '20px'},
+		'bottom-right': {bottom: '20px', right: '20px'},
+		'bottom-left': {bottom: '20px', left: '20px'}
+	};
+
+	/** @type {number} 通知に表示するメッセージの最大文字数 */
+	var NOTIFICATION_TEXT_LENGTH = 200;
+
+	/** @type {string} 通知のスタイル（Shadow DOM内にのみ適用される） */
+	var NOTIFICATION_STYLE = [
+		'.box { background: white; border: 2px solid #ff4444; border-radius: 8px; padding: 15px; box-shadow: 0 4px 12px rgba(0,0,0,0.3); width: 300px; box-sizing: border-box; font: 14px/1.4 Arial, sans-serif; color: #222; }',
+		'.box.warning { border-color: #f2a100; }',
+		'.title { font-weight: bold; color: #ff4444; margin-bottom: 8px; }',
+		'.warning .title { color: #f2a100; }',
+		'.message { margin-bottom: 4px; white-space: pre-wrap; word-break: break-word; }',
+		'.source { font-size: 11px; color: #666; margin-bottom: 8px; word-break: break-all; }',
+		'.summary { font-size: 12px; margin-bottom: 10px; }',
+		'.actions { display: flex; gap: 6px; flex-wrap: wrap; }',
+		'button { background: #ff4444; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; font: inherit; font-size: 12px; }',
+		'.warning button { background: #f2a100; }'
+	].join('\n');
+
+	/**
+	 * URLからクエリ文字列とハッシュを取り除く関数
+	 * 
+	 * キャッシュ対策のクエリ（?v=123など）で同じエラーが別物として扱われないようにする
+	 * 
+	 * @param {string|null} url - 対象のURL
+	 * @returns {string} 正規化したURL
+	 * 
+	 */
+	function stripQuery(url) {
+		return (url || '').replace(/[?#].*$/, '');
+	}
+
+	/**
+	 * エラーのフィンガープリントを算出する関数
+	 * 
+	 * メッセージ（空白を正規化）、スタックフレーム（クエリを除いたURL・行・列）、キャプチャ元から
+	 * 32ビットのハッシュ値を求める
+	 * 
+	 * @param {Object} error - エラー情報
+	 * @returns {string} 16進数のフィンガープリント
+	 * 
+	 */
+	function fingerprint(error) {
+		var frames = error.frames.length > 0 ? error.frames.slice(0, FINGERPRINT_FRAMES) : [error];
+		var key = [
+			error.source,
+			(error.name || '') + ':' + error.text.replace(/\s+/g, ' ').trim()
+		].concat(frames.map(function(frame) {
+			return (frame.func || '') + '@' + stripQuery(frame.url) + ':' + frame.line + ':' + frame.col;
+		})).join('\n');
+		
+		var hash = 5381;
+		for(var i = 0; i < key.length; i++) {
+			hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+		}
+		return (hash >>> 0).toString(16);
+	}
+
+	/**
+	 * パンくずリストに項目を追加する関数
+	 * 
+	 * 最大件数を超えた場合は古い項目から削除する
+	 * 
+	 * @param {string} category - 種類（click / input / navigation / console / fetch / xhr）
+	 * @param {string} message - 内容
+	 * @param {string} [level] - 重要度（info / warning / error、デフォルト: info）
+	 * @param {number} [timestamp] - 発生時刻（ミリ秒、デフォルト: 現在時刻）
+	 * @returns {void}
+	 * 
+	 */
+	function addBreadcrumb(category, message, level, timestamp) {
+		breadcrumbs.push({
+			category: category,
+			message: message,
+			level: level || 'info',
+			timestamp: timestamp || Date.now()
+		});
+		if(breadcrumbs.length > MAX_BREADCRUMBS) {
+			breadcrumbs.shift();
+		}
+	}
+
+	/**
+	 * 要素を識別するセレクターのパスを求める関数
+	 * 
+	 * タグ名・ID・クラス名（最大2つ）で祖先要素を最大SELECTOR_DEPTH段までたどる。IDがある要素で打ち切る
+	 * 
+	 * @param {Element} element - 対象の要素
+	 * @returns {string} セレクターのパス（例: "div#app > form.login > button.primary"）
+	 * 
+	 */
+	function selectorPath(element) {
+		var parts = [];
+		while(element && element.nodeType === Node.ELEMENT_NODE && parts.length < SELECTOR_DEPTH) {
+			var part = element.tagName.toLowerCase();
+			if(element.id) {
+				parts.unshift(part + '#' + element.id);
+				break;
+			}
+			var classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+			if(classes.length > 0) {
+				part += '.' + classes.slice(0, 2).join('.');
+			}
+			parts.unshift(part);
+			element = element.parentElement;
+		}
+		return parts.join(' > ');
+	}
+
+	/**
+	 * クリックされた要素の説明を作成する関数
+	 * 
+	 * ボタンとリンクは表示テキストを添える。入力欄の値は含めない
+	 * 
+	 * @param {Element} element - クリックされた要素
+	 * @returns {string} セレクターのパスと表示テキスト
+	 * 
+	 */
+	function describeClickTarget(element) {
+		var target = element.closest ? element.closest('button, a, [role="button"]') || element : element;
+		var label = target.matches && target.matches('button, a, [role="button"]') ? (target.getAttribute('aria-label') || target.textContent || '').replace(/\s+/g, ' ').trim() : '';
+		return selectorPath(target) + (label ? ' "' + truncate(label, 40) + '"' : '');
+	}
+
+	/**
+	 * 入力欄かどうかを判定する関数
+	 * 
+	 * @param {*} element - 対象
+	 * @returns {boolean} input / textarea / select / 編集可能な要素の場合はtrue
+	 * 
+	 */
+	function isInputElement(element) {
+		return element instanceof Element && (element.matches('input, textarea, select') || element.isContentEditable);
+	}
+
+	/**
+	 * 現在のパンくずリストのスナップショットを作成する関数
+	 * 
+	 * @param {number} timestamp - エラーの発生時刻（これより後の項目は含めない）
+	 * @returns {Array<Object>} パンくずリストのコピー（古い順）
+	 * 
+	 */
+	function snapshotBreadcrumbs(timestamp) {
+		return breadcrumbs.filter(function(breadcrumb) {
+			return breadcrumb.timestamp <= timestamp;
+		});
+	}
+
+	/**
+	 * このページで通知を表示するかを判定する関数
+	 * 
+	 * @param {string} severity - エラーの重要度（error / warning / info）
+	 * @returns {boolean} ドメインごとの設定で通知が無効化されておらず、重要度ごとの設定で有効ならtrue
+	 *     （infoと、ドメインごとの設定を読み込む前は通知しない）
+	 * 
+	 */
+	function isNotificationEnabled(severity) {
+		var settings = notificationSettings[severity];
+		return !!settings && settings.enabled && !!ruleSettings && domainSettingsFor(window.location.href, ruleSettings).notify;
+	}
+
+	/**
+	 * エラーをService Workerに送信する関数
+	 * 
+	 * 新しい種類のエラーとして記録された場合のみポップアップ通知を表示する
+	 * iframeの場合はService Workerがトップフレームに通知を依頼する
+	 * 
+	 * @param {Object} error - エラー情報
+	 * @param {number} count - まとめて送信する発生回数
+	 * @returns {void}
+	 * 
+	 */
+	function sendError(error, count) {
+		chrome.runtime.sendMessage({
+			_errors: true,
+			errors: [Object.assign({}, error, {count: count})],
+			url: redactText(window.location.href, redactionSettings)
+		}, function(result) {
+			if(result && result.added > 0 && !isIFrame && isNotificationEnabled(error.severity)) {
+				showNotification(result.count, error);
+			}
+		});
+	}
+
+	/**
+	 * 抑制中のエラーの発生回数を送信する関数
+	 * 
+	 * 抑制期間中に同じエラーが発生していれば、最新のエラー情報と発生回数を送信して抑制を続ける。
+	 * 発生していなければ抑制を解除する
+	 * 
+	 * @param {string} key - エラーのフィンガープリント
+	 * @returns {void}
+	 * 
+	 */
+	function flushDuplicates(key) {
+		var entry = throttled[key];
+		if(entry.pending === 0) {
+			delete throttled[key];
+			return;
+		}
+		sendError(entry.error, entry.pending);
+		entry.pending = 0;
+		entry.error = null;
+		setTimeout(flushDuplicates, DUPLICATE_INTERVAL, key);
+	}
+
 	/**
 	 * 新しいエラーを処理する関数
 	 * 
-	 * エラー情報を配列に追加し、Service Workerに送信してポップアップ通知を表示する
-	 * エラー数が10件を超えた場合、古いエラーから削除する
+	 * 発生時点のパンくずリストのスナップショットを添付する。
+	 * 対象サイトでない場合や無視ルールに一致する場合は破棄し、それ以外は秘密情報や個人情報を伏せ、フィンガープリントを付与してService Workerに送信する。
+	 * フィンガープリントは伏せた後の内容で求めるため、トークンだけが異なる同じエラーは1つにまとまる。
+	 * 同じエラーが抑制期間中に再発した場合は送信せず、発生回数を数えておいて後でまとめて送信する
 	 * 
 	 * @param {Object} error - エラー情報オブジェクト
 	 * @param {string} error.text - エラーメッセージ
 	 * @param {string} error.url - エラーが発生したURL
 	 * @param {number|null} error.line - エラーが発生した行番号
 	 * @param {number|null} error.col - エラーが発生した列番号
+	 * @param {string|null} error.name - エラー名（TypeErrorなど）
+	 * @param {string|null} error.stack - スタックトレース文字列
+	 * @param {Array<Object>} error.frames - 解析済みのスタックフレーム
+	 * @param {Array<Object>} error.cause - causeチェーン
+	 * @param {number} error.timestamp - 発生時刻（ミリ秒）
+	 * @param {string} error.source - キャプチャ元（onerror / rejection / console / deprecation / intervention / resource / csp）
+	 * @param {string} error.type - 種類（script / deprecation / intervention / resource / csp）
+	 * @param {string} error.severity - 重要度（error / warning / info）
 	 * @returns {void}
 	 * 
 	 */
 	function handleNewError(error) {
-		errors.push(error);
-		if(errors.length > 10) {
-			errors.shift(); // 古いエラーを削除
+		// 発生時点のパンくずリストを添付（ルール設定の読み込みを待つ間に増えた項目は含めない）
+		if(!error.breadcrumbs) {
+			error.breadcrumbs = snapshotBreadcrumbs(error.timestamp);
+		}
+		if(!ruleSettings || !redactionSettings) {
+			pendingErrors.push(error);
+			return;
 		}
 		
-		// Service Workerにエラーを送信
-		chrome.runtime.sendMessage({
-			_errors: true,
-			errors: errors,
-			url: window.location.href
-		}, function(popupUrl) {
-			if(popupUrl) {
-				showNotification(popupUrl);
-			}
-		});
+		// 対象外のサイトや無視ルールに一致するエラーは数えない。
+		// 対象サイトはトップレベルのページのURLで判定する。iframeからは別オリジンのトップのURLを読めないため、background.jsの判定に任せる
+		if(!isSiteEnabled(isIFrame ? null : window.location.href, ruleSettings) || isIgnored(error, ruleSettings)) {
+			return;
+		}
+		// console.infoは設定で有効にした場合のみ記録する（無効の場合もパンくずリストには残る）
+		if(error.severity === 'info' && !ruleSettings.captureConsoleInfo) {
+			return;
+		}
+		
+		// ページの外に出す前に、メッセージ・URL・スタックトレース・パンくずリストの秘密情報を伏せる
+		error = redactError(error, redactionSettings);
+		error.fingerprint = fingerprint(error);
+		
+		var entry = throttled[error.fingerprint];
+		if(entry) {
+			entry.pending++;
+			entry.error = error;
+			return;
+		}
+		
+		// Service Workerにエラーを送信し、しばらくは同じエラーの送信を抑制
+		throttled[error.fingerprint] = {pending: 0, error: null};
+		sendError(error, 1);
+		setTimeout(flushDuplicates, DUPLICATE_INTERVAL, error.fingerprint);
 	}
 
 	/**
 	 * 通知を表示する関数
 	 * 
-	 * 画面右上にポップアップ通知を表示します。既存の通知がある場合は削除してから
-	 * 新しい通知を表示します。5秒後に自動で消去される
+	 * ページのスタイルやスクリプトの影響を受けないよう、closedモードのShadow DOM内に通知を表示する。
+	 * イベントはaddEventListenerで登録するため、インラインスクリプトを禁止するCSPのページでも動作する。
+	 * 既存の通知がある場合は削除してから新しい通知を表示し、重要度ごとの設定に従って位置と自動消去を決める
 	 * 
-	 * @param {string} popupUrl - ポップアップのURL（現在は未使用）
+	 * @param {number} count - タブ内のエラーの種類数
+	 * @param {Object} error - 最新のエラー情報
 	 * @returns {void}
 	 * 
 	 */
-	function showNotification(popupUrl) {
+	function showNotification(count, error) {
+		var severity = error.severity === 'warning' ? 'warning' : 'error';
+		var settings = notificationSettings[severity];
+		var position = NOTIFICATION_POSITIONS[settings.position] || NOTIFICATION_POSITIONS['top-right'];
+		
 		// 既存の通知を削除
 		var existingNotifications = document.querySelectorAll('[data-jen-notification]');
 		existingNotifications.forEach(function(notification) {
 			notification.remove();
 		});
 		
-		// 新しい通知要素を作成
+		// 新しい通知要素を作成（ホスト要素のみページのDOMに追加する）
 		var notification = document.createElement('div');
 		notification.setAttribute('data-jen-notification', 'true');
-		notification.style.cssText = 'position: fixed !important; top: 20px !important; right: 20px !important; z-index: 2147483647 !important; background: white !important; border: 2px solid #ff4444 !important; border-radius: 8px !important; padding: 15px !important; box-shadow: 0 4px 12px rgba(0,0,0,0.3) !important; max-width: 300px !important; font-family: Arial, sans-serif !important; font-size: 14px !important;';
-		notification.innerHTML = '<div style="font-weight: bold; color: #ff4444; margin-bottom: 10px;">JavaScriptエラーが発生しました</div><div style="margin-bottom: 10px;">エラー数: ' + errors.length + '</div><button onclick="this.parentElement.remove()" style="background: #ff4444; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">閉じる</button>';
+		notification.style.setProperty('all', 'initial', 'important');
+		notification.style.setProperty('position', 'fixed', 'important');
+		notification.style.setProperty('z-index', '2147483647', 'important');
+		Object.keys(position).forEach(function(property) {
+			notification.style.setProperty(property, position[property], 'important');
+		});
+		
+		var shadow = notification.attachShadow({mode: 'closed'});
+		var styleSheet = new CSSStyleSheet();
+		styleSheet.replaceSync(NOTIFICATION_STYLE);
+		shadow.adoptedStyleSheets = [styleSheet];
+		
+		var box = document.createElement('div');
+		box.className = 'box ' + severity;
+		
+		var title = document.createElement('div');
+		title.className = 'title';
+		title.textContent = getMessage(severity === 'warning' ? 'notificationWarningTitle' : 'notificationErrorTitle');
+		box.appendChild(title);
+		
+		var message = document.createElement('div');
+		message.className = 'message';
+		message.textContent = truncate(error.text, NOTIFICATION_TEXT_LENGTH);
+		box.appendChild(message);
+		
+		var source = document.createElement('div');
+		source.className = 'source';
+		source.textContent = error.url + (error.line ? ':' + error.line : '');
+		box.appendChild(source);
+		
+		var summary = document.createElement('div');
+		summary.className = 'summary';
+		summary.textContent = getMessage('notificationCount', count);
+		box.appendChild(summary);
+		
+		var actions = document.createElement('div');
+		actions.className = 'actions';
+		[
+			{label: getMessage('notificationOpenDetails'), onClick: function() {
+				chrome.runtime.sendMessage({_openDetails: true});
+			}},
+			{label: getMessage('notificationMuteSite'), onClick: function() {
+				// 保存に失敗した場合は通知を残して失敗を知らせる
+				return muteSite().catch(function() {
+					summary.textContent = getMessage('notificationMuteFailed');
+					return false;
+				});
+			}},
+			{label: getMessage('notificationClose'), onClick: function() {}}
+		].forEach(function(action) {
+			var button = document.createElement('button');
+			button.textContent = action.label;
+			button.addEventListener('click', function() {
+				Promise.resolve(action.onClick()).then(function(done) {
+					if(done !== false) {
+						notification.remove();
+					}
+				});
+			});
+			actions.appendChild(button);
+		});
+		box.appendChild(actions);
+		shadow.appendChild(box);
 		
 		// bodyが存在するかチェック
 		if(document.body) {
@@ -96,82 +447,468 @@
 			});
 		}
 		
-		// 5秒後に自動で消す
-		setTimeout(function() {
-			if(notification.parentElement) {
-				notification.remove();
-			}
-		}, 5000);
+		// 設定された秒数後に自動で消す（0の場合は消さない）
+		if(settings.duration > 0) {
+			setTimeout(function() {
+				if(notification.parentElement) {
+					notification.remove();
+				}
+			}, settings.duration * 1000);
+		}
+	}
+
+	/**
+	 * このサイトの通知をミュートする関数
+	 * 
+	 * ドメインごとの設定（domainSettings）で現在のホスト名の通知を無効にする。
+	 * エラーの検知は引き続き行われる
+	 * 
+	 * @returns {Promise<void>} 保存が完了したら解決されるPromise
+	 * 
+	 */
+	function muteSite() {
+		var hostname = hostnameOf(window.location.href);
+		return getSetting('domainSettings').then(function(domainSettings) {
+			domainSettings[hostname] = Object.assign({enabled: true}, domainSettings[hostname], {notify: false});
+			return saveSettings({domainSettings: domainSettings});
+		});
 	}
 
 	/**
-	 * グローバルエラーハンドラー
+	 * SPAのルート変更をService Workerに通知する関数
 	 * 
-	 * window.onerrorイベントを監視し、JavaScriptエラーを検知する
-	 * エラーが発生した場合、handleNewError関数を呼び出してエラー情報を処理する
+	 * トップフレームのURLが前回の通知から変わった場合のみ送信し、
+	 * Service Workerはエラーストアにナビゲーションの区切りを追加する
 	 * 
-	 * @param {ErrorEvent} e - エラーイベントオブジェクト
-	 * @param {string} e.message - エラーメッセージ
-	 * @param {string} e.filename - エラーが発生したファイル名
-	 * @param {number} e.lineno - エラーが発生した行番号
-	 * @param {number} e.colno - エラーが発生した列番号
 	 * @returns {void}
 	 * 
 	 */
-	window.addEventListener('error', function(e) {
-		if(e.filename) {
-			handleNewError({
-				text: e.message,
-				url: e.filename,
-				line: e.lineno,
-				col: e.colno
+	function notifyNavigation() {
+		if(isIFrame || window.location.href === lastNavigationUrl) {
+			return;
+		}
+		lastNavigationUrl = window.location.href;
+		chrome.runtime.sendMessage({
+			_navigate: true,
+			url: lastNavigationUrl
+		});
+	}
+
+	/**
+	 * 通知設定を反映する関数
+	 * 
+	 * 重要度ごとに、未設定の項目をデフォルト値で補う
+	 * 
+	 * @param {Object} settings - 保存されている通知設定
+	 * @returns {void}
+	 * 
+	 */
+	function applyNotificationSettings(settings) {
+		var defaults = settingDefault('notificationSettings');
+		notificationSettings = {
+			error: Object.assign(defaults.error, settings.error),
+			warning: Object.assign(defaults.warning, settings.warning)
+		};
+	}
+
+	/**
+	 * 表示言語のメッセージカタログをService Workerから取得する関数
+	 * 
+	 * コンテンツスクリプトは拡張機能のファイルを直接読めないため、Service Workerに読み込みを依頼する
+	 * 
+	 * @param {string} language - 言語
+	 * @returns {Promise<Object|null>} メッセージカタログ
+	 * 
+	 */
+	function requestMessages(language) {
+		return chrome.runtime.sendMessage({
+			_getMessages: true,
+			language: language
+		});
+	}
+
+	/**
+	 * 表示言語、ルール設定、伏せる処理の設定と通知設定の読み込み
+	 * 
+	 * ルール設定と伏せる処理の設定の読み込み完了後、それまでに検知したエラーを処理する。
+	 * オプションページで設定が変更された場合は読み込み直す
+	 * 
+	 * @returns {void}
+	 * 
+	 */
+	loadLanguage(requestMessages);
+	getSetting('notificationSettings').then(applyNotificationSettings);
+	Promise.all([loadRuleSettings(), loadRedactionSettings()]).then(function(settings) {
+		ruleSettings = settings[0];
+		redactionSettings = settings[1];
+		pendingErrors.splice(0).forEach(handleNewError);
+	});
+	onSettingsChanged(function(changed) {
+		var rulesChanged = RULE_SETTING_KEYS.some(function(key) {
+			return key in changed;
+		});
+		if(rulesChanged) {
+			loadRuleSettings().then(function(settings) {
+				ruleSettings = settings;
 			});
 		}
+		var redactionChanged = REDACTION_SETTING_KEYS.some(function(key) {
+			return key in changed;
+		});
+		if(redactionChanged) {
+			loadRedactionSettings().then(function(settings) {
+				redactionSettings = settings;
+			});
+		}
+		if('notificationSettings' in changed) {
+			applyNotificationSettings(changed.notificationSettings);
+		}
+		if('language' in changed) {
+			loadLanguage(requestMessages);
+		}
 	});
 
 	/**
-	 * Promiseエラーハンドラー
+	 * ユーザー操作とルート変更をパンくずリストに記録するリスナー
 	 * 
-	 * unhandledrejectionイベントを監視し、未処理のPromise拒否を検知する
-	 * Promiseエラーが発生した場合、handleNewError関数を呼び出してエラー情報を処理する
+	 * ページのスクリプトが伝播を止めても記録できるよう、キャプチャフェーズで登録する。
+	 * 入力欄は値を記録せず、変更があったことだけを記録する
 	 * 
-	 * @param {PromiseRejectionEvent} e - Promise拒否イベントオブジェクト
-	 * @param {Error|string|Object} e.reason - 拒否された理由
 	 * @returns {void}
 	 * 
 	 */
-	window.addEventListener('unhandledrejection', function(e) {
+	window.addEventListener('click', function(e) {
+		if(e.target instanceof Element) {
+			addBreadcrumb('click', describeClickTarget(e.target));
+		}
+	}, true);
+	window.addEventListener('focusin', function(e) {
+		if(isInputElement(e.target)) {
+			addBreadcrumb('input', 'focus: ' + selectorPath(e.target) + (e.target.type ? ' [' + e.target.type + ']' : ''));
+		}
+	}, true);
+	window.addEventListener('change', function(e) {
+		if(isInputElement(e.target)) {
+			addBreadcrumb('input', 'change: ' + selectorPath(e.target) + ' = ***');
+		}
+	}, true);
+	window.addEventListener('popstate', function() {
+		addBreadcrumb('navigation', 'popstate: ' + stripQuery(window.location.href));
+		notifyNavigation();
+	});
+	window.addEventListener('hashchange', function() {
+		addBreadcrumb('navigation', 'hashchange: ' + stripQuery(window.location.href) + '#…');
+		notifyNavigation();
+	});
+
+	/**
+	 * リソースの読み込み失敗を検知するリスナー
+	 * 
+	 * リソースのerrorイベントはバブリングしないため、windowのキャプチャフェーズで受け取る。
+	 * 後から追加された要素の読み込み失敗も検知できる。スクリプトエラー（ErrorEvent）はinject.jsが扱う
+	 * 
+	 * @param {Event} e - errorイベント
+	 * @returns {void}
+	 * 
+	 */
+	window.addEventListener('error', function(e) {
+		var element = e.target;
+		if(!(element instanceof Element) || !element.matches(RESOURCE_ELEMENTS)) {
+			return;
+		}
+		var resourceUrl = element.currentSrc || element.src || element.href || element.data || '';
+		if(!resourceUrl) {
+			return;
+		}
 		handleNewError({
-			text: e.reason.message || e.reason.toString(),
-			url: window.location.href,
+			text: 'Failed to load ' + element.tagName.toLowerCase() + ': ' + truncate(resourceUrl),
+			url: truncate(resourceUrl),
 			line: null,
-			col: null
+			col: null,
+			name: null,
+			stack: null,
+			frames: [],
+			cause: [],
+			timestamp: Date.now(),
+			source: 'resource',
+			type: 'resource',
+			severity: 'error'
 		});
-	});
+	}, true);
 
 	/**
-	 * console.errorをインターセプトする関数
+	 * CSP違反を検知するリスナー
 	 * 
-	 * 元のconsole.error関数を保持し、新しい関数でラップしてconsole.errorの呼び出しを検知する
-	 * 元の機能は保持したまま、エラー情報をhandleNewError関数に送信する
+	 * ブロックされた場合（enforce）はエラー、報告のみの場合（report）は警告として扱う
 	 * 
+	 * @param {SecurityPolicyViolationEvent} e - securitypolicyviolationイベント
 	 * @returns {void}
+	 * 
 	 */
-	var originalConsoleError = console.error;
-	console.error = function() {
-		// 元のconsole.errorを実行
-		originalConsoleError.apply(console, arguments);
-		
-		// エラー情報を収集
-		var message = Array.prototype.slice.call(arguments).join(' ');
+	document.addEventListener('securitypolicyviolation', function(e) {
+		var blocked = e.blockedURI || 'inline';
 		handleNewError({
-			text: message,
-			url: window.location.href,
-			line: null,
-			col: null
+			text: 'Content Security Policy: ' + e.effectiveDirective + ' blocked ' + truncate(blocked) + (e.disposition === 'report' ? ' (report-only)' : ''),
+			url: truncate(e.sourceFile) || window.location.href,
+			line: toPosition(e.lineNumber),
+			col: toPosition(e.columnNumber),
+			name: null,
+			stack: null,
+			frames: [],
+			cause: [],
+			timestamp: Date.now(),
+			source: 'csp',
+			type: 'csp',
+			severity: e.disposition === 'report' ? 'warning' : 'error',
+			csp: {
+				directive: e.effectiveDirective,
+				blockedUri: truncate(blocked),
+				disposition: e.disposition,
+				sample: truncate(e.sample, 200) || null
+			}
 		});
+	}, true);
+
+	/** @type {string} ハンドシェイク用イベント名（inject.jsと共通） */
+	var HANDSHAKE_EVENT = 'jen:handshake';
+
+	/** @type {string} 準備完了イベント名（inject.jsと共通） */
+	var READY_EVENT = 'jen:ready';
+
+	/** @type {Array<string>} inject.jsから受け付けるキャプチャ元 */
+	var RECORD_SOURCES = ['onerror', 'rejection', 'console', 'deprecation', 'intervention'];
+
+	/** @type {Object<string, string>} キャプチャ元ごとの種類（記載のないキャプチャ元はキャプチャ元と同じ名前の種類） */
+	var RECORD_TYPES = {
+		onerror: 'script',
+		rejection: 'script',
+		console: 'script'
 	};
 
+	/** @type {string} 読み込みの失敗を検知する要素のセレクター */
+	var RESOURCE_ELEMENTS = 'img, script, link, video, audio, source, track, embed, object, input[type="image"]';
+
+	/** @type {Array<string>} inject.jsから受け付ける重要度 */
+	var RECORD_SEVERITIES = ['error', 'warning', 'info'];
+
+	/** @type {Array<string>} inject.jsから受け付けるパンくずリストの種類 */
+	var BREADCRUMB_CATEGORIES = ['console', 'navigation', 'fetch', 'xhr'];
+
+	/** @type {Array<string>} パンくずリストの重要度 */
+	var BREADCRUMB_LEVELS = ['info', 'warning', 'error'];
+
+	/** @type {number} パンくずリストのメッセージの最大文字数 */
+	var MAX_BREADCRUMB_LENGTH = 300;
+
+	/** @type {number} メッセージ・URLの最大文字数（変更する場合はbackground.jsのCONTENT_URL_LENGTHも合わせる） */
+	var MAX_TEXT_LENGTH = 2000;
+
+	/** @type {number} スタックトレース文字列の最大文字数 */
+	var MAX_STACK_LENGTH = 10000;
+
+	/** @type {number} 受け付けるフレームの最大数 */
+	var MAX_FRAMES = 50;
+
+	/** @type {number} 受け付けるcauseチェーンの最大段数 */
+	var MAX_CAUSES = 5;
+
+	/** @type {MessagePort|null} inject.jsとの専用ポート */
+	var capturePort = null;
+
+	/**
+	 * 文字列を最大文字数に切り詰める関数
+	 * 
+	 * @param {*} value - 対象の値
+	 * @param {number} [maxLength] - 最大文字数（デフォルト: MAX_TEXT_LENGTH）
+	 * @returns {string|null} 切り詰めた文字列（文字列でない場合はnull）
+	 * 
+	 */
+	function truncate(value, maxLength) {
+		if(typeof value !== 'string') {
+			return null;
+		}
+		maxLength = maxLength || MAX_TEXT_LENGTH;
+		return value.length > maxLength ? value.slice(0, maxLength) + '…' : value;
+	}
+
+	/**
+	 * 行番号・列番号を検証する関数
+	 * 
+	 * @param {*} value - 対象の値
+	 * @returns {number|null} 正の整数の場合はその値、それ以外はnull
+	 * 
+	 */
+	function toPosition(value) {
+		return typeof value === 'number' && isFinite(value) && value > 0 ? Math.floor(value) : null;
+	}
+
+	/**
+	 * スタックフレームの配列を検証する関数
+	 * 
+	 * @param {*} frames - 対象の値
+	 * @returns {Array<{func: string|null, url: string, line: number|null, col: number|null}>} 検証済みのフレーム
+	 * 
+	 */
+	function validateFrames(frames) {
+		if(!Array.isArray(frames)) {
+			return [];
+		}
+		return frames.slice(0, MAX_FRAMES).filter(function(frame) {
+			return frame && typeof frame.url === 'string';
+		}).map(function(frame) {
+			return {
+				func: truncate(frame.func),
+				url: truncate(frame.url),
+				line: toPosition(frame.line),
+				col: toPosition(frame.col)
+			};
+		});
+	}
+
+	/**
+	 * causeチェーンを検証する関数
+	 * 
+	 * @param {*} causes - 対象の値
+	 * @returns {Array<{name: string|null, text: string, stack: string|null}>} 検証済みのcause
+	 * 
+	 */
+	function validateCauses(causes) {
+		if(!Array.isArray(causes)) {
+			return [];
+		}
+		return causes.slice(0, MAX_CAUSES).filter(function(cause) {
+			return cause && typeof cause.text === 'string';
+		}).map(function(cause) {
+			return {
+				name: truncate(cause.name),
+				text: truncate(cause.text),
+				stack: truncate(cause.stack, MAX_STACK_LENGTH)
+			};
+		});
+	}
+
+	/**
+	 * inject.jsから受信したレコードを検証する関数
+	 * 
+	 * 想定外の形式のレコードは破棄し、既知のフィールドのみを取り出したエラー情報を返す
+	 * 
+	 * @param {*} data - 受信したレコード
+	 * @returns {Object|null} 検証済みのエラー情報（不正な場合はnull）
+	 * 
+	 */
+	function validateRecord(data) {
+		if(!data || typeof data !== 'object') {
+			return null;
+		}
+		if(RECORD_SOURCES.indexOf(data.source) === -1 || RECORD_SEVERITIES.indexOf(data.severity) === -1) {
+			return null;
+		}
+		var text = truncate(data.text);
+		if(text === null) {
+			return null;
+		}
+		return {
+			text: text,
+			url: truncate(data.url) || window.location.href,
+			line: toPosition(data.line),
+			col: toPosition(data.col),
+			name: truncate(data.name),
+			stack: truncate(data.stack, MAX_STACK_LENGTH),
+			frames: validateFrames(data.frames),
+			cause: validateCauses(data.cause),
+			timestamp: typeof data.timestamp === 'number' ? data.timestamp : Date.now(),
+			source: data.source,
+			type: RECORD_TYPES[data.source] || data.source,
+			severity: data.severity
+		};
+	}
+
+	/**
+	 * inject.jsから受信したパンくずリストの項目を検証する関数
+	 * 
+	 * @param {*} data - 受信した項目
+	 * @returns {Object|null} 検証済みの項目（不正な場合はnull）
+	 * 
+	 */
+	function validateBreadcrumb(data) {
+		if(!data || typeof data !== 'object' || BREADCRUMB_CATEGORIES.indexOf(data.category) === -1) {
+			return null;
+		}
+		var message = truncate(data.message, MAX_BREADCRUMB_LENGTH);
+		if(message === null) {
+			return null;
+		}
+		return {
+			category: data.category,
+			message: message,
+			level: BREADCRUMB_LEVELS.indexOf(data.level) !== -1 ? data.level : 'info',
+			timestamp: typeof data.timestamp === 'number' ? data.timestamp : Date.now()
+		};
+	}
+
+	/**
+	 * inject.jsとのハンドシェイクを受け付ける
+	 * 
+	 * inject.jsはMAINワールドでconsole.error / console.warn、errorイベント、unhandledrejectionを捕捉し
+	 * （パンくずリストの項目も同じポートで受け取る）、
+	 * MessageChannelのポートをキャンセル可能なイベントとして同期的に渡してくる。
+	 * 最初の1回のみ受け付け、preventDefault()で受信をinject.jsに通知する。
+	 * 
+	 * @param {MessageEvent} e - ハンドシェイクイベント
+	 * @returns {void}
+	 * 
+	 */
+	window.addEventListener(HANDSHAKE_EVENT, function onHandshake(e) {
+		if(capturePort || !e.ports || e.ports.length !== 1) {
+			return;
+		}
+		e.preventDefault();
+		window.removeEventListener(HANDSHAKE_EVENT, onHandshake);
+
+		capturePort = e.ports[0];
+		capturePort.onmessage = function(message) {
+			if(message.data && message.data.breadcrumb) {
+				var breadcrumb = validateBreadcrumb(message.data.breadcrumb);
+				if(breadcrumb) {
+					addBreadcrumb(breadcrumb.category, breadcrumb.message, breadcrumb.level, breadcrumb.timestamp);
+					if(breadcrumb.category === 'navigation') {
+						notifyNavigation(); // history.pushState / replaceState
+					}
+				}
+				return;
+			}
+			var error = validateRecord(message.data);
+			if(error) {
+				handleNewError(error);
+			}
+		};
+	});
+
+	// inject.jsが先に読み込まれていた場合に備えて準備完了を通知する
+	if(!capturePort) {
+		window.dispatchEvent(new CustomEvent(READY_EVENT));
+	}
+
+	/**
+	 * Service Workerからの通知表示依頼のリスナー
+	 * 
+	 * iframe内で発生したエラーの通知を、トップフレームで表示する
+	 * 
+	 * @param {Object} data - 受信したメッセージデータ
+	 * @param {boolean} data._showNotification - 通知表示フラグ
+	 * @param {number} data.count - タブ内のエラーの種類数
+	 * @param {Object} data.error - 最新のエラー情報
+	 * @returns {void}
+	 * 
+	 */
+	if(!isIFrame) {
+		chrome.runtime.onMessage.addListener(function(data) {
+			if(data._showNotification && isNotificationEnabled(data.error.severity)) {
+				showNotification(data.count, data.error);
+			}
+		});
+	}
+
 	/**
 	 * ページ初期化処理
 	 * 
@@ -189,29 +926,4 @@
 			url: window.location.href
 		});
 	}
-	
-	/**
-	 * 既存エラーのチェック処理
-	 * 
-	 * ページ読み込みから1秒後に実行され、既存のエラー（主に404エラー）をチェックする
-	 * 画像が読み込まれていない場合、エラーとして検知する
-	 * 
-	 * @returns {void}
-	 * 
-	 */
-	setTimeout(function() {
-		// 既存のエラーがあるかチェック（例：404エラーなど）
-		var images = document.querySelectorAll('img');
-		images.forEach(function(img) {
-			if(img.naturalWidth === 0 && img.naturalHeight === 0) {
-				// 画像が読み込まれていない場合
-				handleNewError({
-					text: 'Failed to load resource: ' + img.src,
-					url: window.location.href,
-					line: null,
-					col: null
-				});
-			}
-		});
-	}, 1000);
 })();
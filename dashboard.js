@@ -0,0 +1,347 @@
+/**
+ * dashboard.jsは、すべてのタブとセッションのエラー履歴を一覧表示するダッシュボードページを制御する
+ *
+ * 主な機能：
+ * 1. 履歴の表示
+ *    - chrome.storage.localのエラー履歴の取得（history.js）と、変更時の自動更新
+ *    - フィンガープリント単位のグループの一覧表示（ドメインをまたいでまとめることも可能）
+ *    - 期間内の発生回数のグラフ表示
+ *
+ * 2. 絞り込み
+ *    - メッセージ、URL、ドメインによる検索
+ *    - ドメイン、種類（スクリプト / リソース / CSP / 非推奨 / 介入 / ネットワーク）、期間による絞り込み
+ *
+ * 3. 履歴の削除
+ *    - Service Workerへの削除依頼（_clearHistory）
+ *
+ */
+
+/** @type {{groups: Object<string, Object>}} 表示中のエラー履歴 */
+var errorHistory = {groups: {}};
+
+/**
+ * 日時を表示用の文字列に変換する関数
+ *
+ * @param {number} timestamp - タイムスタンプ（ミリ秒）
+ * @returns {string} 日時
+ *
+ */
+function formatTime(timestamp) {
+	return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * グループの表示用メッセージを返す関数
+ *
+ * @param {Object} group - 履歴のグループ
+ * @returns {string} メッセージ
+ *
+ */
+function groupMessage(group) {
+	if(group.type === 'network') {
+		return group.text;
+	}
+	return group.name && group.text.indexOf(group.name) === -1 ? group.name + ': ' + group.text : group.text;
+}
+
+/**
+ * 同じフィンガープリントのグループをドメインをまたいで1つにまとめる関数
+ *
+ * @param {Array<Object>} groups - 履歴のグループの配列
+ * @returns {Array<Object>} まとめたグループの配列（domainsにドメインの一覧を持つ）
+ *
+ */
+function mergeByFingerprint(groups) {
+	var merged = {};
+	groups.forEach(function(group) {
+		var target = merged[group.fingerprint];
+		if(!target) {
+			merged[group.fingerprint] = Object.assign({}, group, {
+				domains: [group.domain],
+				pages: group.pages.slice(),
+				buckets: Object.assign({}, group.buckets)
+			});
+			return;
+		}
+		target.domains.push(group.domain);
+		target.pages = target.pages.concat(group.pages).slice(0, HISTORY_MAX_PAGES);
+		target.count += group.count;
+		target.firstSeen = Math.min(target.firstSeen, group.firstSeen);
+		target.lastSeen = Math.max(target.lastSeen, group.lastSeen);
+		Object.keys(group.buckets).forEach(function(bucket) {
+			target.buckets[bucket] = (target.buckets[bucket] || 0) + group.buckets[bucket];
+		});
+	});
+	return Object.keys(merged).map(function(key) {
+		return merged[key];
+	});
+}
+
+/**
+ * 絞り込み条件を入力欄から読み取る関数
+ *
+ * @returns {{search: string, domain: string, type: string, since: number, merge: boolean}} 絞り込み条件（sinceは期間の開始時刻、0の場合はすべて）
+ *
+ */
+function readFilters() {
+	var hours = parseInt(document.getElementById('rangeFilter').value, 10);
+	return {
+		search: document.getElementById('search').value.trim().toLowerCase(),
+		domain: document.getElementById('domainFilter').value,
+		type: document.getElementById('typeFilter').value,
+		since: hours > 0 ? Date.now() - hours * HISTORY_BUCKET_SIZE : 0,
+		merge: document.getElementById('groupAcrossDomains').checked
+	};
+}
+
+/**
+ * 絞り込み条件に一致するグループを返す関数
+ *
+ * @param {Object} filters - readFiltersで読み取った絞り込み条件
+ * @returns {Array<Object>} 一致するグループの配列（期間内の発生回数の多い順、rangeCountに期間内の発生回数を持つ）
+ *
+ */
+function filterGroups(filters) {
+	var groups = Object.keys(errorHistory.groups).map(function(key) {
+		return errorHistory.groups[key];
+	}).filter(function(group) {
+		if(filters.domain && group.domain !== filters.domain) {
+			return false;
+		}
+		if(filters.type && group.type !== filters.type) {
+			return false;
+		}
+		if(filters.search) {
+			var haystack = [group.text, group.name, group.url, group.domain].concat(group.pages).join('\n').toLowerCase();
+			return haystack.indexOf(filters.search) !== -1;
+		}
+		return true;
+	});
+
+	if(filters.merge) {
+		groups = mergeByFingerprint(groups);
+	}
+	return groups.map(function(group) {
+		return Object.assign({}, group, {rangeCount: countSince(group, filters.since)});
+	}).filter(function(group) {
+		return group.rangeCount > 0;
+	}).sort(function(a, b) {
+		return b.rangeCount - a.rangeCount || b.lastSeen - a.lastSeen;
+	});
+}
+
+/**
+ * ドメインの絞り込みの選択肢を更新する関数
+ *
+ * @returns {void}
+ *
+ */
+function renderDomainOptions() {
+	var select = document.getElementById('domainFilter');
+	var selected = select.value;
+	var domains = {};
+	Object.keys(errorHistory.groups).forEach(function(key) {
+		domains[errorHistory.groups[key].domain] = true;
+	});
+
+	while(select.options.length > 1) {
+		select.remove(1);
+	}
+	Object.keys(domains).sort().forEach(function(domain) {
+		var option = document.createElement('option');
+		option.value = domain;
+		option.textContent = domain;
+		select.appendChild(option);
+	});
+	select.value = domains[selected] ? selected : '';
+}
+
+/**
+ * 発生回数のグラフを表示する関数
+ *
+ * 期間が1日以内の場合は1時間ごと、それ以上の場合は1日ごとに集計する
+ *
+ * @param {Array<Object>} groups - 表示するグループの配列
+ * @param {number} since - 期間の開始時刻（0の場合は最も古い発生時刻から）
+ * @returns {void}
+ *
+ */
+function renderChart(groups, since) {
+	var chart = document.getElementById('chart');
+	var until = Date.now();
+	var start = since || Math.min.apply(null, groups.map(function(group) {
+		return group.firstSeen;
+	}).concat(until));
+	var interval = until - start <= HISTORY_DAY ? HISTORY_BUCKET_SIZE : HISTORY_DAY;
+	var bins = histogram(groups, start, until, interval);
+	var max = Math.max.apply(null, bins.map(function(bin) {
+		return bin.count;
+	}).concat(1));
+
+	chart.textContent = '';
+	bins.forEach(function(bin) {
+		var bar = document.createElement('div');
+		bar.className = bin.count > 0 ? 'bar' : 'bar empty';
+		bar.style.height = (bin.count / max * 100) + '%';
+		bar.title = getMessage('dashboardChartBar', [formatTime(bin.start), bin.count]);
+		chart.appendChild(bar);
+	});
+	document.getElementById('chartStart').textContent = formatTime(bins[0].start);
+	document.getElementById('chartEnd').textContent = formatTime(until);
+}
+
+/**
+ * グループの詳細（スタックトレースとページURL）の要素を生成する関数
+ *
+ * @param {Object} group - 履歴のグループ
+ * @returns {HTMLElement|null} 詳細の要素（表示する内容がない場合はnull）
+ *
+ */
+function createGroupDetails(group) {
+	var items = group.frames.map(function(frame) {
+		return (frame.func || '(anonymous)') + ' (' + frame.url + ':' + frame.line + ':' + frame.col + ')';
+	});
+	if(items.length === 0 && group.pages.length === 0) {
+		return null;
+	}
+
+	var details = document.createElement('details');
+	var summary = document.createElement('summary');
+	summary.textContent = getMessage('dashboardDetails');
+	details.appendChild(summary);
+
+	[[getMessage('promptStack'), items], [getMessage('dashboardPages'), group.pages]].forEach(function(section) {
+		if(section[1].length === 0) {
+			return;
+		}
+		var title = document.createElement('div');
+		title.textContent = section[0];
+		details.appendChild(title);
+		var list = document.createElement('ul');
+		section[1].forEach(function(text) {
+			var item = document.createElement('li');
+			item.textContent = text;
+			list.appendChild(item);
+		});
+		details.appendChild(list);
+	});
+	return details;
+}
+
+/**
+ * グループの一覧を表示する関数
+ *
+ * @param {Array<Object>} groups - 表示するグループの配列
+ * @returns {void}
+ *
+ */
+function renderGroups(groups) {
+	var tbody = document.getElementById('groups');
+	tbody.textContent = '';
+
+	if(groups.length === 0) {
+		var emptyRow = document.createElement('tr');
+		var emptyCell = document.createElement('td');
+		emptyCell.colSpan = 6;
+		emptyCell.className = 'empty';
+		emptyCell.textContent = getMessage('noMatchingErrors');
+		emptyRow.appendChild(emptyCell);
+		tbody.appendChild(emptyRow);
+		return;
+	}
+
+	groups.forEach(function(group) {
+		var row = document.createElement('tr');
+
+		var typeCell = document.createElement('td');
+		var pill = document.createElement('span');
+		pill.className = 'pill ' + group.type;
+		pill.textContent = (group.type === 'script' ? group.severity || 'error' : group.type).toUpperCase();
+		typeCell.appendChild(pill);
+		row.appendChild(typeCell);
+
+		var messageCell = document.createElement('td');
+		var message = document.createElement('div');
+		message.className = 'message';
+		message.textContent = groupMessage(group);
+		messageCell.appendChild(message);
+		var details = createGroupDetails(group);
+		if(details) {
+			messageCell.appendChild(details);
+		}
+		row.appendChild(messageCell);
+
+		[
+			(group.domains || [group.domain]).join(', '),
+			group.rangeCount,
+			formatTime(group.firstSeen),
+			formatTime(group.lastSeen)
+		].forEach(function(text, index) {
+			var cell = document.createElement('td');
+			cell.textContent = text;
+			if(index === 1) {
+				cell.className = 'number';
+			}
+			row.appendChild(cell);
+		});
+
+		tbody.appendChild(row);
+	});
+}
+
+/**
+ * 絞り込み条件に従ってダッシュボード全体を表示する関数
+ *
+ * @returns {void}
+ *
+ */
+function render() {
+	var filters = readFilters();
+	var groups = filterGroups(filters);
+	var total = groups.reduce(function(sum, group) {
+		return sum + group.rangeCount;
+	}, 0);
+
+	document.getElementById('summary').textContent = getMessage('dashboardSummary', [groups.length, total]);
+	renderChart(groups, filters.since);
+	renderGroups(groups);
+}
+
+/**
+ * ページ読み込み時の初期化処理
+ *
+ * DOMContentLoadedイベントで実行され、以下の処理を行う
+ * 1. 表示言語を読み込んでページを翻訳し、エラー履歴を読み込んで表示
+ * 2. 絞り込みの入力欄と履歴の削除ボタンのイベントリスナーを設定
+ * 3. エラー履歴の変更を監視し、表示を更新
+ *
+ * @returns {Promise<void>} 初期化完了を示すPromise
+ *
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+	await loadLanguage();
+	localizePage(document);
+	errorHistory = (await loadHistory()).history;
+	renderDomainOptions();
+	render();
+
+	document.getElementById('search').oninput = render;
+	['domainFilter', 'typeFilter', 'rangeFilter', 'groupAcrossDomains'].forEach(function(id) {
+		document.getElementById(id).onchange = render;
+	});
+
+	document.getElementById('clearHistoryButton').onclick = function() {
+		if(confirm(getMessage('dashboardClearConfirm'))) {
+			chrome.runtime.sendMessage({_clearHistory: true});
+		}
+	};
+
+	// Service Workerによる履歴の更新を反映
+	chrome.storage.onChanged.addListener(function(changes, areaName) {
+		if(areaName === 'local' && changes.errorHistory) {
+			errorHistory = changes.errorHistory.newValue || {groups: {}};
+			renderDomainOptions();
+			render();
+		}
+	});
+});
@@ -0,0 +1,7 @@
+/**
+ * devtools.jsは、開発者ツールを開いたときに読み込まれるdevtools_pageのスクリプト
+ *
+ * 開発者ツールに「JS Errors」パネル（panel.html）を追加する
+ */
+
+chrome.devtools.panels.create('JS Errors', 'img/error_16.png', 'panel.html');
@@ -0,0 +1,309 @@
+/**
+ * export.jsは、検出したエラーをファイルとしてエクスポートする機能を提供する
+ * popup.htmlから読み込まれ、スタックフレームの整形にはprompt.jsのformatFrameを、Markdownの見出しの取得にはi18n.jsを、
+ * スタックフレームの元のURLの除去にはredact.jsのwithoutRawUrlsを使う。
+ * background.jsもエラートラッカーへの転送（reporter.js）とバグレポートのコピーのためにimportScriptsで読み込む
+ *
+ * 主な機能：
+ * 1. レポートの作成
+ *    - バージョン付きスキーマによる構造化レポートの作成
+ *    - ページURL、ユーザーエージェント、エクスポート日時の記録
+ *
+ * 2. 形式ごとの変換
+ *    - JSON（スクリプトエラーのみ）
+ *    - CSV（表計算ソフト向け）
+ *    - Markdown（チケットに貼り付けるバグレポート）
+ *    - HAR形式に似たバンドル（スクリプトエラーとネットワークエラーを含む）
+ *
+ * 3. ダウンロード
+ *    - Blobを使ったファイルのダウンロード
+ */
+
+/** @type {string} レポートのスキーマ名 */
+var EXPORT_SCHEMA = 'js-errors-notifier/report';
+
+/** @type {number} レポートのスキーマバージョン（フィールドを変更した場合は上げる） */
+var EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * タイムスタンプをISO 8601形式の文字列に変換する関数
+ *
+ * @param {number|null|undefined} timestamp - タイムスタンプ（ミリ秒）
+ * @returns {string|null} ISO 8601形式の文字列（タイムスタンプがない場合はnull）
+ *
+ */
+function toIsoString(timestamp) {
+	return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * エラー情報をレポート用のレコードに変換する関数
+ *
+ * @param {Object} error - エラーストアのエラー情報
+ * @returns {Object} レポート用のレコード
+ *
+ */
+function toReportRecord(error) {
+	return {
+		message: error.text,
+		name: error.name || null,
+		severity: error.severity,
+		source: error.source,
+		type: error.type || null,
+		count: error.count || 1,
+		firstSeen: toIsoString(error.firstSeen || error.timestamp),
+		lastSeen: toIsoString(error.lastSeen || error.timestamp),
+		url: error.url || null,
+		line: error.line || null,
+		col: error.col || null,
+		frame: {
+			id: error.frameId || 0,
+			url: error.frameUrl || null
+		},
+		stack: error.stack || null,
+		frames: withoutRawUrls(error.frames),
+		cause: error.cause || [],
+		breadcrumbs: (error.breadcrumbs || []).map(function(breadcrumb) {
+			return Object.assign({}, breadcrumb, {timestamp: toIsoString(breadcrumb.timestamp)});
+		}),
+		network: error.network || null,
+		csp: error.csp || null
+	};
+}
+
+/**
+ * エクスポート用のレポートを作成する関数
+ *
+ * @param {Array<Object>} errors - エラーストアのエラー情報の配列
+ * @param {string|null} pageUrl - タブで読み込まれているページのURL
+ * @returns {{schema: string, version: number, exportedAt: string, page: {url: string|null}, userAgent: string, errors: Array<Object>, network: Array<Object>}} レポート
+ *
+ */
+function buildExportReport(errors, pageUrl) {
+	var records = errors.map(toReportRecord);
+	return {
+		schema: EXPORT_SCHEMA,
+		version: EXPORT_SCHEMA_VERSION,
+		exportedAt: new Date().toISOString(),
+		page: {
+			url: pageUrl
+		},
+		userAgent: navigator.userAgent,
+		errors: records.filter(function(record) {
+			return record.source !== 'network';
+		}),
+		network: records.filter(function(record) {
+			return record.source === 'network';
+		})
+	};
+}
+
+/**
+ * レポートをJSONに変換する関数
+ *
+ * ネットワークエラーは含めない（ネットワークエラーを含める場合はバンドルを使う）
+ *
+ * @param {Object} report - buildExportReportで作成したレポート
+ * @returns {string} JSON文字列
+ *
+ */
+function exportJson(report) {
+	var copy = Object.assign({}, report);
+	delete copy.network;
+	return JSON.stringify(copy, null, 2);
+}
+
+/**
+ * CSVのフィールドをエスケープする関数
+ *
+ * メッセージやURLなどページ側の文字列が表計算ソフトで数式として評価されないよう、
+ * 「=」「+」「-」「@」、タブ、CRで始まる文字列には先頭に「'」を付ける（CSVインジェクション対策）
+ *
+ * @param {*} value - フィールドの値
+ * @returns {string} ダブルクォートで囲んだフィールド
+ *
+ * @example
+ * csvField('=HYPERLINK("https://example.com")'); // '"\'=HYPERLINK(""https://example.com"")"'
+ */
+function csvField(value) {
+	var text = value === null || value === undefined ? '' : String(value);
+	if(typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+		text = '\'' + text;
+	}
+	return '"' + text.replace(/"/g, '""') + '"';
+}
+
+/**
+ * レポートをCSVに変換する関数
+ *
+ * スクリプトエラーとネットワークエラーを1行ずつ出力する。スタックは先頭のフレームを改行で連結する
+ *
+ * @param {Object} report - buildExportReportで作成したレポート
+ * @returns {string} CSV文字列（Excelで文字化けしないようBOM付き）
+ *
+ */
+function exportCsv(report) {
+	var header = ['type', 'severity', 'count', 'firstSeen', 'lastSeen', 'message', 'url', 'line', 'col', 'frameUrl', 'status', 'stack'];
+	var rows = report.errors.concat(report.network).map(function(record) {
+		return [
+			record.type || (record.source === 'network' ? 'network' : 'script'),
+			record.severity,
+			record.count,
+			record.firstSeen,
+			record.lastSeen,
+			record.message,
+			record.url,
+			record.line,
+			record.col,
+			record.frame.url,
+			record.network ? record.network.statusCode || record.network.error : '',
+			record.frames.map(formatFrame).join('\n')
+		].map(csvField).join(',');
+	});
+	return '\uFEFF' + [header.map(csvField).join(',')].concat(rows).join('\r\n');
+}
+
+/**
+ * レポートをMarkdownのバグレポートに変換する関数
+ *
+ * @param {Object} report - buildExportReportで作成したレポート
+ * @returns {string} Markdown文字列
+ *
+ */
+function exportMarkdown(report) {
+	var lines = [
+		'# ' + getMessage('reportTitle'),
+		'',
+		'- **' + getMessage('reportPage') + '**: ' + (report.page.url || 'unknown'),
+		'- **' + getMessage('reportUserAgent') + '**: ' + report.userAgent,
+		'- **' + getMessage('reportExportedAt') + '**: ' + report.exportedAt,
+		''
+	];
+
+	lines.push('## ' + getMessage('reportErrors', report.errors.length), '');
+	report.errors.forEach(function(record, index) {
+		lines.push('### ' + (index + 1) + '. ' + (record.name && record.message.indexOf(record.name) === -1 ? record.name + ': ' : '') + record.message.split('\n')[0]);
+		lines.push('');
+		lines.push('- **' + getMessage('reportSeverity') + '**: ' + record.severity + ' (' + (record.type ? record.type + ' / ' : '') + record.source + ')');
+		lines.push('- **' + getMessage('reportLocation') + '**: ' + (record.url || 'unknown') + (record.line ? ':' + record.line + (record.col ? ':' + record.col : '') : ''));
+		if(record.frame.id) {
+			lines.push('- **' + getMessage('reportFrame') + '**: ' + record.frame.url);
+		}
+		lines.push('- **' + getMessage('reportCount') + '**: ' + record.count);
+		lines.push('- **' + getMessage('reportFirstSeen') + '**: ' + record.firstSeen);
+		lines.push('- **' + getMessage('reportLastSeen') + '**: ' + record.lastSeen);
+		if(record.frames.length > 0) {
+			lines.push('', '```', record.frames.map(formatFrame).join('\n'), '```');
+		}
+		record.cause.forEach(function(cause) {
+			lines.push('', '> Caused by: ' + (cause.name ? cause.name + ': ' : '') + cause.text);
+		});
+		lines.push('');
+	});
+
+	if(report.network.length > 0) {
+		lines.push('## ' + getMessage('reportNetwork', report.network.length), '');
+		lines.push('| ' + ['reportMethod', 'reportUrl', 'reportResult', 'reportType', 'reportTimes'].map(function(key) {
+			return getMessage(key);
+		}).join(' | ') + ' |');
+		lines.push('|---|---|---|---|---|');
+		report.network.forEach(function(record) {
+			lines.push('| ' + [
+				record.network.method,
+				record.url,
+				record.network.statusCode || record.network.error,
+				record.network.type,
+				record.count
+			].map(function(value) {
+				return String(value).replace(/\|/g, '\\|');
+			}).join(' | ') + ' |');
+		});
+		lines.push('');
+	}
+	return lines.join('\n');
+}
+
+/**
+ * レポートをHAR形式に似たバンドルに変換する関数
+ *
+ * ネットワークエラーはHARのentriesとして、スクリプトエラーは拡張フィールド_errorsとして含める
+ *
+ * @param {Object} report - buildExportReportで作成したレポート
+ * @returns {string} JSON文字列
+ *
+ */
+function exportBundle(report) {
+	return JSON.stringify({
+		log: {
+			version: '1.2',
+			creator: {
+				name: 'JavaScript Errors Notifier',
+				version: chrome.runtime.getManifest().version
+			},
+			pages: [{
+				id: 'page_1',
+				title: report.page.url,
+				startedDateTime: report.exportedAt
+			}],
+			entries: report.network.map(function(record) {
+				return {
+					pageref: 'page_1',
+					startedDateTime: record.firstSeen,
+					request: {
+						method: record.network.method,
+						url: record.url
+					},
+					response: {
+						status: record.network.statusCode || 0,
+						statusText: record.network.statusText || '',
+						_error: record.network.error
+					},
+					_initiator: record.network.initiator,
+					_resourceType: record.network.type,
+					_count: record.count
+				};
+			}),
+			_schema: report.schema,
+			_schemaVersion: report.version,
+			_userAgent: report.userAgent,
+			_errors: report.errors
+		}
+	}, null, 2);
+}
+
+/** @type {Object<string, {extension: string, mimeType: string, convert: function(Object): string}>} エクスポート形式 */
+var EXPORT_FORMATS = {
+	json: {extension: 'json', mimeType: 'application/json', convert: exportJson},
+	csv: {extension: 'csv', mimeType: 'text/csv', convert: exportCsv},
+	markdown: {extension: 'md', mimeType: 'text/markdown', convert: exportMarkdown},
+	bundle: {extension: 'har.json', mimeType: 'application/json', convert: exportBundle}
+};
+
+/**
+ * エラーを指定した形式でダウンロードする関数
+ *
+ * @param {string} format - エクスポート形式（json / csv / markdown / bundle）
+ * @param {Array<Object>} errors - エラーストアのエラー情報の配列
+ * @param {string|null} pageUrl - タブで読み込まれているページのURL
+ * @returns {void}
+ *
+ * @example
+ * downloadErrors('markdown', errors, 'https://example.com/');
+ * // js-errors-example.com-20250101-120000.md がダウンロードされる
+ */
+function downloadErrors(format, errors, pageUrl) {
+	var exportFormat = EXPORT_FORMATS[format];
+	var content = exportFormat.convert(buildExportReport(errors, pageUrl));
+	var host = pageUrl ? new URL(pageUrl).hostname : 'page';
+	var date = new Date().toISOString().replace(/\..*$/, '').replace(/[-:]/g, '').replace('T', '-');
+
+	var link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([content], {type: exportFormat.mimeType}));
+	link.download = 'js-errors-' + host + '-' + date + '.' + exportFormat.extension;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	setTimeout(function() {
+		URL.revokeObjectURL(link.href);
+	}, 0);
+}
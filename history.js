@@ -0,0 +1,204 @@
+/**
+ * history.jsは、すべてのタブとセッションのエラー履歴を保存・集計する共通機能を提供する
+ * background.js（importScripts）とdashboard.jsから読み込まれる（ホスト名の取得にrules.jsのhostnameOfを、
+ * 履歴に残さないスタックフレームの元のURLの除去にredact.jsのwithoutRawUrlsを使う）
+ *
+ * 主な機能：
+ * 1. 履歴の記録
+ *    - ドメインとフィンガープリント単位のグループへの統合
+ *    - 1時間ごとの発生回数の記録（グラフ用）
+ *
+ * 2. 保持ポリシー
+ *    - 保持期間（historyRetentionDays）を過ぎた発生回数とグループの削除
+ *    - 保存サイズの上限（historyMaxBytes）を超えた場合、最終発生時刻が古いグループから削除
+ *
+ * 3. 集計
+ *    - 期間内の発生回数の計算と、時間ごとの発生回数の集計
+ *
+ * 履歴はchrome.storage.localのerrorHistory（settings.jsのこの端末だけに保存するデータ）に {groups: {キー: グループ}} の形式で保存する
+ */
+
+/** @type {number} 発生回数を記録する単位（1時間） */
+var HISTORY_BUCKET_SIZE = 60 * 60 * 1000;
+
+/** @type {number} 1日のミリ秒数 */
+var HISTORY_DAY = 24 * HISTORY_BUCKET_SIZE;
+
+/** @type {number} グループに保存するスタックフレームの最大数 */
+var HISTORY_MAX_FRAMES = 10;
+
+/** @type {number} グループに保存するページURLの最大数 */
+var HISTORY_MAX_PAGES = 5;
+
+/**
+ * 履歴と履歴設定を取得する関数
+ *
+ * 履歴設定はhistoryRetentionDays（履歴を保持する日数）とhistoryMaxBytes（履歴の保存サイズの上限）
+ *
+ * @returns {Promise<{history: {groups: Object<string, Object>}, settings: Object}>} 履歴と履歴設定（未設定の項目はデフォルト値）
+ *
+ */
+async function loadHistory() {
+	var settings = await loadSettings(['errorHistory', 'historyRetentionDays', 'historyMaxBytes']);
+	return {
+		history: settings.errorHistory,
+		settings: {
+			historyRetentionDays: settings.historyRetentionDays,
+			historyMaxBytes: settings.historyMaxBytes
+		}
+	};
+}
+
+/**
+ * エラーの種類（script / resource / csp / deprecation / intervention / network）を返す関数
+ *
+ * 種類を持たない古いエラー情報はキャプチャ元から判定する
+ *
+ * @param {Object} error - エラー情報
+ * @returns {string} 種類
+ *
+ */
+function historyTypeOf(error) {
+	return error.type || (error.source === 'network' ? 'network' : 'script');
+}
+
+/**
+ * エラーを履歴に追加する関数
+ *
+ * 同じドメインで同じフィンガープリントのエラーは1つのグループにまとめ、
+ * 発生時刻を1時間単位の発生回数として記録する
+ *
+ * @param {{groups: Object<string, Object>}} history - 履歴（直接更新する）
+ * @param {string|null} pageUrl - エラーが発生したページのURL
+ * @param {Array<Object>} errors - エラー情報の配列（countにまとめた発生回数を持つ）
+ * @returns {void}
+ *
+ */
+function addToHistory(history, pageUrl, errors) {
+	var domain = hostnameOf(pageUrl) || 'unknown';
+	errors.forEach(function(error) {
+		var key = domain + '\n' + error.fingerprint;
+		var seenAt = error.timestamp || Date.now();
+		var count = error.count || 1;
+		var group = history.groups[key];
+		if(!group) {
+			group = history.groups[key] = {
+				fingerprint: error.fingerprint,
+				domain: domain,
+				type: historyTypeOf(error),
+				severity: error.severity,
+				source: error.source,
+				text: error.text,
+				name: error.name || null,
+				url: error.url || null,
+				line: error.line || null,
+				col: error.col || null,
+				frames: withoutRawUrls(error.frames).slice(0, HISTORY_MAX_FRAMES),
+				network: error.network || null,
+				pages: [],
+				count: 0,
+				firstSeen: seenAt,
+				lastSeen: seenAt,
+				buckets: {}
+			};
+		}
+
+		var bucket = Math.floor(seenAt / HISTORY_BUCKET_SIZE) * HISTORY_BUCKET_SIZE;
+		group.buckets[bucket] = (group.buckets[bucket] || 0) + count;
+		group.count += count;
+		group.firstSeen = Math.min(group.firstSeen, seenAt);
+		group.lastSeen = Math.max(group.lastSeen, seenAt);
+		if(pageUrl && group.pages.indexOf(pageUrl) === -1) {
+			group.pages.unshift(pageUrl);
+			group.pages.length = Math.min(group.pages.length, HISTORY_MAX_PAGES);
+		}
+	});
+}
+
+/**
+ * 保持ポリシーに従って履歴を削除する関数
+ *
+ * 保持期間を過ぎた発生回数を削除し、発生回数が残らないグループを削除する。
+ * そのうえで保存サイズが上限を超えている場合は、最終発生時刻が古いグループから削除する
+ *
+ * @param {{groups: Object<string, Object>}} history - 履歴（直接更新する）
+ * @param {Object} settings - 履歴設定
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {void}
+ *
+ */
+function pruneHistory(history, settings, now) {
+	var cutoff = now - settings.historyRetentionDays * HISTORY_DAY;
+	Object.keys(history.groups).forEach(function(key) {
+		var group = history.groups[key];
+		Object.keys(group.buckets).forEach(function(bucket) {
+			if(+bucket + HISTORY_BUCKET_SIZE <= cutoff) {
+				group.count -= group.buckets[bucket];
+				delete group.buckets[bucket];
+			}
+		});
+		if(Object.keys(group.buckets).length === 0) {
+			delete history.groups[key];
+		}
+	});
+
+	var size = JSON.stringify(history).length;
+	if(size <= settings.historyMaxBytes) {
+		return;
+	}
+	var keys = Object.keys(history.groups).sort(function(a, b) {
+		return history.groups[a].lastSeen - history.groups[b].lastSeen;
+	});
+	for(var i = 0; i < keys.length && size > settings.historyMaxBytes; i++) {
+		size -= JSON.stringify(history.groups[keys[i]]).length + keys[i].length;
+		delete history.groups[keys[i]];
+	}
+}
+
+/**
+ * グループの期間内の発生回数を計算する関数
+ *
+ * @param {Object} group - 履歴のグループ
+ * @param {number} since - 期間の開始時刻（ミリ秒、0の場合はすべて）
+ * @returns {number} 期間内の発生回数
+ *
+ */
+function countSince(group, since) {
+	var total = 0;
+	Object.keys(group.buckets).forEach(function(bucket) {
+		if(+bucket + HISTORY_BUCKET_SIZE > since) {
+			total += group.buckets[bucket];
+		}
+	});
+	return total;
+}
+
+/**
+ * グループの発生回数を指定した間隔ごとに集計する関数
+ *
+ * @param {Array<Object>} groups - 履歴のグループの配列
+ * @param {number} since - 期間の開始時刻（ミリ秒）
+ * @param {number} until - 期間の終了時刻（ミリ秒）
+ * @param {number} interval - 集計の間隔（ミリ秒、HISTORY_BUCKET_SIZEの倍数）
+ * @returns {Array<{start: number, count: number}>} 間隔ごとの発生回数（古い順）
+ *
+ * @example
+ * histogram(groups, Date.now() - HISTORY_DAY, Date.now(), HISTORY_BUCKET_SIZE);
+ * // [{start: 1700000000000, count: 3}, {start: 1700003600000, count: 0}, ...]
+ */
+function histogram(groups, since, until, interval) {
+	var first = Math.floor(since / interval) * interval;
+	var bins = [];
+	for(var start = first; start <= until; start += interval) {
+		bins.push({start: start, count: 0});
+	}
+	groups.forEach(function(group) {
+		Object.keys(group.buckets).forEach(function(bucket) {
+			var index = Math.floor((+bucket - first) / interval);
+			if(index >= 0 && index < bins.length) {
+				bins[index].count += group.buckets[bucket];
+			}
+		});
+	});
+	return bins;
+}
@@ -0,0 +1,141 @@
+/**
+ * i18n.jsは、画面に表示する文字列の翻訳を行う共通機能を提供する
+ * popup.html、options.html、dashboard.html、panel.html、content.js（コンテンツスクリプト）、background.js（importScripts）から読み込まれる（表示言語の取得にsettings.jsを使う）
+ *
+ * 主な機能：
+ * 1. メッセージの取得
+ *    - _locales/<言語>/messages.jsonのメッセージの取得（chrome.i18n）
+ *    - $1〜$9による値の埋め込み
+ *
+ * 2. 表示言語の切り替え
+ *    - オプションページで選んだ言語（設定のlanguage）のメッセージカタログの読み込み
+ *    - 「ブラウザの設定に従う」（auto）の場合はchrome.i18nにそのまま任せる
+ *
+ * 3. HTMLの翻訳
+ *    - data-i18n（テキスト）、data-i18n-placeholder、data-i18n-title、data-i18n-alt属性の置き換え
+ */
+
+/** @type {Array<string>} 対応している言語（_locales内のディレクトリ名） */
+var SUPPORTED_LANGUAGES = ['en', 'ja'];
+
+/** @type {Object<string, {message: string}>|null} オプションページで選んだ言語のメッセージカタログ（autoの場合はnull） */
+var localeMessages = null;
+
+/** @type {Promise<void>} 表示言語の読み込み完了を示すPromise（loadLanguageで更新される） */
+var languageLoaded = Promise.resolve();
+
+/**
+ * メッセージに値を埋め込む関数
+ *
+ * chrome.i18n.getMessageと同じく、$1〜$9を値に、$$を$に置き換える
+ *
+ * @param {string} message - メッセージ
+ * @param {Array<*>} substitutions - 埋め込む値の配列
+ * @returns {string} 値を埋め込んだメッセージ
+ *
+ */
+function substituteMessage(message, substitutions) {
+	return message.replace(/\$(\d|\$)/g, function(match, index) {
+		if(index === '$') {
+			return '$';
+		}
+		var value = substitutions[index - 1];
+		return value === undefined ? '' : String(value);
+	});
+}
+
+/**
+ * 表示言語のメッセージを取得する関数
+ *
+ * オプションページで言語を選んでいる場合はその言語のカタログから、それ以外はchrome.i18nから取得する
+ *
+ * @param {string} key - メッセージのキー（messages.jsonのキー）
+ * @param {*|Array<*>} [substitutions] - $1〜$9に埋め込む値（1つの場合は配列でなくてもよい）
+ * @returns {string} メッセージ（見つからない場合はキーそのもの）
+ *
+ * @example
+ * getMessage('popupShowMore', [3]); // 「もっと見る (3件)」
+ */
+function getMessage(key, substitutions) {
+	var values = substitutions === undefined ? [] : [].concat(substitutions);
+	if(localeMessages && localeMessages[key]) {
+		return substituteMessage(localeMessages[key].message, values);
+	}
+	return chrome.i18n.getMessage(key, values.map(String)) || key;
+}
+
+/**
+ * 言語のメッセージカタログを読み込む関数
+ *
+ * @param {string} language - 言語（SUPPORTED_LANGUAGESのいずれか）
+ * @returns {Promise<Object<string, {message: string}>|null>} メッセージカタログ（対応していない言語の場合はnull）
+ *
+ */
+async function fetchMessages(language) {
+	if(SUPPORTED_LANGUAGES.indexOf(language) === -1) {
+		return null;
+	}
+	var response = await fetch(chrome.runtime.getURL('_locales/' + language + '/messages.json'));
+	return response.json();
+}
+
+/**
+ * オプションページで選んだ表示言語を読み込む関数
+ *
+ * 拡張機能のファイルを直接読めないコンテンツスクリプトは、カタログの読み込み方法（loader）を指定する
+ *
+ * @param {function(string): Promise<Object|null>} [loader] - メッセージカタログを読み込む関数（デフォルトはfetchMessages）
+ * @returns {Promise<void>} 読み込み完了を示すPromise
+ *
+ */
+function loadLanguage(loader) {
+	languageLoaded = getSetting('language').then(function(language) {
+		if(language === 'auto') {
+			return null;
+		}
+		return (loader || fetchMessages)(language).catch(function() {
+			return null;
+		});
+	}).then(function(messages) {
+		localeMessages = messages;
+	});
+	return languageLoaded;
+}
+
+/**
+ * 現在の表示言語を返す関数
+ *
+ * @returns {string} 言語（en / ja）
+ *
+ */
+function currentLanguage() {
+	return getMessage('languageCode');
+}
+
+/**
+ * HTMLのdata-i18n属性を持つ要素を翻訳する関数
+ *
+ * data-i18nはテキスト、data-i18n-placeholder、data-i18n-title、data-i18n-altはそれぞれの属性を置き換える
+ *
+ * @param {Document|HTMLElement} root - 翻訳する範囲
+ * @returns {void}
+ *
+ */
+function localizePage(root) {
+	[['i18n', null], ['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAlt', 'alt']].forEach(function(entry) {
+		var attribute = 'data-' + entry[0].replace(/[A-Z]/g, function(c) {
+			return '-' + c.toLowerCase();
+		});
+		root.querySelectorAll('[' + attribute + ']').forEach(function(element) {
+			var message = getMessage(element.dataset[entry[0]]);
+			if(entry[1]) {
+				element.setAttribute(entry[1], message);
+			} else {
+				element.textContent = message;
+			}
+		});
+	});
+	if(root.documentElement) {
+		root.documentElement.lang = currentLanguage();
+	}
+}
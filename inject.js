@@ -0,0 +1,467 @@
+/**
+ * inject.jsはページと同じMAINワールドで動作するキャプチャスクリプト
+ *
+ * content.jsは隔離ワールドで動作するため、ページ自身のconsole.errorやエラーオブジェクトに
+ * 直接アクセスできない。このスクリプトがページのコンテキストでエラーを捕捉し、
+ * 構造化されたレコードとしてcontent.jsへ中継する。
+ *
+ * 主な機能：
+ * 1. エラー捕捉
+ *    - console.error / console.warn / console.info のフック（infoを記録するかはcontent.jsが設定に従って判定する）
+ *    - errorイベント（スクリプトエラー）
+ *    - unhandledrejectionイベント（未処理のPromise拒否）
+ *    - Reporting APIのレポート（deprecation: 非推奨のAPIの使用、intervention: ブラウザーによる介入）
+ *      crashレポートはページが終了した後にしか作られないため、ReportingObserverでは受け取れない
+ *    - エラー名、スタックトレース（フレーム単位に解析）、causeチェーン、発生時刻の収集
+ *
+ * 2. パンくずリスト（エラーに至るまでの経緯）の収集
+ *    - console.log / console.info / console.warn の出力
+ *    - history.pushState / replaceState によるSPAのルート変更
+ *    - fetch / XMLHttpRequestによる通信（クエリ文字列は除く）
+ *    - クリックや入力はcontent.jsが隔離ワールドで収集する
+ *
+ * 3. content.jsとの通信
+ *    - MessageChannelによる専用チャネルの確立
+ *    - ハンドシェイクは同期ディスパッチで行い、ページのスクリプトからは受け取れない
+ *    - チャネル確立前のレコードはキューに保持する
+ *
+ */
+
+(function() {
+	/** @type {string} ハンドシェイク用イベント名（content.jsと共通） */
+	var HANDSHAKE_EVENT = 'jen:handshake';
+
+	/** @type {string} content.jsの準備完了イベント名（content.jsと共通） */
+	var READY_EVENT = 'jen:ready';
+
+	/** @type {number} チャネル確立前に保持するレコードの最大数 */
+	var MAX_QUEUE_LENGTH = 100;
+
+	/** @type {number} 収集するcauseチェーンの最大段数 */
+	var MAX_CAUSE_DEPTH = 5;
+
+	/** @type {RegExp} V8形式のスタック行（例: "    at func (https://example.com/app.js:10:5)"） */
+	var V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+	/** @type {RegExp} Firefox / Safari形式のスタック行（例: "func@https://example.com/app.js:10:5"） */
+	var GECKO_FRAME = /^(.*?)@(.+?):(\d+):(\d+)$/;
+
+	/** @type {number} パンくずリストのメッセージの最大文字数 */
+	var BREADCRUMB_TEXT_LENGTH = 300;
+
+	/** @type {MessagePort|null} content.jsとの専用ポート */
+	var port = null;
+
+	/** @type {Array<Object>} チャネル確立前のレコード */
+	var queue = [];
+
+	/**
+	 * content.jsとのハンドシェイクを行う関数
+	 *
+	 * MessageChannelの片側をキャンセル可能なイベントとして同期的にディスパッチする。
+	 * content.jsが受け取るとpreventDefault()されるため、dispatchEventの戻り値で受信を判定できる。
+	 *
+	 * @returns {boolean} ハンドシェイクが成立したかどうか
+	 *
+	 */
+	function handshake() {
+		var channel = new MessageChannel();
+		var received = !window.dispatchEvent(new MessageEvent(HANDSHAKE_EVENT, {
+			ports: [channel.port2],
+			cancelable: true
+		}));
+		if(!received) {
+			return false;
+		}
+
+		port = channel.port1;
+		queue.forEach(function(record) {
+			port.postMessage(record);
+		});
+		queue = [];
+		return true;
+	}
+
+	/**
+	 * レコードをcontent.jsへ中継する関数
+	 *
+	 * チャネル確立前の場合はキューに保持する
+	 *
+	 * @param {Object} record - 中継するレコード
+	 * @returns {void}
+	 *
+	 */
+	function relay(record) {
+		if(port) {
+			port.postMessage(record);
+			return;
+		}
+		queue.push(record);
+		if(queue.length > MAX_QUEUE_LENGTH) {
+			queue.shift(); // 古いレコードを削除
+		}
+	}
+
+	/**
+	 * 任意の値を表示用の文字列に変換する関数
+	 *
+	 * @param {*} value - 変換する値
+	 * @returns {string} 文字列表現
+	 *
+	 */
+	function describe(value) {
+		if(value instanceof Error) {
+			return value.name + ': ' + value.message;
+		}
+		if(value !== null && typeof value === 'object') {
+			try {
+				return JSON.stringify(value);
+			} catch(e) {
+				// 循環参照などはそのまま文字列化する
+			}
+		}
+		return String(value);
+	}
+
+	/**
+	 * スタックトレース文字列をフレームの配列に解析する関数
+	 *
+	 * V8形式とFirefox / Safari形式に対応する。解析できない行は無視する
+	 *
+	 * @param {string} stack - error.stackの文字列
+	 * @returns {Array<{func: string|null, url: string, line: number, col: number}>} フレームの配列
+	 *
+	 */
+	function parseStack(stack) {
+		if(typeof stack !== 'string') {
+			return [];
+		}
+		var frames = [];
+		stack.split('\n').forEach(function(row) {
+			var match = V8_FRAME.exec(row) || GECKO_FRAME.exec(row);
+			if(match) {
+				frames.push({
+					func: match[1] || null,
+					url: match[2],
+					line: +match[3],
+					col: +match[4]
+				});
+			}
+		});
+		return frames;
+	}
+
+	/**
+	 * causeチェーンを収集する関数
+	 *
+	 * error.causeを最大MAX_CAUSE_DEPTH段までたどり、各段の名前・メッセージ・スタックを返す
+	 *
+	 * @param {Error} error - 起点のエラー
+	 * @returns {Array<{name: string|null, text: string, stack: string|null}>} causeの配列（近い順）
+	 *
+	 */
+	function collectCauses(error) {
+		var causes = [];
+		var cause = error.cause;
+		while(cause !== undefined && causes.length < MAX_CAUSE_DEPTH) {
+			if(cause instanceof Error) {
+				causes.push({
+					name: cause.name,
+					text: cause.message,
+					stack: typeof cause.stack === 'string' ? cause.stack : null
+				});
+				cause = cause.cause;
+			} else {
+				causes.push({
+					name: null,
+					text: describe(cause),
+					stack: null
+				});
+				break;
+			}
+		}
+		return causes;
+	}
+
+	/**
+	 * エラーオブジェクトからレコードの詳細情報を作成する関数
+	 *
+	 * エラーオブジェクトでない場合は、呼び出し元のスタック（callerStack）を代わりに使う
+	 *
+	 * @param {*} error - 対象の値
+	 * @param {string} [callerStack] - エラーオブジェクトがない場合に使うスタック文字列
+	 * @returns {{name: string|null, stack: string|null, frames: Array<Object>, cause: Array<Object>}} 詳細情報
+	 *
+	 */
+	function errorDetails(error, callerStack) {
+		if(error instanceof Error) {
+			var stack = typeof error.stack === 'string' ? error.stack : null;
+			return {
+				name: error.name,
+				stack: stack,
+				frames: parseStack(stack),
+				cause: collectCauses(error)
+			};
+		}
+		return {
+			name: null,
+			stack: callerStack || null,
+			frames: parseStack(callerStack),
+			cause: []
+		};
+	}
+
+	/**
+	 * レコードを作成する関数
+	 *
+	 * 位置情報が不明な場合は、スタックの先頭フレームから補完する
+	 *
+	 * @param {Object} base - source / severity / text / url / line / colを持つ基本情報
+	 * @param {Object} details - errorDetailsの戻り値
+	 * @returns {Object} レコード
+	 *
+	 */
+	function createRecord(base, details) {
+		var top = details.frames[0];
+		if(top && base.line === null) {
+			base.url = top.url;
+			base.line = top.line;
+			base.col = top.col;
+		}
+		base.name = details.name;
+		base.stack = details.stack;
+		base.frames = details.frames;
+		base.cause = details.cause;
+		base.timestamp = Date.now();
+		return base;
+	}
+
+	/**
+	 * パンくずリストの項目をcontent.jsへ中継する関数
+	 *
+	 * @param {string} category - 種類（console / navigation / fetch / xhr）
+	 * @param {string} message - 内容
+	 * @param {string} [level] - 重要度（info / warning / error、デフォルト: info）
+	 * @returns {void}
+	 *
+	 */
+	function relayBreadcrumb(category, message, level) {
+		relay({
+			breadcrumb: {
+				category: category,
+				message: message.length > BREADCRUMB_TEXT_LENGTH ? message.slice(0, BREADCRUMB_TEXT_LENGTH) + '…' : message,
+				level: level || 'info',
+				timestamp: Date.now()
+			}
+		});
+	}
+
+	/**
+	 * URLからクエリ文字列とハッシュを取り除く関数
+	 *
+	 * トークンなどの値がパンくずリストに残らないようにする
+	 *
+	 * @param {*} url - 対象のURL（文字列、URL、Requestのいずれか）
+	 * @returns {string} 絶対URLからクエリ文字列とハッシュを除いたもの
+	 *
+	 */
+	function stripQuery(url) {
+		try {
+			var parsed = new URL(url instanceof Request ? url.url : String(url), window.location.href);
+			return parsed.origin + parsed.pathname;
+		} catch(e) {
+			return String(url).replace(/[?#].*$/, '');
+		}
+	}
+
+	/**
+	 * consoleメソッドをフックする関数
+	 *
+	 * 元のメソッドを実行したうえで、引数を連結したメッセージを中継する
+	 *
+	 * @param {string} method - フックするメソッド名（error / warn / info）
+	 * @param {string} severity - レコードの重要度（error / warning / info）
+	 * @returns {void}
+	 *
+	 */
+	function hookConsole(method, severity) {
+		var original = console[method];
+		console[method] = function() {
+			original.apply(console, arguments);
+
+			// Errorが渡された場合はそのスタックを、なければ呼び出し元のスタックを使う
+			var error = Array.prototype.find.call(arguments, function(arg) {
+				return arg instanceof Error;
+			});
+			var callerStack = error ? null : new Error().stack.split('\n').filter(function(row, index) {
+				return index !== 1; // このラッパー自身のフレームを除く
+			}).join('\n');
+
+			var text = Array.prototype.map.call(arguments, describe).join(' ');
+			relay(createRecord({
+				source: 'console',
+				severity: severity,
+				text: text,
+				url: window.location.href,
+				line: null,
+				col: null
+			}, errorDetails(error, callerStack)));
+			if(severity !== 'error') {
+				relayBreadcrumb('console', text, severity);
+			}
+		};
+	}
+
+	/**
+	 * エラーとして扱わないconsoleメソッドをフックし、出力をパンくずリストとして中継する関数
+	 *
+	 * @param {string} method - フックするメソッド名（log）
+	 * @returns {void}
+	 *
+	 */
+	function hookConsoleBreadcrumb(method) {
+		var original = console[method];
+		console[method] = function() {
+			original.apply(console, arguments);
+			relayBreadcrumb('console', Array.prototype.map.call(arguments, describe).join(' '));
+		};
+	}
+
+	/**
+	 * historyのメソッドをフックし、SPAのルート変更をパンくずリストとして中継する関数
+	 *
+	 * @param {string} method - フックするメソッド名（pushState / replaceState）
+	 * @returns {void}
+	 *
+	 */
+	function hookHistory(method) {
+		var original = history[method];
+		history[method] = function() {
+			var from = stripQuery(window.location.href);
+			var result = original.apply(this, arguments);
+			var to = stripQuery(window.location.href);
+			if(from !== to) {
+				relayBreadcrumb('navigation', method + ': ' + from + ' → ' + to);
+			}
+			return result;
+		};
+	}
+
+	/**
+	 * fetchをフックし、通信の結果と所要時間をパンくずリストとして中継する関数
+	 *
+	 * @returns {void}
+	 *
+	 */
+	function hookFetch() {
+		var original = window.fetch;
+		if(typeof original !== 'function') {
+			return;
+		}
+		window.fetch = function(input, init) {
+			var method = ((init && init.method) || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+			var label = method + ' ' + stripQuery(input);
+			var startedAt = Date.now();
+			return original.apply(this, arguments).then(function(response) {
+				relayBreadcrumb('fetch', label + ' → ' + response.status + ' (' + (Date.now() - startedAt) + 'ms)', response.ok ? 'info' : 'error');
+				return response;
+			}, function(error) {
+				relayBreadcrumb('fetch', label + ' → ' + describe(error), 'error');
+				throw error;
+			});
+		};
+	}
+
+	/**
+	 * XMLHttpRequestをフックし、通信の結果と所要時間をパンくずリストとして中継する関数
+	 *
+	 * @returns {void}
+	 *
+	 */
+	function hookXhr() {
+		var originalOpen = XMLHttpRequest.prototype.open;
+		var originalSend = XMLHttpRequest.prototype.send;
+		var requests = new WeakMap();
+
+		XMLHttpRequest.prototype.open = function(method, url) {
+			requests.set(this, String(method).toUpperCase() + ' ' + stripQuery(url));
+			return originalOpen.apply(this, arguments);
+		};
+		XMLHttpRequest.prototype.send = function() {
+			var xhr = this;
+			var startedAt = Date.now();
+			xhr.addEventListener('loadend', function() {
+				var failed = xhr.status === 0 || xhr.status >= 400;
+				relayBreadcrumb('xhr', requests.get(xhr) + ' → ' + (xhr.status || 'failed') + ' (' + (Date.now() - startedAt) + 'ms)', failed ? 'error' : 'info');
+			});
+			return originalSend.apply(this, arguments);
+		};
+	}
+
+	hookConsole('error', 'error');
+	hookConsole('warn', 'warning');
+	hookConsole('info', 'info');
+	hookConsoleBreadcrumb('log');
+	hookHistory('pushState');
+	hookHistory('replaceState');
+	hookFetch();
+	hookXhr();
+
+	// スクリプトエラーの捕捉
+	window.addEventListener('error', function(e) {
+		if(e.filename) {
+			relay(createRecord({
+				source: 'onerror',
+				severity: 'error',
+				text: e.message,
+				url: e.filename,
+				line: e.lineno,
+				col: e.colno
+			}, errorDetails(e.error)));
+		}
+	});
+
+	// 未処理のPromise拒否の捕捉
+	window.addEventListener('unhandledrejection', function(e) {
+		relay(createRecord({
+			source: 'rejection',
+			severity: 'error',
+			text: describe(e.reason),
+			url: window.location.href,
+			line: null,
+			col: null
+		}, errorDetails(e.reason)));
+	});
+
+	// Reporting APIのレポートの捕捉（bufferedにより、監視開始前に作られたレポートも受け取る）
+	if(typeof ReportingObserver === 'function') {
+		new ReportingObserver(function(reports) {
+			reports.forEach(function(report) {
+				var body = report.body || {};
+				relay({
+					source: report.type,
+					severity: report.type === 'deprecation' ? 'warning' : 'error',
+					text: body.message || report.type + (body.id ? ': ' + body.id : ''),
+					url: body.sourceFile || report.url,
+					line: body.lineNumber || null,
+					col: body.columnNumber || null,
+					name: null,
+					stack: null,
+					frames: [],
+					cause: [],
+					timestamp: Date.now()
+				});
+			});
+		}, {types: ['deprecation', 'intervention'], buffered: true}).observe();
+	}
+
+	// content.jsが先に読み込まれていればここで成立する。
+	// そうでなければcontent.jsの準備完了イベントを待つ
+	if(!handshake()) {
+		window.addEventListener(READY_EVENT, function onReady() {
+			if(handshake()) {
+				window.removeEventListener(READY_EVENT, onReady);
+			}
+		});
+	}
+})();
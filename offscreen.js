@@ -0,0 +1,18 @@
+/**
+ * offscreen.jsは、Service Workerの代わりにクリップボードへ書き込むオフスクリーンドキュメントのスクリプト
+ *
+ * background.jsから{_offscreenCopy: true, text}を受信し、テキストエリア経由でコピーする
+ * （オフスクリーンドキュメントはフォーカスを持たないため、navigator.clipboardではなくexecCommandを使う）
+ */
+
+chrome.runtime.onMessage.addListener(function(data, sender, sendResponse) {
+	if(!data._offscreenCopy) {
+		return;
+	}
+	var textarea = document.getElementById('clipboard');
+	textarea.value = data.text;
+	textarea.select();
+	var copied = document.execCommand('copy');
+	textarea.value = '';
+	sendResponse({copied: copied});
+});
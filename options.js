@@ -1,14 +1,19 @@
 /**
- * このファイルはChrome拡張機能のオプションページを制御し、AIプロンプトテンプレートの設定を管理する
+ * このファイルはChrome拡張機能のオプションページを制御し、表示言語、AIプロンプトテンプレート、AIの送信先、エラートラッカーへの転送、console.infoの記録、エラー保持件数、エラー履歴の保持ポリシー、
+ * ページ内の通知、対象サイトと無視ルール、秘密情報と個人情報の伏せ字の設定を管理する
  * 
  * 主な機能：
  * 1. 設定管理
- *    - chrome.storage.localからの設定値取得
- *    - chrome.storage.localへの設定値保存
- *    - デフォルト値の提供
+ *    - settings.jsによる設定値の取得と保存
+ *    - 設定の同期（chrome.storage.sync）の切り替え
+ *    - 設定ファイル（JSON）のエクスポートとインポート
  * 
  * 2. UI制御
  *    - テキストエリアへの設定値表示
+ *    - AIプロンプトテンプレートの作成・名前の変更・削除・デフォルトの選択
+ *    - テンプレートの構文の検証
+ *    - ドメインごとの設定の一覧表示・追加・削除
+ *    - 無視ルールと伏せ字ルールの正規表現の検証
  *    - 保存ボタンのイベント処理
  *    - 保存完了の視覚的フィードバック
  * 
@@ -19,40 +24,282 @@
  * 
  */
 
+/** @type {Object<string, string>} 通知の表示位置と表示名のメッセージキー */
+var NOTIFICATION_POSITIONS = {
+	'top-right': 'positionTopRight',
+	'top-left': 'positionTopLeft',
+	'bottom-right': 'positionBottomRight',
+	'bottom-left': 'positionBottomLeft'
+};
+
+/** @type {Object<string, string>} 重要度と入力欄IDの接頭辞 */
+var NOTIFICATION_INPUT_PREFIXES = {
+	error: 'notifyError',
+	warning: 'notifyWarning'
+};
+
+/** @type {Array<{id: string, name: string, body: string}>} 編集中のAIプロンプトテンプレート */
+var templates = [];
+
+/** @type {string} 編集中のデフォルトのテンプレートID */
+var defaultTemplateId = settingDefault('defaultTemplateId');
+
+/** @type {number} 編集中のテンプレートの位置 */
+var currentTemplateIndex = 0;
+
+/** @type {Object<string, {enabled: boolean, notify: boolean, clearOnNavigate: boolean}>} 編集中のドメインごとの設定 */
+var domainSettings = {};
+
+/**
+ * テキストエリアの内容を1行1項目の配列に変換する関数
+ * 
+ * 空行と前後の空白は取り除く
+ * 
+ * @param {string} text - テキストエリアの内容
+ * @returns {Array<string>} 項目の配列
+ * 
+ */
+function parseLines(text) {
+	return text.split('\n').map(function(line) {
+		return line.trim();
+	}).filter(Boolean);
+}
+
+/**
+ * 無視ルールをテキストエリア用の文字列に変換する関数
+ * 
+ * @param {Array<{field: string, pattern: string}>} rules - 無視ルールの配列
+ * @returns {string} 「field: pattern」形式の行を連結した文字列
+ * 
+ */
+function formatIgnoreRules(rules) {
+	return rules.map(function(rule) {
+		return rule.field + ': ' + rule.pattern;
+	}).join('\n');
+}
+
+/**
+ * テキストエリアの内容を無視ルールの配列に変換する関数
+ * 
+ * 形式が不正な行や、正規表現として不正なパターンがある場合は例外を投げる
+ * 
+ * @param {string} text - テキストエリアの内容
+ * @returns {Array<{field: string, pattern: string}>} 無視ルールの配列
+ * @throws {Error} 不正な行がある場合
+ * 
+ */
+function parseIgnoreRules(text) {
+	return parseLines(text).map(function(line) {
+		var match = /^(message|source):\s*(.+)$/.exec(line);
+		if(!match) {
+			throw new Error(getMessage('optionsIgnoreRuleInvalidFormat', line));
+		}
+		try {
+			new RegExp(match[2]);
+		} catch(e) {
+			throw new Error(getMessage('optionsInvalidRegExp', match[2]));
+		}
+		return {field: match[1], pattern: match[2]};
+	});
+}
+
+/**
+ * テキストエリアの内容を伏せ字ルール（正規表現）の配列に変換する関数
+ * 
+ * 正規表現として不正なパターンや、空文字に一致するパターンがある場合は例外を投げる
+ * 
+ * @param {string} text - テキストエリアの内容
+ * @returns {Array<string>} 伏せ字ルールの配列
+ * @throws {Error} 不正な行がある場合
+ * 
+ */
+function parseRedactionRules(text) {
+	return parseLines(text).map(function(line) {
+		try {
+			if(!new RegExp(line).test('')) {
+				return line;
+			}
+		} catch(e) {
+			// 下で不正なパターンとして扱う
+		}
+		throw new Error(getMessage('optionsInvalidRegExp', line));
+	});
+}
+
+/**
+ * テンプレートの一覧に表示する名前を返す関数
+ * 
+ * @param {{id: string, name: string}} template - テンプレート
+ * @returns {string} 名前（デフォルトのテンプレートは印を付ける）
+ * 
+ */
+function templateLabel(template) {
+	return template.id === defaultTemplateId ? getMessage('optionsDefaultTemplate', template.name) : template.name;
+}
+
+/**
+ * テンプレートの一覧を表示し、編集中のテンプレートを名前と本文の入力欄に表示する関数
+ * 
+ * @returns {void}
+ * 
+ */
+function renderTemplates() {
+	var list = document.getElementById('templateList');
+	list.textContent = '';
+	templates.forEach(function(template, index) {
+		var option = document.createElement('option');
+		option.value = index;
+		option.textContent = templateLabel(template);
+		list.appendChild(option);
+	});
+	list.value = currentTemplateIndex;
+	
+	var template = templates[currentTemplateIndex];
+	document.getElementById('templateName').value = template.name;
+	document.getElementById('templateBody').value = template.body;
+	document.getElementById('deleteTemplateButton').disabled = templates.length <= 1;
+}
+
+/**
+ * テンプレートの構文を検証する関数
+ * 
+ * 不正なテンプレートがある場合はそのテンプレートを選択状態にする
+ * 
+ * @returns {string|null} エラーメッセージ（すべて正しい場合はnull）
+ * 
+ */
+function validateTemplates() {
+	for(var i = 0; i < templates.length; i++) {
+		if(!templates[i].name.trim()) {
+			currentTemplateIndex = i;
+			renderTemplates();
+			return getMessage('optionsTemplateNameRequired');
+		}
+		try {
+			parseTemplate(templates[i].body);
+		} catch(e) {
+			currentTemplateIndex = i;
+			renderTemplates();
+			return getMessage('optionsTemplateInvalid', [templates[i].name, e.message]);
+		}
+	}
+	return null;
+}
+
 /**
- * chrome.storage.localから設定値を取得する関数
+ * ドメインごとの設定の一覧を表示する関数
  * 
- * 指定されたキーの設定値を取得し、存在しない場合はデフォルト値を返す
- * Promiseベースで非同期処理を行う
+ * 各行のチェックボックスと削除ボタンは編集中の設定（domainSettings）を直接更新する。
+ * 「移動時にクリア」が未設定のドメインは、全体の設定（エラーを残すかどうか）に従って表示する
  * 
- * @param {string} key - 取得する設定のキー
- * @param {*} defaultValue - 設定が存在しない場合のデフォルト値
- * @returns {Promise<*>} 設定値またはデフォルト値
+ * @returns {void}
  * 
  */
-function getStorageValue(key, defaultValue) {
-	return new Promise((resolve) => {
-		chrome.storage.local.get([key], function(result) {
-			resolve(result[key] !== undefined ? result[key] : defaultValue);
+function renderDomainSettings() {
+	var tbody = document.getElementById('domainSettings');
+	tbody.textContent = '';
+	
+	Object.keys(domainSettings).sort().forEach(function(domain) {
+		var row = document.createElement('tr');
+		
+		var name = document.createElement('td');
+		name.textContent = domain;
+		row.appendChild(name);
+		
+		['enabled', 'notify', 'clearOnNavigate'].forEach(function(key) {
+			var cell = document.createElement('td');
+			var checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.checked = key === 'clearOnNavigate' && typeof domainSettings[domain][key] !== 'boolean' ?
+				!document.getElementById('preserveLog').checked : domainSettings[domain][key] !== false;
+			checkbox.onchange = function() {
+				domainSettings[domain][key] = checkbox.checked;
+			};
+			cell.appendChild(checkbox);
+			row.appendChild(cell);
 		});
+		
+		var actions = document.createElement('td');
+		var removeButton = document.createElement('button');
+		removeButton.type = 'button';
+		removeButton.className = 'small';
+		removeButton.textContent = getMessage('optionsDelete');
+		removeButton.onclick = function() {
+			delete domainSettings[domain];
+			renderDomainSettings();
+		};
+		actions.appendChild(removeButton);
+		row.appendChild(actions);
+		
+		tbody.appendChild(row);
 	});
 }
 
 /**
- * chrome.storage.localに設定値を保存する関数
+ * 通知設定を入力欄に表示する関数
  * 
- * 指定されたキーと値のペアをローカルストレージに保存する
- * Promiseベースで非同期処理を行う
+ * @param {Object} settings - 保存されている通知設定（未設定の項目はデフォルト値を使う）
+ * @returns {void}
  * 
- * @param {string} key - 保存する設定のキー
- * @param {*} value - 保存する値
- * @returns {Promise<void>} 保存完了を示すPromise
+ */
+function renderNotificationSettings(settings) {
+	document.querySelectorAll('.notification-position').forEach(function(select) {
+		Object.keys(NOTIFICATION_POSITIONS).forEach(function(position) {
+			var option = document.createElement('option');
+			option.value = position;
+			option.textContent = getMessage(NOTIFICATION_POSITIONS[position]);
+			select.appendChild(option);
+		});
+	});
+	
+	Object.keys(NOTIFICATION_INPUT_PREFIXES).forEach(function(severity) {
+		var prefix = NOTIFICATION_INPUT_PREFIXES[severity];
+		var values = Object.assign(settingDefault('notificationSettings')[severity], settings[severity]);
+		document.getElementById(prefix + 'Enabled').checked = values.enabled;
+		document.getElementById(prefix + 'Position').value = values.position;
+		document.getElementById(prefix + 'Duration').value = values.duration;
+	});
+}
+
+/**
+ * 入力欄から通知設定を読み取る関数
+ * 
+ * @returns {Object<string, {enabled: boolean, position: string, duration: number}>} 通知設定
  * 
  */
-function setStorageValue(key, value) {
-	return new Promise((resolve) => {
-		chrome.storage.local.set({[key]: value}, resolve);
+function readNotificationSettings() {
+	var settings = {};
+	Object.keys(NOTIFICATION_INPUT_PREFIXES).forEach(function(severity) {
+		var prefix = NOTIFICATION_INPUT_PREFIXES[severity];
+		var duration = parseInt(document.getElementById(prefix + 'Duration').value, 10);
+		settings[severity] = {
+			enabled: document.getElementById(prefix + 'Enabled').checked,
+			position: document.getElementById(prefix + 'Position').value,
+			duration: duration >= 0 ? duration : settingDefault('notificationSettings')[severity].duration
+		};
 	});
+	return settings;
+}
+
+/**
+ * 設定ファイル（JSON）をダウンロードする関数
+ * 
+ * APIキーやトークンなど、この端末だけに保存する設定は含まれない
+ * 
+ * @returns {Promise<void>} ダウンロード開始を示すPromise
+ * 
+ */
+async function downloadSettings() {
+	var content = JSON.stringify(await exportSettings(), null, '\t');
+	var link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([content], {type: 'application/json'}));
+	link.download = 'js-errors-notifier-settings.json';
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	setTimeout(function() {
+		URL.revokeObjectURL(link.href);
+	}, 0);
 }
 
 /**
@@ -67,9 +314,9 @@ function setStorageValue(key, value) {
  */
 function showSaveFeedback(saveButton) {
 	// 保存完了メッセージ
-	saveButton.textContent = '保存完了！';
+	saveButton.textContent = getMessage('optionsSaved');
 	setTimeout(function() {
-		saveButton.textContent = '設定を保存';
+		saveButton.textContent = getMessage('optionsSave');
 	}, 2000);
 }
 
@@ -77,26 +324,293 @@ function showSaveFeedback(saveButton) {
  * ページ読み込み時の初期化処理
  * 
  * DOMContentLoadedイベントで実行され、以下の処理を行う
- * 1. 現在の設定値をローカルストレージから読み込み
- * 2. テキストエリアに設定値を表示
- * 3. 保存ボタンのイベントリスナーを設定
+ * 1. 表示言語を読み込んでページを翻訳し、現在の設定値をローカルストレージから読み込み
+ * 2. テンプレートの一覧、テキストエリアと入力欄、ドメインごとの設定の一覧に設定値を表示
+ * 3. テンプレートの編集ボタンと保存ボタンのイベントリスナーを設定
  * 
  * @returns {Promise<void>} 初期化完了を示すPromise
  * 
  */
 document.addEventListener('DOMContentLoaded', async function() {
-	// 現在の設定を読み込み
-	var aiPromptTemplate = await getStorageValue('aiPromptTemplate', '以下のJavaScriptエラーを解析して修正方法を教えてください：\n\n{error}');
+	// 表示言語を読み込んでページを翻訳
+	await loadLanguage();
+	localizePage(document);
+	var stored = await loadSettings(['language', 'aiPromptTemplates', 'defaultTemplateId', 'reporterQueue', 'captureConsoleInfo',
+		'maxErrorsPerTab', 'preserveLog', 'notificationSettings', 'syncSettings']);
+	var languageSelect = document.getElementById('language');
+	languageSelect.value = stored.language;
 	
-	// テキストエリアに設定値を表示
-	var textarea = document.getElementById('aiPromptTemplate');
-	textarea.value = aiPromptTemplate;
+	// AIプロンプトテンプレートを表示
+	templates = (stored.aiPromptTemplates.length > 0 ? localizePromptTemplates(stored.aiPromptTemplates) : defaultPromptTemplates()).map(function(template) {
+		return Object.assign({}, template);
+	});
+	defaultTemplateId = stored.defaultTemplateId;
+	currentTemplateIndex = Math.max(0, templates.findIndex(function(template) {
+		return template.id === defaultTemplateId;
+	}));
+	renderTemplates();
+	
+	var templateError = document.getElementById('templateError');
+	document.getElementById('templateList').onchange = function() {
+		currentTemplateIndex = parseInt(this.value, 10);
+		renderTemplates();
+	};
+	// 編集したテンプレートは既定のテンプレートとして扱わない（表示言語を切り替えても名前と本文を変えない）
+	document.getElementById('templateName').oninput = function() {
+		templates[currentTemplateIndex].name = this.value;
+		delete templates[currentTemplateIndex].builtin;
+		var option = document.getElementById('templateList').options[currentTemplateIndex];
+		option.textContent = templateLabel(templates[currentTemplateIndex]);
+	};
+	document.getElementById('templateBody').oninput = function() {
+		templates[currentTemplateIndex].body = this.value;
+		delete templates[currentTemplateIndex].builtin;
+	};
+	document.getElementById('newTemplateButton').onclick = function() {
+		templates.push({id: 'template-' + Date.now(), name: getMessage('optionsNewTemplateName'), body: '{errors}'});
+		currentTemplateIndex = templates.length - 1;
+		renderTemplates();
+		document.getElementById('templateName').select();
+	};
+	document.getElementById('deleteTemplateButton').onclick = function() {
+		var removed = templates.splice(currentTemplateIndex, 1)[0];
+		if(removed.id === defaultTemplateId) {
+			defaultTemplateId = templates[0].id;
+		}
+		currentTemplateIndex = Math.min(currentTemplateIndex, templates.length - 1);
+		renderTemplates();
+	};
+	document.getElementById('defaultTemplateButton').onclick = function() {
+		defaultTemplateId = templates[currentTemplateIndex].id;
+		renderTemplates();
+	};
+	
+	// AIの送信先を表示
+	var aiEndpoint = await loadAiEndpoint();
+	var endpointTypeSelect = document.getElementById('aiEndpointType');
+	Object.keys(AI_ENDPOINT_TYPES).forEach(function(type) {
+		var option = document.createElement('option');
+		option.value = type;
+		option.textContent = getMessage(AI_ENDPOINT_TYPES[type]);
+		endpointTypeSelect.appendChild(option);
+	});
+	endpointTypeSelect.value = aiEndpoint.type;
+	document.getElementById('aiEndpointUrl').value = aiEndpoint.url;
+	document.getElementById('aiEndpointModel').value = aiEndpoint.model;
+	document.getElementById('aiEndpointApiKey').value = aiEndpoint.apiKey;
+	
+	// エラートラッカーへの転送設定を表示
+	var reporterSettings = await loadReporterSettings();
+	var reporterEnabledInput = document.getElementById('reporterEnabled');
+	var reporterProtocolSelect = document.getElementById('reporterProtocol');
+	var reporterUrlInput = document.getElementById('reporterUrl');
+	var reporterTokenInput = document.getElementById('reporterToken');
+	var reporterPatternsInput = document.getElementById('reporterPatterns');
+	var reporterError = document.getElementById('reporterError');
+	reporterEnabledInput.checked = reporterSettings.enabled;
+	reporterProtocolSelect.value = reporterSettings.protocol;
+	reporterUrlInput.value = reporterSettings.url;
+	reporterTokenInput.value = reporterSettings.token;
+	reporterPatternsInput.value = reporterSettings.patterns.join('\n');
+	if(stored.reporterQueue.length > 0) {
+		document.getElementById('reporterQueueStatus').textContent = getMessage('optionsReporterQueue', stored.reporterQueue.length);
+	}
+	
+	// console.infoの記録の有無を表示
+	var captureConsoleInfoInput = document.getElementById('captureConsoleInfo');
+	captureConsoleInfoInput.checked = stored.captureConsoleInfo;
+	
+	// エラー保持件数を表示
+	var maxErrorsInput = document.getElementById('maxErrorsPerTab');
+	maxErrorsInput.value = stored.maxErrorsPerTab;
+	
+	// 移動時にエラーを残すかどうかを表示（ドメインごとの設定の表示にも反映する）
+	var preserveLogInput = document.getElementById('preserveLog');
+	preserveLogInput.checked = stored.preserveLog;
+	preserveLogInput.onchange = renderDomainSettings;
+	
+	// エラー履歴の保持ポリシーを表示
+	var historySettings = (await loadHistory()).settings;
+	var retentionInput = document.getElementById('historyRetentionDays');
+	var maxMegabytesInput = document.getElementById('historyMaxMegabytes');
+	retentionInput.value = historySettings.historyRetentionDays;
+	maxMegabytesInput.value = historySettings.historyMaxBytes / 1024 / 1024;
+	
+	// 通知設定を表示
+	renderNotificationSettings(stored.notificationSettings);
+	
+	// 対象サイトと無視ルールを表示
+	var ruleSettings = await loadRuleSettings();
+	var includeInput = document.getElementById('includePatterns');
+	var excludeInput = document.getElementById('excludePatterns');
+	var ignoreRulesInput = document.getElementById('ignoreRules');
+	var ignoreRulesError = document.getElementById('ignoreRulesError');
+	includeInput.value = ruleSettings.includePatterns.join('\n');
+	excludeInput.value = ruleSettings.excludePatterns.join('\n');
+	ignoreRulesInput.value = formatIgnoreRules(ruleSettings.ignoreRules);
+	domainSettings = ruleSettings.domainSettings;
+	renderDomainSettings();
+	
+	// 伏せ字の設定を表示
+	var redactionSettings = await loadRedactionSettings();
+	var detectorInputs = document.querySelectorAll('[data-detector]');
+	var queryParamsInput = document.getElementById('redactionQueryParams');
+	var redactionRulesInput = document.getElementById('redactionRules');
+	var redactionRulesError = document.getElementById('redactionRulesError');
+	detectorInputs.forEach(function(input) {
+		input.checked = redactionSettings.redactionDetectors[input.dataset.detector] !== false;
+	});
+	queryParamsInput.value = redactionSettings.redactionQueryParams.join('\n');
+	redactionRulesInput.value = redactionSettings.redactionRules.join('\n');
+	
+	// ドメインの追加
+	var newDomainInput = document.getElementById('newDomain');
+	document.getElementById('addDomainButton').onclick = function() {
+		var domain = newDomainInput.value.trim().toLowerCase();
+		if(domain && !domainSettings[domain]) {
+			domainSettings[domain] = {enabled: true, notify: true};
+			renderDomainSettings();
+		}
+		newDomainInput.value = '';
+	};
+	
+	// 設定の同期を表示（切り替えると同期した設定を表示し直す）
+	var syncInput = document.getElementById('syncSettings');
+	syncInput.checked = stored.syncSettings;
+	syncInput.onchange = async function() {
+		try {
+			await setSettingsSync(syncInput.checked);
+		} catch(e) {
+			document.getElementById('syncError').textContent = e.message;
+			syncInput.checked = !syncInput.checked;
+			return;
+		}
+		location.reload();
+	};
+	
+	// 設定ファイルのエクスポートとインポート（インポートした設定を表示し直す）
+	var settingsFileInput = document.getElementById('importSettingsFile');
+	var settingsFileError = document.getElementById('settingsFileError');
+	document.getElementById('exportSettingsButton').onclick = downloadSettings;
+	document.getElementById('importSettingsButton').onclick = function() {
+		settingsFileInput.click();
+	};
+	settingsFileInput.onchange = async function() {
+		var file = settingsFileInput.files[0];
+		settingsFileInput.value = '';
+		if(!file || !confirm(getMessage('optionsImportConfirm', file.name))) {
+			return;
+		}
+		try {
+			await importSettings(await file.text());
+		} catch(e) {
+			settingsFileError.textContent = e.message;
+			return;
+		}
+		location.reload();
+	};
 	
 	// 保存ボタンのイベントリスナー
 	var saveButton = document.getElementById('saveButton');
+	var saveError = document.getElementById('saveError');
 	saveButton.onclick = async function() {
-		var newTemplate = textarea.value;
-		await setStorageValue('aiPromptTemplate', newTemplate);
+		// テンプレート、無視ルールまたは伏せ字ルールが不正な場合は保存しない
+		var invalidTemplate = validateTemplates();
+		templateError.textContent = invalidTemplate || '';
+		if(invalidTemplate) {
+			return;
+		}
+		
+		var ignoreRules;
+		try {
+			ignoreRules = parseIgnoreRules(ignoreRulesInput.value);
+		} catch(e) {
+			ignoreRulesError.textContent = e.message;
+			return;
+		}
+		ignoreRulesError.textContent = '';
+		
+		var redactionRules;
+		try {
+			redactionRules = parseRedactionRules(redactionRulesInput.value);
+		} catch(e) {
+			redactionRulesError.textContent = e.message;
+			return;
+		}
+		redactionRulesError.textContent = '';
+		
+		var redactionDetectors = {};
+		detectorInputs.forEach(function(input) {
+			redactionDetectors[input.dataset.detector] = input.checked;
+		});
+		
+		// 転送が有効な場合は送信先を検証する
+		var reporterUrl = reporterUrlInput.value.trim();
+		try {
+			if(reporterEnabledInput.checked) {
+				if(!reporterUrl) {
+					throw new Error(getMessage('optionsReporterUrlRequired'));
+				}
+				if(reporterProtocolSelect.value === 'sentry') {
+					parseDsn(reporterUrl);
+				} else {
+					new URL(reporterUrl);
+				}
+			}
+		} catch(e) {
+			reporterError.textContent = e instanceof TypeError ? getMessage('optionsReporterUrlInvalid', reporterUrl) : e.message;
+			return;
+		}
+		reporterError.textContent = '';
+		
+		// 不正な数値の場合はデフォルト値を保存
+		var maxErrors = parseInt(maxErrorsInput.value, 10);
+		var retentionDays = parseInt(retentionInput.value, 10);
+		var maxMegabytes = parseFloat(maxMegabytesInput.value);
+		try {
+			await saveSettings({
+				language: languageSelect.value,
+				aiPromptTemplates: templates,
+				defaultTemplateId: defaultTemplateId,
+				aiEndpoint: {
+					type: endpointTypeSelect.value,
+					url: document.getElementById('aiEndpointUrl').value.trim(),
+					model: document.getElementById('aiEndpointModel').value.trim()
+				},
+				aiApiKey: document.getElementById('aiEndpointApiKey').value.trim(),
+				reporterSettings: {
+					enabled: reporterEnabledInput.checked,
+					protocol: reporterProtocolSelect.value,
+					url: reporterUrl,
+					patterns: parseLines(reporterPatternsInput.value)
+				},
+				reporterToken: reporterTokenInput.value.trim(),
+				captureConsoleInfo: captureConsoleInfoInput.checked,
+				preserveLog: preserveLogInput.checked,
+				maxErrorsPerTab: maxErrors > 0 ? maxErrors : settingDefault('maxErrorsPerTab'),
+				historyRetentionDays: retentionDays > 0 ? retentionDays : settingDefault('historyRetentionDays'),
+				historyMaxBytes: maxMegabytes > 0 ? Math.round(maxMegabytes * 1024 * 1024) : settingDefault('historyMaxBytes'),
+				notificationSettings: readNotificationSettings(),
+				includePatterns: parseLines(includeInput.value),
+				excludePatterns: parseLines(excludeInput.value),
+				ignoreRules: ignoreRules,
+				domainSettings: domainSettings,
+				redactionDetectors: redactionDetectors,
+				redactionQueryParams: parseLines(queryParamsInput.value),
+				redactionRules: redactionRules
+			});
+		} catch(e) {
+			// chrome.storage.syncの容量の上限を超えた場合など
+			saveError.textContent = e.message;
+			return;
+		}
+		saveError.textContent = '';
+		
+		// 表示言語を変更した場合はページを読み込み直して切り替える
+		if(languageSelect.value !== stored.language) {
+			location.reload();
+			return;
+		}
 		
 		// 保存完了の視覚的フィードバック
 		showSaveFeedback(saveButton);
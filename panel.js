@@ -0,0 +1,431 @@
+/**
+ * panel.jsは、開発者ツールの「JS Errors」パネルを制御する
+ *
+ * 主な機能：
+ * 1. エラー表示
+ *    - 調査中のタブのエラーストア（ポップアップと同じもの）の取得と、購読による自動更新
+ *    - 種類、メッセージ、場所、フレーム、発生回数、最終発生時刻の表形式の表示
+ *    - 省略しないスタックトレースとcauseチェーン、ソースマップで解決した元の位置の表示
+ *    - 複数のナビゲーションのエラーがある場合の、ナビゲーションの区切りの表示
+ *
+ * 2. ソースへの移動
+ *    - 場所やスタックフレームをクリックすると、Sourcesパネルで該当するファイルと行を開く
+ *
+ * 3. 絞り込みとクリア
+ *    - メッセージとURLによる検索
+ *    - Service Workerへのエラーのクリア依頼（_clearErrors）
+ *
+ */
+
+/** @type {number} 調査中のタブのID */
+var tabId = chrome.devtools.inspectedWindow.tabId;
+
+/** @type {Array<Object>} 表示中のエラー情報の配列（Service Workerのエラーストアから取得） */
+var errors = [];
+
+/** @type {Array<{id: string, url: string, kind: string, startedAt: number}>} エラーストアのナビゲーションの区切り（古い順） */
+var navigations = [];
+
+/** @type {number} 描画の世代番号（古い非同期処理の結果で表示を上書きしないために使う） */
+var renderGeneration = 0;
+
+/** @type {number} Service Workerとの接続が切れた場合に再接続するまでの時間（ミリ秒） */
+var RECONNECT_DELAY = 1000;
+
+/**
+ * エラーの種類のピルの表示名を返す関数
+ *
+ * スクリプトエラーは重要度を、それ以外は種類を表示する
+ *
+ * @param {Object} error - エラー情報
+ * @returns {{label: string, className: string}} 表示名とクラス名
+ *
+ */
+function typePill(error) {
+	var type = error.type || (error.source === 'network' ? 'network' : 'script');
+	if(type === 'script') {
+		return {label: (error.severity || 'error').toUpperCase(), className: error.severity || 'error'};
+	}
+	if(type === 'network') {
+		return {label: String(error.network.statusCode || 'FAILED'), className: 'network'};
+	}
+	return {label: type.toUpperCase(), className: type};
+}
+
+/**
+ * エラーメッセージを整形する関数
+ *
+ * ネットワークエラーはメソッド、URL、結果を、それ以外はエラー名が含まれていない場合に先頭に付与する
+ *
+ * @param {Object} error - エラー情報
+ * @returns {string} メッセージ
+ *
+ */
+function formatMessage(error) {
+	if(error.source === 'network') {
+		var network = error.network;
+		return network.method + ' ' + error.url + ' (' + (network.statusCode ? network.statusCode + ' ' + (network.statusText || '') : network.error) + ')';
+	}
+	var text = error.text || 'Unknown error';
+	if(error.name && text.indexOf(error.name) === -1) {
+		text = error.name + ': ' + text;
+	}
+	return text;
+}
+
+/**
+ * 位置を「URL:行:列」形式に整形する関数
+ *
+ * @param {{url: string, line: number|null, col: number|null}} position - 位置
+ * @returns {string} 位置
+ *
+ */
+function formatPosition(position) {
+	return position.url + (position.line ? ':' + position.line + (position.col ? ':' + position.col : '') : '');
+}
+
+/**
+ * Sourcesパネルでファイルを開く関数
+ *
+ * openResourceの行番号は0から数えるため、1を引いて渡す。開けなかった場合は件数の表示の位置に知らせる。
+ * 秘密情報を伏せたURLのファイルは開けないため、元のURL（rawUrl）があればそれを開く
+ *
+ * @param {{url: string, rawUrl: (string|undefined), line: number|null}} position - 開く位置
+ * @returns {void}
+ *
+ */
+function openInSources(position) {
+	chrome.devtools.panels.openResource(position.rawUrl || position.url, Math.max((position.line || 1) - 1, 0), function(result) {
+		if(result && result.code && result.code !== 'OK') {
+			document.getElementById('summary').textContent = getMessage('panelOpenFailed', position.url);
+		}
+	});
+}
+
+/**
+ * クリックするとSourcesパネルで開くリンクを生成する関数
+ *
+ * @param {{url: string, line: number|null, col: number|null}} position - 位置
+ * @returns {HTMLElement} リンクの要素
+ *
+ */
+function createLocationLink(position) {
+	var link = document.createElement('a');
+	link.className = 'location';
+	link.textContent = formatPosition(position);
+	link.title = getMessage('panelOpenInSources');
+	link.onclick = function(e) {
+		e.preventDefault();
+		openInSources(position);
+	};
+	return link;
+}
+
+/**
+ * エラーの発生場所の要素を生成する関数
+ *
+ * 先頭フレームが発生場所と一致し、ソースマップで解決済みの場合は元の位置を表示する
+ *
+ * @param {Object} error - エラー情報
+ * @returns {Node} 場所の要素
+ *
+ */
+function createErrorLocation(error) {
+	if(!error.url || error.source === 'network') {
+		return document.createTextNode(error.source === 'network' ? error.network.type || '' : 'unknown');
+	}
+	var top = (error.frames || [])[0];
+	if(top && top.url === error.url && top.line === error.line) {
+		return createLocationLink(top.original || top);
+	}
+	return createLocationLink(error);
+}
+
+/**
+ * スタックトレースとcauseチェーンの要素を生成する関数
+ *
+ * フレームはすべて表示し、ソースマップで解決済みの場合は元の位置と生成後の位置の両方をリンクにする
+ *
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement|null} 詳細の要素（フレームもcauseもない場合はnull）
+ *
+ */
+function createStackDetails(error) {
+	var frames = error.frames || [];
+	var causes = error.cause || [];
+	if(frames.length === 0 && causes.length === 0) {
+		return null;
+	}
+
+	var details = document.createElement('details');
+	var summary = document.createElement('summary');
+	summary.textContent = getMessage('stackSummary', frames.length);
+	details.appendChild(summary);
+
+	var list = document.createElement('ol');
+	list.className = 'frames';
+	frames.forEach(function(frame) {
+		var item = document.createElement('li');
+		var position = frame.original || frame;
+		item.appendChild(document.createTextNode('at ' + (position.func || frame.func || '(anonymous)') + ' '));
+		item.appendChild(createLocationLink(position));
+		if(frame.original) {
+			var generated = document.createElement('div');
+			generated.className = 'generated';
+			generated.appendChild(document.createTextNode(getMessage('panelGenerated') + ' '));
+			generated.appendChild(createLocationLink(frame));
+			item.appendChild(generated);
+		}
+		list.appendChild(item);
+	});
+	details.appendChild(list);
+
+	causes.forEach(function(cause) {
+		var line = document.createElement('div');
+		line.className = 'cause';
+		line.textContent = 'Caused by: ' + (cause.name ? cause.name + ': ' : '') + cause.text;
+		details.appendChild(line);
+	});
+	return details;
+}
+
+/**
+ * エラー1件分の行を生成する関数
+ *
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement} 行の要素
+ *
+ */
+function createErrorRow(error) {
+	var row = document.createElement('tr');
+
+	var typeCell = document.createElement('td');
+	var pill = document.createElement('span');
+	var type = typePill(error);
+	pill.className = 'pill ' + type.className;
+	pill.textContent = type.label;
+	typeCell.appendChild(pill);
+	row.appendChild(typeCell);
+
+	var messageCell = document.createElement('td');
+	var message = document.createElement('div');
+	message.className = 'message';
+	message.textContent = formatMessage(error);
+	messageCell.appendChild(message);
+	var details = createStackDetails(error);
+	if(details) {
+		messageCell.appendChild(details);
+	}
+	row.appendChild(messageCell);
+
+	var locationCell = document.createElement('td');
+	locationCell.appendChild(createErrorLocation(error));
+	row.appendChild(locationCell);
+
+	[
+		[error.frameId > 0 ? error.frameUrl || 'iframe #' + error.frameId : 'top', ''],
+		[error.count || 1, 'number'],
+		[new Date(error.lastSeen || error.timestamp).toLocaleTimeString(), 'time']
+	].forEach(function(column) {
+		var cell = document.createElement('td');
+		cell.textContent = column[0];
+		cell.className = column[1];
+		row.appendChild(cell);
+	});
+	return row;
+}
+
+/**
+ * ナビゲーションの区切りの行を生成する関数
+ *
+ * @param {{url: string, kind: string, startedAt: number}} navigation - ナビゲーションの区切り
+ * @returns {HTMLElement} 行の要素
+ *
+ */
+function createNavigationRow(navigation) {
+	var row = document.createElement('tr');
+	row.className = 'nav-marker';
+	var cell = document.createElement('td');
+	cell.colSpan = 6;
+	cell.textContent = getMessage(navigation.kind === 'spa' ? 'navigationSpa' : 'navigationLoad') + ': ' + (navigation.url || '') + ' · ' + new Date(navigation.startedAt).toLocaleTimeString();
+	row.appendChild(cell);
+	return row;
+}
+
+/**
+ * 検索ボックスの入力に一致するエラーを返す関数
+ *
+ * @returns {Array<Object>} 一致するエラー情報の配列（最終発生が新しい順）
+ *
+ */
+function filteredErrors() {
+	var query = document.getElementById('search').value.trim().toLowerCase();
+	return errors.filter(function(error) {
+		if(!query) {
+			return true;
+		}
+		return [error.text, error.name, error.url, error.frameUrl].join('\n').toLowerCase().indexOf(query) !== -1;
+	}).sort(function(a, b) {
+		return (b.lastSeen || b.timestamp || 0) - (a.lastSeen || a.timestamp || 0);
+	});
+}
+
+/**
+ * エラーの一覧を表示する関数
+ *
+ * 複数のナビゲーションのエラーがある場合は、新しいナビゲーションから順に区切りの下にまとめる
+ *
+ * @returns {void}
+ *
+ */
+function displayErrors() {
+	var tbody = document.getElementById('errors');
+	var shown = filteredErrors();
+	tbody.textContent = '';
+	document.getElementById('summary').textContent = getMessage('panelSummary', [shown.length, errors.length]);
+
+	if(shown.length === 0) {
+		var emptyRow = document.createElement('tr');
+		var emptyCell = document.createElement('td');
+		emptyCell.colSpan = 6;
+		emptyCell.className = 'empty';
+		emptyCell.textContent = getMessage(errors.length > 0 ? 'noMatchingErrors' : 'noErrors');
+		emptyRow.appendChild(emptyCell);
+		tbody.appendChild(emptyRow);
+		return;
+	}
+
+	var groups = {};
+	shown.forEach(function(error) {
+		(groups[error.navigationId] = groups[error.navigationId] || []).push(error);
+	});
+	var showMarkers = Object.keys(groups).length > 1;
+	navigations.slice().reverse().forEach(function(navigation) {
+		if(!groups[navigation.id]) {
+			return;
+		}
+		if(showMarkers) {
+			tbody.appendChild(createNavigationRow(navigation));
+		}
+		groups[navigation.id].forEach(function(error) {
+			tbody.appendChild(createErrorRow(error));
+		});
+		delete groups[navigation.id];
+	});
+	// 区切りが削除済みのエラーは最後にまとめる
+	Object.keys(groups).forEach(function(navigationId) {
+		groups[navigationId].forEach(function(error) {
+			tbody.appendChild(createErrorRow(error));
+		});
+	});
+}
+
+/**
+ * エラーのスタックフレームをソースマップで解決する関数
+ *
+ * 解決はService Workerに依頼し、ソースマップはスクリプトURL単位でキャッシュされる。
+ * 解決に失敗したエラーは元のスタックフレームのまま表示する
+ *
+ * @returns {Promise<void>} 解決完了を示すPromise
+ *
+ */
+async function resolveSourceMaps() {
+	await Promise.all(errors.map(async function(error) {
+		if(!error.frames || error.frames.length === 0) {
+			return;
+		}
+		try {
+			error.frames = await chrome.runtime.sendMessage({
+				_resolveFrames: true,
+				frames: error.frames
+			}) || error.frames;
+		} catch(e) {
+			console.error('ソースマップの解決に失敗しました:', e);
+		}
+	}));
+}
+
+/**
+ * エラー一覧を描画する関数
+ *
+ * エラー情報をすぐに表示し、ソースマップの解決後にもう一度表示する
+ *
+ * @param {Object} store - エラーストア（errorsとnavigationsを持つ）
+ * @returns {Promise<void>} 描画完了を示すPromise
+ *
+ */
+async function renderStore(store) {
+	var generation = ++renderGeneration;
+	errors = store.errors || [];
+	navigations = store.navigations || [];
+	displayErrors();
+
+	await resolveSourceMaps();
+	if(generation === renderGeneration) {
+		displayErrors();
+	}
+}
+
+/**
+ * エラー一覧を表示できなかったことを件数の表示の位置に知らせる関数
+ *
+ * @param {Error} e - 発生したエラー
+ * @returns {void}
+ *
+ */
+function showLoadFailure(e) {
+	document.getElementById('summary').textContent = getMessage('panelLoadFailed', e.message);
+}
+
+/**
+ * エラーストアを購読し、現在のエラー一覧を表示する関数
+ *
+ * 開発者ツールは長く開かれるため、Service Workerの再起動などで接続が切れた場合は再接続する。
+ * 更新や再接続の後の表示に失敗した場合は件数の表示の位置に知らせる
+ *
+ * @returns {Promise<void>} 表示完了を示すPromise
+ *
+ */
+async function subscribe() {
+	var port = chrome.runtime.connect({name: 'subscribe'});
+	port.onMessage.addListener(function(data) {
+		if(data._errorsChanged && data.tabId === tabId) {
+			renderStore(data).catch(showLoadFailure);
+		}
+	});
+	port.onDisconnect.addListener(function() {
+		setTimeout(function() {
+			subscribe().catch(showLoadFailure);
+		}, RECONNECT_DELAY);
+	});
+	port.postMessage({
+		_subscribe: true,
+		tabId: tabId
+	});
+
+	await renderStore(await chrome.runtime.sendMessage({
+		_getErrors: true,
+		tabId: tabId
+	}));
+}
+
+/**
+ * ページ読み込み時の初期化処理
+ *
+ * 表示言語を読み込んでページを翻訳し、検索ボックスとクリアボタンのイベントリスナーを設定し、エラーストアを購読する
+ *
+ * @returns {Promise<void>} 初期化完了を示すPromise
+ *
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+	await loadLanguage();
+	localizePage(document);
+	document.getElementById('search').oninput = displayErrors;
+	document.getElementById('clearButton').onclick = function() {
+		chrome.runtime.sendMessage({
+			_clearErrors: true,
+			tabId: tabId
+		});
+	};
+	await subscribe().catch(showLoadFailure);
+});
@@ -3,44 +3,46 @@
  * 
  * 主な機能：
  * 1. エラー表示
- *    - URLパラメータからエラーデータを解析
+ *    - Service Workerのエラーストアからエラーデータを取得
+ *    - エラーストアの購読による表示中の自動更新
  *    - エラー情報の視覚的表示（1件表示 + スクロール）
+ *    - 同じエラーをまとめたグループ単位の表示（発生回数、初回・最終発生時刻）
+ *    - ネットワークエラー（4xx/5xx、CORS、ブロックされたリクエスト）の別カテゴリ表示
+ *    - iframeのエラーのフレーム表示と絞り込み、クロスオリジンのiframeの折りたたみ
+ *    - 展開可能なスタックトレースとcauseチェーンの表示
+ *    - エラーの直前の操作（パンくずリスト）のタイムライン表示
+ *    - ソースマップで解決した元のソース位置とソースコードの抜粋の表示
  *    - 「もっと見る」ボタンによる表示切り替え
+ *    - メッセージの改行の保持、URLのリンク化、長いメッセージの折りたたみ
+ *    - ページ側から渡された文字列はDOM APIでテキストとして表示し、HTMLとして解釈しない
+ *    - 重要度と種類のチップ、検索ボックスによる絞り込みと、発生時刻順・発生回数順の並べ替え
+ *    - 再読み込みやルート変更をまたいで残したエラーの、ナビゲーションの区切り（URLと時刻）ごとの表示
  * 
  * 2. AIプロンプト生成
- *    - 設定からAIプロンプトテンプレートを取得
- *    - エラー情報をテンプレートに埋め込み
+ *    - テンプレートピッカーで選択したAIプロンプトテンプレートを取得
+ *    - エラー情報をテンプレートに埋め込み（prompt.js、template.js）
  *    - テキストエリアへの自動設定
+ *    - コピー・送信する前の秘密情報や個人情報の伏せ字化と、伏せた情報の種類と件数のプレビュー（redact.js）
  * 
- * 3. クリップボード機能
+ * 3. AIへの送信
+ *    - 設定された送信先（OpenAI互換のAPIまたはJSON Webhook）へのプロンプトの送信（ai.js）
+ *    - 回答のストリーミング表示とエラーグループへの保存
+ * 
+ * 4. クリップボード機能
  *    - モダンブラウザでのnavigator.clipboard使用
  *    - 古いブラウザ対応のフォールバック機能
  *    - コピー完了の視覚的フィードバック
  * 
- * 4. 設定管理
- *    - chrome.storage.localからの設定取得
- *    - デフォルト値の提供
- * 
- */
-
-/**
- * chrome.storage.localから設定値を取得する関数
+ * 5. エクスポート
+ *    - JSON、CSV、Markdown、HAR形式のバンドルでのダウンロード（export.js）
  * 
- * 指定されたキーの設定値を取得し、存在しない場合はデフォルト値を返す
- * Promiseベースで非同期処理を行う
+ * 6. 設定管理
+ *    - settings.jsによる設定の取得
  * 
- * @param {string} key - 取得する設定のキー
- * @param {*} defaultValue - 設定が存在しない場合のデフォルト値
- * @returns {Promise<*>} 設定値またはデフォルト値
+ * 7. 表示言語
+ *    - オプションページで選んだ表示言語でのポップアップの翻訳（i18n.js）
  * 
  */
-function getStorageValue(key, defaultValue) {
-	return new Promise((resolve) => {
-		chrome.storage.local.get([key], function(result) {
-			resolve(result[key] !== undefined ? result[key] : defaultValue);
-		});
-	});
-}
 
 /**
  * クリップボードにテキストをコピーする関数
@@ -81,7 +83,7 @@ function showCopyFeedback() {
 	
 	// アイコンを一時的に変更（チェックマーク）
 	copyIcon.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAiIGhlaWdodD0iMjAiIHZpZXdCb3g9IjAgMCAyMCAyMCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHBhdGggZD0iTTE2LjY2NjcgNC4xNjY2N0w3LjUgMTMuMzMzM0wzLjMzMzMzIDkuMTY2NjciIHN0cm9rZT0iIzAwN0NCQSIgc3Ryb2tlLXdpZHRoPSIyIiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiLz4KPC9zdmc+';
-	copyIcon.title = 'コピー完了！';
+	copyIcon.title = getMessage('popupCopied');
 	
 	// 2秒後に元に戻す
 	setTimeout(function() {
@@ -122,148 +124,1054 @@ function fallbackCopyToClipboard(text) {
 }
 
 /**
- * URLパラメータからエラーデータを解析する
+ * 表示対象のタブ
  * 
- * ポップアップのURLパラメータからtabIdとエラー情報を取得し、グローバル変数に設定する
+ * ポップアップURLのtabIdパラメータから取得する。パラメータがない場合は初期化時にアクティブなタブを使う
  * 
  * @type {URLSearchParams} URLパラメータの解析結果
- * @type {string|null} タブID
- * @type {string|null} エラー情報のJSON文字列
- * @type {Array<Object>} 解析されたエラー情報の配列
+ * @type {number|null} タブID
  */
 var urlParams = new URLSearchParams(window.location.search);
-var tabId = urlParams.get('tabId');
-var errorsParam = urlParams.get('errors');
+var tabId = urlParams.has('tabId') ? +urlParams.get('tabId') : null;
+
+/** @type {Array<Object>} 表示中のエラー情報の配列（Service Workerのエラーストアから取得） */
 var errors = [];
 
-// エラーデータの解析
-if(errorsParam) {
+/** @type {string|null} 表示対象のタブで読み込まれているページのURL */
+var pageUrl = null;
+
+/** @type {Array<{id: string, url: string, kind: string, startedAt: number}>} エラーストアのナビゲーションの区切り（古い順） */
+var navigations = [];
+
+/** @type {string} 表示するフレームの絞り込み（'all'またはフレームID） */
+var frameFilter = 'all';
+
+/** @type {Object<string, boolean>} チップで非表示にした重要度 */
+var hiddenSeverities = {};
+
+/** @type {Object<string, boolean>} チップで非表示にした種類 */
+var hiddenTypes = {};
+
+/** @type {string} 検索ボックスに入力された文字列（小文字） */
+var searchQuery = '';
+
+/** @type {string} 並べ替えの順序（time: 最終発生が新しい順 / count: 発生回数の多い順） */
+var sortOrder = 'time';
+
+/** @type {Object<string, string>} 重要度のチップの表示名のメッセージキー（表示順） */
+var SEVERITY_CHIP_LABELS = {
+	error: 'severityError',
+	warning: 'severityWarning',
+	info: 'severityInfo'
+};
+
+/** @type {Object<string, string>} 種類のチップの表示名のメッセージキー（表示順） */
+var TYPE_CHIP_LABELS = {
+	script: 'typeScript',
+	resource: 'typeResource',
+	csp: 'typeCsp',
+	deprecation: 'typeDeprecation',
+	intervention: 'typeIntervention',
+	network: 'typeNetwork'
+};
+
+/** @type {string|null} テンプレートピッカーで選択中のテンプレートID */
+var selectedTemplateId = null;
+
+/** @type {Object|null} 伏せる処理の設定（redact.js、読み込み前はnull） */
+var redactionSettings = null;
+
+/** @type {AbortController|null} 送信中のAIへの質問を中断するためのコントローラー */
+var askController = null;
+
+/** @type {number} 描画の世代番号（古い非同期処理の結果で表示を上書きしないために使う） */
+var renderGeneration = 0;
+
+/**
+ * 表示対象のタブIDを取得する関数
+ * 
+ * URLパラメータにtabIdがない場合は、現在のウィンドウのアクティブなタブを使う
+ * 
+ * @returns {Promise<number>} タブID
+ * 
+ */
+async function getTargetTabId() {
+	if(tabId !== null) {
+		return tabId;
+	}
+	var tabs = await chrome.tabs.query({active: true, currentWindow: true});
+	return tabs[0].id;
+}
+
+/** @type {number} 折りたたんで表示するメッセージの長さ（文字数） */
+var MESSAGE_COLLAPSE_LENGTH = 300;
+
+/** @type {number} 折りたたんで表示するメッセージの行数 */
+var MESSAGE_COLLAPSE_LINES = 6;
+
+/** @type {RegExp} メッセージ中のURLの候補 */
+var URL_PATTERN = /https?:\/\/[^\s<>"'`]+/;
+
+/**
+ * 要素を生成する関数
+ * 
+ * ページ側から渡された文字列は必ずtextContentで設定し、HTMLとして解釈させない
+ * 
+ * @param {string} tagName - タグ名
+ * @param {string} [className] - クラス名
+ * @param {string} [text] - テキスト
+ * @returns {HTMLElement} 要素
+ * 
+ */
+function createElement(tagName, className, text) {
+	var element = document.createElement(tagName);
+	if(className) {
+		element.className = className;
+	}
+	if(text !== undefined && text !== null) {
+		element.textContent = String(text);
+	}
+	return element;
+}
+
+/**
+ * 文字列中のhttp(s)のURLをリンクにしたノードを生成する関数
+ * 
+ * URLの末尾の句読点や閉じ括弧はリンクに含めない。
+ * URLとして解析できないもの、http(s)以外のスキーム（javascript:など）はテキストのまま表示する
+ * 
+ * @param {string} text - 文字列
+ * @returns {DocumentFragment} テキストとリンクのノード
+ * 
+ */
+function createLinkifiedText(text) {
+	var fragment = document.createDocumentFragment();
+	var pattern = new RegExp(URL_PATTERN.source, 'g');
+	var lastIndex = 0;
+	var match;
+	text = String(text);
+	while((match = pattern.exec(text)) !== null) {
+		var candidate = match[0].replace(/[.,;:!?)\]}]+$/, '');
+		var url = null;
+		try {
+			url = new URL(candidate);
+		} catch(e) {
+			// URLとして解析できない場合はテキストのまま
+		}
+		if(!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+			continue;
+		}
+		fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+		var link = createElement('a', null, candidate);
+		link.href = url.href;
+		link.target = '_blank';
+		link.rel = 'noopener noreferrer';
+		fragment.appendChild(link);
+		lastIndex = match.index + candidate.length;
+	}
+	fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+	return fragment;
+}
+
+/**
+ * 長いメッセージを折りたたむ位置を求める関数
+ * 
+ * @param {string} text - メッセージ
+ * @returns {number} 折りたたむ位置（折りたたまない場合は-1）
+ * 
+ */
+function messageCollapseIndex(text) {
+	var index = -1;
+	var lines = text.split('\n');
+	if(lines.length > MESSAGE_COLLAPSE_LINES) {
+		index = lines.slice(0, MESSAGE_COLLAPSE_LINES).join('\n').length;
+	}
+	if(text.length > MESSAGE_COLLAPSE_LENGTH && (index === -1 || index > MESSAGE_COLLAPSE_LENGTH)) {
+		index = MESSAGE_COLLAPSE_LENGTH;
+	}
+	return index;
+}
+
+/**
+ * エラーメッセージ本文の要素を生成する関数
+ * 
+ * 改行はそのまま表示し、URLはリンクにする。
+ * 長いメッセージは先頭のみ表示し、ボタンで全文の表示と折りたたみを切り替える
+ * 
+ * @param {string} text - メッセージ
+ * @returns {DocumentFragment} メッセージとボタンの要素
+ * 
+ */
+function createMessage(text) {
+	var fragment = document.createDocumentFragment();
+	var message = createElement('div', 'msg');
+	fragment.appendChild(message);
+	text = String(text);
+	var collapseIndex = messageCollapseIndex(text);
+	if(collapseIndex === -1) {
+		message.appendChild(createLinkifiedText(text));
+		return fragment;
+	}
+	
+	var expanded = false;
+	var toggle = createElement('button', 'msg-toggle');
+	toggle.type = 'button';
+	var update = function() {
+		message.textContent = '';
+		message.appendChild(createLinkifiedText(expanded ? text : text.slice(0, collapseIndex) + '…'));
+		toggle.textContent = getMessage(expanded ? 'popupMessageCollapse' : 'popupMessageExpand');
+	};
+	toggle.onclick = function() {
+		expanded = !expanded;
+		update();
+	};
+	update();
+	fragment.appendChild(toggle);
+	return fragment;
+}
+
+/**
+ * キャプチャ元と発生時刻を整形する関数
+ * 
+ * 複数回発生したエラーは初回と最終の発生時刻を表示する
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} メタ情報
+ * 
+ */
+function formatMeta(error) {
+	var meta = [error.source || 'unknown'];
+	var firstSeen = error.firstSeen || error.timestamp;
+	if(firstSeen) {
+		meta.push(new Date(firstSeen).toLocaleString());
+	}
+	if(error.count > 1 && error.lastSeen) {
+		meta.push(getMessage('popupLastSeen', new Date(error.lastSeen).toLocaleString()));
+	}
+	return meta.join(' · ');
+}
+
+/**
+ * エラーの直前の操作（パンくずリスト）を展開可能なタイムラインとして生成する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement|null} 詳細の要素（パンくずリストがない場合はnull）
+ * 
+ */
+function createBreadcrumbs(error) {
+	var breadcrumbs = error.breadcrumbs || [];
+	if(breadcrumbs.length === 0) {
+		return null;
+	}
+	
+	var details = createElement('details', 'breadcrumbs');
+	details.appendChild(createElement('summary', null, getMessage('breadcrumbsSummary', breadcrumbs.length)));
+	var timeline = createElement('ol', 'timeline');
+	breadcrumbs.forEach(function(breadcrumb) {
+		var item = createElement('li', null, formatBreadcrumb(breadcrumb, error.timestamp));
+		if(breadcrumb.level) {
+			item.className = String(breadcrumb.level);
+		}
+		timeline.appendChild(item);
+	});
+	details.appendChild(timeline);
+	return details;
+}
+
+/**
+ * スタックトレースとcauseチェーンを展開可能な要素として生成する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement|null} 詳細の要素（フレームもcauseもない場合はnull）
+ * 
+ */
+function createStack(error) {
+	var frames = error.frames || [];
+	var causes = error.cause || [];
+	if(frames.length === 0 && causes.length === 0) {
+		return null;
+	}
+	
+	var details = createElement('details', 'stack');
+	details.appendChild(createElement('summary', null, getMessage('stackSummary', frames.length)));
+	var list = createElement('ol', 'frames');
+	frames.forEach(function(frame) {
+		var item = createElement('li', null, formatFrame(frame));
+		if(frame.original) {
+			item.appendChild(createElement('div', 'generated', formatFrameLocation(frame)));
+			var context = formatSourceContext(frame.original);
+			if(context) {
+				item.appendChild(createElement('pre', 'source-context', context));
+			}
+		}
+		list.appendChild(item);
+	});
+	details.appendChild(list);
+	causes.forEach(function(cause) {
+		details.appendChild(createElement('div', 'cause', 'Caused by: ' + (cause.name ? cause.name + ': ' : '') + cause.text));
+	});
+	return details;
+}
+
+/**
+ * URLからオリジンを求める関数
+ * 
+ * @param {string|null} url - 対象のURL
+ * @returns {string|null} オリジン（URLとして解析できない場合はnull）
+ * 
+ */
+function originOf(url) {
 	try {
-		errors = JSON.parse(decodeURIComponent(errorsParam));
+		return new URL(url).origin;
 	} catch(e) {
-		console.error('エラーデータの解析に失敗:', e);
+		return null;
+	}
+}
+
+/**
+ * エラーがトップフレームと異なるオリジンのiframeで発生したかを判定する関数
+ * 
+ * 広告やウィジェットなどのフレームを折りたたんで表示するために使う
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {boolean} クロスオリジンのiframeで発生した場合はtrue
+ * 
+ */
+function isCrossOriginFrame(error) {
+	return error.frameId > 0 && !!error.frameOrigin && error.frameOrigin !== originOf(pageUrl);
+}
+
+/**
+ * フレームの絞り込みを適用したエラー情報の配列を返す関数
+ * 
+ * @returns {Array<Object>} 選択中のフレームのエラー情報の配列
+ * 
+ */
+function frameErrors() {
+	if(frameFilter === 'all') {
+		return errors;
+	}
+	return errors.filter(function(error) {
+		return String(error.frameId || 0) === frameFilter;
+	});
+}
+
+/**
+ * エラーの種類を返す関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} 種類（script / resource / csp / deprecation / intervention / network）
+ * 
+ */
+function errorType(error) {
+	return error.type || (error.source === 'network' ? 'network' : 'script');
+}
+
+/**
+ * エラーがチップと検索ボックスの絞り込みに一致するかを判定する関数
+ * 
+ * 検索はメッセージ、エラー名、URL、フレームのURLを対象に、大文字と小文字を区別せず行う
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {boolean} 一致する場合はtrue
+ * 
+ */
+function matchesViewFilters(error) {
+	if(hiddenSeverities[error.severity] || hiddenTypes[errorType(error)]) {
+		return false;
+	}
+	if(!searchQuery) {
+		return true;
+	}
+	var haystack = [error.text, error.name, error.url, error.frameUrl].join('\n').toLowerCase();
+	return haystack.indexOf(searchQuery) !== -1;
+}
+
+/**
+ * 並べ替えの順序に従ってエラーを比較する関数
+ * 
+ * @param {Object} a - エラー情報
+ * @param {Object} b - エラー情報
+ * @returns {number} 比較結果
+ * 
+ */
+function compareErrors(a, b) {
+	var byTime = (b.lastSeen || b.timestamp || 0) - (a.lastSeen || a.timestamp || 0);
+	if(sortOrder === 'count') {
+		return (b.count || 1) - (a.count || 1) || byTime;
+	}
+	return byTime;
+}
+
+/**
+ * フレーム、チップ、検索ボックスの絞り込みと並べ替えを適用したエラー情報の配列を返す関数
+ * 
+ * 表示、AIプロンプト、AIへの質問はこの配列を対象にする
+ * 
+ * @returns {Array<Object>} 表示対象のエラー情報の配列
+ * 
+ */
+function visibleErrors() {
+	return frameErrors().filter(matchesViewFilters).sort(compareErrors);
+}
+
+/**
+ * 重要度と種類の絞り込み用のチップを更新する関数
+ * 
+ * 選択中のフレームのエラーに含まれる重要度と種類のみ、件数とともに表示する
+ * 
+ * @returns {void}
+ * 
+ */
+function renderFilterChips() {
+	var container = document.getElementById('filterChips');
+	if(!container) return;
+	
+	var targetErrors = frameErrors();
+	var counts = {severity: {}, type: {}};
+	targetErrors.forEach(function(error) {
+		counts.severity[error.severity] = (counts.severity[error.severity] || 0) + 1;
+		counts.type[errorType(error)] = (counts.type[errorType(error)] || 0) + 1;
+	});
+	
+	container.textContent = '';
+	[['severity', SEVERITY_CHIP_LABELS, hiddenSeverities], ['type', TYPE_CHIP_LABELS, hiddenTypes]].forEach(function(group) {
+		Object.keys(group[1]).forEach(function(value) {
+			if(!counts[group[0]][value]) {
+				return;
+			}
+			var chip = createElement('button', 'chip ' + group[0] + '-' + value + (group[2][value] ? '' : ' active'), getMessage(group[1][value]) + ' ');
+			chip.type = 'button';
+			chip.dataset.filter = group[0];
+			chip.dataset.value = value;
+			chip.appendChild(createElement('span', 'chip-count', counts[group[0]][value]));
+			container.appendChild(chip);
+		});
+	});
+	container.style.display = targetErrors.length > 0 ? '' : 'none';
+}
+
+/**
+ * フレームの絞り込み用のセレクトボックスを更新する関数
+ * 
+ * エラーが発生したフレームが2つ以上ある場合のみ表示する
+ * 
+ * @returns {void}
+ * 
+ */
+function updateFrameFilter() {
+	var select = document.getElementById('frameFilter');
+	if(!select) return;
+	
+	var frames = {};
+	errors.forEach(function(error) {
+		frames[String(error.frameId || 0)] = frameLabel(error);
+	});
+	var frameIds = Object.keys(frames);
+	if(frameFilter !== 'all' && frameIds.indexOf(frameFilter) === -1) {
+		frameFilter = 'all'; // 選択中のフレームのエラーがなくなった場合
+	}
+	
+	select.textContent = '';
+	select.appendChild(new Option(getMessage('popupAllFrames'), 'all'));
+	frameIds.forEach(function(frameId) {
+		select.appendChild(new Option(frames[frameId], frameId));
+	});
+	select.value = frameFilter;
+	select.style.display = frameIds.length > 1 ? '' : 'none';
+}
+
+/**
+ * エラーグループに保存されたAIの回答の要素を生成する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement|null} 詳細の要素（回答がない場合はnull）
+ * 
+ */
+function createAnswer(error) {
+	if(!error.answer) {
+		return null;
+	}
+	var details = createElement('details', 'answer');
+	details.appendChild(createElement('summary', null, getMessage('popupAnswerSummary', new Date(error.answer.answeredAt).toLocaleTimeString())));
+	var answer = createElement('pre', 'ai-answer');
+	answer.appendChild(createLinkifiedText(error.answer.text));
+	details.appendChild(answer);
+	return details;
+}
+
+/** @type {Object<string, string>} スクリプトエラー以外の種類のピルの表示名 */
+var TYPE_PILL_LABELS = {
+	resource: 'RESOURCE',
+	csp: 'CSP',
+	deprecation: 'DEPRECATION',
+	intervention: 'INTERVENTION'
+};
+
+/**
+ * エラーの種類を表すピルの要素を生成する関数
+ * 
+ * スクリプトエラーは重要度（ERROR / WARNING / INFO）を、それ以外は種類を表示する
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement} ピルの要素
+ * 
+ */
+function createTypePill(error) {
+	var label = TYPE_PILL_LABELS[error.type];
+	if(!label) {
+		var severity = SEVERITY_CHIP_LABELS[error.severity] ? error.severity : 'error';
+		return createElement('span', 'pill ' + severity, severity.toUpperCase());
+	}
+	var pill = createElement('span', 'pill ' + error.type, label);
+	pill.title = String(error.severity);
+	return pill;
+}
+
+/**
+ * 子要素を順に追加する関数
+ * 
+ * @param {Node} parent - 親の要素
+ * @param {Array<Node|null>} children - 子要素（nullは無視する）
+ * @returns {Node} 親の要素
+ * 
+ */
+function appendChildren(parent, children) {
+	children.forEach(function(child) {
+		if(child) {
+			parent.appendChild(child);
+		}
+	});
+	return parent;
+}
+
+/**
+ * スクリプトエラー1件分の要素を生成する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {HTMLElement} エラーの要素
+ * 
+ */
+function createLog(error) {
+	return appendChildren(createElement('div', 'log'), [
+		appendChildren(createElement('div', 'head'), [
+			createTypePill(error),
+			error.count > 1 ? createElement('span', 'count', '×' + error.count) : null,
+			error.frameId > 0 ? createElement('span', 'frame', frameLabel(error)) : null,
+			createElement('span', 'src', formatLocation(error))
+		]),
+		createMessage(formatMessage(error)),
+		createElement('div', 'meta', formatMeta(error)),
+		createStack(error),
+		createBreadcrumbs(error),
+		createAnswer(error)
+	]);
+}
+
+/**
+ * ネットワークエラー1件分の要素を生成する関数
+ * 
+ * @param {Object} error - ネットワークエラーのエラー情報
+ * @returns {HTMLElement} エラーの要素
+ * 
+ */
+function createNetworkLog(error) {
+	var network = error.network;
+	return appendChildren(createElement('div', 'log'), [
+		appendChildren(createElement('div', 'head'), [
+			createElement('span', 'pill network', network.statusCode || 'FAILED'),
+			error.count > 1 ? createElement('span', 'count', '×' + error.count) : null,
+			createElement('span', 'src', network.type + (network.initiator ? ' · ' + network.initiator : ''))
+		]),
+		createMessage(network.method + ' ' + error.url),
+		createElement('div', 'meta', formatNetworkResult(network) + ' · ' + formatMeta(error)),
+		createAnswer(error)
+	]);
+}
+
+/**
+ * ナビゲーションの区切りの要素を生成する関数
+ * 
+ * @param {{url: string, kind: string, startedAt: number}} navigation - ナビゲーションの区切り
+ * @returns {HTMLElement} 区切りの要素
+ * 
+ */
+function createNavigationMarker(navigation) {
+	return appendChildren(createElement('div', 'nav-marker'), [
+		createElement('span', 'nav-kind', getMessage(navigation.kind === 'spa' ? 'navigationSpa' : 'navigationLoad')),
+		createElement('span', 'nav-url', navigation.url || ''),
+		createElement('span', 'nav-time', new Date(navigation.startedAt).toLocaleTimeString())
+	]);
+}
+
+/**
+ * エラーの一覧を、ナビゲーションの区切りごとにまとめて生成する関数
+ * 
+ * 区切りは新しい順に並べ、区切りの中は並べ替えの順序に従う。
+ * エラーが1つのナビゲーションにしかない場合は区切りを表示しない
+ * 
+ * @param {Array<Object>} list - 表示するエラー情報の配列（並べ替え済み）
+ * @param {function(Object): HTMLElement} create - エラー1件分の要素を生成する関数
+ * @returns {Array<HTMLElement>} 要素の配列
+ * 
+ */
+function createByNavigation(list, create) {
+	var groups = {};
+	list.forEach(function(error) {
+		(groups[error.navigationId] = groups[error.navigationId] || []).push(error);
+	});
+	if(Object.keys(groups).length <= 1) {
+		return list.map(create);
 	}
+	
+	var elements = [];
+	navigations.slice().reverse().forEach(function(navigation) {
+		if(groups[navigation.id]) {
+			elements.push(createNavigationMarker(navigation));
+			elements = elements.concat(groups[navigation.id].map(create));
+			delete groups[navigation.id];
+		}
+	});
+	// 区切りが削除済みのエラーは最後にまとめる
+	Object.keys(groups).forEach(function(navigationId) {
+		elements = elements.concat(groups[navigationId].map(create));
+	});
+	return elements;
+}
+
+/**
+ * カテゴリの見出しの要素を生成する関数
+ * 
+ * @param {string} text - 見出し
+ * @returns {HTMLElement} 見出しの要素
+ * 
+ */
+function createHeading(text) {
+	var heading = createElement('div');
+	heading.style.marginBottom = '15px';
+	heading.appendChild(createElement('strong', null, text));
+	return heading;
 }
 
 /**
  * エラーを表示する関数
  * 
- * エラー情報をHTMLとして生成し、指定されたコンテナに表示する
- * エラーが1件の場合はそのまま表示し、2件以上の場合は、最初の1件のみ表示して「もっと見る」ボタンを提供する
+ * スクリプトエラーとネットワークエラーを別々のカテゴリとして、要素を生成し指定されたコンテナに表示する
+ * スクリプトエラーが1件の場合はそのまま表示し、2件以上の場合は、最初の1件のみ表示して「もっと見る」ボタンを提供する
+ * クロスオリジンのiframeのエラーはオリジンごとに折りたたんで表示する
+ * 複数のナビゲーションのエラーがある場合は、ナビゲーションの区切りごとにまとめて表示する
  * 
  * @returns {void}
  * 
  */
 function displayErrors() {
 	var container = document.getElementById('newErrorInfo');
+	var shownErrors = visibleErrors();
+	var scriptErrors = shownErrors.filter(function(error) {
+		return error.source !== 'network' && !isCrossOriginFrame(error);
+	});
+	var networkErrors = shownErrors.filter(function(error) {
+		return error.source === 'network';
+	});
 	
-	if(errors.length === 0) {
-		container.innerHTML = '<div class="empty">エラーは発生していません</div>';
+	// クロスオリジンのiframeのエラーをオリジンごとにまとめる
+	var crossOriginErrors = {};
+	shownErrors.forEach(function(error) {
+		if(error.source !== 'network' && isCrossOriginFrame(error)) {
+			(crossOriginErrors[error.frameOrigin] = crossOriginErrors[error.frameOrigin] || []).push(error);
+		}
+	});
+	
+	updateFrameFilter();
+	renderFilterChips();
+	
+	container.textContent = '';
+	if(shownErrors.length === 0) {
+		container.appendChild(createElement('div', 'empty', getMessage(errors.length > 0 ? 'noMatchingErrors' : 'noErrors')));
 		return;
 	}
 	
-	var html = '<div style="margin-bottom: 15px;"><strong>検出されたエラー (' + errors.length + '件):</strong></div>';
+	if(scriptErrors.length > 0) {
+		container.appendChild(createHeading(getMessage('popupDetectedErrors', scriptErrors.length)));
+		
+		// エラー表示エリア（スクロール可能）
+		var errorsContainer = appendChildren(createElement('div', 'errors-container'), createByNavigation(scriptErrors, createLog));
+		container.appendChild(errorsContainer);
+		
+		// エラーが2件以上ある場合は「もっと見る」ボタンを表示
+		if(scriptErrors.length > 1) {
+			var showMoreBtn = createElement('button', 'show-more-btn', getMessage('popupShowMore', scriptErrors.length - 1));
+			showMoreBtn.id = 'showMoreBtn';
+			container.appendChild(appendChildren(createElement('div', 'show-more-container'), [showMoreBtn]));
+			setupShowMore(showMoreBtn, errorsContainer, scriptErrors.length);
+		}
+	}
 	
-	// エラー表示エリア（スクロール可能）
-	html += '<div class="errors-container">';
+	// クロスオリジンのiframeのエラーは折りたたんで表示
+	Object.keys(crossOriginErrors).forEach(function(origin) {
+		container.appendChild(appendChildren(createElement('details', 'frame-group'), [
+			createElement('summary', null, getMessage('popupFrameGroup', [origin, crossOriginErrors[origin].length])),
+			appendChildren(createElement('div', 'errors-container'), crossOriginErrors[origin].map(createLog))
+		]));
+	});
+	
+	// ネットワークエラーは別カテゴリとして表示
+	if(networkErrors.length > 0) {
+		container.appendChild(createHeading(getMessage('popupNetworkErrors', networkErrors.length)));
+		container.appendChild(appendChildren(createElement('div', 'errors-container network-container'), createByNavigation(networkErrors, createNetworkLog)));
+	}
+}
+
+/**
+ * 「もっと見る」ボタンの機能を設定する関数
+ * 
+ * 初期状態では最初の1件（とその区切り）のみ表示し、ボタンで残りの表示を切り替える
+ * 
+ * @param {HTMLElement} showMoreBtn - 「もっと見る」ボタン
+ * @param {HTMLElement} errorsContainer - エラー表示エリア
+ * @param {number} count - スクリプトエラーの件数
+ * @returns {void}
+ * 
+ */
+function setupShowMore(showMoreBtn, errorsContainer, count) {
+	var errorLogs = errorsContainer.children;
+	var firstLog = Array.prototype.findIndex.call(errorLogs, function(element) {
+		return element.classList.contains('log');
+	});
+	for(var i = firstLog + 1; i < errorLogs.length; i++) {
+		errorLogs[i].style.display = 'none';
+	}
+	
+	// 表示状態はボタンの文言ではなくフラグで判定する（文言は表示言語によって変わる）
+	var expanded = false;
+	showMoreBtn.onclick = function() {
+		expanded = !expanded;
+		if(expanded) {
+			// すべて表示
+			for(var i = 0; i < errorLogs.length; i++) {
+				errorLogs[i].style.display = '';
+			}
+			showMoreBtn.textContent = getMessage('popupShowLess');
+		} else {
+			// 最初の1件のみ表示
+			for(var i = 0; i < errorLogs.length; i++) {
+				errorLogs[i].style.display = i <= firstLog ? '' : 'none';
+			}
+			showMoreBtn.textContent = getMessage('popupShowMore', count - 1);
+		}
+	};
+}
+
+/**
+ * エラーのスタックフレームをソースマップで解決する関数
+ * 
+ * 解決はService Workerに依頼し、ソースマップはスクリプトURL単位でキャッシュされる
+ * 
+ * @returns {Promise<void>} 解決完了を示すPromise
+ * 
+ */
+async function resolveSourceMaps() {
+	await Promise.all(errors.map(async function(error) {
+		if(error.frames && error.frames.length > 0) {
+			error.frames = await chrome.runtime.sendMessage({
+				_resolveFrames: true,
+				frames: error.frames
+			});
+		}
+	}));
+}
+
+/**
+ * テンプレートピッカーを初期化する関数
+ * 
+ * 保存されているテンプレートを選択肢として表示し、既定のテンプレートを選択状態にする
+ * 
+ * @returns {Promise<void>} 初期化完了を示すPromise
+ * 
+ */
+async function initTemplatePicker() {
+	var picker = document.getElementById('templatePicker');
+	if(!picker) return;
 	
-	errors.forEach(function(error, index) {
-		html += '<div class="log">';
-		html += '<div class="head">';
-		html += '<span class="pill error">ERROR</span>';
-		html += '<span class="src">' + (error.url || 'unknown') + (error.line ? ':' + error.line : '') + '</span>';
-		html += '</div>';
-		html += '<div class="msg">' + (error.text || 'Unknown error') + '</div>';
-		html += '</div>';
+	var library = await loadPromptTemplates();
+	library.templates.forEach(function(template) {
+		var option = document.createElement('option');
+		option.value = template.id;
+		option.textContent = template.name;
+		picker.appendChild(option);
 	});
+	picker.value = library.defaultId;
+	selectedTemplateId = picker.value;
 	
-	html += '</div>';
+	picker.onchange = function() {
+		selectedTemplateId = picker.value;
+		updatePrompt();
+	};
+}
+
+/**
+ * テキストエリアにAIプロンプトを設定する関数
+ * 
+ * @returns {Promise<void>} 設定完了を示すPromise
+ * 
+ */
+async function updatePrompt() {
+	var promptArea = document.getElementById('promptArea');
+	if(promptArea) {
+		promptArea.value = visibleErrors().length > 0 ? await generateAIPrompt(visibleErrors(), pageUrl, selectedTemplateId) : '';
+		updateRedactionPreview();
+	}
+}
+
+/**
+ * コピー・送信するプロンプトを返す関数
+ * 
+ * テキストエリアで編集された内容にも、もう一度伏せる処理を適用する
+ * 
+ * @returns {string} 伏せたプロンプト
+ * 
+ */
+function promptToSend() {
+	return redactText(document.getElementById('promptArea').value, redactionSettings);
+}
+
+/**
+ * コピー・送信するプロンプトで伏せた情報の種類と件数を表示する関数
+ * 
+ * @returns {void}
+ * 
+ */
+function updateRedactionPreview() {
+	var preview = document.getElementById('redactionPreview');
+	if(!preview) return;
 	
-	// エラーが2件以上ある場合は「もっと見る」ボタンを表示
-	if(errors.length > 1) {
-		html += '<div class="show-more-container">';
-		html += '<button id="showMoreBtn" class="show-more-btn">もっと見る (' + (errors.length - 1) + '件)</button>';
-		html += '</div>';
+	var counts = countRedactions(promptToSend());
+	var labels = Object.keys(counts);
+	preview.textContent = labels.length > 0 ? getMessage('popupRedactionPreview', labels.map(function(label) {
+		return getMessage(REDACTION_LABEL_MESSAGES[label] || 'redactionCustom') + ' ×' + counts[label];
+	}).join(' · ')) : '';
+	preview.style.display = labels.length > 0 ? '' : 'none';
+}
+
+/**
+ * テキストエリアのAIプロンプトを設定された送信先に送信する関数
+ * 
+ * 回答はストリーミングで表示し、受信が完了したらプロンプトに含めたエラーグループに保存する。
+ * 送信中に呼び出した場合は送信を中断する
+ * 
+ * @returns {Promise<void>} 完了を示すPromise
+ * 
+ */
+async function askAiAboutErrors() {
+	if(askController) {
+		askController.abort();
+		return;
+	}
+	var targetErrors = visibleErrors();
+	if(targetErrors.length === 0) {
+		return;
 	}
 	
-	container.innerHTML = html;
+	var button = document.getElementById('askAiButton');
+	var status = document.getElementById('askAiStatus');
+	var answerArea = document.getElementById('aiAnswer');
+	askController = new AbortController();
+	button.textContent = getMessage('popupStop');
+	status.textContent = getMessage('popupWaitingForAnswer');
+	answerArea.textContent = '';
+	answerArea.style.display = 'block';
 	
-	// 「もっと見る」ボタンの機能
-	if(errors.length > 1) {
-		var showMoreBtn = document.getElementById('showMoreBtn');
-		var errorsContainer = container.querySelector('.errors-container');
-		
-		// 初期状態では最初の1件のみ表示
-		var errorLogs = errorsContainer.querySelectorAll('.log');
-		for(var i = 1; i < errorLogs.length; i++) {
-			errorLogs[i].style.display = 'none';
-		}
+	try {
+		var endpoint = await askAI(promptToSend(), redactValue({
+			pageUrl: pageUrl,
+			errors: targetErrors.map(toReportRecord)
+		}, redactionSettings), function(delta) {
+			answerArea.textContent += delta;
+			answerArea.scrollTop = answerArea.scrollHeight;
+		}, askController.signal);
+		status.textContent = '';
 		
-		showMoreBtn.onclick = function() {
-			if(showMoreBtn.textContent.includes('もっと見る')) {
-				// すべて表示
-				for(var i = 0; i < errorLogs.length; i++) {
-					errorLogs[i].style.display = 'block';
+		if(answerArea.textContent) {
+			chrome.runtime.sendMessage({
+				_saveAnswer: true,
+				tabId: tabId,
+				groups: targetErrors.map(function(error) {
+					return {fingerprint: error.fingerprint, frameId: error.frameId, navigationId: error.navigationId};
+				}),
+				answer: {
+					text: answerArea.textContent,
+					endpoint: endpoint.url,
+					model: endpoint.model || null,
+					answeredAt: Date.now()
 				}
-				showMoreBtn.textContent = '折りたたむ';
-			} else {
-				// 最初の1件のみ表示
-				for(var i = 0; i < errorLogs.length; i++) {
-					errorLogs[i].style.display = i < 1 ? 'block' : 'none';
-				}
-				showMoreBtn.textContent = 'もっと見る (' + (errors.length - 1) + '件)';
-			}
-		};
+			});
+		}
+	} catch(e) {
+		status.textContent = e.name === 'AbortError' ? getMessage('popupAborted') : e.message;
+	} finally {
+		askController = null;
+		button.textContent = getMessage('popupAskAi');
 	}
 }
 
 /**
- * AIプロンプトを生成する関数
+ * エラー一覧を描画する関数
  * 
- * 設定からAIプロンプトテンプレートを取得し、エラー情報を埋め込んで、完全なAIプロンプトを生成する
- * {error}プレースホルダーがエラー情報に置き換えられる
+ * エラー情報とAIプロンプトをすぐに表示し、ソースマップの解決後にもう一度表示する
+ * 描画中に新しいエラー一覧が届いた場合、古い解決結果では上書きしない
  * 
- * @returns {Promise<string>} 生成されたAIプロンプト
+ * @param {Array<Object>} newErrors - 表示するエラー情報の配列
+ * @param {string|null} url - タブで読み込まれているページのURL
+ * @param {Array<Object>} [newNavigations] - エラーストアのナビゲーションの区切り
+ * @returns {Promise<void>} 描画完了を示すPromise
  * 
  */
-async function generateAIPrompt() {
-	var aiPromptTemplate = await getStorageValue('aiPromptTemplate', '以下のJavaScriptエラーを解析して修正方法を教えてください：\n\n{error}');
+async function renderErrors(newErrors, url, newNavigations) {
+	var generation = ++renderGeneration;
+	errors = newErrors;
+	pageUrl = url;
+	navigations = newNavigations || [];
+	displayErrors();
+	await updatePrompt();
 	
-	var errorText = errors.map(function(error) {
-		return 'エラー: ' + (error.text || 'Unknown error') + '\n場所: ' + (error.url || 'unknown') + (error.line ? ':' + error.line : '');
-	}).join('\n\n');
+	if(errors.length === 0) {
+		return;
+	}
 	
-	return aiPromptTemplate.replace('{error}', errorText);
+	// ソースマップで元の位置を解決できたら表示とプロンプトを更新
+	await resolveSourceMaps();
+	if(generation === renderGeneration) {
+		displayErrors();
+		await updatePrompt();
+	}
 }
 
 /**
  * ページ読み込み時の初期化処理
  * 
  * DOMContentLoadedイベントで実行され、以下の処理を行う
- * 1. エラー情報の表示
- * 2. AIプロンプトの生成とテキストエリアへの設定
- * 3. コピーアイコンのイベントリスナー設定
+ * 1. 表示言語を読み込んでポップアップを翻訳し、テンプレートピッカーの初期化と、コピーアイコン、クリアボタン、エクスポート、絞り込み（フレーム、チップ、検索）、並べ替えのイベントリスナー設定
+ * 2. Service Workerのエラーストアからエラー一覧を取得して表示
+ * 3. エラーストアを購読し、ポップアップ表示中に発生したエラーを反映
  * 
  * @returns {Promise<void>} 初期化完了を示すPromise
  * 
  */
 document.addEventListener('DOMContentLoaded', async function() {
-	// エラーを表示
-	displayErrors();
+	await loadLanguage();
+	localizePage(document);
+	tabId = await getTargetTabId();
+	redactionSettings = await loadRedactionSettings();
+	await initTemplatePicker();
 	
-	// テキストエリアにAIプロンプトを設定
+	// コピーアイコンの機能（編集された内容も伏せてからコピーする）
 	var promptArea = document.getElementById('promptArea');
-	if(promptArea && errors.length > 0) {
-		var aiPrompt = await generateAIPrompt();
-		promptArea.value = aiPrompt;
-	}
-	
-	// コピーアイコンの機能
 	var copyIcon = document.getElementById('copyIcon');
 	if(copyIcon) {
 		copyIcon.onclick = function() {
-			copyToClipboard(promptArea.value);
+			copyToClipboard(promptToSend());
+		};
+	}
+	if(promptArea) {
+		promptArea.oninput = updateRedactionPreview;
+	}
+	
+	// AIに質問ボタンの機能
+	var askAiButton = document.getElementById('askAiButton');
+	if(askAiButton) {
+		askAiButton.onclick = askAiAboutErrors;
+	}
+	
+	// クリアボタンの機能（表示は購読による通知で更新される）
+	var clearButton = document.getElementById('clearButton');
+	if(clearButton) {
+		clearButton.onclick = function() {
+			chrome.runtime.sendMessage({
+				_clearErrors: true,
+				tabId: tabId
+			});
+		};
+	}
+	
+	// 履歴ボタンの機能（ダッシュボードを新しいタブで開く）
+	var historyButton = document.getElementById('historyButton');
+	if(historyButton) {
+		historyButton.onclick = function() {
+			chrome.tabs.create({url: chrome.runtime.getURL('dashboard.html')});
 		};
 	}
+	
+	// エクスポート（形式を選ぶとダウンロードし、選択を元に戻す）
+	var exportSelect = document.getElementById('exportFormat');
+	if(exportSelect) {
+		exportSelect.onchange = function() {
+			if(exportSelect.value && errors.length > 0) {
+				downloadErrors(exportSelect.value, errors, pageUrl);
+			}
+			exportSelect.value = '';
+		};
+	}
+	
+	// 重要度と種類のチップ（クリックで表示・非表示を切り替える）
+	var filterChips = document.getElementById('filterChips');
+	if(filterChips) {
+		filterChips.onclick = function(e) {
+			var chip = e.target.closest('.chip');
+			if(!chip) return;
+			var hidden = chip.dataset.filter === 'severity' ? hiddenSeverities : hiddenTypes;
+			hidden[chip.dataset.value] = !hidden[chip.dataset.value];
+			displayErrors();
+			updatePrompt();
+		};
+	}
+	
+	// 検索ボックス
+	var searchBox = document.getElementById('searchBox');
+	if(searchBox) {
+		searchBox.oninput = function() {
+			searchQuery = searchBox.value.trim().toLowerCase();
+			displayErrors();
+			updatePrompt();
+		};
+	}
+	
+	// 並べ替え
+	var sortSelect = document.getElementById('sortOrder');
+	if(sortSelect) {
+		sortSelect.onchange = function() {
+			sortOrder = sortSelect.value;
+			displayErrors();
+			updatePrompt();
+		};
+	}
+	
+	// フレームの絞り込み
+	var frameFilterSelect = document.getElementById('frameFilter');
+	if(frameFilterSelect) {
+		frameFilterSelect.onchange = function() {
+			frameFilter = frameFilterSelect.value;
+			displayErrors();
+			updatePrompt();
+		};
+	}
+	
+	// エラーストアの変更を購読
+	var port = chrome.runtime.connect({name: 'subscribe'});
+	port.onMessage.addListener(function(data) {
+		if(data._errorsChanged && data.tabId === tabId) {
+			renderErrors(data.errors, data.url, data.navigations);
+		}
+	});
+	port.postMessage({
+		_subscribe: true,
+		tabId: tabId
+	});
+	
+	// 現在のエラーを表示
+	var store = await chrome.runtime.sendMessage({
+		_getErrors: true,
+		tabId: tabId
+	});
+	await renderErrors(store.errors, store.url, store.navigations);
 });
 
@@ -0,0 +1,316 @@
+/**
+ * prompt.jsは、エラー情報の整形とAIプロンプトの生成を行う機能を提供する
+ * popup.htmlから読み込まれるほか、キーボードショートカットとコンテキストメニューのために
+ * background.jsからもimportScriptsで読み込まれる（テンプレートの描画にtemplate.jsを、文言の取得にi18n.jsを、設定の取得にsettings.jsを、
+ * 秘密情報や個人情報を伏せるためにredact.jsを使う）
+ * 
+ * 主な機能：
+ * 1. エラー情報の整形
+ *    - メッセージ、発生場所、スタックフレーム、ソースコードの抜粋、パンくずリストの整形
+ * 
+ * 2. AIプロンプト生成
+ *    - テンプレートに埋め込む値の作成（使用できるプレースホルダーはtemplate.jsを参照）
+ *    - 保存されているテンプレートの取得と、エラー情報の埋め込み
+ *    - 外部のAIに渡る前の、生成したプロンプト全体の秘密情報や個人情報の伏せ字化
+ * 
+ */
+
+/**
+ * エラーの発生場所を「URL:行:列」形式に整形する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} 発生場所
+ * 
+ */
+function formatLocation(error) {
+	// 先頭フレームが発生場所と一致し、ソースマップで解決済みの場合は元の位置を表示する
+	var top = (error.frames || [])[0];
+	if(top && top.original && top.url === error.url && top.line === error.line) {
+		return formatFrameLocation(top.original);
+	}
+	return (error.url || 'unknown') + (error.line ? ':' + error.line + (error.col ? ':' + error.col : '') : '');
+}
+
+/**
+ * エラーメッセージを整形する関数
+ * 
+ * エラー名がメッセージに含まれていない場合は先頭に付与する
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} メッセージ
+ * 
+ */
+function formatMessage(error) {
+	var text = error.text || 'Unknown error';
+	if(error.name && text.indexOf(error.name) === -1) {
+		text = error.name + ': ' + text;
+	}
+	return text;
+}
+
+/**
+ * フレームの位置を「URL:行:列」形式に整形する関数
+ * 
+ * @param {Object} frame - スタックフレーム、またはソースマップで解決した元の位置
+ * @returns {string} 位置
+ * 
+ */
+function formatFrameLocation(frame) {
+	return frame.url + (frame.line ? ':' + frame.line + (frame.col ? ':' + frame.col : '') : '');
+}
+
+/**
+ * スタックフレームを「at 関数名 (URL:行:列)」形式に整形する関数
+ * 
+ * ソースマップで解決済みの場合は元のファイル・行・列・関数名を使う
+ * 
+ * @param {Object} frame - スタックフレーム
+ * @returns {string} 整形したフレーム
+ * 
+ */
+function formatFrame(frame) {
+	var position = frame.original || frame;
+	var func = position.func || frame.func;
+	var location = formatFrameLocation(position);
+	return 'at ' + (func ? func + ' (' + location + ')' : location);
+}
+
+/**
+ * ソースマップから取り出したソースコードの抜粋を整形する関数
+ * 
+ * 該当行には「>」を付ける
+ * 
+ * @param {Object} original - ソースマップで解決した元の位置
+ * @returns {string} 行番号付きの抜粋（抜粋がない場合は空文字）
+ * 
+ */
+function formatSourceContext(original) {
+	if(!original || !original.context) {
+		return '';
+	}
+	var lastLine = original.context.startLine + original.context.lines.length - 1;
+	var width = String(lastLine).length;
+	return original.context.lines.map(function(text, index) {
+		var line = original.context.startLine + index;
+		var number = String(line);
+		while(number.length < width) {
+			number = ' ' + number;
+		}
+		return (line === original.line ? '> ' : '  ') + number + ' | ' + text;
+	}).join('\n');
+}
+
+/**
+ * パンくずリストの項目を「[-秒数] 種類: 内容」形式に整形する関数
+ * 
+ * @param {Object} breadcrumb - パンくずリストの項目
+ * @param {number} timestamp - 基準となるエラーの発生時刻（ミリ秒）
+ * @returns {string} 整形した項目
+ * 
+ */
+function formatBreadcrumb(breadcrumb, timestamp) {
+	var seconds = ((timestamp - breadcrumb.timestamp) / 1000).toFixed(1);
+	return getMessage('breadcrumbLine', [seconds, breadcrumb.category, breadcrumb.message]);
+}
+
+/**
+ * エラーが発生したフレームの表示名を返す関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} フレームの表示名（トップフレームは「トップフレーム」）
+ * 
+ */
+function frameLabel(error) {
+	if(!error.frameId) {
+		return getMessage('frameTop');
+	}
+	return 'iframe: ' + (error.frameOrigin || error.frameUrl || '#' + error.frameId);
+}
+
+/**
+ * ネットワークエラーの結果（ステータスコードまたはネットワークエラー文字列）を整形する関数
+ * 
+ * @param {Object} network - ネットワークエラーの詳細
+ * @returns {string} 結果
+ * 
+ */
+function formatNetworkResult(network) {
+	return network.statusCode ? network.statusCode + ' ' + (network.statusText || '') : network.error;
+}
+
+/**
+ * エラー1件分をAIプロンプト用のテキストに整形する関数
+ * 
+ * メッセージ、場所、フレーム、発生回数、スタックトレース、ソースコードの抜粋、cause、直前の操作を含める
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} 整形したテキスト
+ * 
+ */
+function formatPromptError(error) {
+	if(error.source === 'network') {
+		return getMessage('promptNetworkError', error.network.method + ' ' + error.url + ' (' + formatNetworkResult(error.network) + ')') + (error.count > 1 ? '\n' + getMessage('promptCount', error.count) : '');
+	}
+	var text = getMessage('promptError', formatMessage(error)) + '\n' + getMessage('promptLocation', formatLocation(error));
+	if(error.frameId > 0) {
+		text += '\n' + getMessage('promptFrame', error.frameUrl || frameLabel(error));
+	}
+	if(error.count > 1) {
+		text += '\n' + getMessage('promptCount', error.count);
+	}
+	if(error.frames && error.frames.length > 0) {
+		text += '\n' + getMessage('promptStack') + '\n' + formatPromptStack(error);
+		
+		var context = formatPromptSourceContext(error);
+		if(context) {
+			text += '\n' + getMessage('promptSourceContext', context);
+		}
+	}
+	(error.cause || []).forEach(function(cause) {
+		text += '\n' + getMessage('promptCause', (cause.name ? cause.name + ': ' : '') + cause.text);
+	});
+	var breadcrumbs = formatPromptBreadcrumbs(error);
+	if(breadcrumbs) {
+		text += '\n' + getMessage('promptBreadcrumbs') + '\n' + breadcrumbs;
+	}
+	return text;
+}
+
+/**
+ * エラーの直前の操作（パンくずリスト）をAIプロンプト用に整形する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} 1行1項目のタイムライン（パンくずリストがない場合は空文字）
+ * 
+ */
+function formatPromptBreadcrumbs(error) {
+	return (error.breadcrumbs || []).map(function(breadcrumb) {
+		return '    ' + formatBreadcrumb(breadcrumb, error.timestamp);
+	}).join('\n');
+}
+
+/**
+ * エラーのスタックトレースをAIプロンプト用に整形する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} 1行1フレームのスタックトレース（フレームがない場合は空文字）
+ * 
+ */
+function formatPromptStack(error) {
+	return (error.frames || []).map(function(frame) {
+		return '    ' + formatFrame(frame);
+	}).join('\n');
+}
+
+/**
+ * ソースマップで解決できた最初のフレームのソースコードの抜粋を整形する関数
+ * 
+ * @param {Object} error - エラー情報
+ * @returns {string} 「(場所):」に続く抜粋（解決できたフレームがない場合は空文字）
+ * 
+ */
+function formatPromptSourceContext(error) {
+	var resolved = (error.frames || []).find(function(frame) {
+		return frame.original && frame.original.context;
+	});
+	if(!resolved) {
+		return '';
+	}
+	return '(' + formatFrameLocation(resolved.original) + '):\n' + formatSourceContext(resolved.original);
+}
+
+/**
+ * テンプレートに埋め込む値を作成する関数
+ * 
+ * 使用できるプレースホルダーはtemplate.jsを参照
+ * 
+ * @param {Array<Object>} targetErrors - プロンプトに含めるエラー情報の配列
+ * @param {string|null} pageUrl - エラーが発生したページのURL
+ * @returns {Object} テンプレートに埋め込む値
+ * 
+ */
+function buildPromptContext(targetErrors, pageUrl) {
+	var toScope = function(error, index) {
+		return {
+			index: index + 1,
+			message: error.source === 'network' ? error.network.method + ' ' + error.url + ' (' + formatNetworkResult(error.network) + ')' : formatMessage(error),
+			name: error.name || '',
+			location: formatLocation(error),
+			severity: error.severity,
+			source: error.source,
+			type: error.type || '',
+			count: error.count || 1,
+			frame: error.frameId > 0 ? error.frameUrl || frameLabel(error) : '',
+			stack: formatPromptStack(error),
+			sourceContext: formatPromptSourceContext(error),
+			breadcrumbs: formatPromptBreadcrumbs(error),
+			text: formatPromptError(error)
+		};
+	};
+	var scriptErrors = targetErrors.filter(function(error) {
+		return error.source !== 'network';
+	}).map(toScope);
+	var networkErrors = targetErrors.filter(function(error) {
+		return error.source === 'network';
+	}).map(toScope);
+	
+	var first = function(key) {
+		var found = scriptErrors.find(function(scope) {
+			return scope[key];
+		});
+		return found ? found[key] : '';
+	};
+	return {
+		errors: scriptErrors,
+		network: networkErrors,
+		error: scriptErrors.concat(networkErrors),
+		stack: first('stack'),
+		sourceContext: first('sourceContext'),
+		pageUrl: pageUrl || '',
+		userAgent: navigator.userAgent,
+		timestamp: new Date().toLocaleString()
+	};
+}
+
+/**
+ * 保存されているAIプロンプトテンプレートの一覧を取得する関数
+ * 
+ * 編集されていない既定のテンプレートは表示言語の名前と本文にする
+ * 
+ * @returns {Promise<{templates: Array<{id: string, name: string, body: string}>, defaultId: string}>} テンプレートの一覧と既定のテンプレートID
+ * 
+ */
+async function loadPromptTemplates() {
+	var settings = await loadSettings(['aiPromptTemplates', 'defaultTemplateId']);
+	return {
+		templates: settings.aiPromptTemplates.length > 0 ? localizePromptTemplates(settings.aiPromptTemplates) : defaultPromptTemplates(),
+		defaultId: settings.defaultTemplateId
+	};
+}
+
+/**
+ * AIプロンプトを生成する関数
+ * 
+ * 指定されたテンプレート（未指定の場合は既定のテンプレート）を取得し、
+ * エラー情報を埋め込んで、完全なAIプロンプトを生成する。
+ * エラー情報は記録時に伏せてあるが、記録後に追加したルールやページのURL、ソースコードの抜粋にも適用するため、生成したプロンプト全体をもう一度伏せる
+ * 
+ * @param {Array<Object>} targetErrors - プロンプトに含めるエラー情報の配列
+ * @param {string|null} pageUrl - エラーが発生したページのURL
+ * @param {string|null} [templateId] - 使用するテンプレートのID
+ * @returns {Promise<string>} 生成されたAIプロンプト（テンプレートの構文が不正な場合はその旨のメッセージ）
+ * 
+ */
+async function generateAIPrompt(targetErrors, pageUrl, templateId) {
+	var library = await loadPromptTemplates();
+	var redaction = await loadRedactionSettings();
+	var template = library.templates.find(function(template) {
+		return template.id === (templateId || library.defaultId);
+	}) || library.templates[0];
+	
+	try {
+		return redactText(renderTemplate(template.body, buildPromptContext(targetErrors, pageUrl)), redaction);
+	} catch(e) {
+		return getMessage('promptTemplateInvalid', [template.name, e.message]);
+	}
+}
@@ -0,0 +1,327 @@
+/**
+ * redact.jsは、エラー情報に含まれる秘密情報や個人情報を伏せる共通機能を提供する
+ * content.js（コンテンツスクリプト）、background.js（importScripts）、popup.html、options.htmlから読み込まれる
+ *
+ * 主な機能：
+ * 1. 組み込みの検出器
+ *    - JWT、APIキー（OpenAI、AWS、GitHub、Slack、Google、Stripe、Bearerトークン）、メールアドレス、
+ *      クレジットカード番号（Luhnのチェックディジットで確認）、設定したクエリパラメータの値
+ *
+ * 2. ユーザー定義のルール
+ *    - オプションページで設定した正規表現（redactionRules）に一致する部分
+ *
+ * 3. 適用
+ *    - 文字列、エラー情報（スタックトレース、パンくずリストなどを含むすべての文字列）の置き換え
+ *    - スタックフレームの元のURLの保持（ソースマップの取得とSourcesパネル用。拡張機能の外に出す前に取り除く）
+ *    - 置き換えた箇所の種類ごとの件数（ポップアップのコピー前のプレビュー用）
+ *
+ * 伏せた部分は「[REDACTED:種類]」に置き換える。置き換えた結果をもう一度通しても変わらない
+ */
+
+/**
+ * 伏せる処理の設定のキー（型とデフォルト値はsettings.jsのSETTINGS_SCHEMA）
+ *
+ * redactionDetectors（組み込みの検出器ごとの有効・無効）、redactionQueryParams（値を伏せるクエリパラメータ名）、
+ * redactionRules（伏せる部分の正規表現）
+ *
+ * @type {Array<string>}
+ */
+var REDACTION_SETTING_KEYS = ['redactionDetectors', 'redactionQueryParams', 'redactionRules'];
+
+/**
+ * 組み込みの検出器（適用順）
+ *
+ * labelは置き換え後の「[REDACTED:label]」に使う。
+ * patternsの正規表現は、前置き（Bearerなど）を残す場合のみ1番目のグループに前置きを取る。
+ * validateは一致した文字列（と文字列中の位置、対象の文字列全体）を確かめ、falseの場合は置き換えない
+ *
+ * @type {Array<{type: string, label: string, patterns: Array<RegExp>, validate: function(string, number, string): boolean}>}
+ */
+var REDACTION_DETECTORS = [
+	{
+		type: 'jwt',
+		label: 'JWT',
+		patterns: [/\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g]
+	},
+	{
+		type: 'apiKey',
+		label: 'API_KEY',
+		patterns: [
+			/\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g,
+			/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+			/\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+			/\bgithub_pat_[A-Za-z0-9_]{22,}/g,
+			/\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+			/\bAIza[0-9A-Za-z_-]{35}/g,
+			/\b(?:sk|pk|rk)_(?:live|test)_[0-9A-Za-z]{16,}/g,
+			/(\bBearer\s+)(?!\[REDACTED)[A-Za-z0-9._~+/-]{8,}=*/gi
+		]
+	},
+	{
+		type: 'email',
+		label: 'EMAIL',
+		patterns: [/[A-Za-z0-9._%+-]+@[A-Za-z][A-Za-z0-9-]*(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g],
+		validate: function(value, offset, text) {
+			// URLのパス中の「logo@2x.png」のようなファイル名はメールアドレスとして扱わない
+			return !(REDACTION_FILE_EXTENSION.test(value) && isInUrlPath(text, offset));
+		}
+	},
+	{
+		type: 'creditCard',
+		label: 'CARD',
+		patterns: [/\b[2-6](?:[ -]?\d){12,18}\b/g],
+		validate: function(value) {
+			return passesLuhn(value.replace(/[ -]/g, ''));
+		}
+	}
+];
+
+/** @type {RegExp} メールアドレスと紛らわしいファイル名の拡張子 */
+var REDACTION_FILE_EXTENSION = /\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico|js|mjs|cjs|css|map|json|html?|xml|txt|pdf|woff2?|ttf|otf|eot|mp3|mp4|webm|wasm)$/i;
+
+/** @type {string} クエリパラメータの値を置き換えた場合の種類のラベル */
+var REDACTION_PARAM_LABEL = 'PARAM';
+
+/** @type {string} ユーザー定義のルールで置き換えた場合の種類のラベル */
+var REDACTION_CUSTOM_LABEL = 'CUSTOM';
+
+/** @type {Object<string, string>} 種類のラベルごとの表示名のメッセージキー */
+var REDACTION_LABEL_MESSAGES = {
+	JWT: 'redactionJwt',
+	API_KEY: 'redactionApiKey',
+	EMAIL: 'redactionEmail',
+	CARD: 'redactionCreditCard',
+	PARAM: 'redactionQueryParams',
+	CUSTOM: 'redactionCustom'
+};
+
+/** @type {RegExp} 置き換え後の文字列（件数を数えるために使う） */
+var REDACTION_PLACEHOLDER = /\[REDACTED:([A-Z_]+)\]/g;
+
+/**
+ * 数字の列がLuhnのチェックディジットを満たすかを判定する関数
+ *
+ * @param {string} digits - 数字のみの文字列
+ * @returns {boolean} 13〜19桁でチェックディジットが正しい場合はtrue
+ *
+ * @example
+ * passesLuhn('4242424242424242'); // true
+ */
+function passesLuhn(digits) {
+	if(!/^\d{13,19}$/.test(digits)) {
+		return false;
+	}
+	var sum = 0;
+	for(var i = 0; i < digits.length; i++) {
+		var digit = +digits[digits.length - 1 - i];
+		if(i % 2 === 1) {
+			digit *= 2;
+			if(digit > 9) {
+				digit -= 9;
+			}
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+}
+
+/**
+ * 文字列中の位置がURLのパスの中にあるかを判定する関数
+ *
+ * 位置を含む空白区切りの語が「スキーム://」で始まり、位置より前にホストの後の「/」がある場合をパスとみなす
+ *
+ * @param {string} text - 対象の文字列
+ * @param {number} offset - 文字列中の位置
+ * @returns {boolean} URLのパスの中にある場合はtrue
+ *
+ * @example
+ * isInUrlPath('GET https://example.com/img/logo@2x.png', 28); // true
+ */
+function isInUrlPath(text, offset) {
+	var word = text.slice(0, offset).split(/[\s"'<>()]/).pop();
+	return /^[A-Za-z][A-Za-z0-9+.-]*:\/\/[^/]+\//.test(word);
+}
+
+/**
+ * 置き換え後の文字列を返す関数
+ *
+ * @param {string} label - 種類のラベル
+ * @returns {string} 「[REDACTED:label]」
+ *
+ */
+function redactionPlaceholder(label) {
+	return '[REDACTED:' + label + ']';
+}
+
+/**
+ * 値を伏せるクエリパラメータに一致する正規表現を作成する関数
+ *
+ * URLのクエリとハッシュのほか、メッセージ中の「name=value」にも一致する。パラメータ名の大文字と小文字は区別しない。
+ * スタックトレースの位置（「:行:列」）と「)」は値に含めず、伏せた後も残す
+ *
+ * @param {Array<string>} names - クエリパラメータ名
+ * @returns {RegExp|null} 1番目のグループにパラメータ名と「=」を取る正規表現（パラメータ名がない場合はnull）
+ *
+ */
+function queryParamPattern(names) {
+	names = names.filter(Boolean).map(function(name) {
+		return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	});
+	if(names.length === 0) {
+		return null;
+	}
+	return new RegExp('((?:^|[?&#;\\s])(?:' + names.join('|') + ')=)(?!\\[REDACTED)(?:(?!:\\d+(?::\\d+)?(?![^\\s)]))[^&#;\\s"\'<>)])+', 'gi');
+}
+
+/**
+ * 文字列の秘密情報や個人情報を伏せる関数
+ *
+ * クエリパラメータの値、組み込みの検出器、ユーザー定義のルールの順に適用する。
+ * 正規表現として不正なルールは無視する
+ *
+ * @param {string} text - 対象の文字列
+ * @param {Object} settings - 伏せる処理の設定（loadRedactionSettingsの戻り値）
+ * @returns {string} 伏せた文字列
+ *
+ * @example
+ * redactText('GET /api?token=abc123 failed for jane@example.com', settings);
+ * // 'GET /api?token=[REDACTED:PARAM] failed for [REDACTED:EMAIL]'
+ */
+function redactText(text, settings) {
+	if(typeof text !== 'string' || text === '') {
+		return text;
+	}
+	var detectors = settings.redactionDetectors;
+
+	if(detectors.queryParams !== false) {
+		var params = queryParamPattern(settings.redactionQueryParams);
+		if(params) {
+			text = text.replace(params, '$1' + redactionPlaceholder(REDACTION_PARAM_LABEL));
+		}
+	}
+
+	REDACTION_DETECTORS.forEach(function(detector) {
+		if(detectors[detector.type] === false) {
+			return;
+		}
+		detector.patterns.forEach(function(pattern) {
+			text = text.replace(pattern, function(match, prefix) {
+				var offset = arguments[arguments.length - 2];
+				if(detector.validate && !detector.validate(match, offset, text)) {
+					return match;
+				}
+				return (typeof prefix === 'string' ? prefix : '') + redactionPlaceholder(detector.label);
+			});
+		});
+	});
+
+	settings.redactionRules.forEach(function(rule) {
+		var regexp;
+		try {
+			regexp = new RegExp(rule, 'g');
+		} catch(e) {
+			return;
+		}
+		text = text.replace(regexp, function(match) {
+			// 空文字に一致するルールや、置き換え後の文字列に一致するルールで壊さない
+			return match === '' || match.indexOf('[REDACTED:') !== -1 ? match : redactionPlaceholder(REDACTION_CUSTOM_LABEL);
+		});
+	});
+	return text;
+}
+
+/**
+ * 値に含まれるすべての文字列の秘密情報や個人情報を伏せる関数
+ *
+ * エラー情報のメッセージ、URL、スタックトレース、スタックフレーム、causeチェーン、パンくずリストなどをまとめて伏せるために使う。
+ * 元の値は変更せず、伏せた値のコピーを返す
+ *
+ * @param {*} value - 対象の値（文字列、配列、オブジェクト）
+ * @param {Object} settings - 伏せる処理の設定（loadRedactionSettingsの戻り値）
+ * @returns {*} 伏せた値
+ *
+ */
+function redactValue(value, settings) {
+	if(typeof value === 'string') {
+		return redactText(value, settings);
+	}
+	if(Array.isArray(value)) {
+		return value.map(function(item) {
+			return redactValue(item, settings);
+		});
+	}
+	if(value && typeof value === 'object') {
+		var result = {};
+		Object.keys(value).forEach(function(key) {
+			result[key] = redactValue(value[key], settings);
+		});
+		return result;
+	}
+	return value;
+}
+
+/**
+ * エラー情報の秘密情報や個人情報を伏せる関数
+ *
+ * redactValueと同じくすべての文字列を伏せるが、スタックフレームのURLを伏せた場合は、
+ * 署名やトークン付きのURLのスクリプトでもソースマップを取得できるよう、元のURLをフレームのrawUrlに残す。
+ * rawUrlは表示せず、エクスポート、転送、AIへの送信の前にwithoutRawUrlsで取り除く
+ *
+ * @param {Object} error - エラー情報（伏せ済みでもよい）
+ * @param {Object} settings - 伏せる処理の設定（loadRedactionSettingsの戻り値）
+ * @returns {Object} 伏せたエラー情報
+ *
+ */
+function redactError(error, settings) {
+	var redacted = redactValue(error, settings);
+	(error.frames || []).forEach(function(frame, index) {
+		var rawUrl = frame.rawUrl || frame.url;
+		var redactedFrame = redacted.frames[index];
+		delete redactedFrame.rawUrl;
+		if(rawUrl !== redactedFrame.url) {
+			redactedFrame.rawUrl = rawUrl;
+		}
+	});
+	return redacted;
+}
+
+/**
+ * スタックフレームから元のURL（rawUrl）を取り除く関数
+ *
+ * @param {Array<Object>} frames - スタックフレームの配列
+ * @returns {Array<Object>} rawUrlを除いたスタックフレームの配列
+ *
+ */
+function withoutRawUrls(frames) {
+	return (frames || []).map(function(frame) {
+		var copy = Object.assign({}, frame);
+		delete copy.rawUrl;
+		return copy;
+	});
+}
+
+/**
+ * 文字列に含まれる伏せた箇所を種類ごとに数える関数
+ *
+ * @param {string} text - 対象の文字列
+ * @returns {Object<string, number>} 種類のラベルごとの件数（例: {EMAIL: 2, JWT: 1}）
+ *
+ */
+function countRedactions(text) {
+	var counts = {};
+	String(text || '').replace(REDACTION_PLACEHOLDER, function(match, label) {
+		counts[label] = (counts[label] || 0) + 1;
+		return match;
+	});
+	return counts;
+}
+
+/**
+ * 伏せる処理の設定を取得する関数
+ *
+ * @returns {Promise<Object>} 伏せる処理の設定（未設定の項目はデフォルト値）
+ *
+ */
+function loadRedactionSettings() {
+	return loadSettings(REDACTION_SETTING_KEYS);
+}
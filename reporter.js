@@ -0,0 +1,314 @@
+/**
+ * reporter.jsは、検出したエラーを外部のエラートラッカーへ転送する機能を提供する
+ * background.jsからimportScriptsで読み込まれる（レコードの変換にexport.jsのtoReportRecordを使う）。
+ * options.jsからはDSNの検証と転送設定の読み込みのために読み込まれる
+ *
+ * 主な機能：
+ * 1. 送信形式
+ *    - Sentry互換のエンベロープ（DSNから送信先と認証情報を求める）
+ *    - 汎用のJSON（スキーマ js-errors-notifier/events、README参照）
+ *
+ * 2. 送信キュー
+ *    - chrome.storage.localへの保存（reporterQueue。Service Workerが停止したりオフラインになったりしても失われない）
+ *    - 一定時間ごとのまとめ送信
+ *    - 失敗時の指数バックオフによる再送（Retry-Afterヘッダーを優先）
+ *
+ * 3. 対象の判定
+ *    - 転送の有効・無効と、転送するページのURLパターン
+ */
+
+/** @type {string} 汎用のJSONのスキーマ名 */
+var REPORTER_SCHEMA = 'js-errors-notifier/events';
+
+/** @type {number} 汎用のJSONのスキーマバージョン（フィールドを変更した場合は上げる） */
+var REPORTER_SCHEMA_VERSION = 1;
+
+/** @type {number} キューに保持するイベントの最大数（超えた場合は古いものから破棄） */
+var REPORTER_MAX_QUEUE_LENGTH = 500;
+
+/** @type {number} 1回の送信でまとめるイベントの最大数 */
+var REPORTER_BATCH_SIZE = 50;
+
+/** @type {number} 再送間隔の初期値（ミリ秒） */
+var REPORTER_INITIAL_BACKOFF = 30 * 1000;
+
+/** @type {number} 再送間隔の最大値（ミリ秒） */
+var REPORTER_MAX_BACKOFF = 60 * 60 * 1000;
+
+/** @type {number} 再送を諦めるまでの試行回数 */
+var REPORTER_MAX_ATTEMPTS = 10;
+
+/**
+ * 転送設定を取得する関数
+ *
+ * トークンは同期しない設定（reporterToken）として別に保存されているため、転送設定にまとめて返す
+ *
+ * @returns {Promise<{enabled: boolean, protocol: string, url: string, token: string, patterns: Array<string>}>} 転送設定
+ *     （protocolは送信形式でsentry / json、urlはSentryのDSNまたは汎用のJSONの送信先URL、
+ *     tokenは汎用のJSONで使うBearerトークンで空の場合は付与しない、patternsは転送するページのURLパターンで空の場合はどのページも転送しない）
+ *
+ */
+async function loadReporterSettings() {
+	var settings = await loadSettings(['reporterSettings', 'reporterToken']);
+	return Object.assign(settings.reporterSettings, {token: settings.reporterToken});
+}
+
+/**
+ * SentryのDSNを解析する関数
+ *
+ * @param {string} dsn - DSN（例: "https://publicKey@sentry.example.com/42"）
+ * @returns {{publicKey: string, envelopeUrl: string}} 公開鍵とエンベロープの送信先URL
+ * @throws {Error} DSNの形式が不正な場合
+ *
+ * @example
+ * parseDsn('https://abc@sentry.example.com/sentry/42');
+ * // {publicKey: 'abc', envelopeUrl: 'https://sentry.example.com/sentry/api/42/envelope/'}
+ */
+function parseDsn(dsn) {
+	var url;
+	try {
+		url = new URL(dsn);
+	} catch(e) {
+		throw new Error(getMessage('reporterInvalidDsn', dsn));
+	}
+	var match = /^(.*)\/(\w+)\/?$/.exec(url.pathname);
+	if(!/^https?:$/.test(url.protocol) || !url.username || !match) {
+		throw new Error(getMessage('reporterDsnFormat'));
+	}
+	return {
+		publicKey: decodeURIComponent(url.username),
+		envelopeUrl: url.protocol + '//' + url.host + match[1] + '/api/' + match[2] + '/envelope/'
+	};
+}
+
+/**
+ * エラーを転送キューに入れるイベントに変換する関数
+ *
+ * イベントIDは変換時に決めるため、再送しても送信先で同じイベントとして扱われる
+ *
+ * @param {Object} error - エラー情報
+ * @param {string|null} pageUrl - エラーが発生したページのURL
+ * @returns {{id: string, pageUrl: string|null, userAgent: string, record: Object, attempts: number, nextAttempt: number}} イベント
+ *
+ */
+function createReportEvent(error, pageUrl) {
+	return {
+		id: crypto.randomUUID().replace(/-/g, ''),
+		pageUrl: pageUrl,
+		userAgent: navigator.userAgent,
+		record: Object.assign(toReportRecord(error), {fingerprint: error.fingerprint}),
+		attempts: 0,
+		nextAttempt: 0
+	};
+}
+
+/**
+ * イベントをSentryのイベントに変換する関数
+ *
+ * Sentryのスタックフレームは呼び出し元から順に並べるため、フレームの順序を逆にする。
+ * パンくずリストはSentryのbreadcrumbsとして送信する
+ *
+ * @param {Object} event - 転送キューのイベント
+ * @returns {Object} Sentryのイベント
+ *
+ */
+function toSentryEvent(event) {
+	var record = event.record;
+	var sentryEvent = {
+		event_id: event.id,
+		timestamp: Date.parse(record.lastSeen) / 1000,
+		platform: 'javascript',
+		level: record.severity === 'warning' || record.severity === 'info' ? record.severity : 'error',
+		logger: 'js-errors-notifier',
+		request: {
+			url: event.pageUrl,
+			headers: {'User-Agent': event.userAgent}
+		},
+		tags: {
+			source: record.source,
+			type: record.type || (record.source === 'network' ? 'network' : 'script'),
+			domain: hostnameOf(event.pageUrl) || 'unknown'
+		},
+		extra: {
+			count: record.count,
+			frameUrl: record.frame.url,
+			network: record.network,
+			csp: record.csp,
+			cause: record.cause
+		},
+		fingerprint: [record.fingerprint],
+		breadcrumbs: {
+			values: (record.breadcrumbs || []).map(function(breadcrumb) {
+				return {
+					timestamp: Date.parse(breadcrumb.timestamp) / 1000,
+					category: breadcrumb.category,
+					message: breadcrumb.message,
+					level: breadcrumb.level
+				};
+			})
+		}
+	};
+
+	// スクリプトエラー以外（ネットワーク、リソース、CSP違反、Reporting APIのレポート）は例外ではなくメッセージとして送信する
+	if(record.source === 'network' || (record.type && record.type !== 'script')) {
+		sentryEvent.message = {formatted: record.message};
+	} else {
+		sentryEvent.exception = {
+			values: [{
+				type: record.name || 'Error',
+				value: record.message,
+				stacktrace: record.frames.length > 0 ? {
+					frames: record.frames.slice().reverse().map(function(frame) {
+						return {
+							filename: frame.url,
+							'function': frame.func || '?',
+							lineno: frame.line,
+							colno: frame.col,
+							in_app: true
+						};
+					})
+				} : undefined
+			}]
+		};
+	}
+	return sentryEvent;
+}
+
+/**
+ * イベントをSentryのエンベロープ形式の文字列に変換する関数
+ *
+ * @param {Object} event - 転送キューのイベント
+ * @param {string} dsn - DSN
+ * @returns {string} エンベロープ（ヘッダー、アイテムヘッダー、ペイロードを改行で連結したもの）
+ *
+ */
+function toSentryEnvelope(event, dsn) {
+	return [
+		JSON.stringify({event_id: event.id, sent_at: new Date().toISOString(), dsn: dsn}),
+		JSON.stringify({type: 'event'}),
+		JSON.stringify(toSentryEvent(event))
+	].join('\n') + '\n';
+}
+
+/**
+ * 送信失敗を表すエラーを作成する関数
+ *
+ * @param {string} message - エラーメッセージ
+ * @param {boolean} retryable - 再送するかどうか
+ * @param {number|null} [retryAfter] - 送信先が指定した再送までの時間（ミリ秒）
+ * @returns {Error} エラー
+ *
+ */
+function reportError(message, retryable, retryAfter) {
+	var error = new Error(message);
+	error.retryable = retryable;
+	error.retryAfter = retryAfter || null;
+	return error;
+}
+
+/**
+ * 送信を行い、失敗した場合は再送するかどうかを付けた例外に変換する関数
+ *
+ * 通信エラー、429、5xxは再送し、それ以外の4xxは再送しない
+ *
+ * @param {string} url - 送信先URL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {string} body - リクエストの本文
+ * @returns {Promise<void>} 送信完了を示すPromise
+ * @throws {Error} 送信に失敗した場合（retryableとretryAfterを持つ）
+ *
+ */
+async function sendReport(url, headers, body) {
+	var response;
+	try {
+		response = await fetch(url, {method: 'POST', headers: headers, body: body});
+	} catch(e) {
+		throw reportError(getMessage('reporterNetworkFailed', e.message), true);
+	}
+	if(response.ok) {
+		return;
+	}
+	var retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+	throw reportError(getMessage('errorHttpStatus', response.status),
+		response.status === 429 || response.status >= 500,
+		retryAfter > 0 ? retryAfter * 1000 : null);
+}
+
+/**
+ * イベントを設定された形式で送信する関数
+ *
+ * Sentryのエンベロープは1件に1イベントしか含められないため1件ずつ送信し、汎用のJSONはまとめて送信する。
+ * インポートや同期で不正なDSNが設定された場合は、キューに残り続けないようすべて再送しない失敗とする
+ *
+ * @param {Array<Object>} events - 送信するイベントの配列
+ * @param {Object} settings - 転送設定
+ * @returns {Promise<Array<{event: Object, error: Error|null}>>} イベントごとの送信結果
+ *
+ */
+async function deliverReports(events, settings) {
+	if(settings.protocol === 'json') {
+		var headers = {'Content-Type': 'application/json'};
+		if(settings.token) {
+			headers.Authorization = 'Bearer ' + settings.token;
+		}
+		var body = JSON.stringify({
+			schema: REPORTER_SCHEMA,
+			version: REPORTER_SCHEMA_VERSION,
+			sentAt: new Date().toISOString(),
+			events: events.map(function(event) {
+				return Object.assign({id: event.id, pageUrl: event.pageUrl, userAgent: event.userAgent}, event.record);
+			})
+		});
+		var error = null;
+		try {
+			await sendReport(settings.url, headers, body);
+		} catch(e) {
+			error = e;
+		}
+		return events.map(function(event) {
+			return {event: event, error: error};
+		});
+	}
+
+	var dsn;
+	try {
+		dsn = parseDsn(settings.url);
+	} catch(e) {
+		var invalid = reportError(e.message, false);
+		return events.map(function(event) {
+			return {event: event, error: invalid};
+		});
+	}
+	var results = [];
+	for(var i = 0; i < events.length; i++) {
+		try {
+			await sendReport(dsn.envelopeUrl, {
+				'Content-Type': 'application/x-sentry-envelope',
+				'X-Sentry-Auth': 'Sentry sentry_version=7, sentry_client=js-errors-notifier/' + chrome.runtime.getManifest().version + ', sentry_key=' + dsn.publicKey
+			}, toSentryEnvelope(events[i], settings.url));
+			results.push({event: events[i], error: null});
+		} catch(e) {
+			results.push({event: events[i], error: e});
+		}
+	}
+	return results;
+}
+
+/**
+ * 次の再送時刻を求める関数
+ *
+ * 試行回数ごとに間隔を2倍にし（上限あり）、同時に再送が集中しないよう最大20%のゆらぎを加える
+ *
+ * @param {number} attempts - これまでの試行回数
+ * @param {number|null} retryAfter - 送信先が指定した再送までの時間（ミリ秒）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {number} 次の再送時刻（ミリ秒）
+ *
+ */
+function nextAttemptTime(attempts, retryAfter, now) {
+	if(retryAfter) {
+		return now + retryAfter;
+	}
+	var backoff = Math.min(REPORTER_INITIAL_BACKOFF * Math.pow(2, attempts - 1), REPORTER_MAX_BACKOFF);
+	return now + backoff + Math.floor(Math.random() * backoff * 0.2);
+}
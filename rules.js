@@ -0,0 +1,172 @@
+/**
+ * rules.jsは、エラー検知の対象サイトと無視ルールを判定する共通機能を提供する
+ * content.js（コンテンツスクリプト）、background.js（importScripts）、options.jsから読み込まれる
+ *
+ * 主な機能：
+ * 1. 対象サイトの判定
+ *    - 対象URLパターン（includePatterns）と除外URLパターン（excludePatterns）の照合
+ *    - ドメインごとの設定（domainSettings）による有効・無効の切り替え
+ *
+ * 2. 無視ルールの判定
+ *    - メッセージまたはソースURLに対する正規表現（ignoreRules）の照合
+ *    - 既知のノイズ（ResizeObserverの警告、ブラウザ拡張機能のフレームなど）のデフォルトルール
+ *    - ドメインから読み込まれたスクリプトやリソースを無視するsourceルールの作成
+ *
+ * 3. 設定の読み込み
+ *    - ルール設定の取得（settings.js）
+ */
+
+/**
+ * ルール設定のキー（型とデフォルト値はsettings.jsのSETTINGS_SCHEMA）
+ *
+ * includePatterns（空の場合はすべてのサイトが対象）、excludePatterns、ignoreRules、domainSettings、
+ * captureConsoleInfo（console.infoの出力を重要度infoのエラーとして記録するかどうか）、
+ * preserveLog（再読み込みや同じオリジン内の移動でエラーを残すかどうか。ドメインごとの設定のclearOnNavigateが優先）
+ *
+ * @type {Array<string>}
+ */
+var RULE_SETTING_KEYS = ['includePatterns', 'excludePatterns', 'ignoreRules', 'domainSettings', 'captureConsoleInfo', 'preserveLog'];
+
+/**
+ * URLパターンを正規表現に変換する関数
+ *
+ * 「*」は任意の文字列に一致する。それ以外の文字はそのまま照合する
+ *
+ * @param {string} pattern - URLパターン（例: "https://*.example.com/*"）
+ * @returns {RegExp} URL全体に一致する正規表現
+ *
+ * @example
+ * globToRegExp('https://*.example.com/*').test('https://app.example.com/page'); // true
+ */
+function globToRegExp(pattern) {
+	var source = pattern.split('*').map(function(part) {
+		return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+	}).join('.*');
+	return new RegExp('^' + source + '$');
+}
+
+/**
+ * URLがいずれかのパターンに一致するかを判定する関数
+ *
+ * @param {string} url - 対象のURL
+ * @param {Array<string>} patterns - URLパターンの配列
+ * @returns {boolean} 一致するパターンがある場合はtrue
+ *
+ */
+function matchesAnyPattern(url, patterns) {
+	return patterns.some(function(pattern) {
+		return globToRegExp(pattern).test(url);
+	});
+}
+
+/**
+ * URLのホスト名を返す関数
+ *
+ * @param {string|null} url - 対象のURL
+ * @returns {string} ホスト名（URLとして解析できない場合は空文字）
+ *
+ */
+function hostnameOf(url) {
+	try {
+		return new URL(url).hostname;
+	} catch(e) {
+		return '';
+	}
+}
+
+/**
+ * ドメインから読み込まれたURLに一致するsourceルールのパターンを返す関数
+ *
+ * @param {string} domain - ドメイン（例: "ads.example.com"）
+ * @returns {string} 正規表現のパターン（サブドメインには一致しない）
+ *
+ * @example
+ * domainSourcePattern('ads.example.com'); // '^https?://ads\\.example\\.com([:/?#]|$)'
+ */
+function domainSourcePattern(domain) {
+	return '^https?://' + domain.replace(/[.+?^${}()|[\]\\]/g, '\\$&') + '([:/?#]|$)';
+}
+
+/**
+ * ドメインごとの設定を返す関数
+ *
+ * @param {string|null} url - 対象のURL
+ * @param {Object} settings - ルール設定
+ * @returns {{enabled: boolean, notify: boolean, clearOnNavigate: boolean}} ドメインの設定（enabledとnotifyは未設定の場合true、clearOnNavigateは未設定の場合preserveLogの逆）
+ *
+ */
+function domainSettingsFor(url, settings) {
+	var domain = settings.domainSettings[hostnameOf(url)] || {};
+	return {
+		enabled: domain.enabled !== false,
+		notify: domain.notify !== false,
+		clearOnNavigate: typeof domain.clearOnNavigate === 'boolean' ? domain.clearOnNavigate : !settings.preserveLog
+	};
+}
+
+/**
+ * サイトがエラー検知の対象かを判定する関数
+ *
+ * ドメインごとの設定で無効化されておらず、対象URLパターンに一致し（未設定の場合はすべて対象）、
+ * 除外URLパターンに一致しない場合に対象とする。
+ * iframe内のエラーも、iframeのURLではなくタブのトップレベルのページのURLで判定する
+ *
+ * @param {string|null} url - トップレベルのページのURL（不明な場合はnull）
+ * @param {Object} settings - ルール設定
+ * @returns {boolean} 対象の場合はtrue
+ *
+ */
+function isSiteEnabled(url, settings) {
+	if(!url) {
+		return true;
+	}
+	if(!domainSettingsFor(url, settings).enabled) {
+		return false;
+	}
+	if(settings.includePatterns.length > 0 && !matchesAnyPattern(url, settings.includePatterns)) {
+		return false;
+	}
+	return !matchesAnyPattern(url, settings.excludePatterns);
+}
+
+/**
+ * エラーが無視ルールに一致するかを判定する関数
+ *
+ * messageルールはエラーメッセージに、sourceルールは発生場所のURLとスタックフレームのURLに照合する。
+ * 正規表現として不正なルールは無視する
+ *
+ * @param {Object} error - エラー情報
+ * @param {Object} settings - ルール設定
+ * @returns {boolean} 一致するルールがある場合はtrue
+ *
+ */
+function isIgnored(error, settings) {
+	var sources = [error.url].concat((error.frames || []).map(function(frame) {
+		return frame.url;
+	})).filter(Boolean);
+
+	return settings.ignoreRules.some(function(rule) {
+		var regexp;
+		try {
+			regexp = new RegExp(rule.pattern);
+		} catch(e) {
+			return false;
+		}
+		if(rule.field === 'source') {
+			return sources.some(function(url) {
+				return regexp.test(url);
+			});
+		}
+		return regexp.test(error.text || '');
+	});
+}
+
+/**
+ * ルール設定を取得する関数
+ *
+ * @returns {Promise<Object>} ルール設定（未設定の項目はデフォルト値）
+ *
+ */
+function loadRuleSettings() {
+	return loadSettings(RULE_SETTING_KEYS);
+}
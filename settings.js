@@ -0,0 +1,537 @@
+/**
+ * settings.jsは、拡張機能の設定とデータの保存を一元的に扱う共通機能を提供する
+ * background.js（importScripts）、content.js（コンテンツスクリプト）、popup.html、options.html、dashboard.html、panel.htmlから、
+ * ほかの共通ファイルより先に読み込まれる
+ *
+ * 主な機能：
+ * 1. スキーマ
+ *    - 設定ごとの型とデフォルト値（SETTINGS_SCHEMA）
+ *    - この端末だけに保存する設定（APIキー、トークン、エラー履歴など）の区別
+ *
+ * 2. 読み書き
+ *    - 未設定や型の合わない値をデフォルト値で補った読み込み
+ *    - 「設定をChromeの同期で共有する」が有効な場合のchrome.storage.syncへの保存
+ *    - 設定の変更の通知（chrome.storage.onChanged）
+ *
+ * 3. 移行
+ *    - 保存形式のバージョン（SETTINGS_VERSION）と、古い形式からの移行処理
+ *
+ * 4. インポート・エクスポート
+ *    - チームで共有するための設定ファイル（JSON）の作成と読み込み
+ */
+
+/** @type {number} 設定の保存形式のバージョン（移行処理を追加した場合は上げる） */
+var SETTINGS_VERSION = 2;
+
+/** @type {string} 設定の保存形式のバージョンを保存するキー */
+var SETTINGS_VERSION_KEY = 'settingsVersion';
+
+/** @type {string} 設定ファイルのスキーマ名 */
+var SETTINGS_FILE_SCHEMA = 'js-errors-notifier/settings';
+
+/** @type {string} 旧形式の単一テンプレートのデフォルト値（移行時の比較用） */
+var LEGACY_PROMPT_TEMPLATE = '以下のJavaScriptエラーを解析して修正方法を教えてください：\n\n{error}';
+
+/**
+ * 設定のスキーマ
+ *
+ * typeは値の型（string / number / boolean / array / object）、defaultはデフォルト値。
+ * valuesは文字列の取りうる値、minは数値の最小値。
+ * localがtrueの設定は同期せず、設定ファイルにも含めない（この端末だけに保存する）
+ *
+ * @type {Object<string, {type: string, default: *, values: Array<string>, min: number, local: boolean}>}
+ */
+var SETTINGS_SCHEMA = {
+	// 表示言語（autoはブラウザの設定に従う）
+	language: {type: 'string', default: 'auto', values: ['auto', 'en', 'ja']},
+
+	// AIプロンプトテンプレート（空の場合は表示言語の既定のテンプレートを使う）と、ポップアップを開いたときに選択するテンプレートのID
+	aiPromptTemplates: {type: 'array', default: []},
+	defaultTemplateId: {type: 'string', default: 'explain'},
+
+	// AIの送信先（typeはopenai / webhook、modelはOpenAI互換の場合のみ使用）と、Authorizationヘッダーに付与するAPIキー
+	aiEndpoint: {type: 'object', default: {type: 'openai', url: '', model: ''}},
+	aiApiKey: {type: 'string', default: '', local: true},
+
+	// エラートラッカーへの転送（protocolはsentry / json、urlはSentryのDSNまたは汎用のJSONの送信先、patternsは転送するページのURLパターン）と、
+	// 汎用のJSONで使うBearerトークン
+	reporterSettings: {type: 'object', default: {enabled: false, protocol: 'sentry', url: '', patterns: []}},
+	reporterToken: {type: 'string', default: '', local: true},
+
+	// 対象・除外URLパターン、無視ルール（fieldはmessageまたはsource）、ドメインごとの設定（enabled / notify / clearOnNavigate）
+	includePatterns: {type: 'array', default: []},
+	excludePatterns: {type: 'array', default: []},
+	ignoreRules: {type: 'array', default: [
+		{field: 'message', pattern: 'ResizeObserver loop (limit exceeded|completed with undelivered notifications)'},
+		{field: 'source', pattern: '^(chrome|moz|safari)-extension://'}
+	]},
+	domainSettings: {type: 'object', default: {}},
+
+	// エラー情報を保存・表示・コピーする前に伏せる内容（redact.js）。
+	// 組み込みの検出器ごとの有効・無効、値を伏せるクエリパラメータ名、伏せる部分の正規表現
+	redactionDetectors: {type: 'object', default: {jwt: true, apiKey: true, email: true, creditCard: true, queryParams: true}},
+	redactionQueryParams: {type: 'array', default: [
+		'token', 'access_token', 'refresh_token', 'id_token', 'auth', 'authorization', 'api_key', 'apikey', 'key',
+		'secret', 'client_secret', 'password', 'passwd', 'session', 'sessionid', 'session_id', 'sid', 'code', 'signature', 'sig'
+	]},
+	redactionRules: {type: 'array', default: []},
+
+	// console.infoの出力を記録するかどうかと、再読み込みや同じオリジン内の移動でエラーを残すかどうか
+	captureConsoleInfo: {type: 'boolean', default: false},
+	preserveLog: {type: 'boolean', default: false},
+
+	// タブごとに保持するエラーの最大件数
+	maxErrorsPerTab: {type: 'number', default: 100, min: 1},
+
+	// エラー履歴を保持する日数と、保存サイズの上限（バイト、JSONの文字数で概算する）
+	historyRetentionDays: {type: 'number', default: 30, min: 1},
+	historyMaxBytes: {type: 'number', default: 2 * 1024 * 1024, min: 1},
+
+	// ページ内の通知（重要度ごとの表示の有無、位置、自動で消すまでの秒数）
+	notificationSettings: {type: 'object', default: {
+		error: {enabled: true, position: 'top-right', duration: 5},
+		warning: {enabled: false, position: 'top-right', duration: 5}
+	}},
+
+	// 設定をchrome.storage.syncに保存するかどうか
+	syncSettings: {type: 'boolean', default: false, local: true},
+
+	// エラー履歴と、エラートラッカーへの未送信のイベント（設定ではないデータ）
+	errorHistory: {type: 'object', default: {groups: {}}, local: true},
+	reporterQueue: {type: 'array', default: [], local: true}
+};
+
+/**
+ * 保存形式の移行処理（バージョンの古い順）
+ *
+ * migrateは保存されているすべての値（キーと値のオブジェクト）を受け取って書き換える。
+ * 削除したキーはストレージからも削除される。同じ値に何度実行しても結果が変わらないようにする
+ *
+ * @type {Array<{version: number, migrate: function(Object): Promise<void>}>}
+ */
+var SETTINGS_MIGRATIONS = [
+	{
+		// 単一のテンプレート（aiPromptTemplate）を一覧に移し、編集されていない既定のテンプレートに印（builtin）を付ける
+		version: 1,
+		migrate: async function(values) {
+			if(!values.aiPromptTemplates && values.aiPromptTemplate && values.aiPromptTemplate !== LEGACY_PROMPT_TEMPLATE) {
+				values.aiPromptTemplates = defaultPromptTemplates().concat({id: 'custom', name: getMessage('templateCustomName'), body: values.aiPromptTemplate});
+				values.defaultTemplateId = 'custom';
+			}
+			delete values.aiPromptTemplate;
+			if(values.aiPromptTemplates) {
+				values.aiPromptTemplates = await markBuiltinTemplates(values.aiPromptTemplates);
+			}
+		}
+	},
+	{
+		// APIキーとトークンを同期・エクスポートしない設定に分ける
+		version: 2,
+		migrate: async function(values) {
+			if(values.aiEndpoint && 'apiKey' in values.aiEndpoint) {
+				values.aiApiKey = values.aiEndpoint.apiKey;
+				values.aiEndpoint = Object.assign({}, values.aiEndpoint);
+				delete values.aiEndpoint.apiKey;
+			}
+			if(values.reporterSettings && 'token' in values.reporterSettings) {
+				values.reporterToken = values.reporterSettings.token;
+				values.reporterSettings = Object.assign({}, values.reporterSettings);
+				delete values.reporterSettings.token;
+			}
+		}
+	}
+];
+
+/**
+ * テンプレートのうち、編集されていない既定のテンプレートに印（builtin）を付ける関数
+ *
+ * いずれかの言語の既定のテンプレートと名前と本文が一致するものを編集されていないとみなす
+ * （template.jsとi18n.jsを使う）
+ *
+ * @param {Array<Object>} templates - テンプレートの配列
+ * @returns {Promise<Array<Object>>} 印を付けたテンプレートの配列
+ *
+ */
+async function markBuiltinTemplates(templates) {
+	var originals = [];
+	for(var i = 0; i < SUPPORTED_LANGUAGES.length; i++) {
+		var messages = await fetchMessages(SUPPORTED_LANGUAGES[i]);
+		originals = originals.concat(defaultPromptTemplates(function(key) {
+			return substituteMessage(messages[key].message, []);
+		}));
+	}
+	return templates.map(function(template) {
+		var unedited = !template.builtin && originals.some(function(original) {
+			return original.id === template.id && original.name === template.name && original.body === template.body;
+		});
+		return unedited ? Object.assign({}, template, {builtin: true}) : template;
+	});
+}
+
+/**
+ * 設定のデフォルト値を返す関数
+ *
+ * 呼び出し元が書き換えても影響しないよう、コピーを返す
+ *
+ * @param {string} key - 設定のキー
+ * @returns {*} デフォルト値
+ *
+ */
+function settingDefault(key) {
+	return JSON.parse(JSON.stringify(SETTINGS_SCHEMA[key].default));
+}
+
+/**
+ * 値が設定の型に合っているかどうかを判定する関数
+ *
+ * @param {string} key - 設定のキー
+ * @param {*} value - 値
+ * @returns {boolean} 型に合っている場合はtrue
+ *
+ */
+function isValidSetting(key, value) {
+	var schema = SETTINGS_SCHEMA[key];
+	switch(schema.type) {
+		case 'array':
+			return Array.isArray(value);
+		case 'object':
+			return typeof value === 'object' && value !== null && !Array.isArray(value);
+		case 'number':
+			return typeof value === 'number' && isFinite(value) && !(value < schema.min);
+		case 'string':
+			return typeof value === 'string' && (!schema.values || schema.values.indexOf(value) !== -1);
+		default:
+			return typeof value === schema.type;
+	}
+}
+
+/**
+ * 保存されている値をデフォルト値で補う関数
+ *
+ * 未設定や型の合わない値はデフォルト値にし、オブジェクトは未設定の項目をデフォルト値で補う
+ *
+ * @param {string} key - 設定のキー
+ * @param {*} value - 保存されている値
+ * @returns {*} 設定値
+ *
+ */
+function normalizeSetting(key, value) {
+	if(value === undefined || !isValidSetting(key, value)) {
+		return settingDefault(key);
+	}
+	if(SETTINGS_SCHEMA[key].type === 'object') {
+		return Object.assign(settingDefault(key), value);
+	}
+	return value;
+}
+
+/**
+ * 設定を同期する（chrome.storage.syncに保存する）かどうかを返す関数
+ *
+ * @returns {Promise<boolean>} 同期する場合はtrue
+ *
+ */
+function isSettingsSyncEnabled() {
+	return new Promise(function(resolve) {
+		chrome.storage.local.get(['syncSettings'], function(result) {
+			resolve(result.syncSettings === true);
+		});
+	});
+}
+
+/**
+ * 設定を保存するストレージの種類を返す関数
+ *
+ * @param {string} key - 設定のキー（SETTINGS_VERSION_KEYも可）
+ * @param {boolean} sync - 設定を同期するかどうか
+ * @returns {string} ストレージの種類（local / sync）
+ *
+ */
+function settingsAreaName(key, sync) {
+	return sync && !(SETTINGS_SCHEMA[key] && SETTINGS_SCHEMA[key].local) ? 'sync' : 'local';
+}
+
+/**
+ * ストレージから値を読み込む関数
+ *
+ * @param {string} areaName - ストレージの種類（local / sync）
+ * @param {Array<string>|null} keys - 読み込むキー（nullの場合はすべて）
+ * @returns {Promise<Object>} キーと値のオブジェクト
+ *
+ */
+function readStorageArea(areaName, keys) {
+	return new Promise(function(resolve) {
+		chrome.storage[areaName].get(keys, resolve);
+	});
+}
+
+/**
+ * ストレージに値を保存する関数
+ *
+ * chrome.storage.syncの容量の上限を超えた場合などは例外にする
+ *
+ * @param {string} areaName - ストレージの種類（local / sync）
+ * @param {Object} values - キーと値のオブジェクト
+ * @returns {Promise<void>} 保存完了を示すPromise
+ * @throws {Error} 保存に失敗した場合
+ *
+ */
+function writeStorageArea(areaName, values) {
+	return new Promise(function(resolve, reject) {
+		if(Object.keys(values).length === 0) {
+			resolve();
+			return;
+		}
+		chrome.storage[areaName].set(values, function() {
+			if(chrome.runtime.lastError) {
+				reject(new Error(getMessage('settingsSaveFailed', chrome.runtime.lastError.message)));
+				return;
+			}
+			resolve();
+		});
+	});
+}
+
+/**
+ * 設定を読み込む関数
+ *
+ * @param {Array<string>} keys - 読み込む設定のキー
+ * @returns {Promise<Object>} 設定のキーと値のオブジェクト（未設定の項目はデフォルト値）
+ *
+ * @example
+ * var settings = await loadSettings(['maxErrorsPerTab', 'preserveLog']);
+ * // {maxErrorsPerTab: 100, preserveLog: false}
+ */
+async function loadSettings(keys) {
+	var sync = await isSettingsSyncEnabled();
+	var values = {};
+	var areaNames = ['local', 'sync'];
+	for(var i = 0; i < areaNames.length; i++) {
+		var areaKeys = keys.filter(function(key) {
+			return settingsAreaName(key, sync) === areaNames[i];
+		});
+		if(areaKeys.length > 0) {
+			Object.assign(values, await readStorageArea(areaNames[i], areaKeys));
+		}
+	}
+	var settings = {};
+	keys.forEach(function(key) {
+		settings[key] = normalizeSetting(key, values[key]);
+	});
+	return settings;
+}
+
+/**
+ * 設定を1つ読み込む関数
+ *
+ * @param {string} key - 設定のキー
+ * @returns {Promise<*>} 設定値（未設定の場合はデフォルト値）
+ *
+ */
+async function getSetting(key) {
+	return (await loadSettings([key]))[key];
+}
+
+/**
+ * 設定を保存する関数
+ *
+ * 同期が有効な場合は、この端末だけに保存する設定を除いてchrome.storage.syncに保存する
+ *
+ * @param {Object} settings - 保存する設定のキーと値のオブジェクト
+ * @returns {Promise<void>} 保存完了を示すPromise
+ * @throws {Error} 型の合わない値がある場合、または保存に失敗した場合
+ *
+ * @example
+ * await saveSettings({maxErrorsPerTab: 200});
+ */
+async function saveSettings(settings) {
+	var sync = await isSettingsSyncEnabled();
+	var areas = {local: {}, sync: {}};
+	Object.keys(settings).forEach(function(key) {
+		if(!SETTINGS_SCHEMA[key] || !isValidSetting(key, settings[key])) {
+			throw new Error(getMessage('settingsInvalidValue', key));
+		}
+		areas[settingsAreaName(key, sync)][key] = settings[key];
+	});
+	await writeStorageArea('sync', areas.sync);
+	await writeStorageArea('local', areas.local);
+}
+
+/**
+ * 設定の変更を監視する関数
+ *
+ * 設定を保存しているストレージの変更だけを通知する。
+ * 同期の有効・無効を切り替えた場合は、同期するすべての設定を通知する
+ *
+ * @param {function(Object): void} callback - 変更された設定のキーと新しい値のオブジェクトを受け取るコールバック
+ * @returns {void}
+ *
+ * @example
+ * onSettingsChanged(function(changed) {
+ *     if('language' in changed) {
+ *         loadLanguage();
+ *     }
+ * });
+ */
+function onSettingsChanged(callback) {
+	chrome.storage.onChanged.addListener(function(changes, areaName) {
+		isSettingsSyncEnabled().then(function(sync) {
+			if(areaName === 'local' && changes.syncSettings) {
+				loadSettings(Object.keys(SETTINGS_SCHEMA).filter(function(key) {
+					return !SETTINGS_SCHEMA[key].local;
+				})).then(callback);
+				return;
+			}
+			var changed = {};
+			Object.keys(changes).forEach(function(key) {
+				if(SETTINGS_SCHEMA[key] && settingsAreaName(key, sync) === areaName) {
+					changed[key] = normalizeSetting(key, changes[key].newValue);
+				}
+			});
+			if(Object.keys(changed).length > 0) {
+				callback(changed);
+			}
+		});
+	});
+}
+
+/**
+ * 設定を同期するかどうかを切り替える関数
+ *
+ * 有効にした場合、chrome.storage.syncにほかの端末の設定があればそれを使い（古い保存形式の場合は移行する）、
+ * なければこの端末の設定を保存する。無効にした場合は、同期していた設定をこの端末に残す
+ *
+ * @param {boolean} enabled - 同期するかどうか
+ * @returns {Promise<void>} 切り替え完了を示すPromise
+ * @throws {Error} chrome.storage.syncへの保存に失敗した場合（容量の上限を超えた場合など）
+ *
+ */
+async function setSettingsSync(enabled) {
+	if(enabled === await isSettingsSyncEnabled()) {
+		return;
+	}
+	var keys = Object.keys(SETTINGS_SCHEMA).filter(function(key) {
+		return !SETTINGS_SCHEMA[key].local;
+	}).concat(SETTINGS_VERSION_KEY);
+	var remote = await readStorageArea('sync', keys);
+	if(enabled && !(SETTINGS_VERSION_KEY in remote)) {
+		await writeStorageArea('sync', await readStorageArea('local', keys));
+	}
+	else if(!enabled) {
+		await writeStorageArea('local', remote);
+	}
+	await writeStorageArea('local', {syncSettings: enabled});
+	await migrateSettings();
+}
+
+/**
+ * 保存されている値に移行処理を適用する関数
+ *
+ * @param {Object} values - 保存されている値（書き換えられる）
+ * @param {number} fromVersion - 値の保存形式のバージョン
+ * @returns {Promise<Object>} 移行後の値
+ *
+ */
+async function migrateValues(values, fromVersion) {
+	for(var i = 0; i < SETTINGS_MIGRATIONS.length; i++) {
+		if(SETTINGS_MIGRATIONS[i].version > fromVersion) {
+			await SETTINGS_MIGRATIONS[i].migrate(values);
+		}
+	}
+	return values;
+}
+
+/**
+ * 保存されている設定を現在の保存形式に移行する関数
+ *
+ * Service Workerの起動時と、同期を切り替えたときに実行する（移行処理でtemplate.jsとi18n.jsを使う）
+ *
+ * @returns {Promise<void>} 移行完了を示すPromise
+ *
+ */
+async function migrateSettings() {
+	var sync = await isSettingsSyncEnabled();
+	var versionArea = settingsAreaName(SETTINGS_VERSION_KEY, sync);
+	var version = (await readStorageArea(versionArea, [SETTINGS_VERSION_KEY]))[SETTINGS_VERSION_KEY] || 0;
+	if(version >= SETTINGS_VERSION) {
+		return;
+	}
+
+	var stored = {local: await readStorageArea('local', null), sync: sync ? await readStorageArea('sync', null) : {}};
+	var original = Object.assign({}, stored.local, stored.sync);
+	var values = await migrateValues(Object.assign({}, original), version);
+
+	var areas = {local: {}, sync: {}};
+	Object.keys(values).forEach(function(key) {
+		if(values[key] !== original[key]) {
+			areas[settingsAreaName(key, sync)][key] = values[key];
+		}
+	});
+	areas[versionArea][SETTINGS_VERSION_KEY] = SETTINGS_VERSION;
+	await writeStorageArea('sync', areas.sync);
+	await writeStorageArea('local', areas.local);
+
+	var removed = Object.keys(original).filter(function(key) {
+		return !(key in values);
+	});
+	['local', 'sync'].forEach(function(areaName) {
+		chrome.storage[areaName].remove(removed.filter(function(key) {
+			return key in stored[areaName];
+		}));
+	});
+}
+
+/**
+ * 設定ファイルの内容を作成する関数
+ *
+ * この端末だけに保存する設定（APIキー、トークンなど）は含めない
+ *
+ * @returns {Promise<Object>} 設定ファイルの内容（schema、version、exportedAt、settings）
+ *
+ */
+async function exportSettings() {
+	return {
+		schema: SETTINGS_FILE_SCHEMA,
+		version: SETTINGS_VERSION,
+		exportedAt: new Date().toISOString(),
+		settings: await loadSettings(Object.keys(SETTINGS_SCHEMA).filter(function(key) {
+			return !SETTINGS_SCHEMA[key].local;
+		}))
+	};
+}
+
+/**
+ * 設定ファイルの内容を読み込んで保存する関数
+ *
+ * 古い保存形式のファイルは移行処理を適用してから保存する。
+ * この端末だけに保存する設定と、知らない設定は無視する
+ *
+ * @param {string} text - 設定ファイルの内容（JSON）
+ * @returns {Promise<Array<string>>} 保存した設定のキーの配列
+ * @throws {Error} ファイルの形式が不正な場合、新しいバージョンのファイルの場合、または型の合わない値がある場合
+ *
+ */
+async function importSettings(text) {
+	var file;
+	try {
+		file = JSON.parse(text);
+	} catch(e) {
+		throw new Error(getMessage('settingsImportInvalidFile'));
+	}
+	if(!file || file.schema !== SETTINGS_FILE_SCHEMA || typeof file.version !== 'number' || typeof file.settings !== 'object' || file.settings === null) {
+		throw new Error(getMessage('settingsImportInvalidFile'));
+	}
+	if(file.version > SETTINGS_VERSION) {
+		throw new Error(getMessage('settingsImportNewerVersion', file.version));
+	}
+
+	var values = await migrateValues(Object.assign({}, file.settings), file.version);
+	var settings = {};
+	Object.keys(values).forEach(function(key) {
+		if(SETTINGS_SCHEMA[key] && !SETTINGS_SCHEMA[key].local) {
+			settings[key] = values[key];
+		}
+	});
+	await saveSettings(settings);
+	return Object.keys(settings);
+}
@@ -0,0 +1,312 @@
+/**
+ * sourcemap.jsは、ミニファイされたスクリプトのスタックフレームをソースマップで元の位置に解決する
+ * background.jsからimportScriptsで読み込まれる
+ *
+ * 主な機能：
+ * 1. ソースマップの取得
+ *    - スクリプト末尾の //# sourceMappingURL コメント、またはSourceMapレスポンスヘッダーの検出
+ *    - data: URIで埋め込まれたソースマップへの対応
+ *    - スクリプトURL単位でのキャッシュ
+ *
+ * 2. マッピングの解析
+ *    - Base64 VLQのデコード
+ *    - 生成後の行・列から元のファイル・行・列・関数名への変換
+ *
+ * 3. ソースコードの抜粋
+ *    - sourcesContentから該当行の前後数行を取り出す
+ *
+ */
+
+/** @type {string} Base64 VLQで使われる文字 */
+var BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/** @type {number} キャッシュするソースマップの最大数 */
+var SOURCE_MAP_CACHE_SIZE = 20;
+
+/** @type {number} 抜粋として前後に含める行数 */
+var SOURCE_CONTEXT_LINES = 2;
+
+/** @type {Map<string, Promise<Object|null>>} スクリプトURLをキーとしたソースマップのキャッシュ */
+var sourceMapCache = new Map();
+
+/**
+ * Base64 VLQでエンコードされたセグメントをデコードする関数
+ *
+ * @param {string} segment - セグメント文字列（例: "AAgBC"）
+ * @returns {Array<number>} デコードされた数値の配列
+ *
+ * @example
+ * decodeVlq('AAgBC'); // [0, 0, 16, 1]
+ */
+function decodeVlq(segment) {
+	var values = [];
+	var value = 0;
+	var shift = 0;
+	for(var i = 0; i < segment.length; i++) {
+		var digit = BASE64_CHARS.indexOf(segment[i]);
+		if(digit === -1) {
+			throw new Error('Invalid VLQ character: ' + segment[i]);
+		}
+		value += (digit & 31) << shift;
+		if(digit & 32) {
+			shift += 5; // 継続ビットが立っている場合は次の文字へ
+		} else {
+			values.push(value & 1 ? -(value >> 1) : value >> 1);
+			value = 0;
+			shift = 0;
+		}
+	}
+	return values;
+}
+
+/**
+ * mappingsフィールドを生成後の行ごとのセグメント配列に解析する関数
+ *
+ * 各セグメントの値は相対値で記録されているため、累積して絶対値に変換する
+ *
+ * @param {string} mappings - ソースマップのmappingsフィールド
+ * @returns {Array<Array<Array<number>>>} 行ごとの [生成列, ソース番号, 元の行, 元の列, 名前番号] の配列（すべて0始まり）
+ *
+ */
+function parseMappings(mappings) {
+	var lines = [];
+	var sourceIndex = 0;
+	var originalLine = 0;
+	var originalCol = 0;
+	var nameIndex = 0;
+
+	mappings.split(';').forEach(function(row) {
+		var segments = [];
+		var generatedCol = 0; // 生成列は行ごとにリセットされる
+		row.split(',').forEach(function(text) {
+			if(!text) {
+				return;
+			}
+			var values = decodeVlq(text);
+			generatedCol += values[0];
+			if(values.length === 1) {
+				segments.push([generatedCol]);
+				return;
+			}
+			sourceIndex += values[1];
+			originalLine += values[2];
+			originalCol += values[3];
+			var segment = [generatedCol, sourceIndex, originalLine, originalCol];
+			if(values.length > 4) {
+				nameIndex += values[4];
+				segment.push(nameIndex);
+			}
+			segments.push(segment);
+		});
+		lines.push(segments);
+	});
+	return lines;
+}
+
+/**
+ * 生成後の位置から元の位置を検索する関数
+ *
+ * 指定した列以前で最も近いセグメントを採用する
+ *
+ * @param {Object} map - loadSourceMapで取得したソースマップ
+ * @param {number} line - 生成後の行番号（1始まり）
+ * @param {number} col - 生成後の列番号（1始まり）
+ * @returns {{url: string, line: number, col: number, func: string|null, context: Object|null}|null} 元の位置（見つからない場合はnull）
+ *
+ */
+function findOriginalPosition(map, line, col) {
+	var segments = map.lines[line - 1];
+	if(!segments) {
+		return null;
+	}
+
+	var found = null;
+	for(var i = 0; i < segments.length; i++) {
+		if(segments[i][0] > col - 1) {
+			break;
+		}
+		found = segments[i];
+	}
+	if(!found || found.length === 1) {
+		return null;
+	}
+
+	var originalLine = found[2] + 1;
+	return {
+		url: map.sources[found[1]] || null,
+		line: originalLine,
+		col: found[3] + 1,
+		func: found.length > 4 ? map.names[found[4]] || null : null,
+		context: sourceContext(map.sourcesContent[found[1]], originalLine)
+	};
+}
+
+/**
+ * 元のソースコードから該当行の前後を抜粋する関数
+ *
+ * @param {string|null} content - sourcesContentの該当ソース
+ * @param {number} line - 中心となる行番号（1始まり）
+ * @returns {{startLine: number, lines: Array<string>}|null} 抜粋（ソースがない場合はnull）
+ *
+ */
+function sourceContext(content, line) {
+	if(typeof content !== 'string') {
+		return null;
+	}
+	var rows = content.split('\n');
+	var start = Math.max(1, line - SOURCE_CONTEXT_LINES);
+	var end = Math.min(rows.length, line + SOURCE_CONTEXT_LINES);
+	return {
+		startLine: start,
+		lines: rows.slice(start - 1, end)
+	};
+}
+
+/**
+ * スクリプトから参照されているソースマップのURLを求める関数
+ *
+ * SourceMapレスポンスヘッダーを優先し、なければスクリプト末尾の最後の sourceMappingURL コメントを使う
+ *
+ * @param {string} scriptUrl - スクリプトのURL
+ * @param {Response} response - スクリプト取得時のレスポンス
+ * @param {string} source - スクリプトのソースコード
+ * @returns {string|null} ソースマップの絶対URL（見つからない場合はnull）
+ *
+ */
+function findSourceMapUrl(scriptUrl, response, source) {
+	var mapUrl = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+	if(!mapUrl) {
+		var pattern = /\/\/[#@]\s*sourceMappingURL=(\S+)/g;
+		var match;
+		while((match = pattern.exec(source)) !== null) {
+			mapUrl = match[1];
+		}
+	}
+	return mapUrl ? new URL(mapUrl, scriptUrl).href : null;
+}
+
+/**
+ * スクリプトやソースマップを取得する関数
+ *
+ * 通信エラーとサーバーの一時的なエラー（5xx）は、取得し直せるようretryableをtrueにした例外にする
+ *
+ * @param {string} url - 取得するURL
+ * @returns {Promise<Response>} レスポンス（404などはそのまま返す）
+ * @throws {Error} 通信エラーやステータスコードが500以上の場合（retryableはtrue）
+ *
+ */
+async function fetchSourceFile(url) {
+	var response;
+	try {
+		response = await fetch(url);
+	} catch(e) {
+		e.retryable = true;
+		throw e;
+	}
+	if(response.status >= 500) {
+		var error = new Error('HTTP ' + response.status + ' for ' + url);
+		error.retryable = true;
+		throw error;
+	}
+	return response;
+}
+
+/**
+ * ソースマップを取得・解析する関数（キャッシュなし）
+ *
+ * @param {string} scriptUrl - スクリプトのURL
+ * @returns {Promise<Object|null>} 解析済みのソースマップ（スクリプトにソースマップがない場合や404などの場合はnull）
+ * @throws {Error} 通信エラーやサーバーの一時的なエラー（5xx、retryableはtrue）、ソースマップが不正な場合
+ *
+ */
+async function fetchSourceMap(scriptUrl) {
+	var response = await fetchSourceFile(scriptUrl);
+	if(!response.ok) {
+		return null;
+	}
+	var mapUrl = findSourceMapUrl(scriptUrl, response, await response.text());
+	if(!mapUrl) {
+		return null;
+	}
+
+	// data: URIもfetchで読み込める
+	var mapResponse = await fetchSourceFile(mapUrl);
+	if(!mapResponse.ok) {
+		return null;
+	}
+	var raw = await mapResponse.json();
+	if(typeof raw.mappings !== 'string') {
+		return null; // インデックスマップ（sections）には未対応
+	}
+
+	// ソースのURLはsourceRootとソースマップの位置を基準に解決する
+	var sourceRoot = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+	var baseUrl = mapUrl.indexOf('data:') === 0 ? scriptUrl : mapUrl;
+	return {
+		sources: (raw.sources || []).map(function(source) {
+			try {
+				return new URL(sourceRoot + source, baseUrl).href;
+			} catch(e) {
+				return sourceRoot + source;
+			}
+		}),
+		sourcesContent: raw.sourcesContent || [],
+		names: raw.names || [],
+		lines: parseMappings(raw.mappings)
+	};
+}
+
+/**
+ * スクリプトURLに対応するソースマップを取得する関数
+ *
+ * 結果（ソースマップがない場合を含む）はスクリプトURL単位でキャッシュし、古いものから破棄する。
+ * 通信エラーやサーバーの一時的なエラーで取得できなかった場合だけキャッシュから削除し、次の解決で取得し直す。
+ * 不正なソースマップは取得し直しても変わらないため、nullとしてキャッシュする
+ *
+ * @param {string} scriptUrl - スクリプトのURL
+ * @returns {Promise<Object|null>} 解析済みのソースマップ（取得できない場合はnull）
+ *
+ */
+function loadSourceMap(scriptUrl) {
+	if(sourceMapCache.has(scriptUrl)) {
+		return sourceMapCache.get(scriptUrl);
+	}
+
+	var promise = fetchSourceMap(scriptUrl).catch(function(e) {
+		debugLog('Failed to load source map for ' + scriptUrl + ': ' + e.message);
+		if(e.retryable && sourceMapCache.get(scriptUrl) === promise) {
+			sourceMapCache.delete(scriptUrl);
+		}
+		return null;
+	});
+	sourceMapCache.set(scriptUrl, promise);
+	if(sourceMapCache.size > SOURCE_MAP_CACHE_SIZE) {
+		sourceMapCache.delete(sourceMapCache.keys().next().value);
+	}
+	return promise;
+}
+
+/**
+ * スタックフレームの配列をソースマップで解決する関数
+ *
+ * 解決できたフレームにはoriginalプロパティ（元のURL・行・列・関数名・抜粋）を追加する
+ *
+ * @param {Array<Object>} frames - スタックフレームの配列
+ * @returns {Promise<Array<Object>>} 解決済みのフレームの配列
+ *
+ * @example
+ * const frames = await resolveFrames([{func: 'a', url: 'https://example.com/app.min.js', line: 1, col: 2048}]);
+ * // frames[0].original => {url: 'https://example.com/src/app.js', line: 42, col: 7, func: 'render', context: {...}}
+ */
+function resolveFrames(frames) {
+	return Promise.all(frames.map(async function(frame) {
+		// 秘密情報を伏せたURLでは取得できないため、元のURLがあればそれを使う
+		var url = frame.rawUrl || frame.url;
+		if(!/^https?:/.test(url) || !frame.line || !frame.col) {
+			return frame;
+		}
+		var map = await loadSourceMap(url);
+		var original = map ? findOriginalPosition(map, frame.line, frame.col) : null;
+		return original ? Object.assign({}, frame, {original: original}) : frame;
+	}));
+}
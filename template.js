@@ -0,0 +1,218 @@
+/**
+ * template.jsは、AIプロンプトテンプレートの既定値とテンプレートエンジンを提供する
+ * popup.html、options.html、background.js（importScripts）から読み込まれる（メッセージの取得にi18n.jsを使う）
+ *
+ * 主な機能：
+ * 1. 既定のテンプレート
+ *    - 「解説」「修正コードを書く」「回帰テストを書く」の3種類（名前と本文は表示言語に合わせる）
+ *
+ * 2. テンプレートエンジン
+ *    - {name} 形式のプレースホルダーの置換（未知のプレースホルダーはそのまま残す）
+ *    - {#each errors}...{/each} によるエラーごとの繰り返し
+ *    - {#if name}...{else}...{/if} による条件分岐
+ *
+ * 使用できるプレースホルダー：
+ * - {errors}: スクリプトエラーの一覧 / {network}: ネットワークエラーの一覧
+ * - {error}: スクリプトエラーとネットワークエラーの一覧（旧テンプレートとの互換用）
+ * - {stack}: スタックトレース / {sourceContext}: ソースマップから取り出したソースコードの抜粋
+ * - {pageUrl}: ページのURL / {userAgent}: ユーザーエージェント / {timestamp}: プロンプトの作成日時
+ * - {#each errors}内: {index} {message} {name} {location} {severity} {source} {type} {count} {frame} {stack} {sourceContext} {breadcrumbs}
+ */
+
+/**
+ * 既定のAIプロンプトテンプレートのIDと、名前・本文のメッセージキー
+ *
+ * @type {Array<{id: string, name: string, body: string}>}
+ */
+var DEFAULT_PROMPT_TEMPLATE_MESSAGES = [
+	{id: 'explain', name: 'templateExplainName', body: 'templateExplainBody'},
+	{id: 'fix', name: 'templateFixName', body: 'templateFixBody'},
+	{id: 'test', name: 'templateTestName', body: 'templateTestBody'}
+];
+
+/**
+ * 既定のAIプロンプトテンプレートを返す関数
+ *
+ * 編集されていない既定のテンプレートはbuiltinを持ち、表示言語を切り替えると名前と本文も切り替わる
+ *
+ * @param {function(string): string} [lookup] - メッセージを取得する関数（デフォルトは表示言語のgetMessage）
+ * @returns {Array<{id: string, name: string, body: string, builtin: boolean}>} 既定のテンプレートの配列
+ *
+ */
+function defaultPromptTemplates(lookup) {
+	var message = lookup || getMessage;
+	return DEFAULT_PROMPT_TEMPLATE_MESSAGES.map(function(entry) {
+		return {id: entry.id, name: message(entry.name), body: message(entry.body), builtin: true};
+	});
+}
+
+/**
+ * 保存されているテンプレートのうち、編集されていない既定のテンプレートを表示言語に合わせる関数
+ *
+ * @param {Array<Object>} templates - 保存されているテンプレートの配列
+ * @returns {Array<Object>} 既定のテンプレートを表示言語の名前と本文に置き換えた配列
+ *
+ */
+function localizePromptTemplates(templates) {
+	var defaults = defaultPromptTemplates();
+	return templates.map(function(template) {
+		if(!template.builtin) {
+			return template;
+		}
+		return defaults.find(function(defaultTemplate) {
+			return defaultTemplate.id === template.id;
+		}) || template;
+	});
+}
+
+/** @type {RegExp} テンプレートのタグ（ブロックの開始・終了、else、プレースホルダー） */
+var TEMPLATE_TAG = /\{(#each|#if) (\w+)\}|\{(\/each|\/if|else)\}|\{(\w+)\}/g;
+
+/**
+ * テンプレートを構文木に変換する関数
+ *
+ * @param {string} template - テンプレート文字列
+ * @returns {Array<Object>} 構文木（text / var / each / if ノードの配列）
+ * @throws {Error} ブロックの開始と終了が対応していない場合
+ *
+ * @example
+ * parseTemplate('{#if stack}{stack}{/if}');
+ * // [{type: 'if', name: 'stack', then: [{type: 'var', name: 'stack'}], otherwise: []}]
+ */
+function parseTemplate(template) {
+	var root = {children: []};
+	var stack = [root];
+	var position = 0;
+	var match;
+
+	TEMPLATE_TAG.lastIndex = 0;
+	while((match = TEMPLATE_TAG.exec(template)) !== null) {
+		var current = stack[stack.length - 1];
+		if(match.index > position) {
+			current.children.push({type: 'text', value: template.slice(position, match.index)});
+		}
+		position = TEMPLATE_TAG.lastIndex;
+
+		if(match[1]) {
+			// ブロックの開始
+			var block = match[1] === '#each'
+				? {type: 'each', name: match[2], children: []}
+				: {type: 'if', name: match[2], children: [], then: null, otherwise: []};
+			current.children.push(block);
+			stack.push(block);
+		} else if(match[3] === 'else') {
+			if(current.type !== 'if' || current.then) {
+				throw new Error(getMessage('templateErrorElse'));
+			}
+			current.then = current.children;
+			current.children = current.otherwise;
+		} else if(match[3]) {
+			// ブロックの終了
+			var expected = match[3] === '/each' ? 'each' : 'if';
+			if(current.type !== expected) {
+				throw new Error(getMessage('templateErrorUnmatched', [match[3], expected]));
+			}
+			if(current.type === 'if') {
+				if(current.then) {
+					current.otherwise = current.children;
+				} else {
+					current.then = current.children;
+				}
+				delete current.children;
+			}
+			stack.pop();
+		} else {
+			current.children.push({type: 'var', name: match[4], raw: match[0]});
+		}
+	}
+
+	if(stack.length > 1) {
+		throw new Error(getMessage('templateErrorUnclosed', [stack[stack.length - 1].type, stack[stack.length - 1].name]));
+	}
+	if(position < template.length) {
+		root.children.push({type: 'text', value: template.slice(position)});
+	}
+	return root.children;
+}
+
+/**
+ * スコープチェーンから値を探す関数
+ *
+ * @param {Array<Object>} scopes - 内側から順に並べたスコープ
+ * @param {string} name - 名前
+ * @returns {*} 見つかった値（見つからない場合はundefined）
+ *
+ */
+function lookupTemplateValue(scopes, name) {
+	for(var i = 0; i < scopes.length; i++) {
+		if(Object.prototype.hasOwnProperty.call(scopes[i], name)) {
+			return scopes[i][name];
+		}
+	}
+	return undefined;
+}
+
+/**
+ * 値が条件として真かを判定する関数
+ *
+ * 空文字、空配列、0、null、undefined、falseを偽とする
+ *
+ * @param {*} value - 値
+ * @returns {boolean} 真の場合はtrue
+ *
+ */
+function isTemplateTruthy(value) {
+	return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * 構文木を文字列に変換する関数
+ *
+ * 配列の値をプレースホルダーに埋め込む場合は、各要素のtextを空行で連結する
+ *
+ * @param {Array<Object>} nodes - 構文木
+ * @param {Array<Object>} scopes - 内側から順に並べたスコープ
+ * @returns {string} 変換結果
+ *
+ */
+function renderNodes(nodes, scopes) {
+	return nodes.map(function(node) {
+		if(node.type === 'text') {
+			return node.value;
+		}
+		var value = lookupTemplateValue(scopes, node.name);
+		if(node.type === 'var') {
+			if(value === undefined) {
+				return node.raw; // 未知のプレースホルダーはそのまま残す
+			}
+			if(Array.isArray(value)) {
+				return value.map(function(item) {
+					return item.text;
+				}).join('\n\n');
+			}
+			return value === null ? '' : String(value);
+		}
+		if(node.type === 'each') {
+			return (Array.isArray(value) ? value : []).map(function(item) {
+				return renderNodes(node.children, [item].concat(scopes));
+			}).join('');
+		}
+		return renderNodes(isTemplateTruthy(value) ? node.then : node.otherwise, scopes);
+	}).join('');
+}
+
+/**
+ * テンプレートに値を埋め込む関数
+ *
+ * @param {string} template - テンプレート文字列
+ * @param {Object} context - プレースホルダーの値
+ * @returns {string} 変換結果
+ * @throws {Error} テンプレートの構文が不正な場合
+ *
+ * @example
+ * renderTemplate('{#each errors}{index}. {message}\n{/each}', {errors: [{index: 1, message: 'x is not defined'}]});
+ * // '1. x is not defined\n'
+ */
+function renderTemplate(template, context) {
+	return renderNodes(parseTemplate(template), [context]);
+}
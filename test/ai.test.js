@@ -0,0 +1,130 @@
+/**
+ * ai.test.jsは、AIプロンプトの送信と回答の受信（ai.js）をテストする
+ *
+ * jsdomにai.jsとその依存スクリプトを読み込み、fetchを決まったレスポンスを返すモックに差し替えて、
+ * OpenAI互換のServer-Sent Eventsの解析、JSONのレスポンスへのフォールバック、Webhookへの送信を確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+var chromeMock = require('./helpers/chrome.js');
+
+/**
+ * 送信先を設定したページにai.jsを読み込み、fetchをモックに差し替える関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {Object} aiEndpoint - 送信先の設定（aiEndpoint）
+ * @param {function(): Response} respond - fetchのレスポンスを返す関数
+ * @returns {{page: Object, requests: Array<{url: string, init: Object}>}} ページと、fetchの呼び出し
+ *
+ */
+function openWithEndpoint(t, aiEndpoint, respond) {
+	var page = load.loadPage({
+		scripts: ['settings.js', 'i18n.js', 'ai.js'],
+		chrome: chromeMock.createChrome({storage: {local: {aiEndpoint: aiEndpoint, aiApiKey: 'sk-test'}}})
+	});
+	t.after(page.close);
+	var requests = [];
+	page.window.fetch = function(url, init) {
+		requests.push({url: url, init: init});
+		return Promise.resolve(respond());
+	};
+	return {page: page, requests: requests};
+}
+
+/**
+ * 本文を指定した断片に分けて返すレスポンスを作成する関数
+ *
+ * @param {Array<string>} chunks - 本文の断片
+ * @param {string} contentType - Content-Typeヘッダー
+ * @returns {Response} レスポンス
+ *
+ */
+function streamResponse(chunks, contentType) {
+	var encoder = new TextEncoder();
+	var body = new ReadableStream({
+		start: function(controller) {
+			chunks.forEach(function(chunk) {
+				controller.enqueue(encoder.encode(chunk));
+			});
+			controller.close();
+		}
+	});
+	return new Response(body, {status: 200, headers: {'Content-Type': contentType}});
+}
+
+/**
+ * askAIで質問し、受け取った回答の断片を返す関数
+ *
+ * @param {Object} page - ページ
+ * @returns {Promise<Array<string>>} 回答の断片（受信順）
+ *
+ */
+async function ask(page) {
+	var deltas = [];
+	await page.window.askAI('Why?', {pageUrl: 'https://example.com/app', errors: [{text: 'boom'}]}, function(delta) {
+		deltas.push(delta);
+	});
+	return deltas;
+}
+
+test('OpenAI互換の送信先からServer-Sent Eventsの回答を断片ごとに受け取る', async function(t) {
+	var opened = openWithEndpoint(t, {type: 'openai', url: 'http://localhost:11434/v1/chat/completions', model: 'llama3'}, function() {
+		return streamResponse([
+			': keep-alive\n',
+			'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\ndata: {"choices":[{"delta":{"content":"Check "}}]}\n',
+			'\ndata: {"choices":[{"del',
+			'ta":{"content":"the user"}}]}\n\n',
+			// 最後のイベントが改行で終わらない場合
+			'data: {"choices":[{"delta":{"content":" id."}}]}'
+		], 'text/event-stream');
+	});
+
+	assert.deepEqual(await ask(opened.page), ['Check ', 'the user', ' id.']);
+	var request = opened.requests[0];
+	assert.equal(request.url, 'http://localhost:11434/v1/chat/completions');
+	assert.equal(request.init.headers.Authorization, 'Bearer sk-test');
+	assert.deepEqual(JSON.parse(request.init.body), {
+		messages: [{role: 'user', content: 'Why?'}],
+		stream: true,
+		model: 'llama3'
+	});
+});
+
+test('ストリーミングに対応していない送信先のJSONのレスポンスを回答とする', async function(t) {
+	var opened = openWithEndpoint(t, {type: 'openai', url: 'https://api.example.com/v1/chat/completions', model: ''}, function() {
+		return new Response(JSON.stringify({choices: [{message: {role: 'assistant', content: 'Check the user id.'}}]}), {
+			status: 200,
+			headers: {'Content-Type': 'application/json; charset=utf-8'}
+		});
+	});
+
+	assert.deepEqual(await ask(opened.page), ['Check the user id.']);
+	assert.equal('model' in JSON.parse(opened.requests[0].init.body), false);
+});
+
+test('Webhookにはプロンプトとエラー情報を送信し、テキストとJSONのレスポンスを回答とする', async function(t) {
+	var responses = [
+		streamResponse(['Check ', 'the user id.'], 'text/plain'),
+		new Response(JSON.stringify({answer: 'Check the user id.'}), {status: 200, headers: {'Content-Type': 'application/json'}}),
+		new Response(JSON.stringify({result: 'ok'}), {status: 200, headers: {'Content-Type': 'application/json'}}),
+		new Response('Internal Server Error', {status: 500})
+	];
+	var opened = openWithEndpoint(t, {type: 'webhook', url: 'https://hooks.example.com/ask', model: ''}, function() {
+		return responses.shift();
+	});
+
+	assert.equal((await ask(opened.page)).join(''), 'Check the user id.');
+	assert.deepEqual(JSON.parse(opened.requests[0].init.body), {
+		prompt: 'Why?',
+		pageUrl: 'https://example.com/app',
+		errors: [{text: 'boom'}]
+	});
+	assert.deepEqual(await ask(opened.page), ['Check the user id.']);
+	// answer / text / contentがない場合はJSON全体を回答とする
+	assert.deepEqual(await ask(opened.page), [JSON.stringify({result: 'ok'}, null, 2)]);
+	await assert.rejects(ask(opened.page), /500.*Internal Server Error/);
+});
@@ -0,0 +1,564 @@
+/**
+ * background.test.jsは、Service Worker（background.js）のメッセージ処理をテストする
+ *
+ * vmのコンテキストにbackground.jsを読み込み、content.jsやポップアップと同じメッセージを配信して、
+ * エラーストア、ブラウザアクション（バッジ、タイトル、ポップアップURL）と購読中のポップアップへの通知を確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+var createChrome = require('./helpers/chrome.js').createChrome;
+
+/** @type {number} テストで使うタブのID */
+var TAB_ID = 5;
+
+/** @type {string} テストページのURL */
+var PAGE_URL = 'https://example.com/app';
+
+/**
+ * background.jsを読み込み、起動処理の完了を待つ関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {Object} [options] - createChromeのオプション
+ * @returns {Promise<Object>} Service Worker
+ *
+ */
+async function startServiceWorker(t, options) {
+	var worker = load.loadServiceWorker({chrome: createChrome(options)});
+	t.after(worker.close);
+	await worker.ready;
+	return worker;
+}
+
+/**
+ * タブのフレームから送信されたメッセージを配信する関数
+ *
+ * @param {Object} worker - Service Worker
+ * @param {Object} message - メッセージ
+ * @param {Object} [frame] - 送信元フレーム（frameIdとurl、省略した場合はトップフレーム）
+ * @returns {Promise<*>} 応答
+ *
+ */
+function sendFromTab(worker, message, frame) {
+	frame = frame || {frameId: 0, url: PAGE_URL};
+	return worker.chrome._test.dispatchMessage(message, {tab: {id: TAB_ID, url: PAGE_URL}, frameId: frame.frameId, url: frame.url});
+}
+
+/**
+ * content.jsが送信するエラー情報を作成する関数
+ *
+ * @param {Object} [fields] - 上書きするフィールド
+ * @returns {Object} エラー情報
+ *
+ */
+function createError(fields) {
+	return Object.assign({
+		text: 'Uncaught TypeError: user is undefined',
+		url: 'https://example.com/app.js',
+		line: 2,
+		col: 9,
+		name: 'TypeError',
+		stack: null,
+		frames: [],
+		cause: [],
+		breadcrumbs: [],
+		timestamp: Date.now(),
+		source: 'onerror',
+		type: 'script',
+		severity: 'error',
+		fingerprint: 'a1',
+		count: 1
+	}, fields);
+}
+
+test('ページの初期化でブラウザアクションを初期状態に戻す', async function(t) {
+	var worker = await startServiceWorker(t);
+	assert.deepEqual(await sendFromTab(worker, {_initPage: true, url: PAGE_URL}), {});
+
+	var state = worker.chrome._test.actionState(TAB_ID);
+	assert.equal(state.badgeText, '');
+	assert.equal(state.title, 'JavaScript Errors Notifier');
+	assert.equal(state.popup, 'popup.html?tabId=' + TAB_ID);
+	assert.equal(state.icon['19'], 'img/error_19_disabled.png');
+});
+
+test('エラーを受信するとバッジにグループ数を表示する', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+
+	var result = await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	assert.deepEqual(result, {count: 1, added: 1});
+
+	var state = worker.chrome._test.actionState(TAB_ID);
+	assert.equal(state.badgeText, '1');
+	assert.equal(state.badgeColor, '#d33');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('actionTitleError'));
+	assert.equal(state.icon['19'], 'img/error_19.png');
+});
+
+test('警告のみの場合はバッジを黄色にする', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError({source: 'console', severity: 'warning', fingerprint: 'w1'})], url: PAGE_URL});
+
+	var state = worker.chrome._test.actionState(TAB_ID);
+	assert.equal(state.badgeColor, '#f2a100');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('actionTitleWarning'));
+
+	// エラーが加わったら赤にする
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	state = worker.chrome._test.actionState(TAB_ID);
+	assert.equal(state.badgeText, '2');
+	assert.equal(state.badgeColor, '#d33');
+});
+
+test('同じフィンガープリントのエラーは1つのグループにまとめて発生回数を数える', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	var result = await sendFromTab(worker, {_errors: true, errors: [createError({count: 4})], url: PAGE_URL});
+	assert.deepEqual(result, {count: 1, added: 0});
+
+	var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.equal(store.url, PAGE_URL);
+	assert.equal(store.errors.length, 1);
+	assert.equal(store.errors[0].count, 5);
+	assert.equal(store.errors[0].frameId, 0);
+	assert.equal(store.errors[0].frameOrigin, 'https://example.com');
+	assert.equal(worker.chrome._test.actionState(TAB_ID).badgeText, '1');
+});
+
+test('無視ルールに一致するエラーは数えない', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	var result = await sendFromTab(worker, {_errors: true, errors: [createError({text: 'ResizeObserver loop limit exceeded'})], url: PAGE_URL});
+	assert.deepEqual(result, {count: 0, added: 0});
+	assert.equal(worker.chrome._test.actionState(TAB_ID).badgeText, '');
+});
+
+test('同じURLのリソースの読み込み失敗とネットワークエラーは届く順によらずネットワークエラーだけを残す', async function(t) {
+	var longUrl = 'https://cdn.example.com/img/' + 'a'.repeat(2100) + '.png';
+	var resource = createError({text: 'Failed to load img: ' + longUrl.slice(0, 2000) + '…', url: longUrl.slice(0, 2000) + '…', source: 'resource', type: 'resource', fingerprint: 'r1'});
+	var network = createError({text: 'GET ' + longUrl + ' 404', url: longUrl, source: 'network', type: 'network', fingerprint: 'n1'});
+
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [resource], url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [network], url: PAGE_URL});
+	var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.deepEqual(store.errors.map(function(error) {
+		return error.type;
+	}), ['network']);
+
+	var reversed = await startServiceWorker(t);
+	await sendFromTab(reversed, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(reversed, {_errors: true, errors: [network], url: PAGE_URL});
+	await sendFromTab(reversed, {_errors: true, errors: [resource], url: PAGE_URL});
+	store = await reversed.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.deepEqual(store.errors.map(function(error) {
+		return error.type;
+	}), ['network']);
+});
+
+test('iframeのエラーも対象・除外URLパターンはトップレベルのページのURLで判定する', async function(t) {
+	var frame = {frameId: 3, url: 'https://ads.example.net/frame'};
+	var excludingFrame = await startServiceWorker(t, {storage: {local: {excludePatterns: ['https://ads.example.net/*']}}});
+	await sendFromTab(excludingFrame, {_initPage: true, url: PAGE_URL});
+	var result = await sendFromTab(excludingFrame, {_errors: true, errors: [createError({text: 'ad failed'})], url: frame.url}, frame);
+	assert.deepEqual(result, {count: 1, added: 1});
+
+	var excludingPage = await startServiceWorker(t, {storage: {local: {excludePatterns: ['https://example.com/*']}}});
+	await sendFromTab(excludingPage, {_initPage: true, url: PAGE_URL});
+	result = await sendFromTab(excludingPage, {_errors: true, errors: [createError({text: 'ad failed'})], url: frame.url}, frame);
+	assert.deepEqual(result, {count: 0, added: 0});
+});
+
+test('iframeのエラーの通知はトップフレームに依頼する', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError({text: 'ad failed'})], url: 'https://ads.example.net/frame'}, {frameId: 3, url: 'https://ads.example.net/frame'});
+
+	var messages = worker.chrome._test.tabMessages;
+	assert.equal(messages.length, 1);
+	assert.equal(messages[0].tabId, TAB_ID);
+	assert.deepEqual(messages[0].options, {frameId: 0});
+	assert.equal(messages[0].message._showNotification, true);
+	assert.equal(messages[0].message.count, 1);
+	assert.equal(messages[0].message.error.text, 'ad failed');
+});
+
+test('メッセージの処理に失敗した場合は失敗を示す値で応答する', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	worker.chrome.action.setTitle = function() {
+		return Promise.reject(new Error('No tab with id: ' + TAB_ID));
+	};
+	assert.equal(await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL}), null);
+	assert.equal(await sendFromTab(worker, {_initPage: true, url: PAGE_URL}), null);
+	assert.equal(await worker.chrome._test.dispatchMessage({_clearErrors: true, tabId: TAB_ID}), null);
+
+	worker.chrome.storage.session.get = function() {
+		return Promise.reject(new Error('Storage is unavailable'));
+	};
+	var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.deepEqual(store.errors, []);
+	assert.equal(await worker.chrome._test.dispatchMessage({_saveAnswer: true, tabId: TAB_ID, groups: [], answer: {text: 'a'}}), null);
+});
+
+test('購読中のポップアップにエラーストアの変更を通知する', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	var port = worker.chrome._test.connect('subscribe');
+	port.onMessage.dispatch({_subscribe: true, tabId: TAB_ID});
+
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	var notice = port.sent[port.sent.length - 1];
+	assert.equal(notice._errorsChanged, true);
+	assert.equal(notice.tabId, TAB_ID);
+	assert.equal(notice.url, PAGE_URL);
+	assert.equal(notice.errors.length, 1);
+	assert.equal(notice.navigations.length, 1);
+
+	// 切断した後は通知しない
+	port.disconnect();
+	var sentCount = port.sent.length;
+	await sendFromTab(worker, {_errors: true, errors: [createError({fingerprint: 'b2'})], url: PAGE_URL});
+	assert.equal(port.sent.length, sentCount);
+});
+
+test('対象のタブが閉じられた後にポップアップが切断されても購読の削除で失敗しない', async function(t) {
+	var worker = await startServiceWorker(t);
+	var port = worker.chrome._test.connect('subscribe');
+	port.onMessage.dispatch({_subscribe: true, tabId: TAB_ID});
+	worker.chrome.tabs.onRemoved.dispatch(TAB_ID, {});
+	assert.doesNotThrow(function() {
+		port.disconnect();
+	});
+
+	// 最後の購読が切断されたら空の購読を残さない
+	var other = worker.chrome._test.connect('subscribe');
+	other.onMessage.dispatch({_subscribe: true, tabId: TAB_ID + 1});
+	other.disconnect();
+	assert.equal(TAB_ID + 1 in worker.context.subscribers, false);
+});
+
+test('エラーのクリアでストアを空にしてバッジを消す', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	await worker.chrome._test.dispatchMessage({_clearErrors: true, tabId: TAB_ID});
+
+	var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.deepEqual(store.errors, []);
+	assert.equal(worker.chrome._test.actionState(TAB_ID).badgeText, '');
+});
+
+test('ページを読み込み直すとエラーをクリアし、ログを保持する設定では同じオリジンのエラーを残す', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	assert.equal(worker.chrome._test.actionState(TAB_ID).badgeText, '');
+
+	var preserving = await startServiceWorker(t, {storage: {local: {preserveLog: true}}});
+	await sendFromTab(preserving, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(preserving, {_errors: true, errors: [createError()], url: PAGE_URL});
+	await sendFromTab(preserving, {_initPage: true, url: PAGE_URL + '/next'});
+
+	var store = await preserving.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.equal(store.errors.length, 1);
+	assert.equal(store.navigations.length, 2);
+	assert.equal(preserving.chrome._test.actionState(TAB_ID).badgeText, '1');
+
+	// 別のオリジンへの移動ではクリアする
+	await sendFromTab(preserving, {_initPage: true, url: 'https://other.example.org/'});
+	store = await preserving.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.deepEqual(store.errors, []);
+});
+
+test('受け付けたエラーをエラー履歴に記録する', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+
+	var history = await load.waitFor(function() {
+		var history = worker.chrome.storage.local.data.errorHistory;
+		return history && Object.keys(history.groups).length > 0 && history;
+	});
+	var group = history.groups[Object.keys(history.groups)[0]];
+	assert.equal(group.domain, 'example.com');
+	assert.equal(group.count, 1);
+});
+
+test('ネットワークエラーとページのURLの秘密情報を伏せて記録する', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL + '?session=s3cr3t'});
+	await sendFromTab(worker, {_errors: true, errors: [createError({
+		text: 'GET https://api.example.com/users?api_key=k1&page=2 (401 Unauthorized)',
+		url: 'https://api.example.com/users?api_key=k1&page=2',
+		source: 'network',
+		type: 'network',
+		fingerprint: 'n1'
+	})], url: PAGE_URL});
+
+	var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.equal(store.url, PAGE_URL + '?session=[REDACTED:PARAM]');
+	assert.equal(store.navigations[0].url, PAGE_URL + '?session=[REDACTED:PARAM]');
+	assert.equal(store.errors[0].text, 'GET https://api.example.com/users?api_key=[REDACTED:PARAM]&page=2 (401 Unauthorized)');
+	assert.equal(store.errors[0].url, 'https://api.example.com/users?api_key=[REDACTED:PARAM]&page=2');
+});
+
+test('続けて受け付けたエラーはまとめて1回でエラー履歴に書き込む', async function(t) {
+	var worker = await startServiceWorker(t);
+	var writes = 0;
+	worker.chrome.storage.onChanged.addListener(function(changes, areaName) {
+		if(areaName === 'local' && changes.errorHistory) {
+			writes++;
+		}
+	});
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	for(var i = 0; i < 5; i++) {
+		await sendFromTab(worker, {_errors: true, errors: [createError({text: 'failure ' + i, fingerprint: 'f' + i})], url: PAGE_URL});
+	}
+
+	var history = await load.waitFor(function() {
+		var history = worker.chrome.storage.local.data.errorHistory;
+		return history && Object.keys(history.groups).length === 5 && history;
+	});
+	assert.equal(Object.keys(history.groups).length, 5);
+	await load.waitFor(function() {
+		return writes > 0;
+	});
+	assert.equal(writes, 1);
+});
+
+test('閉じたタブのネットワークエラーでブラウザアクションの更新が失敗しても拒否を残さない', async function(t) {
+	var worker = await startServiceWorker(t);
+	var unhandled = [];
+	var onUnhandled = function(reason) {
+		unhandled.push(reason);
+	};
+	process.on('unhandledRejection', onUnhandled);
+	t.after(function() {
+		process.off('unhandledRejection', onUnhandled);
+	});
+	var rejected = [];
+	['setTitle', 'setIcon', 'setBadgeText', 'setBadgeBackgroundColor', 'setBadgeTextColor'].forEach(function(method) {
+		worker.chrome.action[method] = function() {
+			rejected.push(method);
+			return Promise.reject(new Error('No tab with id: ' + TAB_ID));
+		};
+	});
+
+	worker.chrome.webRequest.onCompleted.dispatch({
+		tabId: TAB_ID,
+		frameId: 0,
+		method: 'GET',
+		url: 'https://example.com/missing.js',
+		statusCode: 404,
+		statusLine: 'HTTP/1.1 404 Not Found',
+		type: 'script',
+		timeStamp: Date.now(),
+		documentUrl: PAGE_URL
+	});
+	await load.waitFor(function() {
+		return rejected.length > 0;
+	});
+	await new Promise(function(resolve) {
+		setTimeout(resolve, 50);
+	});
+	assert.deepEqual(unhandled, []);
+});
+
+test('ソースマップの取得が一時的に失敗した場合はキャッシュせずに取得し直す', async function(t) {
+	var worker = await startServiceWorker(t);
+	var requests = [];
+	var responses = [
+		function() {
+			return Promise.reject(new TypeError('Failed to fetch'));
+		},
+		function() {
+			return Promise.resolve(new Response('', {status: 503}));
+		},
+		function() {
+			return Promise.resolve(new Response('', {status: 404}));
+		}
+	];
+	worker.context.fetch = function(url) {
+		requests.push(url);
+		return responses.shift()();
+	};
+
+	var scriptUrl = 'https://example.com/app.min.js';
+	assert.equal(await worker.context.loadSourceMap(scriptUrl), null);
+	assert.equal(await worker.context.loadSourceMap(scriptUrl), null);
+	assert.equal(await worker.context.loadSourceMap(scriptUrl), null);
+	assert.equal(requests.length, 3);
+
+	// 404はソースマップがないものとしてキャッシュする
+	assert.equal(await worker.context.loadSourceMap(scriptUrl), null);
+	assert.equal(requests.length, 3);
+});
+
+test('インポートなどで不正なDSNが設定された場合は転送キューを破棄する', async function(t) {
+	var events = [1, 2].map(function(id) {
+		return {id: 'e' + id, pageUrl: PAGE_URL, userAgent: 'test', record: {message: 'failure ' + id}, attempts: 0, nextAttempt: 0};
+	});
+	var worker = await startServiceWorker(t, {storage: {local: {
+		reporterSettings: {enabled: true, protocol: 'sentry', url: 'not a dsn', patterns: ['https://*/*']},
+		reporterQueue: events
+	}}});
+	var requests = [];
+	worker.context.fetch = function(url) {
+		requests.push(url);
+		return Promise.resolve(new Response('', {status: 200}));
+	};
+
+	await worker.context.flushReports();
+	assert.deepEqual(worker.chrome.storage.local.data.reporterQueue, []);
+	assert.deepEqual(requests, []);
+});
+
+/**
+ * ショートカットやメニューの操作結果がバッジに表示されるまで待つ関数
+ *
+ * @param {Object} worker - Service Worker
+ * @param {string} text - 待つバッジの文字列
+ * @returns {Promise<Object>} ブラウザアクションの状態
+ *
+ */
+function waitForFeedback(worker, text) {
+	return load.waitFor(function() {
+		var state = worker.chrome._test.actionState(TAB_ID);
+		return state.badgeText === text && state;
+	});
+}
+
+/**
+ * オフスクリーンドキュメントに依頼されたコピーのテキストを返す関数
+ *
+ * @param {Object} worker - Service Worker
+ * @returns {Array<string>} コピーを依頼されたテキスト（依頼順）
+ *
+ */
+function copiedTexts(worker) {
+	return worker.chrome._test.sentMessages.filter(function(message) {
+		return message._offscreenCopy;
+	}).map(function(message) {
+		return message.text;
+	});
+}
+
+test('ショートカットでAIプロンプトをオフスクリーンドキュメント経由でコピーする', async function(t) {
+	var worker = await startServiceWorker(t, {respond: function(message) {
+		return message._offscreenCopy ? {copied: true} : undefined;
+	}});
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+
+	worker.chrome.commands.onCommand.dispatch('copy-ai-prompt', {id: TAB_ID, url: PAGE_URL});
+	var state = await waitForFeedback(worker, 'OK');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('feedbackPromptCopied'));
+	assert.match(copiedTexts(worker)[0], /Uncaught TypeError: user is undefined/);
+	assert.ok(worker.chrome._test.calls.some(function(call) {
+		return call.method === 'offscreen.createDocument';
+	}));
+});
+
+test('オフスクリーンドキュメントが応答しない場合はコピーの失敗をバッジに表示する', async function(t) {
+	var worker = await startServiceWorker(t, {respond: function(message) {
+		if(message._offscreenCopy) {
+			throw new Error('Could not establish connection. Receiving end does not exist.');
+		}
+	}});
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+
+	worker.chrome.contextMenus.onClicked.dispatch({menuItemId: 'copy-bug-report', pageUrl: PAGE_URL}, {id: TAB_ID, url: PAGE_URL});
+	var state = await waitForFeedback(worker, 'ERR');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('feedbackReportCopyFailed'));
+	assert.match(copiedTexts(worker)[0], /^# /);
+});
+
+test('ショートカットやメニューの操作が失敗した場合は拒否を残さずにバッジに表示する', async function(t) {
+	var worker = await startServiceWorker(t);
+	var unhandled = [];
+	var onUnhandled = function(reason) {
+		unhandled.push(reason);
+	};
+	process.on('unhandledRejection', onUnhandled);
+	t.after(function() {
+		process.off('unhandledRejection', onUnhandled);
+	});
+	worker.chrome.storage.session.set = function() {
+		return Promise.reject(new Error('Quota exceeded'));
+	};
+
+	worker.chrome.commands.onCommand.dispatch('clear-errors', {id: TAB_ID, url: PAGE_URL});
+	var state = await waitForFeedback(worker, 'ERR');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('feedbackActionFailed'));
+
+	// 失敗の表示もできない場合はログに残すだけにする
+	worker.chrome.action.setBadgeText = function() {
+		return Promise.reject(new Error('No tab with id: ' + TAB_ID));
+	};
+	worker.chrome.commands.onCommand.dispatch('clear-errors', {id: TAB_ID, url: PAGE_URL});
+	await new Promise(function(resolve) {
+		setTimeout(resolve, 50);
+	});
+	assert.deepEqual(unhandled, []);
+});
+
+test('ショートカットでエラーをクリアし、サイトのエラー検知を切り替える', async function(t) {
+	var worker = await startServiceWorker(t);
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+
+	worker.chrome.commands.onCommand.dispatch('clear-errors', {id: TAB_ID, url: PAGE_URL});
+	await load.waitFor(async function() {
+		var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+		return store.errors.length === 0;
+	});
+	assert.equal(worker.chrome._test.actionState(TAB_ID).badgeText, '');
+
+	worker.chrome.commands.onCommand.dispatch('toggle-site', {id: TAB_ID, url: PAGE_URL});
+	var state = await waitForFeedback(worker, 'OFF');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('feedbackSiteDisabled', 'example.com'));
+	var settings = await worker.context.loadRuleSettings();
+	assert.equal(settings.domainSettings['example.com'].enabled, false);
+
+	// 無効にしたサイトのエラーは数えない
+	var result = await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	assert.deepEqual(result, {count: 0, added: 0});
+});
+
+test('メニューの「このドメインのエラーを無視」でiframeのドメインの無視ルールを追加し、一致するエラーを削除する', async function(t) {
+	var worker = await startServiceWorker(t);
+	var frame = {frameId: 3, url: 'https://ads.example.net/frame'};
+	await sendFromTab(worker, {_initPage: true, url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError()], url: PAGE_URL});
+	await sendFromTab(worker, {_errors: true, errors: [createError({text: 'ad failed', url: 'https://ads.example.net/ad.js', fingerprint: 'ad'})], url: frame.url}, frame);
+
+	worker.chrome.contextMenus.onClicked.dispatch({menuItemId: 'ignore-domain', pageUrl: PAGE_URL, frameUrl: frame.url}, {id: TAB_ID, url: PAGE_URL});
+	var state = await waitForFeedback(worker, 'OK');
+	assert.equal(state.title, worker.chrome.i18n.getMessage('feedbackDomainIgnored', 'ads.example.net'));
+
+	var pattern = worker.context.domainSourcePattern('ads.example.net');
+	var settings = await worker.context.loadRuleSettings();
+	assert.ok(settings.ignoreRules.some(function(rule) {
+		return rule.field === 'source' && rule.pattern === pattern;
+	}));
+	var store = await worker.chrome._test.dispatchMessage({_getErrors: true, tabId: TAB_ID});
+	assert.deepEqual(store.errors.map(function(error) {
+		return error.text;
+	}), ['Uncaught TypeError: user is undefined']);
+
+	// サブドメインや、ドメイン名を前方に含む別のドメインには一致しない
+	var regexp = new RegExp(pattern);
+	assert.ok(regexp.test('https://ads.example.net:8443/ad.js'));
+	assert.ok(!regexp.test('https://cdn.ads.example.net/ad.js'));
+	assert.ok(!regexp.test('https://ads.example.network/ad.js'));
+});
@@ -0,0 +1,449 @@
+/**
+ * content.test.jsは、コンテンツスクリプト（inject.js、content.js）のエラー検知をテストする
+ *
+ * jsdomのページにmanifest.jsonのcontent_scriptsを読み込み、ページで発生させたエラーが
+ * Service Workerへ送信されるメッセージ（_errors）になることを確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+var createChrome = require('./helpers/chrome.js').createChrome;
+
+/** @type {string} テストページのURL */
+var PAGE_URL = 'https://example.com/app';
+
+/**
+ * コンテンツスクリプトを読み込んだページを作成し、テストの終了時に閉じる関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {Object} [options] - loadContentScriptsのオプション
+ * @returns {Object} ページ
+ *
+ */
+function openPage(t, options) {
+	var page = load.loadContentScripts(Object.assign({url: PAGE_URL}, options));
+	t.after(page.close);
+	return page;
+}
+
+/**
+ * Service Workerへ送信されたエラー情報を返す関数
+ *
+ * @param {Object} page - ページ
+ * @returns {Array<Object>} 送信されたエラー情報（送信順）
+ *
+ */
+function sentErrors(page) {
+	return page.chrome._test.sentMessages.filter(function(message) {
+		return message._errors;
+	}).reduce(function(errors, message) {
+		return errors.concat(message.errors);
+	}, []);
+}
+
+/**
+ * 指定した件数のエラー情報が送信されるまで待つ関数
+ *
+ * @param {Object} page - ページ
+ * @param {number} count - 待つ件数
+ * @returns {Promise<Array<Object>>} 送信されたエラー情報
+ *
+ */
+function waitForErrors(page, count) {
+	return load.waitFor(function() {
+		var errors = sentErrors(page);
+		return errors.length >= count && errors;
+	});
+}
+
+/**
+ * 指定した時間待つ関数
+ *
+ * @param {number} ms - 待つ時間（ミリ秒）
+ * @returns {Promise<void>} 待機完了を示すPromise
+ *
+ */
+function delay(ms) {
+	return new Promise(function(resolve) {
+		setTimeout(resolve, ms);
+	});
+}
+
+/**
+ * 記録されないことを確かめるために、最後に目印のエラーを発生させて送信を待つ関数
+ *
+ * inject.jsからのレコードは発生順に処理されるため、目印が送信された時点でそれより前のエラーの処理は終わっている
+ *
+ * @param {Object} page - ページ
+ * @returns {Promise<Array<Object>>} 目印を除いた、送信されたエラー情報
+ *
+ */
+async function flushWithSentinel(page) {
+	page.window.console.error('sentinel');
+	var errors = await load.waitFor(function() {
+		var errors = sentErrors(page);
+		return errors.some(function(error) {
+			return error.text === 'sentinel';
+		}) && errors;
+	});
+	return errors.filter(function(error) {
+		return error.text !== 'sentinel';
+	});
+}
+
+test('ページの読み込み時にService Workerへ初期化メッセージを送信する', async function(t) {
+	var page = openPage(t);
+	var init = await load.waitFor(function() {
+		return page.chrome._test.sentMessages.find(function(message) {
+			return message._initPage;
+		});
+	});
+	assert.deepEqual(init, {_initPage: true, url: PAGE_URL});
+});
+
+test('スクリプトエラーをスタックフレームとともに送信する', async function(t) {
+	var page = openPage(t);
+	var error = page.evaluate([
+		'function loadUser() {',
+		'	return new TypeError("user is undefined");',
+		'}',
+		'loadUser();',
+		'//# sourceURL=https://example.com/app.js'
+	].join('\n'));
+	page.window.dispatchEvent(new page.window.ErrorEvent('error', {
+		message: 'Uncaught TypeError: user is undefined',
+		filename: 'https://example.com/app.js',
+		lineno: 2,
+		colno: 9,
+		error: error
+	}));
+
+	var sent = (await waitForErrors(page, 1))[0];
+	assert.equal(sent.text, 'Uncaught TypeError: user is undefined');
+	assert.equal(sent.url, 'https://example.com/app.js');
+	assert.equal(sent.line, 2);
+	assert.equal(sent.col, 9);
+	assert.equal(sent.name, 'TypeError');
+	assert.equal(sent.source, 'onerror');
+	assert.equal(sent.type, 'script');
+	assert.equal(sent.severity, 'error');
+	assert.equal(sent.count, 1);
+	assert.match(sent.fingerprint, /^[0-9a-f]+$/);
+	assert.deepEqual(sent.frames[0], {func: 'loadUser', url: 'https://example.com/app.js', line: 2, col: 9});
+	assert.equal(page.chrome._test.sentMessages.find(function(message) {
+		return message._errors;
+	}).url, PAGE_URL);
+});
+
+test('未処理のPromise拒否を送信する', async function(t) {
+	var page = openPage(t);
+	var window = page.window;
+	var event = new window.Event('unhandledrejection');
+	event.reason = new window.RangeError('page out of range');
+	window.dispatchEvent(event);
+	event = new window.Event('unhandledrejection');
+	event.reason = {code: 42};
+	window.dispatchEvent(event);
+
+	var sent = await waitForErrors(page, 2);
+	assert.deepEqual(sent.map(function(error) {
+		return [error.source, error.type, error.severity, error.name, error.text];
+	}), [
+		['rejection', 'script', 'error', 'RangeError', 'RangeError: page out of range'],
+		['rejection', 'script', 'error', null, '{"code":42}']
+	]);
+});
+
+test('console.errorは重要度error、console.warnは重要度warningとして送信する', async function(t) {
+	var page = openPage(t);
+	page.window.console.error('Request failed', new page.window.Error('timeout'));
+	page.window.console.warn('Deprecated option', {legacy: true});
+
+	var sent = await waitForErrors(page, 2);
+	assert.deepEqual(sent.map(function(error) {
+		return [error.source, error.severity, error.text];
+	}), [
+		['console', 'error', 'Request failed Error: timeout'],
+		['console', 'warning', 'Deprecated option {"legacy":true}']
+	]);
+	assert.equal(sent[0].name, 'Error');
+});
+
+test('console.infoは設定で有効にした場合のみ送信する', async function(t) {
+	var page = openPage(t);
+	page.window.console.info('loaded');
+	assert.deepEqual(await flushWithSentinel(page), []);
+
+	var enabled = openPage(t, {chrome: createChrome({storage: {local: {captureConsoleInfo: true}}})});
+	enabled.window.console.info('loaded');
+	var sent = await flushWithSentinel(enabled);
+	assert.equal(sent.length, 1);
+	assert.equal(sent[0].severity, 'info');
+	assert.equal(sent[0].text, 'loaded');
+});
+
+test('リソースの読み込み失敗を送信する', async function(t) {
+	var page = openPage(t);
+	var document = page.document;
+	var image = document.createElement('img');
+	image.src = 'https://cdn.example.com/logo.png?v=3';
+	document.body.appendChild(image);
+	image.dispatchEvent(new page.window.Event('error'));
+
+	// 対象外の要素のerrorイベントは無視する
+	var div = document.createElement('div');
+	document.body.appendChild(div);
+	div.dispatchEvent(new page.window.Event('error'));
+
+	var sent = await flushWithSentinel(page);
+	assert.equal(sent.length, 1);
+	assert.equal(sent[0].text, 'Failed to load img: https://cdn.example.com/logo.png?v=3');
+	assert.equal(sent[0].url, 'https://cdn.example.com/logo.png?v=3');
+	assert.equal(sent[0].source, 'resource');
+	assert.equal(sent[0].type, 'resource');
+});
+
+test('content.jsより先に捕捉したエラーはハンドシェイクの成立後に送信する', async function(t) {
+	var page = load.loadPage({url: PAGE_URL, scripts: ['inject.js']});
+	t.after(page.close);
+	page.window.console.error('before content script');
+
+	['settings.js', 'i18n.js', 'rules.js', 'redact.js', 'content.js'].forEach(function(file) {
+		page.evaluate(load.readSource(file));
+	});
+	var sent = await waitForErrors(page, 1);
+	assert.equal(sent[0].text, 'before content script');
+});
+
+test('MAINワールドのスクリプトが先に実行されてもエラーを送信する', async function(t) {
+	var page = openPage(t, {mainWorldFirst: true});
+	page.window.console.error('main world first');
+	var sent = await waitForErrors(page, 1);
+	assert.equal(sent[0].text, 'main world first');
+});
+
+test('エラーの直前の操作をパンくずリストとして添付する', async function(t) {
+	var page = openPage(t);
+	var window = page.window;
+	var button = window.document.createElement('button');
+	button.id = 'save';
+	window.document.body.appendChild(button);
+
+	// inject.jsからのパンくずリストはポート経由で非同期に届くため、届くのを待ってから操作する
+	window.console.log('step 1');
+	await delay(20);
+	button.click();
+	var input = window.document.createElement('input');
+	input.type = 'password';
+	window.document.body.appendChild(input);
+	input.value = 'secret';
+	input.dispatchEvent(new window.Event('change', {bubbles: true}));
+	window.console.error('save failed');
+
+	var sent = await waitForErrors(page, 1);
+	var breadcrumbs = sent[0].breadcrumbs;
+	assert.deepEqual(breadcrumbs.map(function(breadcrumb) {
+		return breadcrumb.category;
+	}), ['console', 'click', 'input']);
+	assert.equal(breadcrumbs[0].message, 'step 1');
+	assert.match(breadcrumbs[1].message, /button#save/);
+	assert.doesNotMatch(breadcrumbs[2].message, /secret/);
+});
+
+test('無視ルールと除外URLパターンに一致するエラーは送信しない', async function(t) {
+	var page = openPage(t);
+	page.window.console.error('ResizeObserver loop completed with undelivered notifications.');
+	assert.deepEqual(await flushWithSentinel(page), []);
+
+	var excluded = openPage(t, {chrome: createChrome({storage: {local: {excludePatterns: ['https://example.com/*']}}})});
+	excluded.window.console.error('excluded');
+	await delay(100);
+	assert.deepEqual(sentErrors(excluded), []);
+});
+
+test('秘密情報や個人情報を伏せてから送信する', async function(t) {
+	var page = openPage(t, {url: PAGE_URL + '?access_token=abc123'});
+	page.window.console.error('Login failed for jane@example.com with key sk-abcdefghijklmnopqrstuvwx');
+
+	var sent = await waitForErrors(page, 1);
+	assert.equal(sent[0].text, 'Login failed for [REDACTED:EMAIL] with key [REDACTED:API_KEY]');
+	assert.doesNotMatch(JSON.stringify(sent[0]), /jane@example\.com|sk-abcdef/);
+	var message = page.chrome._test.sentMessages.find(function(message) {
+		return message._errors;
+	});
+	assert.equal(message.url, PAGE_URL + '?access_token=[REDACTED:PARAM]');
+
+	// 無効にした検出器とユーザー定義のルール
+	var custom = openPage(t, {chrome: createChrome({storage: {local: {
+		redactionDetectors: {jwt: true, apiKey: true, email: false, creditCard: true, queryParams: true},
+		redactionRules: ['customer-\\d+']
+	}}})});
+	custom.window.console.error('customer-42 (jane@example.com) not found');
+	sent = await waitForErrors(custom, 1);
+	assert.equal(sent[0].text, '[REDACTED:CUSTOM] (jane@example.com) not found');
+});
+
+test('URLのファイル名とスタックトレースの位置は伏せずに残す', async function(t) {
+	var page = openPage(t);
+	var image = page.document.createElement('img');
+	image.src = 'https://example.com/img/logo@2x.png';
+	page.document.body.appendChild(image);
+	image.dispatchEvent(new page.window.Event('error'));
+	page.window.console.error('Error at https://example.com/app.js?code=x:10:5\n    at load (https://example.com/app.js?code=x:12:3)');
+
+	var sent = await flushWithSentinel(page);
+	assert.equal(sent.length, 2);
+	assert.equal(sent[0].text, 'Failed to load img: https://example.com/img/logo@2x.png');
+	assert.equal(sent[0].url, 'https://example.com/img/logo@2x.png');
+	assert.equal(sent[1].text, 'Error at https://example.com/app.js?code=[REDACTED:PARAM]:10:5\n    at load (https://example.com/app.js?code=[REDACTED:PARAM]:12:3)');
+});
+
+test('スタックフレームのURLは伏せた値とソースマップ解決用の元の値を送信する', async function(t) {
+	var page = openPage(t);
+	var error = page.evaluate([
+		'function loadUser() {',
+		'	return new TypeError("user is undefined");',
+		'}',
+		'loadUser();',
+		'//# sourceURL=https://example.com/app.js?token=abc123'
+	].join('\n'));
+	page.window.dispatchEvent(new page.window.ErrorEvent('error', {
+		message: 'Uncaught TypeError: user is undefined',
+		filename: 'https://example.com/app.js?token=abc123',
+		lineno: 2,
+		colno: 9,
+		error: error
+	}));
+
+	var sent = (await waitForErrors(page, 1))[0];
+	assert.equal(sent.url, 'https://example.com/app.js?token=[REDACTED:PARAM]');
+	assert.equal(sent.frames[0].url, 'https://example.com/app.js?token=[REDACTED:PARAM]');
+	assert.equal(sent.frames[0].rawUrl, 'https://example.com/app.js?token=abc123');
+});
+
+test('同じエラーの連続送信を抑制し、発生回数をまとめて送信する', async function(t) {
+	var page = openPage(t);
+	for(var i = 0; i < 3; i++) {
+		page.window.console.error('repeated');
+	}
+
+	var sent = await waitForErrors(page, 2);
+	assert.deepEqual(sent.map(function(error) {
+		return error.count;
+	}), [1, 2]);
+	assert.equal(sent[0].fingerprint, sent[1].fingerprint);
+});
+
+test('新しい種類のエラーとして記録された場合はページに通知を表示する', async function(t) {
+	var page = openPage(t, {chrome: createChrome({respond: function(message) {
+		return message._errors ? {count: 1, added: 1} : undefined;
+	}})});
+	page.window.console.error('notify me');
+
+	var notification = await load.waitFor(function() {
+		return page.document.querySelector('[data-jen-notification]');
+	});
+	assert.equal(notification.parentElement, page.document.body);
+});
+
+test('ドメインごとの設定を読み込む前に届いた通知の表示依頼は表示しない', async function(t) {
+	var page = openPage(t);
+	// content.jsは応答を返さないため、dispatchMessageの完了は待たない
+	page.chrome._test.dispatchMessage({
+		_showNotification: true,
+		count: 1,
+		error: {text: 'iframe error', url: 'https://example.com/frame.js', severity: 'error'}
+	});
+	await delay(50);
+	assert.equal(page.document.querySelector('[data-jen-notification]'), null);
+});
+
+test('通知のミュートに成功したら通知を閉じ、失敗したら通知を残して知らせる', async function(t) {
+	var shadowRoots = [];
+	var page = openPage(t, {
+		chrome: createChrome({respond: function(message) {
+			return message._errors ? {count: 1, added: 1} : undefined;
+		}}),
+		beforeScripts: function(window) {
+			var attachShadow = window.Element.prototype.attachShadow;
+			window.Element.prototype.attachShadow = function() {
+				var root = attachShadow.apply(this, arguments);
+				shadowRoots.push(root);
+				return root;
+			};
+		}
+	});
+
+	/**
+	 * 表示された通知のミュートボタンを押す関数
+	 *
+	 * @returns {Promise<Element>} 通知のホスト要素
+	 *
+	 */
+	async function clickMute() {
+		var notification = await load.waitFor(function() {
+			return page.document.querySelector('[data-jen-notification]');
+		});
+		Array.from(shadowRoots[shadowRoots.length - 1].querySelectorAll('button')).find(function(button) {
+			return button.textContent === 'Mute this site';
+		}).click();
+		return notification;
+	}
+
+	// 保存に失敗した場合
+	var set = page.chrome.storage.local.set;
+	page.chrome.storage.local.set = function(items, callback) {
+		page.chrome.runtime.lastError = {message: 'QUOTA_BYTES quota exceeded'};
+		callback();
+		delete page.chrome.runtime.lastError;
+	};
+	page.window.console.error('first');
+	var notification = await clickMute();
+	var summary = shadowRoots[shadowRoots.length - 1].querySelector('.summary');
+	await load.waitFor(function() {
+		return summary.textContent === 'Could not mute this site';
+	});
+	assert.equal(notification.parentElement, page.document.body);
+	notification.remove();
+
+	// 保存に成功した場合
+	page.chrome.storage.local.set = set;
+	page.window.console.error('second');
+	notification = await clickMute();
+	await load.waitFor(function() {
+		return !notification.parentElement;
+	});
+	assert.equal(page.chrome.storage.local.data.domainSettings['example.com'].notify, false);
+});
+
+test('ページの通知ではエラーメッセージをHTMLとして解釈しない', async function(t) {
+	var shadowRoots = [];
+	var page = openPage(t, {
+		chrome: createChrome({respond: function(message) {
+			return message._errors ? {count: 1, added: 1} : undefined;
+		}}),
+		beforeScripts: function(window) {
+			// closedモードのShadow DOMの中身を確かめるため、作成されたShadowRootを記録する
+			var attachShadow = window.Element.prototype.attachShadow;
+			window.Element.prototype.attachShadow = function() {
+				var root = attachShadow.apply(this, arguments);
+				shadowRoots.push(root);
+				return root;
+			};
+		}
+	});
+	var payload = '<img src=x onerror="window.pwned=1"><script>window.pwned=1</script>';
+	page.window.console.error(payload);
+
+	await load.waitFor(function() {
+		return page.document.querySelector('[data-jen-notification]');
+	});
+	var shadow = shadowRoots[shadowRoots.length - 1];
+	assert.equal(shadow.querySelectorAll('img, script').length, 0);
+	assert.equal(shadow.querySelector('.message').textContent, payload);
+	assert.equal(page.document.querySelectorAll('img, script').length, 0);
+	assert.equal(page.window.pwned, undefined);
+});
@@ -0,0 +1,172 @@
+/**
+ * extension.test.jsは、ヘッドレスのChromiumに拡張機能を読み込んで、実際のページのエラー検知をテストする
+ *
+ * test/fixturesのページをローカルのHTTPサーバーで配信し、Service Workerのエラーストアとバッジ、
+ * ポップアップの表示を確かめる。
+ * 実行するにはChromiumまたはChrome for Testingの実行ファイルのパスを環境変数CHROME_PATHに設定する
+ * （ブランド版のGoogle Chromeはコマンドラインからの拡張機能の読み込みに対応していない）。未設定の場合はスキップする
+ *
+ * @example
+ * CHROME_PATH=/path/to/chrome npm run test:e2e
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('node:fs');
+var http = require('node:http');
+var path = require('node:path');
+var load = require('../helpers/load.js');
+var ROOT = require('../helpers/chrome.js').ROOT;
+
+/** @type {string} テストページのディレクトリ */
+var FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/** @type {Object<string, string>} 拡張子ごとのContent-Type */
+var CONTENT_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8'
+};
+
+/**
+ * テストページを配信するHTTPサーバーを起動する関数
+ *
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} サーバー（urlはベースURL）
+ *
+ */
+function startServer() {
+	var server = http.createServer(function(request, response) {
+		var file = path.join(FIXTURES, path.normalize(new URL(request.url, 'http://localhost').pathname).replace(/^[/\\]+/, ''));
+		if(file.indexOf(FIXTURES) !== 0 || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+			response.writeHead(404);
+			response.end();
+			return;
+		}
+		response.writeHead(200, {'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'});
+		fs.createReadStream(file).pipe(response);
+	});
+	return new Promise(function(resolve) {
+		server.listen(0, '127.0.0.1', function() {
+			resolve({
+				url: 'http://127.0.0.1:' + server.address().port + '/',
+				close: function() {
+					return new Promise(function(done) {
+						server.close(done);
+					});
+				}
+			});
+		});
+	});
+}
+
+/**
+ * Service Workerで、URLを開いているタブのエラーストアとバッジを取得する関数
+ *
+ * @param {WebWorker} worker - 拡張機能のService Worker
+ * @param {string} url - ページのURL
+ * @returns {Promise<{tabId: number, badge: string, errors: Array<Object>}|null>} タブの状態（タブがない場合はnull）
+ *
+ */
+function tabState(worker, url) {
+	return worker.evaluate(async function(url) {
+		var tab = (await chrome.tabs.query({})).find(function(tab) {
+			return tab.url === url;
+		});
+		if(!tab) {
+			return null;
+		}
+		var key = 'tab_' + tab.id;
+		var store = (await chrome.storage.session.get(key))[key];
+		return {
+			tabId: tab.id,
+			badge: await chrome.action.getBadgeText({tabId: tab.id}),
+			errors: store ? store.errors : []
+		};
+	}, url);
+}
+
+test('拡張機能を読み込んだChromiumでページのエラーを検知する', {skip: !process.env.CHROME_PATH && 'CHROME_PATHが設定されていません'}, async function(t) {
+	var puppeteer = require('puppeteer-core');
+	var server = await startServer();
+	t.after(server.close);
+	var browser = await puppeteer.launch({
+		executablePath: process.env.CHROME_PATH,
+		headless: true,
+		pipe: true,
+		enableExtensions: [ROOT],
+		args: ['--no-sandbox']
+	});
+	t.after(function() {
+		return browser.close();
+	});
+
+	var workerTarget = await browser.waitForTarget(function(target) {
+		return target.type() === 'service_worker' && /\/background\.js$/.test(target.url());
+	});
+	var worker = await workerTarget.worker();
+	var extensionId = new URL(workerTarget.url()).host;
+
+	await t.test('エラーが発生するページ', async function() {
+		var url = server.url + 'errors.html';
+		var page = await browser.newPage();
+		await page.goto(url, {waitUntil: 'load'});
+
+		// スクリプトエラーはsetTimeoutで、ネットワークエラーはwebRequestで遅れて届くため、すべての種類が揃うまで待つ
+		var state = await load.waitFor(async function() {
+			var state = await tabState(worker, url);
+			var sources = state ? state.errors.map(function(error) {
+				return error.source;
+			}) : [];
+			var complete = ['console', 'rejection', 'onerror'].every(function(source) {
+				return sources.indexOf(source) !== -1;
+			}) && (sources.indexOf('resource') !== -1 || sources.indexOf('network') !== -1);
+			return complete && state;
+		}, 10000);
+
+		var texts = state.errors.map(function(error) {
+			return error.text;
+		});
+		assert.ok(texts.indexOf('fixture console error') !== -1, texts.join('\n'));
+		assert.ok(texts.indexOf('fixture console warning') !== -1, texts.join('\n'));
+		assert.ok(texts.some(function(text) {
+			return /fixture rejection/.test(text);
+		}), texts.join('\n'));
+		assert.ok(texts.some(function(text) {
+			return /undefinedFunction/.test(text);
+		}), texts.join('\n'));
+		assert.ok(texts.some(function(text) {
+			return /missing\.png/.test(text);
+		}), texts.join('\n'));
+		assert.equal(state.badge, String(state.errors.length));
+
+		// ポップアップにも同じエラーを表示する
+		var popup = await browser.newPage();
+		await popup.goto('chrome-extension://' + extensionId + '/popup.html?tabId=' + state.tabId);
+		await popup.waitForSelector('#newErrorInfo .log');
+		var prompt = await popup.$eval('#promptArea', function(textarea) {
+			return textarea.value;
+		});
+		assert.match(prompt, /fixture console error/);
+		await popup.close();
+		await page.close();
+	});
+
+	await t.test('エラーが発生しないページ', async function() {
+		var url = server.url + 'clean.html';
+		var page = await browser.newPage();
+		await page.goto(url, {waitUntil: 'load'});
+		// 初期化メッセージ（_initPage）の処理を待ってから、エラーが記録されていないことを確かめる
+		await load.waitFor(async function() {
+			var state = await tabState(worker, url);
+			return state && state.badge === '';
+		}, 5000);
+		await new Promise(function(resolve) {
+			setTimeout(resolve, 500);
+		});
+		var state = await tabState(worker, url);
+		assert.deepEqual(state.errors, []);
+		assert.equal(state.badge, '');
+		await page.close();
+	});
+});
@@ -0,0 +1,13 @@
+/**
+ * errors.jsは、E2Eテストのページで各種のエラーを発生させる
+ * （console.error / console.warn、未処理のPromise拒否、スクリプトエラー）
+ */
+
+console.error('fixture console error');
+console.warn('fixture console warning');
+
+Promise.reject(new Error('fixture rejection'));
+
+setTimeout(function() {
+	undefinedFunction();
+}, 0);
@@ -0,0 +1,2 @@
+function a(b){var c=users[b];return c.name}function d(){document.title=a(1)}
+//# sourceMappingURL=app.min.js.map
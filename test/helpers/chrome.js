@@ -0,0 +1,461 @@
+/**
+ * chrome.jsは、テストで使うchrome.* APIのモックを提供する
+ * content.js、background.js、popup.jsなどを拡張機能の外（jsdomやvm）で読み込むときに、グローバルのchromeとして渡す
+ *
+ * 主な機能：
+ * 1. メッセージ通信
+ *    - runtime.sendMessageの記録と、テストで指定した応答（respond）
+ *    - runtime.onMessageへのメッセージの配信と、sendResponseによる応答の受け取り（dispatchMessage）
+ *    - runtime.connectのポートの記録
+ *
+ * 2. ストレージ
+ *    - chrome.storage.local / sync / sessionのメモリ上の実装（コールバックとPromiseの両方に対応）
+ *    - 保存時のchrome.storage.onChangedの発火
+ *
+ * 3. ブラウザアクション
+ *    - action.setBadgeTextなどの呼び出しの記録と、タブごとの現在の状態（actionState）
+ *
+ * 4. その他
+ *    - _locales/en/messages.jsonによるi18n.getMessage
+ *    - background.jsが登録するイベント（webRequest、alarms、contextMenus、commandsなど）の受け口
+ *
+ * メッセージやストレージの値は、実際のChromeと同じくJSONとして複製してから扱う。
+ * そのため、テストのアサーションはjsdomやvmのレルムの違いを気にせずに比較できる
+ */
+
+'use strict';
+
+var fs = require('node:fs');
+var path = require('node:path');
+
+/** @type {string} リポジトリのルートディレクトリ */
+var ROOT = path.join(__dirname, '..', '..');
+
+/** @type {string} モックの拡張機能ID */
+var EXTENSION_ID = 'test-extension-id';
+
+/**
+ * 値をJSONとして複製する関数
+ *
+ * @param {*} value - 複製する値
+ * @returns {*} 複製した値（undefinedの場合はundefined）
+ *
+ */
+function clone(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 次のマイクロタスクで関数を実行する関数
+ *
+ * Chromeのコールバックは常に非同期に呼ばれるため、それに合わせる
+ *
+ * @param {Function} callback - 実行する関数
+ * @returns {void}
+ *
+ */
+function defer(callback) {
+	Promise.resolve().then(callback);
+}
+
+/**
+ * chrome.events.Eventのモックを作成する関数
+ *
+ * @returns {{addListener: Function, removeListener: Function, hasListener: Function, hasListeners: Function, dispatch: function(...*): Array<*>}} イベント
+ *     （dispatchは登録されたリスナーを順に呼び出し、戻り値の配列を返す）
+ *
+ */
+function createEvent() {
+	var listeners = [];
+	return {
+		addListener: function(listener) {
+			listeners.push(listener);
+		},
+		removeListener: function(listener) {
+			var index = listeners.indexOf(listener);
+			if(index !== -1) {
+				listeners.splice(index, 1);
+			}
+		},
+		hasListener: function(listener) {
+			return listeners.indexOf(listener) !== -1;
+		},
+		hasListeners: function() {
+			return listeners.length > 0;
+		},
+		dispatch: function() {
+			var args = arguments;
+			return listeners.slice().map(function(listener) {
+				return listener.apply(null, args);
+			});
+		}
+	};
+}
+
+/**
+ * chrome.storageの領域（local / sync / session）のモックを作成する関数
+ *
+ * @param {string} areaName - 領域名
+ * @param {Object} onChanged - chrome.storage.onChangedのモック
+ * @param {Object} [initial] - 初期値
+ * @returns {Object} 領域（dataに保存されている値を持つ）
+ *
+ */
+function createStorageArea(areaName, onChanged, initial) {
+	var data = clone(initial || {});
+
+	/**
+	 * 結果をコールバックとPromiseの両方で返す関数
+	 *
+	 * @param {*} result - 結果
+	 * @param {Function} [callback] - コールバック
+	 * @returns {Promise<*>} 結果を返すPromise
+	 *
+	 */
+	function complete(result, callback) {
+		if(typeof callback === 'function') {
+			defer(function() {
+				callback(result);
+			});
+		}
+		return Promise.resolve(result);
+	}
+
+	/**
+	 * 値の変更をchrome.storage.onChangedに通知する関数
+	 *
+	 * @param {Object<string, {oldValue: *, newValue: *}>} changes - 変更内容
+	 * @returns {void}
+	 *
+	 */
+	function notify(changes) {
+		if(Object.keys(changes).length > 0) {
+			defer(function() {
+				onChanged.dispatch(changes, areaName);
+			});
+		}
+	}
+
+	return {
+		data: data,
+		get: function(keys, callback) {
+			if(typeof keys === 'function') {
+				callback = keys;
+				keys = null;
+			}
+			var result = {};
+			if(keys === null || keys === undefined) {
+				result = clone(data);
+			} else if(typeof keys === 'string' || Array.isArray(keys)) {
+				[].concat(keys).forEach(function(key) {
+					if(key in data) {
+						result[key] = clone(data[key]);
+					}
+				});
+			} else {
+				Object.keys(keys).forEach(function(key) {
+					result[key] = key in data ? clone(data[key]) : clone(keys[key]);
+				});
+			}
+			return complete(result, callback);
+		},
+		set: function(items, callback) {
+			var changes = {};
+			Object.keys(items).forEach(function(key) {
+				changes[key] = {oldValue: clone(data[key]), newValue: clone(items[key])};
+				data[key] = clone(items[key]);
+			});
+			notify(changes);
+			return complete(undefined, callback);
+		},
+		remove: function(keys, callback) {
+			var changes = {};
+			[].concat(keys).forEach(function(key) {
+				if(key in data) {
+					changes[key] = {oldValue: data[key]};
+					delete data[key];
+				}
+			});
+			notify(changes);
+			return complete(undefined, callback);
+		},
+		clear: function(callback) {
+			return this.remove(Object.keys(data), callback);
+		}
+	};
+}
+
+/**
+ * chrome.runtime.Portのモックを作成する関数
+ *
+ * @param {string} name - ポート名
+ * @returns {Object} ポート（postMessageで送信したメッセージはsentに記録される）
+ *
+ */
+function createPort(name) {
+	var port = {
+		name: name,
+		sent: [],
+		onMessage: createEvent(),
+		onDisconnect: createEvent(),
+		postMessage: function(message) {
+			port.sent.push(clone(message));
+		},
+		disconnect: function() {
+			port.onDisconnect.dispatch(port);
+		}
+	};
+	return port;
+}
+
+/**
+ * _locales/en/messages.jsonを読み込む関数
+ *
+ * @returns {Object<string, {message: string}>} メッセージカタログ
+ *
+ */
+function loadCatalog() {
+	return JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', 'en', 'messages.json'), 'utf8'));
+}
+
+/**
+ * chrome.* APIのモックを作成する関数
+ *
+ * @param {Object} [options] - オプション
+ * @param {Object} [options.storage] - 領域ごとの初期値（例: {local: {preserveLog: true}}）
+ * @param {function(Object, Object): *} [options.respond] - runtime.sendMessageの応答を返す関数（メッセージと送信者を受け取る）
+ * @param {Array<Object>} [options.tabs] - tabs.queryが返すタブ
+ * @returns {Object} chromeのモック（テスト用の操作はchrome._testにまとめる）
+ *
+ * @example
+ * var chrome = createChrome({respond: function(message) {
+ *   return message._getErrors ? {errors: [], navigations: []} : {};
+ * }});
+ */
+function createChrome(options) {
+	options = options || {};
+	var storage = options.storage || {};
+	var catalog = loadCatalog();
+	var manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+	var respond = options.respond || function() {
+		return undefined;
+	};
+
+	var calls = [];
+	var sentMessages = [];
+	var tabMessages = [];
+	var ports = [];
+	var actionState = {};
+
+	/**
+	 * 呼び出しを記録するだけのAPIを作成する関数
+	 *
+	 * @param {string} method - 記録するメソッド名（例: "tabs.create"）
+	 * @param {*} [result] - 返す値
+	 * @returns {Function} APIのモック（Promiseを返し、コールバックにも対応する）
+	 *
+	 */
+	function recorder(method, result) {
+		return function() {
+			var args = Array.prototype.slice.call(arguments);
+			var callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+			calls.push({method: method, args: clone(args)});
+			if(callback) {
+				defer(function() {
+					callback(clone(result));
+				});
+			}
+			return Promise.resolve(clone(result));
+		};
+	}
+
+	/**
+	 * ブラウザアクションの状態を更新するAPIを作成する関数
+	 *
+	 * @param {string} method - メソッド名
+	 * @param {string} property - 更新する状態の名前
+	 * @param {string} field - 引数のうち状態として保持するフィールド
+	 * @returns {Function} APIのモック
+	 *
+	 */
+	function actionSetter(method, property, field) {
+		var record = recorder('action.' + method);
+		return function(details) {
+			var key = details.tabId === undefined ? 'global' : details.tabId;
+			actionState[key] = actionState[key] || {};
+			actionState[key][property] = clone(details[field]);
+			return record.apply(null, arguments);
+		};
+	}
+
+	var onChanged = createEvent();
+	var runtime = {
+		id: EXTENSION_ID,
+		lastError: undefined,
+		onMessage: createEvent(),
+		onConnect: createEvent(),
+		onInstalled: createEvent(),
+		onStartup: createEvent(),
+		sendMessage: function(message, callback) {
+			message = clone(message);
+			sentMessages.push(message);
+			var response = Promise.resolve().then(function() {
+				return respond(message);
+			}).then(clone);
+			if(typeof callback === 'function') {
+				response.then(callback);
+				return undefined;
+			}
+			return response;
+		},
+		connect: function(info) {
+			var port = createPort((info && info.name) || '');
+			ports.push(port);
+			return port;
+		},
+		getURL: function(file) {
+			return 'chrome-extension://' + EXTENSION_ID + '/' + file.replace(/^\//, '');
+		},
+		getManifest: function() {
+			return clone(manifest);
+		}
+	};
+
+	var chrome = {
+		runtime: runtime,
+		storage: {
+			onChanged: onChanged,
+			local: createStorageArea('local', onChanged, storage.local),
+			sync: createStorageArea('sync', onChanged, storage.sync),
+			session: createStorageArea('session', onChanged, storage.session)
+		},
+		i18n: {
+			getMessage: function(key, substitutions) {
+				var entry = catalog[key];
+				if(!entry) {
+					return '';
+				}
+				var values = [].concat(substitutions === undefined ? [] : substitutions);
+				return entry.message.replace(/\$(\d|\$)/g, function(match, index) {
+					return index === '$' ? '$' : (values[index - 1] === undefined ? '' : String(values[index - 1]));
+				});
+			},
+			getUILanguage: function() {
+				return 'en';
+			}
+		},
+		action: {
+			setBadgeText: actionSetter('setBadgeText', 'badgeText', 'text'),
+			setBadgeBackgroundColor: actionSetter('setBadgeBackgroundColor', 'badgeColor', 'color'),
+			setBadgeTextColor: actionSetter('setBadgeTextColor', 'badgeTextColor', 'color'),
+			setTitle: actionSetter('setTitle', 'title', 'title'),
+			setIcon: actionSetter('setIcon', 'icon', 'path'),
+			setPopup: actionSetter('setPopup', 'popup', 'popup'),
+			openPopup: recorder('action.openPopup')
+		},
+		tabs: {
+			sendMessage: function(tabId, message, options) {
+				tabMessages.push({tabId: tabId, message: clone(message), options: clone(options)});
+				return Promise.resolve();
+			},
+			query: recorder('tabs.query', options.tabs || []),
+			create: recorder('tabs.create', {id: 1000}),
+			get: function(tabId) {
+				return Promise.resolve(clone((options.tabs || []).find(function(tab) {
+					return tab.id === tabId;
+				})));
+			},
+			onRemoved: createEvent(),
+			onUpdated: createEvent()
+		},
+		webRequest: {
+			onCompleted: createEvent(),
+			onErrorOccurred: createEvent()
+		},
+		alarms: {
+			create: recorder('alarms.create'),
+			get: recorder('alarms.get'),
+			clear: recorder('alarms.clear', true),
+			onAlarm: createEvent()
+		},
+		contextMenus: {
+			create: recorder('contextMenus.create'),
+			removeAll: recorder('contextMenus.removeAll'),
+			onClicked: createEvent()
+		},
+		commands: {
+			onCommand: createEvent()
+		},
+		offscreen: {
+			createDocument: recorder('offscreen.createDocument'),
+			Reason: {CLIPBOARD: 'CLIPBOARD'}
+		}
+	};
+
+	chrome._test = {
+		/** @type {Array<{method: string, args: Array<*>}>} 記録するだけのAPIの呼び出し */
+		calls: calls,
+		/** @type {Array<Object>} runtime.sendMessageで送信されたメッセージ */
+		sentMessages: sentMessages,
+		/** @type {Array<{tabId: number, message: Object, options: Object}>} tabs.sendMessageで送信されたメッセージ */
+		tabMessages: tabMessages,
+		/** @type {Array<Object>} runtime.connectで作成されたポート */
+		ports: ports,
+
+		/**
+		 * runtime.sendMessageの応答を返す関数を差し替える
+		 *
+		 * @param {function(Object): *} callback - 応答を返す関数
+		 * @returns {void}
+		 */
+		respond: function(callback) {
+			respond = callback;
+		},
+
+		/**
+		 * タブのブラウザアクションの現在の状態を返す
+		 *
+		 * @param {number} tabId - タブのID
+		 * @returns {{badgeText: string, badgeColor: string, title: string, popup: string, icon: Object}} 状態（未設定の項目はundefined）
+		 */
+		actionState: function(tabId) {
+			return Object.assign({}, actionState[tabId]);
+		},
+
+		/**
+		 * runtime.onMessageにメッセージを配信し、sendResponseの応答を待つ
+		 *
+		 * @param {Object} message - メッセージ
+		 * @param {Object} [sender] - 送信者（例: {tab: {id: 1}, frameId: 0, url: 'https://example.com/'}）
+		 * @returns {Promise<*>} 応答
+		 */
+		dispatchMessage: function(message, sender) {
+			return new Promise(function(resolve) {
+				runtime.onMessage.dispatch(clone(message), clone(sender || {}), function(response) {
+					resolve(clone(response));
+				});
+			});
+		},
+
+		/**
+		 * runtime.onConnectに接続を配信する
+		 *
+		 * @param {string} name - ポート名
+		 * @returns {Object} 拡張機能側に渡したポート（送信されたメッセージはsentに記録される）
+		 */
+		connect: function(name) {
+			var port = createPort(name);
+			runtime.onConnect.dispatch(port);
+			return port;
+		}
+	};
+	return chrome;
+}
+
+module.exports = {
+	ROOT: ROOT,
+	EXTENSION_ID: EXTENSION_ID,
+	clone: clone,
+	createEvent: createEvent,
+	createChrome: createChrome
+};
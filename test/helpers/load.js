@@ -0,0 +1,272 @@
+/**
+ * load.jsは、拡張機能のスクリプトをテスト用の環境に読み込む機能を提供する
+ *
+ * 主な機能：
+ * 1. ページ（jsdom）
+ *    - ポップアップなどのHTMLと、そのscript要素のスクリプトの読み込み（loadPage）
+ *    - manifest.jsonのcontent_scriptsの順でのコンテンツスクリプトの読み込み（loadContentScripts）
+ *
+ * 2. Service Worker（vm）
+ *    - background.jsと、importScriptsで読み込まれるスクリプトの読み込み（loadServiceWorker）
+ *
+ * 3. 非同期処理の待機
+ *    - 条件が満たされるまでの待機（waitFor）
+ *
+ * jsdomにないMessageChannelとfetch（拡張機能内のファイルのみ）を補い、
+ * 作成したポートやタイマーはclose()でまとめて後始末する
+ */
+
+'use strict';
+
+var fs = require('node:fs');
+var path = require('node:path');
+var vm = require('node:vm');
+var jsdom = require('jsdom');
+var chromeMock = require('./chrome.js');
+
+var ROOT = chromeMock.ROOT;
+
+/**
+ * 拡張機能のファイルを読み込む関数
+ *
+ * @param {string} file - リポジトリのルートからの相対パス
+ * @returns {string} ファイルの内容（BOMは除く）
+ *
+ */
+function readSource(file) {
+	return fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * 拡張機能内のファイルだけを返すfetchを作成する関数
+ *
+ * i18n.jsが_locales/<言語>/messages.jsonを読み込むために使う
+ *
+ * @returns {function(string): Promise<Response>} fetch
+ *
+ */
+function createExtensionFetch() {
+	var prefix = 'chrome-extension://' + chromeMock.EXTENSION_ID + '/';
+	return function(url) {
+		url = String(url);
+		if(url.indexOf(prefix) !== 0) {
+			return Promise.reject(new TypeError('Failed to fetch: ' + url));
+		}
+		try {
+			return Promise.resolve(new Response(readSource(url.slice(prefix.length))));
+		} catch(e) {
+			return Promise.reject(new TypeError('Failed to fetch: ' + url));
+		}
+	};
+}
+
+/**
+ * jsdomのウィンドウにMessageChannelを追加する関数
+ *
+ * Node.jsのMessageChannelを使い、作成したポートはclose()で閉じられるように記録する
+ *
+ * @param {Window} window - jsdomのウィンドウ
+ * @returns {Array<MessagePort>} 作成したポート
+ *
+ */
+function installMessageChannel(window) {
+	var ports = [];
+	window.MessageChannel = function() {
+		var channel = new MessageChannel();
+		ports.push(channel.port1, channel.port2);
+		return channel;
+	};
+	return ports;
+}
+
+/**
+ * HTMLとスクリプトをjsdomに読み込む関数
+ *
+ * スクリプトはHTMLの読み込み後に順に評価するため、必要に応じてDOMContentLoadedを発火し直す（fireDOMContentLoaded）
+ *
+ * @param {Object} options - オプション
+ * @param {string} [options.html] - HTML（省略した場合はoptions.fileの内容、それもなければ空のページ）
+ * @param {string} [options.file] - 拡張機能のHTMLファイル（scriptsを省略した場合はそのscript要素のsrcを順に読み込む）
+ * @param {Array<string>} [options.scripts] - 読み込むスクリプト
+ * @param {string} [options.url] - ページのURL
+ * @param {Object} [options.chrome] - chromeのモック（省略した場合は新しく作成する）
+ * @param {function(Window): void} [options.beforeScripts] - スクリプトの評価前に呼ばれる関数
+ * @returns {{window: Window, document: Document, chrome: Object, evaluate: function(string): *, fireDOMContentLoaded: function(): void, close: function(): void}} ページ
+ *
+ */
+function loadPage(options) {
+	var html = options.html || (options.file ? readSource(options.file) : '<!DOCTYPE html><html><head></head><body></body></html>');
+	var chrome = options.chrome || chromeMock.createChrome();
+	var dom = new jsdom.JSDOM(html, {
+		url: options.url || 'https://example.com/',
+		runScripts: 'outside-only',
+		pretendToBeVisual: true,
+		virtualConsole: new jsdom.VirtualConsole()
+	});
+	var window = dom.window;
+	var ports = installMessageChannel(window);
+	window.chrome = chrome;
+	window.fetch = createExtensionFetch();
+	if(options.beforeScripts) {
+		options.beforeScripts(window);
+	}
+
+	var scripts = options.scripts || Array.prototype.map.call(window.document.querySelectorAll('script[src]'), function(script) {
+		return script.getAttribute('src');
+	});
+	scripts.forEach(function(file) {
+		window.eval(readSource(file) + '\n//# sourceURL=' + file);
+	});
+
+	return {
+		window: window,
+		document: window.document,
+		chrome: chrome,
+		evaluate: function(source) {
+			return window.eval(source);
+		},
+		fireDOMContentLoaded: function() {
+			window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+		},
+		close: function() {
+			ports.forEach(function(port) {
+				port.close();
+			});
+			window.close();
+		}
+	};
+}
+
+/**
+ * コンテンツスクリプトをjsdomに読み込む関数
+ *
+ * manifest.jsonのcontent_scriptsのスクリプトを、隔離ワールド（content.jsなど）、MAINワールド（inject.js）の順に読み込む。
+ * 実際のChromeではどちらが先に実行されるかは決まっていないため、mainWorldFirstで順序を入れ替えられる
+ *
+ * @param {Object} [options] - loadPageのオプションに加えて
+ * @param {boolean} [options.mainWorldFirst] - MAINワールドのスクリプトを先に読み込むかどうか
+ * @returns {Object} ページ（loadPageの戻り値）
+ *
+ */
+function loadContentScripts(options) {
+	options = options || {};
+	var manifest = JSON.parse(readSource('manifest.json'));
+	var isolated = [];
+	var main = [];
+	manifest.content_scripts.forEach(function(entry) {
+		var scripts = entry.world === 'MAIN' ? main : isolated;
+		scripts.push.apply(scripts, entry.js);
+	});
+	return loadPage(Object.assign({}, options, {
+		scripts: options.mainWorldFirst ? main.concat(isolated) : isolated.concat(main)
+	}));
+}
+
+/**
+ * background.jsをvmのコンテキストに読み込む関数
+ *
+ * importScriptsは同じコンテキストでファイルを評価する。
+ * タイマーは記録しておき、close()でまとめて解除する
+ *
+ * @param {Object} [options] - オプション
+ * @param {Object} [options.chrome] - chromeのモック（省略した場合は新しく作成する）
+ * @returns {{context: Object, chrome: Object, ready: Promise<void>, close: function(): void}} Service Worker
+ *     （readyは起動時の表示言語の読み込みと設定の移行の完了を示す）
+ *
+ */
+function loadServiceWorker(options) {
+	options = options || {};
+	var chrome = options.chrome || chromeMock.createChrome();
+	var timers = new Set();
+	var context = {
+		chrome: chrome,
+		console: {log: function() {}, info: function() {}, warn: function() {}, error: function() {}, debug: function() {}},
+		navigator: {userAgent: 'Mozilla/5.0 (jsdom) Chrome/120.0.0.0', onLine: true},
+		fetch: createExtensionFetch(),
+		setTimeout: function(callback, delay) {
+			var args = Array.prototype.slice.call(arguments, 2);
+			var timer = setTimeout(function() {
+				timers.delete(timer);
+				callback.apply(null, args);
+			}, delay);
+			timers.add(timer);
+			return timer;
+		},
+		clearTimeout: function(timer) {
+			timers.delete(timer);
+			clearTimeout(timer);
+		},
+		addEventListener: function() {
+			// onlineなどのService Workerのイベントはテストでは発生しない
+		},
+		importScripts: function() {
+			Array.prototype.forEach.call(arguments, function(file) {
+				vm.runInContext(readSource(file), context, {filename: file});
+				if(file === 'settings.js') {
+					// 起動時の設定の移行の完了を待てるよう、migrateSettingsの戻り値を記録する
+					var migrateSettings = context.migrateSettings;
+					context.migrateSettings = function() {
+						migration = migrateSettings.apply(null, arguments);
+						return migration;
+					};
+				}
+			});
+		}
+	};
+	var migration = Promise.resolve();
+	['URL', 'URLSearchParams', 'crypto', 'TextEncoder', 'TextDecoder', 'AbortController', 'Response', 'Headers', 'Blob', 'atob', 'btoa', 'structuredClone'].forEach(function(name) {
+		context[name] = globalThis[name];
+	});
+	context.self = context;
+	vm.createContext(context);
+	vm.runInContext(readSource('background.js'), context, {filename: 'background.js'});
+
+	return {
+		context: context,
+		chrome: chrome,
+		ready: context.languageLoaded.then(function() {
+			return migration;
+		}),
+		close: function() {
+			timers.forEach(function(timer) {
+				clearTimeout(timer);
+			});
+			timers.clear();
+		}
+	};
+}
+
+/**
+ * 条件が満たされるまで待つ関数
+ *
+ * ポート経由のメッセージやストレージの読み込みなど、完了を直接待てない処理の結果を待つために使う
+ *
+ * @param {function(): (*|Promise<*>)} predicate - 条件（真になる値を返したら待機を終える）
+ * @param {number} [timeout] - 待機する最大時間（ミリ秒、デフォルト: 2000）
+ * @returns {Promise<*>} 条件の戻り値
+ * @throws {Error} 時間内に条件が満たされなかった場合
+ *
+ */
+async function waitFor(predicate, timeout) {
+	var deadline = Date.now() + (timeout || 2000);
+	for(;;) {
+		var result = await predicate();
+		if(result) {
+			return result;
+		}
+		if(Date.now() > deadline) {
+			throw new Error('Timed out waiting for ' + predicate.toString());
+		}
+		await new Promise(function(resolve) {
+			setTimeout(resolve, 10);
+		});
+	}
+}
+
+module.exports = {
+	readSource: readSource,
+	waitFor: waitFor,
+	loadPage: loadPage,
+	loadContentScripts: loadContentScripts,
+	loadServiceWorker: loadServiceWorker
+};
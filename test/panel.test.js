@@ -0,0 +1,156 @@
+/**
+ * panel.test.jsは、開発者ツールの「JS Errors」パネル（panel.html、panel.js）の表示をテストする
+ *
+ * jsdomにpanel.htmlとそのスクリプトを読み込み、Service Workerの応答と購読ポートへの通知をモックで与えて、
+ * ソースマップの解決やエラーストアの取得に失敗した場合の表示を確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+var chromeMock = require('./helpers/chrome.js');
+
+/** @type {number} 調査中のタブのID */
+var TAB_ID = 5;
+
+/** @type {string} エラーが発生したページのURL */
+var PAGE_URL = 'https://example.com/app';
+
+/**
+ * エラーストアのエラーグループを作成する関数
+ *
+ * @param {Object} [fields] - 上書きするフィールド
+ * @returns {Object} エラーグループ
+ *
+ */
+function createGroup(fields) {
+	return Object.assign({
+		text: 'Uncaught TypeError: user is undefined',
+		url: 'https://example.com/app.js',
+		line: 2,
+		col: 9,
+		type: 'script',
+		severity: 'error',
+		frames: [{func: 'loadUser', url: 'https://example.com/app.js', line: 2, col: 9}],
+		count: 1,
+		timestamp: 1700000000000,
+		lastSeen: 1700000000000,
+		navigationId: 'n1'
+	}, fields);
+}
+
+/**
+ * Service Workerの応答を返すモックでパネルを開く関数
+ *
+ * 処理しきれなかったPromiseの拒否はunhandledに記録する
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {function(Object): *} respond - runtime.sendMessageの応答を返す関数（例外を投げると拒否する）
+ * @returns {{page: Object, unhandled: Array<*>}} ページと、処理されなかった拒否の理由
+ *
+ */
+function openPanel(t, respond) {
+	var unhandled = [];
+	var onUnhandled = function(reason) {
+		unhandled.push(reason);
+	};
+	process.on('unhandledRejection', onUnhandled);
+	t.after(function() {
+		process.off('unhandledRejection', onUnhandled);
+	});
+	var page = load.loadPage({
+		file: 'panel.html',
+		url: 'chrome-extension://' + chromeMock.EXTENSION_ID + '/panel.html',
+		chrome: chromeMock.createChrome({respond: respond}),
+		beforeScripts: function(window) {
+			window.chrome.devtools = {inspectedWindow: {tabId: TAB_ID}, panels: {openResource: function() {}}};
+		}
+	});
+	t.after(page.close);
+	// スクリプトはHTMLの解析中に評価されるため、DOMContentLoadedはjsdomが発火する
+	return {page: page, unhandled: unhandled};
+}
+
+/**
+ * 表示中のエラーのメッセージを返す関数
+ *
+ * @param {Object} page - ページ
+ * @returns {Array<string>} メッセージ（表示順）
+ *
+ */
+function shownMessages(page) {
+	return Array.from(page.document.querySelectorAll('#errors .message')).map(function(message) {
+		return message.textContent;
+	});
+}
+
+test('ソースマップの解決に失敗した場合は元のスタックフレームのまま表示する', async function(t) {
+	var opened = openPanel(t, function(message) {
+		if(message._getErrors) {
+			return {url: PAGE_URL, errors: [createGroup()], navigations: []};
+		}
+		if(message._resolveFrames) {
+			throw new Error('Could not establish connection. Receiving end does not exist.');
+		}
+	});
+	var page = opened.page;
+
+	await load.waitFor(function() {
+		return page.chrome._test.sentMessages.some(function(message) {
+			return message._resolveFrames;
+		}) && shownMessages(page).length === 1;
+	});
+	await load.waitFor(function() {
+		return page.document.getElementById('summary').textContent === '1 / 1';
+	});
+	assert.match(page.document.querySelector('ol.frames li').textContent, /loadUser.*app\.js:2:9/);
+
+	// 購読ポートへの通知も同じく表示し、拒否を残さない
+	page.chrome._test.ports[0].onMessage.dispatch({
+		_errorsChanged: true,
+		tabId: TAB_ID,
+		url: PAGE_URL,
+		errors: [createGroup(), createGroup({text: 'late failure', timestamp: 1700000001000, lastSeen: 1700000001000})],
+		navigations: []
+	});
+	await load.waitFor(function() {
+		return page.document.getElementById('summary').textContent === '2 / 2';
+	});
+	assert.equal(page.document.querySelectorAll('ol.frames').length, 2);
+	await new Promise(function(resolve) {
+		setTimeout(resolve, 50);
+	});
+	assert.deepEqual(opened.unhandled, []);
+});
+
+test('エラーストアを取得できない場合は件数の表示の位置に知らせ、再接続後に表示する', async function(t) {
+	var available = false;
+	var opened = openPanel(t, function(message) {
+		if(message._getErrors) {
+			if(!available) {
+				throw new Error('Extension context invalidated.');
+			}
+			return {url: PAGE_URL, errors: [createGroup()], navigations: []};
+		}
+		if(message._resolveFrames) {
+			return message.frames;
+		}
+	});
+	var page = opened.page;
+	var summary = page.document.getElementById('summary');
+
+	await load.waitFor(function() {
+		return summary.textContent === 'Could not load the errors: Extension context invalidated.';
+	});
+
+	// Service Workerの再起動で接続が切れたら、時間をおいて購読し直す
+	available = true;
+	page.chrome._test.ports[0].disconnect();
+	await load.waitFor(function() {
+		return summary.textContent === '1 / 1';
+	}, 3000);
+	assert.equal(page.chrome._test.ports.length, 2);
+	assert.deepEqual(opened.unhandled, []);
+});
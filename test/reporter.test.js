@@ -0,0 +1,214 @@
+/**
+ * reporter.test.jsは、エラートラッカーへの転送（reporter.js）の送信形式と再送の判定をテストする
+ *
+ * vmのコンテキストにbackground.jsを読み込み、fetchを送信内容を記録するモックに差し替えて、
+ * SentryのDSNの解析とエンベロープ、汎用のJSONの本文、送信失敗時の再送の判定を確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+
+/** @type {string} エラーが発生したページのURL */
+var PAGE_URL = 'https://example.com/app';
+
+/** @type {string} テストで使うSentryのDSN */
+var DSN = 'https://abc123@sentry.example.com/sentry/42';
+
+/**
+ * background.jsを読み込み、fetchを指定したレスポンスを返すモックに差し替える関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {function(string): (Response|Promise<Response>)} [respond] - fetchのレスポンスを返す関数（省略した場合はステータス200）
+ * @returns {Promise<{worker: Object, requests: Array<{url: string, init: Object}>}>} Service Workerと、fetchの呼び出し
+ *
+ */
+async function startReporter(t, respond) {
+	var worker = load.loadServiceWorker();
+	t.after(worker.close);
+	await worker.ready;
+	var requests = [];
+	worker.context.fetch = function(url, init) {
+		requests.push({url: url, init: init});
+		return Promise.resolve(respond ? respond(url) : new Response('', {status: 200}));
+	};
+	return {worker: worker, requests: requests};
+}
+
+/**
+ * 転送キューのイベントを作成する関数
+ *
+ * @param {Object} worker - Service Worker
+ * @param {Object} [fields] - エラー情報の上書きするフィールド
+ * @returns {Object} イベント
+ *
+ */
+function createEvent(worker, fields) {
+	return worker.context.createReportEvent(Object.assign({
+		text: 'Uncaught TypeError: user is undefined',
+		url: 'https://example.com/app.js',
+		line: 2,
+		col: 9,
+		name: 'TypeError',
+		frames: [
+			{func: 'loadUser', url: 'https://example.com/app.js?v=[REDACTED:PARAM]', rawUrl: 'https://example.com/app.js?v=1', line: 2, col: 9},
+			{func: 'render', url: 'https://example.com/app.js?v=[REDACTED:PARAM]', rawUrl: 'https://example.com/app.js?v=1', line: 6, col: 19}
+		],
+		breadcrumbs: [{timestamp: 1700000000000, category: 'ui.click', message: 'button#save', level: 'info'}],
+		timestamp: 1700000001000,
+		source: 'onerror',
+		type: 'script',
+		severity: 'error',
+		fingerprint: 'a1',
+		count: 3
+	}, fields), PAGE_URL);
+}
+
+test('SentryのDSNからエンベロープの送信先URLと公開鍵を求める', async function(t) {
+	var started = await startReporter(t);
+	var context = started.worker.context;
+
+	assert.deepEqual(JSON.parse(JSON.stringify(context.parseDsn(DSN))), {
+		publicKey: 'abc123',
+		envelopeUrl: 'https://sentry.example.com/sentry/api/42/envelope/'
+	});
+	assert.equal(context.parseDsn('http://key@localhost:9000/7/').envelopeUrl, 'http://localhost:9000/api/7/envelope/');
+	assert.throws(function() {
+		context.parseDsn('not a dsn');
+	}, /not a dsn/);
+	assert.throws(function() {
+		context.parseDsn('https://sentry.example.com/42');
+	});
+});
+
+test('Sentryにはイベントごとに認証ヘッダー付きのエンベロープを送信し、フレームを呼び出し元から並べる', async function(t) {
+	var started = await startReporter(t);
+	var context = started.worker.context;
+	var events = [createEvent(started.worker), createEvent(started.worker, {text: 'second', fingerprint: 'b2'})];
+
+	var results = await context.deliverReports(events, {protocol: 'sentry', url: DSN, token: ''});
+	assert.deepEqual(Array.from(results, function(result) {
+		return result.error;
+	}), [null, null]);
+	assert.equal(started.requests.length, 2);
+
+	var request = started.requests[0];
+	assert.equal(request.url, 'https://sentry.example.com/sentry/api/42/envelope/');
+	assert.equal(request.init.headers['Content-Type'], 'application/x-sentry-envelope');
+	assert.equal(request.init.headers['X-Sentry-Auth'], 'Sentry sentry_version=7, sentry_client=js-errors-notifier/' +
+		started.worker.chrome.runtime.getManifest().version + ', sentry_key=abc123');
+
+	var lines = request.init.body.trim().split('\n').map(function(line) {
+		return JSON.parse(line);
+	});
+	assert.equal(lines.length, 3);
+	assert.equal(lines[0].event_id, events[0].id);
+	assert.equal(lines[0].dsn, DSN);
+	assert.deepEqual(lines[1], {type: 'event'});
+	var sentryEvent = lines[2];
+	assert.equal(sentryEvent.event_id, events[0].id);
+	assert.equal(sentryEvent.timestamp, 1700000001);
+	assert.equal(sentryEvent.level, 'error');
+	assert.equal(sentryEvent.request.url, PAGE_URL);
+	assert.deepEqual(sentryEvent.tags, {source: 'onerror', type: 'script', domain: 'example.com'});
+	assert.deepEqual(sentryEvent.fingerprint, ['a1']);
+	assert.deepEqual(sentryEvent.breadcrumbs.values, [{timestamp: 1700000000, category: 'ui.click', message: 'button#save', level: 'info'}]);
+	assert.equal(sentryEvent.exception.values[0].type, 'TypeError');
+	assert.equal(sentryEvent.exception.values[0].value, 'Uncaught TypeError: user is undefined');
+	// スタックフレームの元のURLは送信しない
+	assert.deepEqual(sentryEvent.exception.values[0].stacktrace.frames, [
+		{filename: 'https://example.com/app.js?v=[REDACTED:PARAM]', 'function': 'render', lineno: 6, colno: 19, in_app: true},
+		{filename: 'https://example.com/app.js?v=[REDACTED:PARAM]', 'function': 'loadUser', lineno: 2, colno: 9, in_app: true}
+	]);
+
+	// スクリプトエラー以外はメッセージとして送信する
+	var network = context.toSentryEvent(createEvent(started.worker, {text: 'GET https://api.example.com/users 500', source: 'network', type: null, severity: 'warning'}));
+	assert.deepEqual(JSON.parse(JSON.stringify(network.message)), {formatted: 'GET https://api.example.com/users 500'});
+	assert.equal(network.exception, undefined);
+	assert.equal(network.level, 'warning');
+});
+
+test('汎用のJSONはスキーマ名とバージョン付きの本文にまとめて送信する', async function(t) {
+	var started = await startReporter(t);
+	var events = [createEvent(started.worker), createEvent(started.worker, {text: 'second', fingerprint: 'b2'})];
+
+	await started.worker.context.deliverReports(events, {protocol: 'json', url: 'https://collector.example.com/errors', token: 'secret'});
+	assert.equal(started.requests.length, 1);
+	var request = started.requests[0];
+	assert.equal(request.url, 'https://collector.example.com/errors');
+	assert.equal(request.init.headers.Authorization, 'Bearer secret');
+	assert.equal(request.init.headers['Content-Type'], 'application/json');
+
+	var body = JSON.parse(request.init.body);
+	assert.equal(body.schema, 'js-errors-notifier/events');
+	assert.equal(body.version, 1);
+	assert.match(body.sentAt, /^\d{4}-\d{2}-\d{2}T/);
+	assert.equal(body.events.length, 2);
+	assert.deepEqual(Object.keys(body.events[0]).slice(0, 3), ['id', 'pageUrl', 'userAgent']);
+	assert.equal(body.events[0].id, events[0].id);
+	assert.equal(body.events[0].pageUrl, PAGE_URL);
+	assert.equal(body.events[0].message, 'Uncaught TypeError: user is undefined');
+	assert.equal(body.events[0].count, 3);
+	assert.equal(body.events[0].lastSeen, '2023-11-14T22:13:21.000Z');
+	assert.equal(body.events[0].fingerprint, 'a1');
+	assert.deepEqual(body.events[0].frames[0], {func: 'loadUser', url: 'https://example.com/app.js?v=[REDACTED:PARAM]', line: 2, col: 9});
+	assert.equal(body.events[1].message, 'second');
+
+	// トークンが空の場合はAuthorizationヘッダーを付与しない
+	await started.worker.context.deliverReports(events, {protocol: 'json', url: 'https://collector.example.com/errors', token: ''});
+	assert.equal('Authorization' in started.requests[1].init.headers, false);
+});
+
+test('通信エラー、429、5xxは再送し、それ以外の4xxは再送しない', async function(t) {
+	var statuses = {
+		'https://collector.example.com/503': new Response('', {status: 503}),
+		'https://collector.example.com/429': new Response('', {status: 429, headers: {'Retry-After': '120'}}),
+		'https://collector.example.com/400': new Response('', {status: 400}),
+		'https://collector.example.com/401': new Response('', {status: 401, headers: {'Retry-After': '30'}})
+	};
+	var started = await startReporter(t, function(url) {
+		if(!statuses[url]) {
+			return Promise.reject(new TypeError('Failed to fetch'));
+		}
+		return statuses[url];
+	});
+	var context = started.worker.context;
+
+	/**
+	 * 送信して失敗のエラーを返す関数
+	 *
+	 * @param {string} url - 送信先URL
+	 * @returns {Promise<Error>} 送信失敗を表すエラー
+	 *
+	 */
+	async function failure(url) {
+		try {
+			await context.sendReport(url, {}, '{}');
+		} catch(e) {
+			return e;
+		}
+		assert.fail('sendReport resolved for ' + url);
+	}
+
+	var serverError = await failure('https://collector.example.com/503');
+	assert.equal(serverError.retryable, true);
+	assert.equal(serverError.retryAfter, null);
+	var tooMany = await failure('https://collector.example.com/429');
+	assert.equal(tooMany.retryable, true);
+	assert.equal(tooMany.retryAfter, 120 * 1000);
+	assert.equal((await failure('https://collector.example.com/400')).retryable, false);
+	assert.equal((await failure('https://collector.example.com/401')).retryable, false);
+	var offline = await failure('https://offline.example.com/');
+	assert.equal(offline.retryable, true);
+	assert.match(offline.message, /Failed to fetch/);
+
+	// Retry-Afterがあればそれに従い、なければ試行回数ごとに間隔を2倍にする（最大20%のゆらぎ、上限は1時間）
+	var now = 1700000000000;
+	assert.equal(context.nextAttemptTime(1, 120 * 1000, now), now + 120 * 1000);
+	[[1, 30 * 1000], [3, 120 * 1000], [20, 60 * 60 * 1000]].forEach(function(entry) {
+		var delay = context.nextAttemptTime(entry[0], null, now) - now;
+		assert.ok(delay >= entry[1] && delay <= entry[1] * 1.2, 'attempts ' + entry[0] + ': ' + delay);
+	});
+});
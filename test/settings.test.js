@@ -0,0 +1,178 @@
+/**
+ * settings.test.jsは、設定の保存形式の移行とインポート・エクスポート（settings.js）をテストする
+ *
+ * vmのコンテキストにbackground.jsを読み込み、起動時の移行（migrateSettings）の結果をchrome.storageのモックで確かめる。
+ * この端末だけに保存する設定（APIキー、トークン）が設定ファイルにも同期にも含まれないことも確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('node:fs');
+var path = require('node:path');
+var load = require('./helpers/load.js');
+var chromeMock = require('./helpers/chrome.js');
+
+/**
+ * 保存されている値を指定してService Workerを起動し、起動時の移行の完了を待つ関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {Object} storage - 領域ごとの初期値（{local, sync}）
+ * @returns {Promise<Object>} Service Worker
+ *
+ */
+async function startWithStorage(t, storage) {
+	var worker = load.loadServiceWorker({chrome: chromeMock.createChrome({storage: storage})});
+	t.after(worker.close);
+	await worker.ready;
+	return worker;
+}
+
+/**
+ * vmのコンテキストの値をこのコンテキストの値に変換する関数
+ *
+ * @param {*} value - 値
+ * @returns {*} JSONとして複製した値
+ *
+ */
+function plain(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 言語ごとの既定のテンプレートの名前と本文を返す関数
+ *
+ * @param {string} language - 言語
+ * @param {string} id - テンプレートのID（explain / fix / test）
+ * @returns {{id: string, name: string, body: string}} テンプレート
+ *
+ */
+function builtinTemplate(language, id) {
+	var messages = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '_locales', language, 'messages.json'), 'utf8'));
+	var key = 'template' + id.charAt(0).toUpperCase() + id.slice(1);
+	return {id: id, name: messages[key + 'Name'].message, body: messages[key + 'Body'].message};
+}
+
+test('旧形式の単一テンプレートを一覧に移し、APIキーとトークンを同期しない設定に分ける', async function(t) {
+	var worker = await startWithStorage(t, {local: {
+		aiPromptTemplate: 'Explain this:\n\n{error}',
+		aiEndpoint: {type: 'openai', url: 'https://api.example.com/v1/chat/completions', model: 'gpt', apiKey: 'sk-legacy'},
+		reporterSettings: {enabled: true, protocol: 'json', url: 'https://collector.example.com/errors', patterns: ['https://*/*'], token: 'legacy-token'}
+	}});
+	var local = plain(worker.chrome.storage.local.data);
+
+	assert.equal(local.settingsVersion, 2);
+	assert.equal('aiPromptTemplate' in local, false);
+	assert.deepEqual(local.aiPromptTemplates.map(function(template) {
+		return [template.id, template.builtin || false];
+	}), [['explain', true], ['fix', true], ['test', true], ['custom', false]]);
+	assert.deepEqual(local.aiPromptTemplates[3], {id: 'custom', name: 'Custom', body: 'Explain this:\n\n{error}'});
+	assert.equal(local.defaultTemplateId, 'custom');
+
+	assert.deepEqual(local.aiEndpoint, {type: 'openai', url: 'https://api.example.com/v1/chat/completions', model: 'gpt'});
+	assert.equal(local.aiApiKey, 'sk-legacy');
+	assert.deepEqual(local.reporterSettings, {enabled: true, protocol: 'json', url: 'https://collector.example.com/errors', patterns: ['https://*/*']});
+	assert.equal(local.reporterToken, 'legacy-token');
+});
+
+test('既定のままの旧テンプレートは移さず、編集されていない既定のテンプレートに印を付ける', async function(t) {
+	var edited = Object.assign(builtinTemplate('en', 'fix'), {body: 'Fix it:\n\n{errors}'});
+	var worker = await startWithStorage(t, {local: {
+		settingsVersion: 0,
+		aiPromptTemplate: '以下のJavaScriptエラーを解析して修正方法を教えてください：\n\n{error}',
+		aiPromptTemplates: [builtinTemplate('ja', 'explain'), edited, builtinTemplate('en', 'test')]
+	}});
+	var local = plain(worker.chrome.storage.local.data);
+
+	assert.equal('aiPromptTemplate' in local, false);
+	assert.equal('defaultTemplateId' in local, false);
+	assert.deepEqual(local.aiPromptTemplates.map(function(template) {
+		return template.builtin || false;
+	}), [true, false, true]);
+	assert.deepEqual(local.aiPromptTemplates[1], edited);
+});
+
+test('同期している設定を移行した場合もAPIキーは同期せずこの端末に保存する', async function(t) {
+	var worker = await startWithStorage(t, {
+		local: {syncSettings: true},
+		sync: {
+			settingsVersion: 1,
+			aiEndpoint: {type: 'webhook', url: 'https://hooks.example.com/ask', model: '', apiKey: 'sk-synced'}
+		}
+	});
+	var local = plain(worker.chrome.storage.local.data);
+	var sync = plain(worker.chrome.storage.sync.data);
+
+	assert.equal(sync.settingsVersion, 2);
+	assert.deepEqual(sync.aiEndpoint, {type: 'webhook', url: 'https://hooks.example.com/ask', model: ''});
+	assert.equal('aiApiKey' in sync, false);
+	assert.equal(local.aiApiKey, 'sk-synced');
+
+	// 同期中に保存しても、この端末だけの設定はchrome.storage.localに保存する
+	await worker.context.saveSettings({aiApiKey: 'sk-new', reporterToken: 'token', language: 'ja'});
+	sync = plain(worker.chrome.storage.sync.data);
+	local = plain(worker.chrome.storage.local.data);
+	assert.equal(sync.language, 'ja');
+	assert.equal('aiApiKey' in sync || 'reporterToken' in sync, false);
+	assert.equal(local.aiApiKey, 'sk-new');
+	assert.equal(local.reporterToken, 'token');
+});
+
+test('エクスポートした設定ファイルにはAPIキー、トークン、この端末のデータを含めない', async function(t) {
+	var worker = await startWithStorage(t, {local: {
+		settingsVersion: 2,
+		language: 'ja',
+		aiEndpoint: {type: 'openai', url: 'https://api.example.com/v1/chat/completions', model: 'gpt'},
+		aiApiKey: 'sk-secret',
+		reporterToken: 'secret-token',
+		syncSettings: false,
+		reporterQueue: [{id: 'e1'}]
+	}});
+
+	var file = plain(await worker.context.exportSettings());
+	assert.equal(file.schema, 'js-errors-notifier/settings');
+	assert.equal(file.version, 2);
+	assert.equal(file.settings.language, 'ja');
+	assert.equal(file.settings.aiEndpoint.model, 'gpt');
+	['aiApiKey', 'reporterToken', 'syncSettings', 'errorHistory', 'reporterQueue'].forEach(function(key) {
+		assert.equal(key in file.settings, false, key);
+	});
+	assert.doesNotMatch(JSON.stringify(file), /sk-secret|secret-token/);
+});
+
+test('チームの設定ファイルを移行してから読み込み、この端末だけの設定と知らない設定は無視する', async function(t) {
+	var worker = await startWithStorage(t, {local: {settingsVersion: 2, aiApiKey: 'sk-mine', language: 'en'}});
+	var teamFile = {
+		schema: 'js-errors-notifier/settings',
+		version: 1,
+		exportedAt: '2024-01-01T00:00:00.000Z',
+		settings: {
+			language: 'ja',
+			excludePatterns: ['https://*.internal.example.com/*'],
+			aiEndpoint: {type: 'openai', url: 'https://llm.example.com/v1/chat/completions', model: 'team', apiKey: 'sk-team'},
+			reporterSettings: {enabled: true, protocol: 'sentry', url: 'https://key@sentry.example.com/1', patterns: ['https://*/*'], token: 'team-token'},
+			aiApiKey: 'sk-file',
+			errorHistory: {groups: {}},
+			unknownSetting: true
+		}
+	};
+
+	var imported = await worker.context.importSettings(JSON.stringify(teamFile));
+	assert.deepEqual(Array.from(imported).sort(), ['aiEndpoint', 'excludePatterns', 'language', 'reporterSettings']);
+	var local = plain(worker.chrome.storage.local.data);
+	assert.equal(local.language, 'ja');
+	assert.deepEqual(local.excludePatterns, ['https://*.internal.example.com/*']);
+	assert.deepEqual(local.aiEndpoint, {type: 'openai', url: 'https://llm.example.com/v1/chat/completions', model: 'team'});
+	assert.equal('token' in local.reporterSettings, false);
+	assert.equal(local.aiApiKey, 'sk-mine');
+	assert.equal('reporterToken' in local, false);
+	assert.equal('unknownSetting' in local, false);
+
+	// 形式が不正なファイル、新しいバージョンのファイル、型の合わない値を含むファイルは読み込まない
+	await assert.rejects(worker.context.importSettings('not json'));
+	await assert.rejects(worker.context.importSettings(JSON.stringify(Object.assign({}, teamFile, {schema: 'other'}))));
+	await assert.rejects(worker.context.importSettings(JSON.stringify(Object.assign({}, teamFile, {version: 3}))), /3/);
+	await assert.rejects(worker.context.importSettings(JSON.stringify(Object.assign({}, teamFile, {settings: {maxErrorsPerTab: 'many'}}))), /maxErrorsPerTab/);
+	assert.equal(plain(worker.chrome.storage.local.data).language, 'ja');
+});
@@ -0,0 +1,168 @@
+/**
+ * sourcemap.test.jsは、Service Workerでのスタックフレームのソースマップ解決（sourcemap.js）をテストする
+ *
+ * vmのコンテキストにbackground.jsを読み込み、fetchをtest/fixtures/sourcemapのファイルを返すモックに差し替えて、
+ * 圧縮されたスクリプトのフレームが元のファイル、行、列、関数名、抜粋に解決されることを確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('node:fs');
+var path = require('node:path');
+var load = require('./helpers/load.js');
+
+/** @type {string} テスト用のソースマップのディレクトリ */
+var FIXTURES = path.join(__dirname, 'fixtures', 'sourcemap');
+
+/** @type {string} 圧縮されたスクリプトのURL */
+var SCRIPT_URL = 'https://example.com/dist/app.min.js';
+
+/**
+ * background.jsを読み込み、fetchを指定したファイルを返すモックに差し替える関数
+ *
+ * data: URIはNode.jsのfetchで読み込む
+ *
+ * @param {Object} t - テストコンテキスト
+ * @param {Object<string, {body: string, status: number}|string>} files - URLごとの内容（文字列の場合はステータス200）
+ * @returns {Promise<{worker: Object, requests: Array<string>}>} Service Workerと、fetchされたURL（data: URIを除く）
+ *
+ */
+async function startWithFiles(t, files) {
+	var worker = load.loadServiceWorker();
+	t.after(worker.close);
+	await worker.ready;
+	var requests = [];
+	worker.context.fetch = function(url) {
+		if(url.indexOf('data:') === 0) {
+			return fetch(url);
+		}
+		requests.push(url);
+		var file = files[url];
+		if(file === undefined) {
+			return Promise.resolve(new Response('', {status: 404}));
+		}
+		file = typeof file === 'string' ? {body: file, status: 200} : file;
+		return Promise.resolve(new Response(file.body, {status: file.status}));
+	};
+	return {worker: worker, requests: requests};
+}
+
+/**
+ * テスト用のソースマップのファイルを読み込む関数
+ *
+ * @param {string} name - ファイル名
+ * @returns {string} ファイルの内容
+ *
+ */
+function readFixture(name) {
+	return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+test('Base64 VLQのセグメントをデコードする', function(t) {
+	var worker = load.loadServiceWorker();
+	t.after(worker.close);
+	assert.deepEqual(Array.from(worker.context.decodeVlq('AAgBC')), [0, 0, 16, 1]);
+	assert.deepEqual(Array.from(worker.context.decodeVlq('D')), [-1]);
+	assert.deepEqual(Array.from(worker.context.decodeVlq('2H')), [123]);
+	assert.throws(function() {
+		worker.context.decodeVlq('A!');
+	});
+});
+
+test('圧縮されたスクリプトのフレームを元のファイル、行、列、関数名、抜粋に解決する', async function(t) {
+	var started = await startWithFiles(t, {
+		'https://example.com/dist/app.min.js': readFixture('app.min.js'),
+		'https://example.com/dist/app.min.js.map': readFixture('app.min.js.map')
+	});
+	var frames = await started.worker.context.resolveFrames([
+		{func: 'd', url: SCRIPT_URL, line: 1, col: 72},
+		{func: 'a', url: SCRIPT_URL, line: 1, col: 37},
+		{func: 'x', url: SCRIPT_URL, line: 2, col: 1},
+		{func: 'native', url: 'chrome-extension://abc/inject.js', line: 1, col: 1}
+	]);
+
+	assert.deepEqual(JSON.parse(JSON.stringify(frames[0].original)), {
+		url: 'https://example.com/src/app.js',
+		line: 7,
+		col: 19,
+		func: 'loadUser',
+		context: {
+			startLine: 5,
+			lines: ['', 'function render() {', '\tdocument.title = loadUser(1);', '}', '']
+		}
+	});
+	assert.equal(frames[1].original.line, 3);
+	assert.equal(frames[1].original.col, 9);
+	assert.equal(frames[1].original.func, null);
+	assert.deepEqual(Array.from(frames[1].original.context.lines), ['function loadUser(id) {', '\tvar user = users[id];', '\treturn user.name;', '}', '']);
+	// マッピングのない行とhttp(s)以外のスクリプトは解決しない
+	assert.equal(frames[2].original, undefined);
+	assert.equal(frames[3].original, undefined);
+
+	// ソースマップはスクリプトURL単位でキャッシュする
+	assert.deepEqual(started.requests, ['https://example.com/dist/app.min.js', 'https://example.com/dist/app.min.js.map']);
+});
+
+test('data: URIのソースマップはスクリプトのURLを基準にソースを解決する', async function(t) {
+	var map = JSON.parse(readFixture('app.min.js.map'));
+	delete map.sourceRoot;
+	var script = readFixture('app.min.js').replace(/sourceMappingURL=\S+/, 'sourceMappingURL=data:application/json;base64,' + Buffer.from(JSON.stringify(map)).toString('base64'));
+	var started = await startWithFiles(t, {'https://example.com/dist/app.min.js': script});
+
+	var frames = await started.worker.context.resolveFrames([{func: 'd', url: SCRIPT_URL, line: 1, col: 72}]);
+	assert.equal(frames[0].original.url, 'https://example.com/dist/app.js');
+	assert.equal(frames[0].original.line, 7);
+});
+
+test('SourceMapレスポンスヘッダーのソースマップをコメントより優先する', async function(t) {
+	var started = await startWithFiles(t, {
+		'https://example.com/dist/app.min.js': readFixture('app.min.js').replace(/sourceMappingURL=\S+/, 'sourceMappingURL=missing.map'),
+		'https://example.com/maps/app.map': readFixture('app.min.js.map')
+	});
+	var fetchFiles = started.worker.context.fetch;
+	started.worker.context.fetch = function(url) {
+		return fetchFiles(url).then(function(response) {
+			if(url === SCRIPT_URL) {
+				return new Response(response.body, {status: 200, headers: {SourceMap: '/maps/app.map'}});
+			}
+			return response;
+		});
+	};
+
+	var frames = await started.worker.context.resolveFrames([{func: 'd', url: SCRIPT_URL, line: 1, col: 72}]);
+	assert.equal(frames[0].original.url, 'https://example.com/src/app.js');
+	assert.ok(started.requests.indexOf('https://example.com/maps/app.map') !== -1);
+});
+
+test('不正なソースマップは取得し直さずに解決しないものとしてキャッシュする', async function(t) {
+	var started = await startWithFiles(t, {
+		'https://example.com/dist/app.min.js': readFixture('app.min.js'),
+		'https://example.com/dist/app.min.js.map': '{"version":3,"sources":["app.js"],"mappings":"A!A"}',
+		'https://example.com/dist/broken.min.js': readFixture('app.min.js').replace('app.min.js.map', 'broken.map'),
+		'https://example.com/dist/broken.map': '{not json'
+	});
+	var context = started.worker.context;
+
+	assert.equal(await context.loadSourceMap(SCRIPT_URL), null);
+	assert.equal(await context.loadSourceMap(SCRIPT_URL), null);
+	assert.equal(await context.loadSourceMap('https://example.com/dist/broken.min.js'), null);
+	assert.equal(await context.loadSourceMap('https://example.com/dist/broken.min.js'), null);
+	assert.equal(started.requests.length, 4);
+});
+
+test('伏せたURLのフレームは元のURL（rawUrl）のソースマップで解決する', async function(t) {
+	var started = await startWithFiles(t, {
+		'https://example.com/dist/app.min.js?v=1': readFixture('app.min.js'),
+		'https://example.com/dist/app.min.js.map': readFixture('app.min.js.map')
+	});
+	var frames = await started.worker.context.resolveFrames([
+		{func: 'd', url: SCRIPT_URL + '?v=[REDACTED:PARAM]', rawUrl: SCRIPT_URL + '?v=1', line: 1, col: 72}
+	]);
+
+	assert.equal(frames[0].url, SCRIPT_URL + '?v=[REDACTED:PARAM]');
+	assert.equal(frames[0].original.url, 'https://example.com/src/app.js');
+	assert.equal(frames[0].original.line, 7);
+	assert.deepEqual(started.requests, ['https://example.com/dist/app.min.js?v=1', 'https://example.com/dist/app.min.js.map']);
+});
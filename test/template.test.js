@@ -0,0 +1,100 @@
+/**
+ * template.test.jsは、AIプロンプトテンプレートのテンプレートエンジン（template.js）をテストする
+ *
+ * jsdomにtemplate.jsとその依存スクリプトを読み込み、ブロックの入れ子、未知のプレースホルダー、
+ * オプションページの保存前の検証（validateTemplates）が使う構文エラーを確かめる
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var load = require('./helpers/load.js');
+
+/**
+ * template.jsを読み込んだページを開く関数
+ *
+ * @param {Object} t - テストコンテキスト
+ * @returns {Window} ページのwindow
+ *
+ */
+function openTemplateEngine(t) {
+	var page = load.loadPage({scripts: ['settings.js', 'i18n.js', 'template.js']});
+	t.after(page.close);
+	return page.window;
+}
+
+test('入れ子のeachとif / elseを展開する', function(t) {
+	var window = openTemplateEngine(t);
+	var template = [
+		'Page: {pageUrl}',
+		'{#each errors}{index}. {message}{#if stack} (stack){else} (no stack){/if}',
+		'{#if breadcrumbs}{#each breadcrumbs}  - {text}\n{/each}{else}  (no breadcrumbs)\n{/if}{/each}',
+		'{#if network}Network:\n{network}{else}No network errors{/if}'
+	].join('\n');
+
+	var rendered = window.renderTemplate(template, {
+		pageUrl: 'https://example.com/app',
+		errors: [
+			{index: 1, message: 'user is undefined', stack: 'at loadUser', breadcrumbs: [{text: 'click button#save'}, {text: 'GET /api/users'}]},
+			{index: 2, message: 'Script error.', stack: '', breadcrumbs: []}
+		],
+		network: []
+	});
+	assert.equal(rendered, [
+		'Page: https://example.com/app',
+		'1. user is undefined (stack)',
+		'  - click button#save',
+		'  - GET /api/users',
+		'2. Script error. (no stack)',
+		'  (no breadcrumbs)',
+		'',
+		'No network errors'
+	].join('\n'));
+});
+
+test('未知のプレースホルダーはそのまま残し、nullは空文字にする', function(t) {
+	var window = openTemplateEngine(t);
+	var rendered = window.renderTemplate('{greeting} {pageUrl}{userAgent}{#each errors}[{message} {frame} {pageUrl}]{/each} {unknown}', {
+		pageUrl: 'https://example.com/app',
+		userAgent: null,
+		errors: [{message: 'x is not defined'}]
+	});
+	// eachの中では外側のスコープの値も参照できる
+	assert.equal(rendered, '{greeting} https://example.com/app[x is not defined {frame} https://example.com/app] {unknown}');
+
+	// 配列の値をプレースホルダーに埋め込む場合は各要素のtextを空行で連結する
+	assert.equal(window.renderTemplate('{errors}', {errors: [{text: 'first'}, {text: 'second'}]}), 'first\n\nsecond');
+	// 波括弧を含む本文やタグに見えない書式はテキストとして扱う
+	assert.equal(window.renderTemplate('if(x) { return {a: 1}; } {#unknown errors}', {}), 'if(x) { return {a: 1}; } {#unknown errors}');
+});
+
+test('ブロックの開始と終了が対応していないテンプレートは構文エラーにする', function(t) {
+	var window = openTemplateEngine(t);
+	[
+		['{#each errors}{message}', /^\{#each errors\} is not closed$/],
+		['{#if stack}{#each errors}{/if}{/each}', /^\{\/if\} has no matching \{#if\}$/],
+		['{message}{/each}', /^\{\/each\} has no matching \{#each\}$/],
+		['{#each errors}{else}{/each}', /^\{else\} has no matching \{#if\}$/],
+		['{#if stack}a{else}b{else}c{/if}', /^\{else\} has no matching \{#if\}$/],
+		['{else}', /^\{else\} has no matching \{#if\}$/]
+	].forEach(function(entry) {
+		assert.throws(function() {
+			window.parseTemplate(entry[0]);
+		}, function(error) {
+			assert.match(error.message, entry[1], entry[0]);
+			return true;
+		});
+		// renderTemplateも同じ構文エラーを投げる
+		assert.throws(function() {
+			window.renderTemplate(entry[0], {errors: [], stack: 'x'});
+		});
+	});
+
+	// 既定のテンプレートは構文エラーにならない
+	window.defaultPromptTemplates().forEach(function(template) {
+		assert.doesNotThrow(function() {
+			window.parseTemplate(template.body);
+		}, template.id);
+	});
+});